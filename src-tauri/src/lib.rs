@@ -1,14 +1,247 @@
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
+
+type PathSet = std::sync::Mutex<std::collections::HashSet<std::path::PathBuf>>;
+
+/// Destinations the user has picked in the save dialog. The write commands
+/// refuse any other path, so the frontend can only write where the user chose.
+#[derive(Default)]
+struct SavePaths(PathSet);
+
+/// Files the user has picked in the open dialog. The read commands refuse any
+/// other path, so the frontend can only read what the user chose.
+#[derive(Default)]
+struct OpenPaths(PathSet);
+
+/// A file type offered by the dialogs, as the dialog plugin's JS API takes it
+#[derive(serde::Deserialize)]
+struct DialogFilter {
+    name: String,
+    extensions: Vec<String>,
+}
+
+fn file_dialog(app: &tauri::AppHandle, default_path: Option<String>, filters: &[DialogFilter]) -> tauri_plugin_dialog::FileDialogBuilder<tauri::Wry> {
+    use tauri_plugin_dialog::DialogExt;
+    let mut dialog = app.dialog().file();
+    if let Some(name) = default_path {
+        dialog = dialog.set_file_name(name);
+    }
+    for filter in filters {
+        let extensions: Vec<&str> = filter.extensions.iter().map(String::as_str).collect();
+        dialog = dialog.add_filter(&filter.name, &extensions);
+    }
+    dialog
+}
+
+/// Adds the path a dialog returned to `paths` and returns it as text, or
+/// `None` if the user cancelled
+fn remember_picked(paths: &PathSet, picked: Option<tauri_plugin_dialog::FilePath>) -> Result<Option<String>, String> {
+    let Some(picked) = picked else {
+        return Ok(None);
+    };
+    let path = picked.into_path().map_err(|e| e.to_string())?;
+    let shown = path.to_string_lossy().into_owned();
+    paths.lock().unwrap().insert(path);
+    Ok(Some(shown))
+}
+
+fn check_picked(paths: &PathSet, path: &str, dialog: &str) -> Result<(), String> {
+    if paths.lock().unwrap().contains(std::path::Path::new(path)) {
+        Ok(())
+    } else {
+        Err(format!("Cannot access {}: it was not chosen in the {} dialog", path, dialog))
+    }
+}
+
+/// Shows the save dialog and returns the picked path, or `None` if the user
+/// cancelled. The path can then be written by `write_text_file` and
+/// `append_text_file`. Async so the blocking dialog stays off the main thread.
+#[tauri::command]
+async fn pick_save_path(
+    app: tauri::AppHandle,
+    save_paths: tauri::State<'_, SavePaths>,
+    default_path: String,
+    filters: Vec<DialogFilter>,
+) -> Result<Option<String>, String> {
+    let picked = file_dialog(&app, Some(default_path), &filters).blocking_save_file();
+    remember_picked(&save_paths.0, picked)
+}
+
+/// Shows the open dialog and returns the picked file's path, or `None` if the
+/// user cancelled. The file can then be read by `read_appended_lines`,
+/// `file_size` and `read_file_range`.
+#[tauri::command]
+async fn pick_open_path(
+    app: tauri::AppHandle,
+    open_paths: tauri::State<'_, OpenPaths>,
+    default_path: Option<String>,
+    filters: Vec<DialogFilter>,
+) -> Result<Option<String>, String> {
+    let picked = file_dialog(&app, default_path, &filters).blocking_pick_file();
+    remember_picked(&open_paths.0, picked)
+}
+
+/// Writes `contents` to `path`, replacing the file if it exists. Used by
+/// "Save As" after the user has picked the path with `pick_save_path`.
+#[tauri::command]
+fn write_text_file(save_paths: tauri::State<SavePaths>, path: String, contents: String) -> Result<(), String> {
+    check_picked(&save_paths.0, &path, "save")?;
+    std::fs::write(&path, contents).map_err(|e| format!("Failed to write {}: {}", path, e))
+}
+
+/// Appends `contents` to the file at `path`, which must also have been picked
+/// with `pick_save_path`. Large exports are written as a `write_text_file` of
+/// the first chunk followed by appends of the rest, so the whole text never
+/// has to be held in one string.
+#[tauri::command]
+fn append_text_file(save_paths: tauri::State<SavePaths>, path: String, contents: String) -> Result<(), String> {
+    use std::io::Write;
+    check_picked(&save_paths.0, &path, "save")?;
+    let mut file = std::fs::OpenOptions::new()
+        .append(true)
+        .open(&path)
+        .map_err(|e| format!("Failed to open {}: {}", path, e))?;
+    file.write_all(contents.as_bytes())
+        .map_err(|e| format!("Failed to write {}: {}", path, e))
+}
+
+/// Most bytes `read_appended_lines` returns at once; the caller asks again
+/// right away while it is behind.
+const MAX_APPENDED_READ: u64 = 8 * 1024 * 1024;
+
+/// What `read_appended_lines` found: the complete lines in `text`, the byte
+/// `offset` to read from next time and the file's current `size`. `reset`
+/// means the file was truncated or replaced, so `text` starts from its
+/// beginning again. `skipped` counts lines too long to return that were
+/// passed over.
+#[derive(serde::Serialize)]
+#[serde(rename_all = "camelCase")]
+struct AppendedLines {
+    file_id: String,
+    size: u64,
+    offset: u64,
+    text: String,
+    reset: bool,
+    skipped: u32,
+}
+
+/// Identifies the file a path names, so a rotated log (a new file moved into
+/// place under the old name) can be told apart from the one being followed.
+#[cfg(unix)]
+fn file_identity(metadata: &std::fs::Metadata) -> String {
+    use std::os::unix::fs::MetadataExt;
+    format!("{}:{}", metadata.dev(), metadata.ino())
+}
+
+#[cfg(not(unix))]
+fn file_identity(metadata: &std::fs::Metadata) -> String {
+    metadata
+        .created()
+        .ok()
+        .and_then(|time| time.duration_since(std::time::UNIX_EPOCH).ok())
+        .map(|duration| duration.as_nanos().to_string())
+        .unwrap_or_default()
+}
+
+/// Reads the lines appended to the file at `path` since byte `offset`, for
+/// following a growing log. Only complete lines are returned, so a record
+/// still being written is picked up once its newline arrives. `file_id` is
+/// the identity returned last time; when the path now names another file or
+/// the file became shorter than `offset`, reading starts over from the top.
+/// A line longer than MAX_APPENDED_READ is skipped once its newline arrives,
+/// instead of holding up everything after it. Like the other read commands,
+/// only reads files picked with `pick_open_path`.
+#[tauri::command]
+fn read_appended_lines(
+    open_paths: tauri::State<OpenPaths>,
+    path: String,
+    offset: u64,
+    file_id: Option<String>,
+) -> Result<AppendedLines, String> {
+    use std::io::{Read, Seek, SeekFrom};
+    check_picked(&open_paths.0, &path, "open")?;
+    let mut file = std::fs::File::open(&path).map_err(|e| format!("Failed to open {}: {}", path, e))?;
+    let metadata = file.metadata().map_err(|e| format!("Failed to read {}: {}", path, e))?;
+    let size = metadata.len();
+    let id = file_identity(&metadata);
+
+    let replaced = file_id.map_or(false, |previous| previous != id);
+    let reset = replaced || size < offset;
+    let start = if reset { 0 } else { offset };
+
+    let mut bytes = Vec::new();
+    file.seek(SeekFrom::Start(start))
+        .and_then(|_| file.by_ref().take(MAX_APPENDED_READ).read_to_end(&mut bytes))
+        .map_err(|e| format!("Failed to read {}: {}", path, e))?;
+    let complete = bytes.iter().rposition(|&b| b == b'\n').map_or(0, |i| i + 1);
+
+    if complete == 0 && bytes.len() as u64 == MAX_APPENDED_READ {
+        // Look for the end of the oversized line without keeping it
+        let mut end = start + MAX_APPENDED_READ;
+        let mut chunk = vec![0; 64 * 1024];
+        loop {
+            let read = file.read(&mut chunk).map_err(|e| format!("Failed to read {}: {}", path, e))?;
+            if read == 0 {
+                // Still being written: try again once more of it is there
+                return Ok(AppendedLines { file_id: id, size, offset: start, text: String::new(), reset, skipped: 0 });
+            }
+            if let Some(i) = chunk[..read].iter().position(|&b| b == b'\n') {
+                end += i as u64 + 1;
+                return Ok(AppendedLines { file_id: id, size, offset: end, text: String::new(), reset, skipped: 1 });
+            }
+            end += read as u64;
+        }
+    }
+
+    Ok(AppendedLines {
+        file_id: id,
+        size,
+        offset: start + complete as u64,
+        text: String::from_utf8_lossy(&bytes[..complete]).into_owned(),
+        reset,
+        skipped: 0,
+    })
+}
+
+/// Size in bytes of the file at `path`, picked with `pick_open_path`
+#[tauri::command]
+fn file_size(open_paths: tauri::State<OpenPaths>, path: String) -> Result<u64, String> {
+    check_picked(&open_paths.0, &path, "open")?;
+    std::fs::metadata(&path)
+        .map(|metadata| metadata.len())
+        .map_err(|e| format!("Failed to read {}: {}", path, e))
+}
+
+/// Reads up to `length` bytes of the file at `path` starting at byte `start`
+/// (fewer at the end of the file). Files too large to load are indexed and
+/// then read a piece at a time; the bytes go back as a raw binary response.
 #[tauri::command]
-fn greet(name: &str) -> String {
-    format!("Hello, {}! You've been greeted from Rust!", name)
+fn read_file_range(open_paths: tauri::State<OpenPaths>, path: String, start: u64, length: u64) -> Result<tauri::ipc::Response, String> {
+    use std::io::{Read, Seek, SeekFrom};
+    check_picked(&open_paths.0, &path, "open")?;
+    let mut file = std::fs::File::open(&path).map_err(|e| format!("Failed to open {}: {}", path, e))?;
+    let mut bytes = Vec::new();
+    file.seek(SeekFrom::Start(start))
+        .and_then(|_| file.by_ref().take(length).read_to_end(&mut bytes))
+        .map_err(|e| format!("Failed to read {}: {}", path, e))?;
+    Ok(tauri::ipc::Response::new(bytes))
 }
 
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
-        .invoke_handler(tauri::generate_handler![greet])
+        .plugin(tauri_plugin_dialog::init())
+        .manage(SavePaths::default())
+        .manage(OpenPaths::default())
+        .invoke_handler(tauri::generate_handler![
+            pick_save_path,
+            pick_open_path,
+            write_text_file,
+            append_text_file,
+            read_appended_lines,
+            file_size,
+            read_file_range
+        ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
@@ -0,0 +1,1793 @@
+import React, { useState, useMemo } from 'react';
+import { File as FileIcon, Upload, Loader, X, ArrowLeft, Undo2, Redo2, Save, Pencil, GitCompare, Table, ShieldCheck, Download, ClipboardPaste, Wrench, BarChart3, ChevronsUpDown, ChevronsDownUp, ArrowRight, ZoomOut, SquareArrowOutUpRight, Radio, HardDrive, ChartColumn } from 'lucide-react';
+import { parseFile } from './workers/parseFile';
+import TreeView from './components/TreeView';
+import QueryResults from './components/QueryResults';
+import SearchBar from './components/SearchBar';
+import SearchResultsList from './components/SearchResultsList';
+import CompareView from './components/CompareView';
+import TableView from './components/TableView';
+import SchemaPanel from './components/SchemaPanel';
+import ExportDialog from './components/ExportDialog';
+import SourceEditor from './components/SourceEditor';
+import ParseErrorList from './components/ParseErrorList';
+import RendererSettings from './components/RendererSettings';
+import RedactionSettings from './components/RedactionSettings';
+import ViewTransforms from './components/ViewTransforms';
+import StatsPanel from './components/StatsPanel';
+import AggregationPanel from './components/AggregationPanel';
+import PathBar from './components/PathBar';
+import FilterBar from './components/FilterBar';
+import LargeFileView from './components/LargeFileView';
+import { useExpansion } from './hooks/useExpansion';
+import { useHistory } from './hooks/useHistory';
+import { useFollow } from './hooks/useFollow';
+import { ancestorKeys, initialExpanded, pathKey, getAtPath, formatPath, isPathPrefix, subtreeKeys, isContainer } from './lib/tree';
+import { isTabular } from './lib/table';
+import { runQuery, parseRecordFilter, filterRecords } from './lib/query';
+import { createMatcher, searchData, DEFAULT_SEARCH_OPTIONS } from './lib/search';
+import { applyEdit } from './lib/edit';
+import { serializeDocument, DEFAULT_LAYOUT } from './lib/serialize';
+import { saveTextFile, isTauri, pickOpenPath } from './lib/platform';
+import { LARGE_FILE_SIZE, fileSource, pathSource, isJsonLines } from './lib/largeFile';
+import { DEFAULT_REDACTION_SETTINGS, createRedactor, findRedactions, redactAt } from './lib/redact';
+import { createChildEntries } from './lib/viewTransforms';
+import { validateDocument } from './lib/schema/validate';
+import { ACCEPTED_EXTENSIONS, parseJson } from './lib/formats';
+import { DEFAULT_RENDERER_SETTINGS, applyEmbeddedJson } from './lib/renderers';
+import { computeStats } from './lib/stats';
+import { stringifyJson } from './lib/lossless';
+import { resolvePathText, PathError } from './lib/pathFormats';
+import { parseSource, spansById, pathAtOffset } from './lib/source';
+
+const TRUNCATION_MESSAGES = {
+  results: 'max results reached',
+  depth: 'max depth exceeded',
+  children: 'large arrays/objects only partly searched',
+};
+
+// Documents read from YAML, JSON5, gzip etc. are saved as plain JSON/JSONL
+const saveFileName = (name, isJsonl) => {
+  const base = name.replace(/\.gz$/i, '');
+  if (/\.(json|jsonl)$/i.test(base)) return base;
+  return base.replace(/\.[^.]*$/, '') + (isJsonl ? '.jsonl' : '.json');
+};
+
+const NO_FILTER = { matches: null, matchCount: 0, checked: 0, isRunning: false, error: null };
+
+// Everything about one open document: the toolbar, search, the tree and its
+// panels. Each tab (see App) has its own, kept mounted while inactive.
+//
+// `initialSource` ({ file }, { text, name }, { data, name } or { largeFile },
+// a JSONL file shown in large-file mode) is opened on mount and `restore`, a
+// saved session entry of the tab, brings back its expanded nodes, selection,
+// search and view transforms. Opening another file while a document is shown
+// goes to a new tab through `onOpenInNewTab(source)`. The workspace reports
+// files it opens with `onFileOpened(tabId, file)` and its state with
+// `onSessionChange(tabId, { fileName, isModified, expanded, selectedPath,
+// searchMode, searchQuery, queryText, filterText, viewTransforms })`. Keyboard
+// and paste shortcuts only apply while `isActive`. `filterPresets` are the
+// saved record filters and `redactionSettings` the redaction settings (see
+// lib/redact), both shared by all tabs.
+const DocumentWorkspace = React.memo(({ tabId, isActive, initialSource = null, restore = null, onSessionChange, onFileOpened, onOpenInNewTab, filterPresets = [], onFilterPresetsChange, redactionSettings = DEFAULT_REDACTION_SETTINGS, onRedactionSettingsChange }) => {
+  const documentHistory = useHistory();
+  const jsonData = documentHistory.present;
+  const loadDocument = documentHistory.reset;
+  const [fileLayout, setFileLayout] = useState(DEFAULT_LAYOUT);
+  const [editMode, setEditMode] = useState(false);
+  // Followed file ({ path, offset }) whose appended lines become new records,
+  // what following has added so far, and whether the tree scrolls to them
+  const [follow, setFollow] = useState(null);
+  const [followInfo, setFollowInfo] = useState({ added: 0, skipped: 0, restarts: 0 });
+  const [autoScroll, setAutoScroll] = useState(true);
+  // The file last followed and the document generation it was read into, to
+  // tell whether the document shown is that file
+  const [followedFile, setFollowedFile] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState('');
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [fileSize, setFileSize] = useState(0);
+  const [isJsonlFile, setIsJsonlFile] = useState(false);
+  // Source of a JSONL file shown in large-file mode, instead of jsonData
+  const [largeFile, setLargeFile] = useState(null);
+  // Parser that read the file, e.g. "JSON", "YAML, gzip"
+  const [sourceFormat, setSourceFormat] = useState('');
+  const [searchQuery, setSearchQuery] = useState(restore?.searchQuery ?? '');
+  const [searchOptions, setSearchOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  const [searchState, setSearchState] = useState({ results: [], truncated: [] });
+  const [currentMatch, setCurrentMatch] = useState(-1);
+  const [showResultsList, setShowResultsList] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
+  const [searchMode, setSearchMode] = useState(restore?.searchMode ?? 'text'); // 'text' | 'query'
+  const [queryText, setQueryText] = useState(restore?.queryText ?? '');
+  const [queryState, setQueryState] = useState({ results: null, error: null });
+  // Record filter of a JSONL file. `matches` are the indices of the records
+  // shown, null while no filter applies; the previous ones stay until a new
+  // run finishes.
+  const [filterText, setFilterText] = useState(restore?.filterText ?? '');
+  const [filterState, setFilterState] = useState(NO_FILTER);
+  // How the tree shows the document (see lib/viewTransforms)
+  const [viewTransforms, setViewTransforms] = useState(restore?.viewTransforms ?? []);
+  const childEntries = useMemo(() => createChildEntries(viewTransforms), [viewTransforms]);
+  // Last completed filter run ({ text, data, checked, matches }). Records
+  // appended by following keep it valid, so only the new ones are checked.
+  const filterRunRef = React.useRef(null);
+  const [revealRequest, setRevealRequest] = useState(null);
+  // The clicked or revealed node, and the one under the pointer, for the
+  // path bar
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [hoveredPath, setHoveredPath] = useState(null);
+  // h/j/k/l and g/G in the tree
+  const [vimKeys, setVimKeys] = useState(false);
+  const searchInputRef = React.useRef(null);
+  // The full document while a query result subset is being viewed
+  const [parentDocument, setParentDocument] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareDocument, setCompareDocument] = useState(null);
+  // Why the second document of compare mode could not be (fully) read; kept
+  // apart from `error`, which is about the main document
+  const [compareError, setCompareError] = useState(null);
+  const [isCompareLoading, setIsCompareLoading] = useState(false);
+  // Path of the array shown in the table view, or null for the tree
+  const [tablePath, setTablePath] = useState(null);
+  const [showSchemaPanel, setShowSchemaPanel] = useState(false);
+  // Schema to validate against: { name, schema } or { name, error } if unreadable
+  const [validationSchema, setValidationSchema] = useState(null);
+  const [validation, setValidation] = useState(null);
+  // Open export dialog: { path } of the subtree it was opened from, or null path
+  const [exportRequest, setExportRequest] = useState(null);
+  // Text of the raw text pane, or null when it is closed. While open, the text
+  // is the source of the document: it is re-parsed as it changes, and changes
+  // made in the tree (edits, undo) rewrite it.
+  const [sourceText, setSourceText] = useState(null);
+  const [sourceState, setSourceState] = useState({ spans: [], error: null });
+  // Document last parsed from the text, and text last generated from the
+  // document, to tell the two directions apart
+  const sourceDataRef = React.useRef(null);
+  const generatedTextRef = React.useRef(null);
+  const sourceEditorRef = React.useRef(null);
+  // Best-effort repair of broken JSON when loading files
+  const [repairMode, setRepairMode] = useState(false);
+  // Problems found by the last parse: { errors, errorCount, isJsonl }
+  const [parseIssues, setParseIssues] = useState(null);
+  // Spots repaired in the loaded document: { items, count }
+  const [repairs, setRepairs] = useState(null);
+  const [showRepairs, setShowRepairs] = useState(false);
+  const [showRedactions, setShowRedactions] = useState(false);
+  // Show strings in the tree as JSON literals, with their escapes, instead of as text
+  const [rawStrings, setRawStrings] = useState(false);
+  const [rendererSettings, setRendererSettings] = useState(DEFAULT_RENDERER_SETTINGS);
+  // Strings shown parsed as JSON, by tree id: { path, source, value }. Only the
+  // tree shows them parsed; search, export and edits see the strings.
+  const [embeddedJson, setEmbeddedJson] = useState(() => new Map());
+  const [showStatsPanel, setShowStatsPanel] = useState(false);
+  const [showAggregationPanel, setShowAggregationPanel] = useState(false);
+  // Records picked in the aggregation panel: { label, indices, data, base }
+  // with the array and filtered items they were picked from
+  const [recordSelection, setRecordSelection] = useState(null);
+  // Subtree size badges on tree rows; they need the stats to be computed
+  const [showSizes, setShowSizes] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [isComputingStats, setIsComputingStats] = useState(false);
+  // Node shown as the root of the tree (null for the document root), with the
+  // back/forward history of focused nodes
+  const [focusHistory, setFocusHistory] = useState({ entries: [null], index: 0 });
+  const focusPath = focusHistory.entries[focusHistory.index];
+  const lastFileRef = React.useRef(null);
+  const fileInputRef = React.useRef(null);
+  const compareInputRef = React.useRef(null);
+  const parseTaskRef = React.useRef(null);
+  // Parse of the second document of compare mode, which runs alongside
+  const compareTaskRef = React.useRef(null);
+  // Saved state to apply once the restored document has loaded
+  const pendingRestoreRef = React.useRef(restore);
+  const isActiveRef = React.useRef(isActive);
+  isActiveRef.current = isActive;
+  const { expanded, toggle: toggleExpanded, expand, collapse, reset: resetExpanded } = useExpansion();
+
+  // Determine if file is large and should use conservative expansion
+  const isLargeFile = fileSize > 5 * 1024 * 1024; // 5MB threshold
+
+  const viewData = useMemo(
+    () => (embeddedJson.size > 0 ? applyEmbeddedJson(jsonData, embeddedJson.values()) : jsonData),
+    [jsonData, embeddedJson],
+  );
+  const viewDataRef = React.useRef(viewData);
+  viewDataRef.current = viewData;
+  const embeddedJsonIds = useMemo(() => new Set(embeddedJson.keys()), [embeddedJson]);
+
+  // What search, query, stats and export work on: the focused subtree, or
+  // the whole document. A focused subtree is taken from what the tree shows,
+  // since it may lie inside a string shown as JSON.
+  const scopeRoot = focusPath ? viewData : jsonData;
+  const focusSegment = focusPath?.[focusPath.length - 1];
+  const focusRootName = typeof focusSegment === 'number' ? `[${focusSegment}]` : focusSegment;
+  const scopeData = useMemo(() => (focusPath ? getAtPath(viewData, focusPath) : jsonData), [focusPath, viewData, jsonData]);
+
+  // Run the record filter over a JSONL file, debounced like search. Large
+  // files are filtered a chunk at a time with the progress shown.
+  React.useEffect(() => {
+    if (!isJsonlFile || !Array.isArray(jsonData) || !filterText.trim()) {
+      filterRunRef.current = null;
+      setFilterState(NO_FILTER);
+      return;
+    }
+
+    let task = null;
+    const timeoutId = setTimeout(() => {
+      let predicate;
+      try {
+        predicate = parseRecordFilter(filterText);
+      } catch (err) {
+        if (err.name !== 'QuerySyntaxError' && err.name !== 'QueryError') console.error('Filter error:', err);
+        setFilterState({ ...NO_FILTER, error: err });
+        return;
+      }
+      const run = filterRunRef.current;
+      const resumed = run?.text === filterText && run.data === jsonData ? run : null;
+      const previous = resumed ? resumed.matches : [];
+      setFilterState((current) => ({ ...current, matchCount: previous.length, checked: resumed ? resumed.checked : 0, isRunning: true, error: null }));
+      task = filterRecords(jsonData, predicate, {
+        from: resumed ? resumed.checked : 0,
+        onProgress: ({ matchCount, checked }) => setFilterState((current) => ({ ...current, matchCount: previous.length + matchCount, checked })),
+      });
+      task.promise.then(
+        ({ matches: found, checked }) => {
+          const matches = resumed ? [...previous, ...found] : found;
+          filterRunRef.current = { text: filterText, data: jsonData, checked, matches };
+          setFilterState({ matches, matchCount: matches.length, checked, isRunning: false, error: null });
+        },
+        (err) => {
+          console.error('Filter error:', err);
+          setFilterState({ ...NO_FILTER, error: err });
+        },
+      );
+    }, 300);
+
+    return () => {
+      clearTimeout(timeoutId);
+      task?.cancel();
+    };
+  }, [jsonData, isJsonlFile, filterText]);
+
+  // Records the tree and search are limited to: those passing the filter (a
+  // focused subtree ignores it), narrowed to the ones picked in the
+  // aggregation panel while that pick is of the records shown
+  const filteredItems = focusPath ? null : filterState.matches;
+  const isSelectionShown = recordSelection !== null && recordSelection.data === scopeData && recordSelection.base === filteredItems;
+  const rootItems = isSelectionShown ? recordSelection.indices : filteredItems;
+
+  // Compile the text search; an invalid regex is reported instead of searched
+  const searchMatcher = useMemo(() => {
+    if (searchMode !== 'text' || !searchQuery.trim()) return { matcher: null, error: null };
+    try {
+      return { matcher: createMatcher(searchQuery, searchOptions), error: null };
+    } catch (err) {
+      return { matcher: null, error: err.message };
+    }
+  }, [searchQuery, searchOptions, searchMode]);
+
+  // Update search results when query, options or data change - with debouncing
+  React.useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      if (scopeData && searchMatcher.matcher) {
+        try {
+          setSearchState(searchData(scopeData, searchMatcher.matcher, searchOptions, focusPath ?? [], rootItems));
+        } catch (e) {
+          console.error('Search error:', e);
+          setSearchState({ results: [], truncated: [] });
+        }
+      } else {
+        setSearchState({ results: [], truncated: [] });
+      }
+      setCurrentMatch(-1);
+    }, 300); // 300ms debounce
+
+    return () => clearTimeout(timeoutId);
+  }, [scopeData, searchMatcher, searchOptions, rootItems]);
+
+  // Evaluate the path/filter expression in query mode - debounced like search
+  React.useEffect(() => {
+    if (searchMode !== 'query' || !scopeData || !queryText.trim()) {
+      setQueryState({ results: null, error: null });
+      return;
+    }
+
+    const timeoutId = setTimeout(() => {
+      try {
+        setQueryState({ ...runQuery(scopeData, queryText, focusPath ?? []), error: null });
+      } catch (err) {
+        if (err.name !== 'QuerySyntaxError' && err.name !== 'QueryError') console.error('Query error:', err);
+        setQueryState({ results: null, error: err });
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [scopeData, queryText, searchMode]);
+
+  // Tree ids of query results that exist in the document
+  const queryMatchIds = useMemo(() => {
+    if (!queryState.results) return new Set();
+    return new Set(queryState.results.filter((result) => result.path).map((result) => pathKey(result.path)));
+  }, [queryState.results]);
+
+  // Records for the table view; read from the current document so edits show up
+  const tableRecords = useMemo(() => {
+    if (!tablePath) return null;
+    const value = getAtPath(jsonData, tablePath);
+    return isTabular(value) ? value : null;
+  }, [jsonData, tablePath]);
+
+  // Keep the statistics current while they are shown, in the panel or as badges
+  React.useEffect(() => {
+    if (!scopeData || (!showStatsPanel && !showSizes)) {
+      setStats(null);
+      return;
+    }
+
+    setIsComputingStats(true);
+    const timeoutId = setTimeout(() => {
+      setStats(computeStats(scopeData, { records: isJsonlFile && !focusPath }));
+      setIsComputingStats(false);
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [scopeData, isJsonlFile, showStatsPanel, showSizes]);
+
+  // Validate against the chosen schema whenever the document changes
+  React.useEffect(() => {
+    if (!jsonData || !validationSchema?.schema) {
+      setValidation(null);
+      return;
+    }
+
+    const timeoutId = setTimeout(() => {
+      try {
+        setValidation(validateDocument(jsonData, validationSchema.schema, { records: isJsonlFile }));
+      } catch (err) {
+        setValidation({ error: err.message });
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [jsonData, validationSchema, isJsonlFile]);
+
+  // What redaction masks, found right away rather than debounced so that a
+  // new document never shows its secrets, even briefly
+  const redactor = useMemo(() => createRedactor(redactionSettings), [redactionSettings]);
+  const redactions = useMemo(() => (redactor && viewData ? findRedactions(viewData, redactor) : null), [redactor, viewData]);
+
+  // Repair notes by tree id, shown as badges on the rows
+  const repairNotesById = useMemo(() => {
+    const byId = new Map();
+    (repairs?.items || []).forEach((repair) => {
+      const id = pathKey(repair.path);
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(repair.message);
+    });
+    return byId;
+  }, [repairs]);
+
+  // Validation messages by tree id, shown as badges on the rows
+  const validationErrorsById = useMemo(() => {
+    const byId = new Map();
+    (validation?.errors || []).forEach((error) => {
+      const id = pathKey(error.path);
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(error.message);
+    });
+    return byId;
+  }, [validation]);
+
+  const loadSchemaFile = async (file) => {
+    try {
+      setValidationSchema({ name: file.name, schema: JSON.parse(await file.text()) });
+    } catch (err) {
+      setValidationSchema({ name: file.name, error: `Could not read schema: ${err.message}` });
+    }
+  };
+
+  // What the export dialog can export: the document, the focused subtree, the
+  // subtree it was opened on, and the current search or query results. Each
+  // source has the `path` of its value, or the `paths` of its items, for
+  // redaction.
+  const exportSources = useMemo(() => {
+    if (!exportRequest || !jsonData) return null;
+    const sources = [{ id: 'document', label: 'Whole document', value: jsonData, records: isJsonlFile, path: [] }];
+    if (focusPath) sources.push({ id: 'focus', label: `Focused subtree ${formatPath(focusPath)}`, value: scopeData, path: focusPath });
+    if (filterState.matches) {
+      sources.push({ id: 'filtered', label: `Filtered records (${filterState.matches.length})`, value: filterState.matches.map((i) => jsonData[i]), records: true, paths: filterState.matches.map((i) => [i]) });
+    }
+    if (isSelectionShown) {
+      sources.push({
+        id: 'selected',
+        label: `Selected records (${recordSelection.indices.length})`,
+        value: recordSelection.indices.map((i) => scopeData[i]),
+        records: isJsonlFile && !focusPath,
+        paths: recordSelection.indices.map((i) => [...(focusPath ?? []), i]),
+      });
+    }
+    const { path } = exportRequest;
+    if (path && path.length > 0) {
+      // The path is one the tree showed, so it may lead into a string shown as JSON
+      sources.push({ id: 'subtree', label: `Subtree ${formatPath(path)}`, value: getAtPath(viewData, path), path });
+    }
+    if (searchMode === 'text' && searchState.results.length > 0) {
+      const seen = new Set();
+      const values = [];
+      const paths = [];
+      searchState.results.forEach((result) => {
+        const id = pathKey(result.path);
+        if (seen.has(id)) return;
+        seen.add(id);
+        values.push(getAtPath(scopeRoot, result.path));
+        paths.push(result.path);
+      });
+      sources.push({ id: 'search', label: `Search results (${values.length})`, value: values, paths });
+    }
+    if (searchMode === 'query' && queryState.results?.length > 0) {
+      sources.push({ id: 'query', label: `Query results (${queryState.results.length})`, value: queryState.results.map((result) => result.value), paths: queryState.results.map((result) => result.path) });
+    }
+    return sources;
+  }, [exportRequest, jsonData, viewData, isJsonlFile, focusPath, scopeData, scopeRoot, filterState.matches, isSelectionShown, recordSelection, searchMode, searchState.results, queryState.results]);
+
+  // An export source with redacted values replaced; computed query results
+  // have no path and are checked on their own
+  const redactSource = (source) => (
+    source.paths
+      ? source.value.map((value, i) => redactAt(value, source.paths[i] ?? [], redactor))
+      : redactAt(source.value, source.path, redactor)
+  );
+
+  // Re-parse the raw text as it is typed
+  React.useEffect(() => {
+    if (sourceText === null) return;
+
+    const timeoutId = setTimeout(() => {
+      let result;
+      try {
+        result = parseSource(sourceText);
+      } catch (err) {
+        setSourceState((current) => ({ spans: current.spans, error: err }));
+        return;
+      }
+      setSourceState({ spans: result.spans, error: null });
+      if (sourceText === generatedTextRef.current) return;
+
+      sourceDataRef.current = result.data;
+      setIsJsonlFile(result.records);
+      setSourceFormat(result.formatLabel);
+      setFileSize(new Blob([sourceText]).size);
+      if (jsonDataRef.current === null) {
+        setFileLayout(DEFAULT_LAYOUT);
+        loadDocument(result.data);
+      } else {
+        documentHistory.commit(result.data, 'Edit text');
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [sourceText]);
+
+  // Changes made outside the text (tree edits, undo/redo) rewrite the text
+  React.useEffect(() => {
+    if (sourceText === null || jsonData === null || jsonData === sourceDataRef.current) return;
+    const text = serializeDocument(jsonData, { isJsonl: isJsonlFile, indent: '  ', trailingNewline: false });
+    sourceDataRef.current = jsonData;
+    generatedTextRef.current = text;
+    setSourceText(text);
+  }, [jsonData]);
+
+  const sourceSpans = useMemo(() => spansById(sourceState.spans), [sourceState.spans]);
+  const sourceSpansRef = React.useRef(sourceSpans);
+  sourceSpansRef.current = sourceSpans;
+
+  // Tree click: select the node's text
+  const selectSourceSpan = React.useCallback((path) => {
+    const span = sourceSpansRef.current.get(pathKey(path));
+    if (span) sourceEditorRef.current?.selectRange(span.valueStart, span.end);
+  }, []);
+
+  const selectNode = React.useCallback((path) => {
+    setSelectedPath(path);
+    selectSourceSpan(path);
+  }, [selectSourceSpan]);
+
+  // Caret move in the text: reveal the node under it
+  const revealSourceOffset = (offset) => {
+    const path = pathAtOffset(sourceState.spans, offset);
+    if (path && jsonData !== null && (!focusPath || isPathPrefix(focusPath, path))) revealPath(path);
+  };
+
+  // Opens text (pasted, or typed into an empty pane) as a new document
+  const openTextDocument = (text, name) => {
+    parseTaskRef.current?.cancel();
+    setFollow(null);
+    setLargeFile(null);
+    setParentDocument(null);
+    setTablePath(null);
+    setError('');
+    setFileName(name);
+    setFileSize(new Blob([text]).size);
+    setSourceFormat('');
+    setIsJsonlFile(false);
+    setRepairs(null);
+    setParseIssues(null);
+    loadDocument(null);
+    sourceDataRef.current = null;
+    generatedTextRef.current = null;
+    setSourceState({ spans: [], error: null });
+    setSourceText(text);
+  };
+
+  // Opens a value (such as a focused subtree) as a new document
+  const openDataDocument = (data, name) => {
+    const text = stringifyJson(data, 2);
+    parseTaskRef.current?.cancel();
+    setFollow(null);
+    setLargeFile(null);
+    closeSourcePane();
+    setParentDocument(null);
+    setTablePath(null);
+    setError('');
+    setFileName(name);
+    setFileSize(new Blob([text]).size);
+    setSourceFormat('');
+    setIsJsonlFile(false);
+    setRepairs(null);
+    setParseIssues(null);
+    setFileLayout(DEFAULT_LAYOUT);
+    loadDocument(data);
+    return text;
+  };
+
+  // Shows the current document as text, or an empty pane to type into
+  const openSourcePane = () => {
+    if (!jsonData) {
+      openTextDocument('', 'Untitled');
+      return;
+    }
+    const text = serializeDocument(jsonData, { isJsonl: isJsonlFile, indent: '  ', trailingNewline: false });
+    sourceDataRef.current = jsonData;
+    generatedTextRef.current = text;
+    setTablePath(null);
+    setSourceText(text);
+  };
+
+  const closeSourcePane = () => {
+    setSourceText(null);
+    setSourceState({ spans: [], error: null });
+  };
+
+  // Start each newly loaded document with the default expansion, or with the
+  // saved one when restoring the last session
+  React.useEffect(() => {
+    const restoring = jsonData ? pendingRestoreRef.current : null;
+    if (restoring) pendingRestoreRef.current = null;
+    resetExpanded(restoring ? restoring.expanded : jsonData ? initialExpanded(jsonData, isLargeFile) : []);
+    setRevealRequest(restoring?.selectedPath ? { id: pathKey(restoring.selectedPath) } : null);
+    setSelectedPath(restoring?.selectedPath ?? null);
+    setHoveredPath(null);
+    setTablePath(null);
+    setEmbeddedJson(new Map());
+    setFocusHistory({ entries: [null], index: 0 });
+  }, [documentHistory.generation]);
+
+  const expandEmbeddedJson = React.useCallback((path) => {
+    const source = getAtPath(viewDataRef.current, path);
+    let value;
+    try {
+      value = parseJson(source);
+    } catch (err) {
+      return err.message;
+    }
+    const id = pathKey(path);
+    setEmbeddedJson((current) => new Map(current).set(id, { path, source, value }));
+    expand([id]);
+    return null;
+  }, [expand]);
+
+  // Also drops expanded strings nested inside this one
+  const collapseEmbeddedJson = React.useCallback((path) => {
+    setEmbeddedJson((current) => new Map([...current].filter(([, entry]) => !isPathPrefix(path, entry.path))));
+  }, []);
+
+  const toggleTimeZone = React.useCallback(() => {
+    setRendererSettings((current) => ({ ...current, timeZone: current.timeZone === 'utc' ? 'local' : 'utc' }));
+  }, []);
+
+  // Reveal query matches by expanding their ancestors. Text search instead
+  // reveals one match at a time as the user steps through them.
+  React.useEffect(() => {
+    if (searchMode !== 'query') return;
+    const matches = (queryState.results || []).filter((result) => result.path).slice(0, 1000);
+    if (matches.length === 0) return;
+    const ids = new Set();
+    matches.forEach((result) => ancestorKeys(result.path).forEach((id) => ids.add(id)));
+    expand([...ids]);
+  }, [queryState.results, searchMode, expand]);
+
+  // Leaves the focus first when the node lies outside it
+  const revealPath = (path) => {
+    if (focusPath && !isPathPrefix(focusPath, path)) focusNode(null);
+    expand(ancestorKeys(path));
+    setRevealRequest({ id: pathKey(path) });
+    setSelectedPath(path);
+  };
+
+  // Go-to-path box: returns an error message or null
+  const goToPath = (text) => {
+    try {
+      revealPath(resolvePathText(viewData, text));
+      return null;
+    } catch (err) {
+      if (err instanceof PathError) return err.message;
+      throw err;
+    }
+  };
+
+  // Shows the node at `path` as the root of the tree, or the whole document
+  // again for null. Focusing drops any forward history, like a browser.
+  const focusNode = React.useCallback((path) => {
+    setFocusHistory((current) => {
+      const entries = [...current.entries.slice(0, current.index + 1), path];
+      return { entries, index: entries.length - 1 };
+    });
+    if (path) {
+      expand([pathKey(path)]);
+      setRevealRequest({ id: pathKey(path) });
+    }
+    setSelectedPath(path);
+  }, [expand]);
+
+  const stepFocus = (delta) => {
+    setFocusHistory((current) => {
+      const index = current.index + delta;
+      return index < 0 || index >= current.entries.length ? current : { ...current, index };
+    });
+  };
+
+  // Leave the focus when an edit removes the focused node or makes it a value
+  React.useEffect(() => {
+    if (focusPath && !isContainer(scopeData)) setFocusHistory({ entries: [null], index: 0 });
+  }, [focusPath, scopeData]);
+
+  // Opens the focused subtree as a document of its own in a new tab
+  const openFocusInNewTab = () => {
+    onOpenInNewTab?.({ data: scopeData, name: `${fileName} › ${formatPath(focusPath)}` });
+  };
+
+  const openSubtreeExport = React.useCallback((path) => setExportRequest({ path }), []);
+
+  const selectMatch = (index) => {
+    const { results } = searchState;
+    if (results.length === 0) return;
+    const wrapped = (index + results.length) % results.length;
+    setCurrentMatch(wrapped);
+    revealPath(results[wrapped].path);
+  };
+
+  const navigateMatches = (delta) => {
+    if (currentMatch === -1) {
+      selectMatch(delta > 0 ? 0 : -1);
+    } else {
+      selectMatch(currentMatch + delta);
+    }
+  };
+
+  // Replace the view with the query results; the full document is kept so
+  // "Back" can return to it
+  const openQueryResultsAsDocument = () => {
+    setFollow(null);
+    setParentDocument((current) => current || { jsonData, fileName, fileSize, isJsonlFile, sourceFormat, fileLayout, sourceText });
+    setFileLayout(DEFAULT_LAYOUT);
+    loadDocument(queryState.results.map((result) => result.value));
+    setFileName(`${parentDocument?.fileName || fileName} › ${queryText.trim()}`);
+    setIsJsonlFile(false);
+    setSourceFormat('');
+    closeSourcePane();
+    setQueryText('');
+  };
+
+  const closeSubsetDocument = () => {
+    loadDocument(parentDocument.jsonData);
+    setFileName(parentDocument.fileName);
+    setFileSize(parentDocument.fileSize);
+    setIsJsonlFile(parentDocument.isJsonlFile);
+    setSourceFormat(parentDocument.sourceFormat);
+    sourceDataRef.current = parentDocument.jsonData;
+    generatedTextRef.current = parentDocument.sourceText;
+    setSourceText(parentDocument.sourceText);
+    setFileLayout(parentDocument.fileLayout);
+    setParentDocument(null);
+  };
+
+  // Shows a JSONL file too large to parse whole in large-file mode (see
+  // lib/largeFile): it is indexed and read a page of records at a time, and
+  // cannot be edited
+  const openLargeFile = (source) => {
+    parseTaskRef.current?.cancel();
+    setFollow(null);
+    closeSourcePane();
+    setParentDocument(null);
+    setTablePath(null);
+    setError('');
+    setParseIssues(null);
+    setRepairs(null);
+    setFileName(source.name);
+    setFileSize(source.size);
+    setIsJsonlFile(true);
+    setSourceFormat('JSON Lines, large-file mode');
+    setEditMode(false);
+    loadDocument(null);
+    setLargeFile(source);
+  };
+
+  // Opens a large JSONL file by path, without reading it into memory first
+  // (the desktop app only; in the browser, opening the file does the same)
+  const openLargeFilePath = async () => {
+    try {
+      const path = await pickOpenPath({ filters: [{ name: 'JSON Lines', extensions: ['jsonl', 'ndjson', 'log'] }] });
+      if (!path) return;
+      const source = await pathSource(path);
+      if (!(await isJsonLines(source))) {
+        setError(`${source.name} does not look like JSON Lines; large-file mode needs one JSON record per line`);
+        return;
+      }
+      if (jsonData || largeFile || sourceText !== null) {
+        onOpenInNewTab?.({ largeFile: source });
+        return;
+      }
+      openLargeFile(source);
+    } catch (err) {
+      setError(`Could not open the file: ${err.message || err}`);
+    }
+  };
+
+  // Parses a file into the main document, or into the second document of
+  // compare mode when `target` is 'compare'. JSONL files over LARGE_FILE_SIZE
+  // open in large-file mode instead.
+  const processFile = async (file, target = 'primary', { repair = repairMode } = {}) => {
+    if (!file) return;
+
+    // One parse per target at a time: opening another file cancels the
+    // previous one for the same target only
+    const isPrimary = target === 'primary';
+    const taskRef = isPrimary ? parseTaskRef : compareTaskRef;
+    taskRef.current?.cancel();
+
+    if (isPrimary) {
+      setFollow(null);
+      setLargeFile(null);
+      closeSourcePane();
+      setParentDocument(null);
+      setFileName(file.name);
+      setFileSize(file.size);
+      setSourceFormat('');
+      setRepairs(null);
+      setShowRepairs(false);
+      lastFileRef.current = file;
+      setError('');
+      setParseIssues(null);
+    } else {
+      setCompareError(null);
+    }
+
+    if (isPrimary && file.size > LARGE_FILE_SIZE && await isJsonLines(fileSource(file))) {
+      openLargeFile(fileSource(file));
+      return;
+    }
+
+    if (isPrimary) {
+      setIsLoading(true);
+      setParseProgress({ phase: 'reading', bytesProcessed: 0, totalBytes: file.size, records: 0 });
+    } else {
+      setIsCompareLoading(true);
+    }
+
+    const task = parseFile(file, { repair, onProgress: isPrimary ? setParseProgress : undefined });
+    taskRef.current = task;
+
+    try {
+      const { data, records, errors, errorCount, layout, formatLabel, repairs: repaired, repairCount } = await task.promise;
+      const invalidLines = `${errorCount} invalid line${errorCount !== 1 ? 's' : ''}`;
+      let document = data;
+
+      if (!isPrimary) {
+        if (records && errorCount > 0 && data.length === 0) {
+          setCompareError(`${file.name} has no valid JSON records (${invalidLines})`);
+          return;
+        }
+        if (records && errorCount > 0) setCompareError(`${file.name} contains ${invalidLines} (skipped)`);
+        setCompareDocument({ data, fileName: file.name });
+        return;
+      }
+
+      if (records && errorCount > 0 && data.length === 0) {
+        setError(`Invalid JSONL file. No valid JSON records found (${invalidLines}):`);
+        document = null;
+      } else if (records && errorCount > 0) {
+        setError(`JSONL file contains ${invalidLines} (skipped). Click a line to see where it was:`);
+      }
+      if (errorCount > 0) setParseIssues({ errors, errorCount, isJsonl: true });
+
+      setIsJsonlFile(records);
+      setSourceFormat(formatLabel);
+      setFileLayout(layout);
+      if (repairCount) setRepairs({ items: repaired, count: repairCount });
+      loadDocument(document);
+    } catch (err) {
+      // A parse superseded by a newer file must not touch the new file's state
+      if (taskRef.current !== task) return;
+      if (!isPrimary) {
+        if (!err.cancelled) setCompareError(`Could not parse ${file.name}: ${err.message}`);
+        return;
+      }
+      if (!err.cancelled) {
+        setError(`Could not parse ${file.name}: ` + err.message);
+        if (err.errors) setParseIssues({ errors: err.errors, errorCount: err.errorCount, isJsonl: false });
+      }
+      if (err.cancelled) {
+        setFileName('');
+        setFileSize(0);
+      }
+      loadDocument(null);
+    } finally {
+      if (taskRef.current === task) {
+        taskRef.current = null;
+        if (isPrimary) {
+          setIsLoading(false);
+          setParseProgress(null);
+        } else {
+          setIsCompareLoading(false);
+        }
+      }
+    }
+  };
+
+  // Applies an edit from a tree row. Reads the document through a ref so the
+  // callback stays stable and memoized rows do not re-render on every edit.
+  const jsonDataRef = React.useRef(jsonData);
+  jsonDataRef.current = jsonData;
+  const embeddedJsonRef = React.useRef(embeddedJson);
+  embeddedJsonRef.current = embeddedJson;
+
+  const handleEdit = React.useCallback((action) => {
+    const embedded = [...embeddedJsonRef.current.values()].find((entry) => isPathPrefix(entry.path, action.path));
+    if (embedded) return `Show ${formatPath(embedded.path) || 'the root'} as a string again to edit it`;
+    try {
+      const { data, label } = applyEdit(jsonDataRef.current, action);
+      documentHistory.commit(data, label);
+      if (action.type === 'add' || action.type === 'insert') expand([pathKey(action.path)]);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [documentHistory.commit, expand]);
+
+  const saveDocument = async () => {
+    if (!jsonData) return;
+    try {
+      const savedName = await saveTextFile({
+        suggestedName: saveFileName(fileName.split(' › ')[0], isJsonlFile),
+        contents: serializeDocument(jsonData, { ...fileLayout, isJsonl: isJsonlFile }),
+        filters: isJsonlFile ? [{ name: 'JSON Lines', extensions: ['jsonl'] }] : [{ name: 'JSON', extensions: ['json'] }],
+        mimeType: isJsonlFile ? 'application/x-ndjson' : 'application/json',
+      });
+      if (!savedName) return;
+      documentHistory.markSaved();
+      setSaveStatus(`Saved as ${savedName}`);
+      setTimeout(() => setSaveStatus(''), 3000);
+    } catch (err) {
+      setError(`Failed to save file: ${err.message || err}`);
+    }
+  };
+
+  // Undo/redo and save shortcuts; text fields keep their own undo
+  React.useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isActive || !(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 's') {
+        e.preventDefault();
+        saveDocument();
+        return;
+      }
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        documentHistory.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        documentHistory.redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // `/` jumps to the search box from anywhere but a text field
+  React.useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isActiveRef.current || e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      if (!searchInputRef.current) return;
+      e.preventDefault();
+      searchInputRef.current.focus();
+      searchInputRef.current.select();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Pasting outside of text fields opens the clipboard text as a document
+  React.useEffect(() => {
+    const handlePaste = (e) => {
+      if (!isActive) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      const text = e.clipboardData?.getData('text/plain');
+      if (!text || !text.trim()) return;
+      e.preventDefault();
+      openSource({ text, name: 'Pasted text' });
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  const cancelParsing = () => {
+    parseTaskRef.current?.cancel();
+  };
+
+  // Stop any in-flight parse when the app unmounts
+  React.useEffect(() => () => {
+    parseTaskRef.current?.cancel();
+    compareTaskRef.current?.cancel();
+  }, []);
+
+  // Opens a file, pasted text, a value or a large file by path ({ file },
+  // { text, name }, { data, name } or { largeFile }) here if this tab is
+  // empty, or in a new tab
+  const openSource = (source) => {
+    if (jsonData || largeFile || isLoading || sourceText !== null) {
+      onOpenInNewTab?.(source);
+      return;
+    }
+    if (source.largeFile) {
+      openLargeFile(source.largeFile);
+      return;
+    }
+    let file = source.file;
+    if (file) {
+      processFile(file);
+    } else if (source.data !== undefined) {
+      file = new File([openDataDocument(source.data, source.name)], source.name, { type: 'application/json' });
+    } else {
+      openTextDocument(source.text, source.name);
+      file = new File([source.text], source.name, { type: 'text/plain' });
+    }
+    if (!source.isStored) onFileOpened?.(tabId, file);
+  };
+
+  // Only line-delimited JSON can take appended lines as records; YAML
+  // documents and repaired concatenated JSON are records of another kind
+  const canFollow = isTauri() && !parentDocument && !/\.gz$/i.test(fileName) && sourceFormat.startsWith('JSONL');
+
+  React.useEffect(() => {
+    if (follow) setFollowedFile({ path: follow.path, generation: documentHistory.generation });
+  }, [follow, documentHistory.generation]);
+
+  // Starts following a JSONL file on disk: lines appended to it become new
+  // records. If it is the file last followed and still shown, reading
+  // continues where it ended; otherwise the file is read from the start, as
+  // the path of a file opened some other way is not known.
+  const toggleFollow = async () => {
+    if (follow) {
+      setFollow(null);
+      return;
+    }
+    let path;
+    try {
+      path = await pickOpenPath({ defaultPath: fileName, filters: [{ name: 'JSON Lines', extensions: ['jsonl', 'ndjson', 'log'] }] });
+    } catch (err) {
+      console.error('Could not pick a file to follow:', err);
+    }
+    if (!path) return;
+    const name = path.split(/[\\/]/).pop();
+    const isShownFile = followedFile?.path === path && followedFile.generation === documentHistory.generation;
+    if (!isShownFile) {
+      if (documentHistory.isModified && !window.confirm(`Follow ${name} instead? Unsaved changes to ${fileName} will be lost.`)) return;
+      setFileName(name);
+      setFileSize(0);
+      loadDocument([]);
+    }
+    setEditMode(false);
+    closeSourcePane();
+    setFollowInfo({ added: 0, skipped: 0, restarts: 0 });
+    setAutoScroll(true);
+    setFollow({ path, offset: isShownFile ? fileSize : 0 });
+  };
+
+  const { error: followError } = useFollow(follow, {
+    onLines: (lines) => {
+      const records = [];
+      lines.forEach((line) => {
+        try {
+          records.push(parseJson(line));
+        } catch {
+          // Counted below; the file may hold the odd partial or non-JSON line
+        }
+      });
+      if (records.length > 0) {
+        documentHistory.replace((current) => {
+          const next = [...(Array.isArray(current) ? current : []), ...records];
+          if (filterRunRef.current?.data === current) filterRunRef.current = { ...filterRunRef.current, data: next };
+          return next;
+        });
+      }
+      setFileSize((size) => size + new Blob(lines.map((line) => line + '\n')).size);
+      setFollowInfo((info) => ({ ...info, added: info.added + records.length, skipped: info.skipped + lines.length - records.length }));
+    },
+    onSkip: (count) => setFollowInfo((info) => ({ ...info, skipped: info.skipped + count })),
+    onReset: () => {
+      loadDocument([]);
+      setFileSize(0);
+      setFollowInfo((info) => ({ ...info, restarts: info.restarts + 1 }));
+    },
+  });
+
+  // Keep the newest record (that passes the filter) in view while following
+  React.useEffect(() => {
+    if (!follow || !autoScroll || focusPath || !Array.isArray(jsonData)) return;
+    const last = rootItems ? rootItems[rootItems.length - 1] : jsonData.length - 1;
+    if (last === undefined || last < 0) return;
+    expand([pathKey([])]);
+    setRevealRequest({ id: pathKey([last]) });
+  }, [follow, autoScroll, jsonData, rootItems]);
+
+  // Open what the tab was created with
+  React.useEffect(() => {
+    if (initialSource) openSource(initialSource);
+  }, []);
+
+  // Tell the tab bar and the saved session what this tab shows. Nothing is
+  // reported until a restored document has loaded, so an interrupted restore
+  // keeps the saved state.
+  React.useEffect(() => {
+    if (pendingRestoreRef.current) return;
+    onSessionChange?.(tabId, {
+      fileName,
+      isModified: documentHistory.isModified,
+      expanded,
+      selectedPath,
+      searchMode,
+      searchQuery,
+      queryText,
+      filterText,
+      viewTransforms,
+    });
+  }, [tabId, fileName, documentHistory.isModified, expanded, selectedPath, searchMode, searchQuery, queryText, filterText, viewTransforms]);
+
+  const handleFileLoad = (event) => {
+    const file = event.target.files[0];
+    if (file) openSource({ file });
+    event.target.value = '';
+  };
+
+  const handleCompareFileLoad = (event) => {
+    const file = event.target.files[0];
+    processFile(file, 'compare');
+    event.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+
+    const files = e.dataTransfer.files;
+    if (files.length > 0) {
+      // The format is detected from the content, so any file is worth a try.
+      // In compare mode a dropped file becomes the second document.
+      if (compareMode && jsonData) processFile(files[0], 'compare');
+      else openSource({ file: files[0] });
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const treePanel = jsonData && (
+    <div className="bg-gray-900 text-green-400 p-4 rounded-lg font-mono text-sm flex flex-col flex-1 min-h-0 border">
+      <div className="mb-2 text-xs text-gray-400 flex items-center justify-between gap-2">
+        <span title={'Arrow keys move and expand/collapse • Home/End • Enter toggles • * expands siblings • +/- expand/collapse everything below • c copies the value, p the path • / searches'}>
+          💡 Double-click any value to copy • Click the tree and use the keyboard
+        </span>
+        <ViewTransforms transforms={viewTransforms} onChange={setViewTransforms} />
+        <span className="flex-1" />
+        <button
+          onClick={() => stepFocus(-1)}
+          disabled={focusHistory.index === 0}
+          className="p-1 rounded border border-gray-600 text-gray-400 hover:text-gray-200 disabled:opacity-40"
+          title="Back to the previous focus"
+        >
+          <ArrowLeft size={12} />
+        </button>
+        <button
+          onClick={() => stepFocus(1)}
+          disabled={focusHistory.index === focusHistory.entries.length - 1}
+          className="p-1 rounded border border-gray-600 text-gray-400 hover:text-gray-200 disabled:opacity-40"
+          title="Forward to the next focus"
+        >
+          <ArrowRight size={12} />
+        </button>
+        {focusPath && (
+          <>
+            <button
+              onClick={() => focusNode(null)}
+              className="px-2 py-0.5 rounded border border-yellow-600 text-yellow-300 hover:text-yellow-100 inline-flex items-center gap-1"
+              title="Show the whole document again"
+            >
+              <ZoomOut size={12} /> Exit focus
+            </button>
+            <button
+              onClick={openFocusInNewTab}
+              className="p-1 rounded border border-gray-600 text-gray-400 hover:text-gray-200"
+              title="Open the focused subtree in a new tab"
+            >
+              <SquareArrowOutUpRight size={12} />
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => expand(subtreeKeys(scopeData, focusPath ?? []))}
+          className="p-1 rounded border border-gray-600 text-gray-400 hover:text-gray-200"
+          title="Expand all"
+        >
+          <ChevronsUpDown size={12} />
+        </button>
+        <button
+          onClick={() => {
+            if (!focusPath) {
+              resetExpanded([pathKey([])]);
+              return;
+            }
+            collapse(pathKey(focusPath));
+            expand([pathKey(focusPath)]);
+          }}
+          className="p-1 rounded border border-gray-600 text-gray-400 hover:text-gray-200"
+          title="Collapse all"
+        >
+          <ChevronsDownUp size={12} />
+        </button>
+        <button
+          onClick={() => setVimKeys(!vimKeys)}
+          className={`px-2 py-0.5 rounded border ${vimKeys ? 'border-yellow-600 text-yellow-300' : 'border-gray-600 text-gray-400'} hover:text-gray-200`}
+          title="Use h/j/k/l to move and g/G to go to the top/bottom of the tree"
+        >
+          Vim keys: {vimKeys ? 'on' : 'off'}
+        </button>
+        <RendererSettings settings={rendererSettings} onChange={setRendererSettings} />
+        <RedactionSettings settings={redactionSettings} onChange={onRedactionSettingsChange} errors={redactor?.errors} />
+        <button
+          onClick={() => setRawStrings(!rawStrings)}
+          className={`px-2 py-0.5 rounded border ${rawStrings ? 'border-yellow-600 text-yellow-300' : 'border-gray-600 text-gray-400'} hover:text-gray-200`}
+          title={rawStrings ? 'Strings are shown as JSON literals with escapes; click to show their text' : 'Strings are shown as text; click to show them as JSON literals with escapes'}
+        >
+          Strings: {rawStrings ? 'raw JSON' : 'rendered'}
+        </button>
+      </div>
+      <PathBar
+        path={hoveredPath ?? selectedPath ?? focusPath ?? []}
+        rootName={isJsonlFile ? "jsonl_records" : "root"}
+        focusPath={focusPath}
+        onNavigate={revealPath}
+        onFocus={focusNode}
+        onGoTo={goToPath}
+      />
+      <TreeView
+        data={scopeData}
+        rootName={focusPath ? focusRootName : isJsonlFile ? "jsonl_records" : "root"}
+        rootPath={focusPath ?? undefined}
+        rootItems={rootItems}
+        childEntries={childEntries}
+        expanded={expanded}
+        onToggle={toggleExpanded}
+        onExpand={expand}
+        onCollapse={collapse}
+        vimKeys={vimKeys}
+        searchMatcher={searchMatcher.matcher}
+        highlightedIds={searchMode === 'query' ? queryMatchIds : undefined}
+        activeId={selectedPath ? pathKey(selectedPath) : null}
+        revealRequest={revealRequest}
+        onSelect={selectNode}
+        onHover={setHoveredPath}
+        onEdit={editMode ? handleEdit : undefined}
+        onOpenTable={setTablePath}
+        onExport={openSubtreeExport}
+        onFocusNode={focusNode}
+        validationErrors={validationErrorsById}
+        repairNotes={repairNotesById}
+        rawStrings={rawStrings}
+        subtreeSizes={showSizes ? stats?.sizes : null}
+        renderers={rendererSettings}
+        onToggleTimeZone={toggleTimeZone}
+        onExpandJson={expandEmbeddedJson}
+        embeddedJsonIds={embeddedJsonIds}
+        onCollapseJson={collapseEmbeddedJson}
+        redactor={redactor}
+        redactions={redactions?.reasons}
+        className="flex-1 min-h-0"
+      />
+    </div>
+  );
+
+  return (
+    <div 
+      className="w-full mx-auto h-full"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDragOver && (
+        <div className="fixed inset-0 bg-blue-500 bg-opacity-20 border-4 border-dashed border-blue-500 z-50 flex items-center justify-center">
+          <div className="bg-white rounded-lg p-8 shadow-xl border-2 border-blue-500">
+            <div className="flex flex-col items-center gap-4">
+              <Upload size={48} className="text-blue-500" />
+              <div className="text-center">
+                <h3 className="text-xl font-semibold text-gray-800">Drop JSON, JSONL or YAML file here</h3>
+                <p className="text-gray-600 mt-1">Release to open the file</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white h-full flex flex-col shadow-lg p-2">
+        <div className="mb-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_EXTENSIONS.join(',')}
+            onChange={handleFileLoad}
+            className="hidden"
+          />
+          <input
+            ref={compareInputRef}
+            type="file"
+            accept={ACCEPTED_EXTENSIONS.join(',')}
+            onChange={handleCompareFileLoad}
+            className="hidden"
+          />
+          <button 
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isLoading}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-6 py-3 rounded-lg font-medium transition-colors cursor-pointer inline-flex items-center gap-2"
+          >
+            {isLoading ? <Loader size={12} className="animate-spin" /> : <FileIcon size={12} />}
+            <span className='text-xs'>
+              {isLoading ? 'Loading...' : 'Open File'}
+            </span>
+          </button>
+          
+          {isTauri() && (
+            <button
+              onClick={openLargeFilePath}
+              disabled={isLoading}
+              className="ml-2 p-2 rounded border border-gray-300 text-gray-600 text-xs inline-flex items-center gap-1 align-middle"
+              title="Open a multi-gigabyte JSONL file without loading it into memory: records are read from disk as they are shown"
+            >
+              <HardDrive size={14} /> Open Large File
+            </button>
+          )}
+
+          <span className="ml-4 text-sm text-gray-500">
+            or drag & drop a JSON, JSONL or YAML file anywhere (also .gz), or paste with Ctrl+V
+          </span>
+
+          <button
+            onClick={sourceText === null ? openSourcePane : closeSourcePane}
+            disabled={isLoading || !!follow}
+            className={`ml-4 p-2 rounded border text-xs inline-flex items-center gap-1 align-middle ${sourceText !== null ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+            title={jsonData ? 'Show the document as editable text' : 'Paste or type JSON / JSONL'}
+          >
+            <ClipboardPaste size={14} /> Text
+          </button>
+          <button
+            onClick={() => setRepairMode(!repairMode)}
+            className={`ml-1 p-2 rounded border text-xs inline-flex items-center gap-1 align-middle ${repairMode ? 'bg-amber-500 text-white border-amber-500' : 'border-gray-300 text-gray-600'}`}
+            title="Repair mode: load broken JSON as well as possible (truncated files, trailing commas, single quotes, unquoted keys, NaN/Infinity, concatenated objects). Repaired spots are flagged in the tree."
+          >
+            <Wrench size={14} /> Repair
+          </button>
+
+          {jsonData && !isLoading && (
+            <span className="ml-4 inline-flex items-center gap-1 align-middle">
+              <button
+                onClick={() => setEditMode(!editMode)}
+                disabled={!!follow}
+                className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${editMode ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                title={follow ? 'Stop following the file to edit' : 'Toggle editing of keys and values'}
+              >
+                <Pencil size={14} /> Edit
+              </button>
+              <button
+                onClick={documentHistory.undo}
+                disabled={!documentHistory.canUndo}
+                className="p-2 rounded border border-gray-300 text-gray-600 disabled:opacity-40"
+                title={documentHistory.canUndo ? `Undo ${documentHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                <Undo2 size={14} />
+              </button>
+              <button
+                onClick={documentHistory.redo}
+                disabled={!documentHistory.canRedo}
+                className="p-2 rounded border border-gray-300 text-gray-600 disabled:opacity-40"
+                title={documentHistory.canRedo ? `Redo ${documentHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                <Redo2 size={14} />
+              </button>
+              {isTabular(jsonData) && (
+                <button
+                  onClick={() => setTablePath(tablePath ? null : [])}
+                  className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${tablePath ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                  title="Show records as a table"
+                >
+                  <Table size={14} /> Table
+                </button>
+              )}
+              <button
+                onClick={() => setShowSchemaPanel(!showSchemaPanel)}
+                className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${showSchemaPanel ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                title="Infer a JSON Schema or validate against one"
+              >
+                <ShieldCheck size={14} /> Schema
+              </button>
+              <button
+                onClick={() => setShowStatsPanel(!showStatsPanel)}
+                className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${showStatsPanel ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                title="Node counts, types, frequent keys and the largest subtrees"
+              >
+                <BarChart3 size={14} /> Stats
+              </button>
+              {Array.isArray(scopeData) && (
+                <button
+                  onClick={() => setShowAggregationPanel(!showAggregationPanel)}
+                  className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${showAggregationPanel ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                  title={`Count values, summarize numbers and chart a field across the ${focusPath ? 'items of the focused array' : 'records'}`}
+                >
+                  <ChartColumn size={14} /> Aggregate
+                </button>
+              )}
+              <button
+                onClick={() => setExportRequest({ path: null })}
+                className="p-2 rounded border border-gray-300 text-gray-600 text-xs inline-flex items-center gap-1"
+                title="Export as JSON, JSONL, YAML or CSV"
+              >
+                <Download size={14} /> Export
+              </button>
+              <button
+                onClick={() => setCompareMode(!compareMode)}
+                className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${compareMode ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+                title="Compare with another JSON/JSONL file"
+              >
+                <GitCompare size={14} /> Compare
+              </button>
+              <button
+                onClick={saveDocument}
+                className="p-2 rounded border border-gray-300 text-gray-600 text-xs inline-flex items-center gap-1"
+                title={`Save as ${isJsonlFile ? 'JSONL' : 'JSON'} (Ctrl+S)`}
+              >
+                <Save size={14} /> Save As
+              </button>
+              {isJsonlFile && (
+                <button
+                  onClick={toggleFollow}
+                  disabled={!canFollow}
+                  className={`p-2 rounded border text-xs inline-flex items-center gap-1 disabled:opacity-40 ${follow ? 'bg-green-600 text-white border-green-600' : 'border-gray-300 text-gray-600'}`}
+                  title={!isTauri() ? 'Following a file as it grows needs the desktop app' : follow ? 'Stop following the file' : 'Follow the file: show records as they are appended to it'}
+                >
+                  <Radio size={14} /> Follow
+                </button>
+              )}
+              {saveStatus && <span className="text-xs text-green-600 ml-1">{saveStatus}</span>}
+            </span>
+          )}
+          
+          {fileName && (
+            <p className="mt-2 text-sm text-gray-600">
+              {parentDocument && (
+                <button
+                  onClick={closeSubsetDocument}
+                  className="mr-2 text-xs text-blue-600 hover:text-blue-800 inline-flex items-center gap-1"
+                  title="Return to the full document"
+                >
+                  <ArrowLeft size={12} /> Back
+                </button>
+              )}
+              Loaded: <span className="font-medium">{fileName}</span>
+              {documentHistory.isModified && <span className="ml-1 text-orange-600" title="Unsaved changes">•</span>}
+              <span className="ml-2 text-gray-500">({formatFileSize(fileSize)})</span>
+              {isLargeFile && !largeFile && (
+                <span className="ml-2 text-orange-600 text-xs">
+                  • Large file: limited auto-expansion for performance
+                </span>
+              )}
+              {sourceFormat && (
+                <span className="ml-2 text-blue-600 text-xs">
+                  • {sourceFormat}{isJsonlFile && ': each record parsed as separate JSON object'}
+                </span>
+              )}
+              {repairs && (
+                <button onClick={() => setShowRepairs(!showRepairs)} className="ml-2 text-amber-600 text-xs hover:underline">
+                  • {repairs.count} repair{repairs.count !== 1 ? 's' : ''} made ({showRepairs ? 'hide' : 'show'})
+                </button>
+              )}
+              {redactions && (
+                <button
+                  onClick={() => setShowRedactions(!showRedactions)}
+                  className="ml-2 text-gray-600 text-xs hover:underline"
+                  title={Object.entries(redactions.byReason).map(([reason, count]) => `${count} × ${reason}`).join('\n')}
+                >
+                  • {redactions.count} value{redactions.count !== 1 ? 's' : ''} redacted ({showRedactions ? 'hide' : 'show'})
+                </button>
+              )}
+            </p>
+          )}
+          {follow && (
+            <p className="mt-1 text-xs text-gray-600 flex items-center gap-2">
+              <span className="text-green-600 animate-pulse">●</span>
+              <span>
+                Following <span className="font-mono">{follow.path}</span>
+                {' '}— {followInfo.added.toLocaleString()} new record{followInfo.added !== 1 ? 's' : ''}
+                {followInfo.skipped > 0 && <span className="text-orange-600"> • {followInfo.skipped} line{followInfo.skipped !== 1 ? 's' : ''} not valid JSON or too long (skipped)</span>}
+                {followInfo.restarts > 0 && <span className="text-orange-600"> • file was truncated or rotated, read again from the start</span>}
+                {followError && <span className="text-red-600"> • {followError}</span>}
+              </span>
+              <button
+                onClick={() => setAutoScroll(!autoScroll)}
+                className={`px-2 py-0.5 rounded border ${autoScroll ? 'border-green-600 text-green-700' : 'border-gray-300 text-gray-600'}`}
+                title={autoScroll ? 'Stop scrolling to new records' : 'Scroll to new records as they arrive'}
+              >
+                Auto-scroll: {autoScroll ? 'on' : 'paused'}
+              </button>
+              <button onClick={() => setFollow(null)} className="px-2 py-0.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-50">
+                Stop
+              </button>
+            </p>
+          )}
+          {redactions && showRedactions && (
+            <div className="mt-1">
+              <div className="text-xs text-gray-600">
+                {Object.entries(redactions.byReason).map(([reason, count]) => `${count.toLocaleString()} × ${reason}`).join(' • ') || 'Nothing to redact'}
+              </div>
+              {redactions.items.length > 0 && (
+                <ParseErrorList
+                  items={redactions.items.map((item) => ({ ...item, message: `${formatPath(item.path) || '(root)'}: ${item.message}` }))}
+                  totalCount={redactions.count}
+                  onSelect={(item) => revealPath(item.path)}
+                  messageClassName="text-gray-700"
+                  className="mt-1"
+                />
+              )}
+            </div>
+          )}
+          {repairs && showRepairs && (
+            <ParseErrorList
+              items={repairs.items}
+              totalCount={repairs.count}
+              onSelect={(repair) => revealPath(repair.path)}
+              messageClassName="text-amber-700"
+              className="mt-1"
+            />
+          )}
+        </div>
+
+        {jsonData && !isLoading && compareMode && (
+          <CompareView
+            leftName={fileName}
+            left={jsonData}
+            rightName={compareDocument?.fileName}
+            right={compareDocument?.data}
+            onOpenRight={() => compareInputRef.current?.click()}
+            rightError={compareError}
+            isLoadingRight={isCompareLoading}
+            onClose={() => setCompareMode(false)}
+            redactor={redactor}
+          />
+        )}
+
+        {jsonData && !isLoading && !compareMode && !tableRecords && (
+          <div className="mb-4">
+            {isJsonlFile && (
+              <FilterBar
+                filterText={filterText}
+                onFilterTextChange={setFilterText}
+                filterState={filterState}
+                recordCount={Array.isArray(jsonData) ? jsonData.length : 0}
+                presets={filterPresets}
+                onPresetsChange={onFilterPresetsChange}
+              />
+            )}
+            {isSelectionShown && (
+              <div className="mb-2 text-xs text-gray-600 flex items-center gap-2">
+                <ChartColumn size={12} className="text-blue-500" />
+                <span>
+                  Showing {recordSelection.indices.length.toLocaleString()} record{recordSelection.indices.length !== 1 ? 's' : ''} where{' '}
+                  <span className="font-mono text-gray-800">{recordSelection.label}</span>
+                </span>
+                <button onClick={() => setRecordSelection(null)} className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-50 inline-flex items-center gap-1">
+                  <X size={12} /> Show all
+                </button>
+              </div>
+            )}
+            <SearchBar
+              inputRef={searchInputRef}
+              mode={searchMode}
+              onModeChange={setSearchMode}
+              searchQuery={searchQuery}
+              onSearchQueryChange={setSearchQuery}
+              queryText={queryText}
+              onQueryTextChange={setQueryText}
+              options={searchOptions}
+              onOptionsChange={setSearchOptions}
+              matchCount={searchState.results.length}
+              currentMatch={currentMatch}
+              onNavigate={navigateMatches}
+              showResultsList={showResultsList}
+              onToggleResultsList={() => setShowResultsList(!showResultsList)}
+            />
+            {searchMode === 'text' && searchMatcher.error && (
+              <div className="mt-2 text-xs text-red-600">
+                Invalid regular expression: {searchMatcher.error}
+              </div>
+            )}
+            {searchMode === 'text' && searchState.results.length > 0 && (
+              <div className="mt-2 text-xs text-gray-600">
+                Found {searchState.results.length} result{searchState.results.length !== 1 ? 's' : ''}
+                {searchState.truncated.length > 0 && (
+                  <span className="text-orange-600">
+                    {' '}(search stopped early: {searchState.truncated.map((limit) => TRUNCATION_MESSAGES[limit]).join(', ')} — raise the limits to see more)
+                  </span>
+                )}
+              </div>
+            )}
+            {searchMode === 'text' && searchMatcher.matcher && searchState.results.length === 0 && (
+              <div className="mt-2 text-xs text-gray-500">
+                No matches found
+                {searchState.truncated.length > 0 && (
+                  <span className="text-orange-600">
+                    {' '}(search stopped early: {searchState.truncated.map((limit) => TRUNCATION_MESSAGES[limit]).join(', ')})
+                  </span>
+                )}
+              </div>
+            )}
+            {searchMode === 'text' && showResultsList && searchState.results.length > 0 && (
+              <SearchResultsList
+                results={searchState.results}
+                currentMatch={currentMatch}
+                onSelect={selectMatch}
+                redactor={redactor}
+              />
+            )}
+            {searchMode === 'query' && (
+              <QueryResults
+                query={queryText}
+                queryState={queryState}
+                onSelect={(result) => revealPath(result.path)}
+                onOpenAsDocument={openQueryResultsAsDocument}
+                redactor={redactor}
+              />
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
+            {error}
+            {parseIssues && (
+              <ParseErrorList
+                items={parseIssues.errors}
+                totalCount={parseIssues.errorCount}
+                onSelect={parseIssues.isJsonl && jsonData?.length ? (item) => revealPath([Math.min(item.recordIndex, jsonData.length - 1)]) : undefined}
+                isSelectable={(item) => item.recordIndex !== undefined}
+                className="mt-2"
+              />
+            )}
+            {parseIssues && !repairMode && (
+              <button
+                onClick={() => {
+                  setRepairMode(true);
+                  processFile(lastFileRef.current, 'primary', { repair: true });
+                }}
+                className="mt-2 text-xs border border-red-400 rounded px-2 py-1 inline-flex items-center gap-1 hover:bg-red-200"
+              >
+                <Wrench size={12} /> {parseIssues.isJsonl ? 'Reload repairing invalid lines' : 'Reload with repair mode'}
+              </button>
+            )}
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="flex-1 flex items-center justify-center">
+            <div className="text-center w-full max-w-md">
+              <Loader size={48} className="text-blue-500 mx-auto mb-4 animate-spin" />
+              <h3 className="text-lg font-medium text-gray-600 mb-2">
+                {parseProgress?.phase === 'parsing' ? 'Parsing JSON...' :
+                  parseProgress?.phase === 'transferring' ? 'Preparing view...' : 'Reading file...'}
+              </h3>
+              {parseProgress && (
+                <>
+                  <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 transition-all"
+                      style={{ width: `${parseProgress.totalBytes ? (parseProgress.bytesProcessed / parseProgress.totalBytes) * 100 : 100}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {formatFileSize(parseProgress.bytesProcessed)} of {formatFileSize(parseProgress.totalBytes)}
+                    {parseProgress.records > 0 && ` • ${parseProgress.records.toLocaleString()} records parsed`}
+                  </p>
+                </>
+              )}
+              <button
+                onClick={cancelParsing}
+                className="mt-4 text-xs text-gray-600 hover:text-red-600 border border-gray-300 px-3 py-1 rounded inline-flex items-center gap-1"
+              >
+                <X size={12} /> Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!jsonData && !largeFile && !error && !isLoading && sourceText === null && (
+          <div className="flex-1 flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg">
+            <div className="text-center">
+              <Upload size={48} className="text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-600 mb-2">No file loaded</h3>
+              <p className="text-gray-500">
+                Click "Open File" or drag & drop a JSON, JSONL or YAML file to get started
+              </p>
+              <p className="text-xs text-gray-400 mt-2">
+                Supports JSON, JSONL/NDJSON, JSON5/JSONC, YAML and gzip • Optimized for large files (30-100MB+)
+              </p>
+            </div>
+          </div>
+        )}
+
+        {jsonData && !isLoading && !compareMode && showStatsPanel && (
+          <StatsPanel
+            stats={stats}
+            isComputing={isComputingStats}
+            showSizes={showSizes}
+            onShowSizesChange={setShowSizes}
+            onReveal={(path) => {
+              setTablePath(null);
+              revealPath([...(focusPath ?? []), ...path]);
+            }}
+            onFilter={(query) => {
+              setTablePath(null);
+              setSearchMode('query');
+              setQueryText(query);
+            }}
+            onClose={() => setShowStatsPanel(false)}
+          />
+        )}
+
+        {jsonData && !isLoading && !compareMode && showAggregationPanel && Array.isArray(scopeData) && (
+          <AggregationPanel
+            records={scopeData}
+            basePath={focusPath ?? undefined}
+            indices={filteredItems}
+            timeZone={rendererSettings.timeZone}
+            redactor={redactor}
+            onSelect={(selection) => {
+              setTablePath(null);
+              setRecordSelection({ ...selection, data: scopeData, base: filteredItems });
+            }}
+            onClose={() => setShowAggregationPanel(false)}
+          />
+        )}
+
+        {jsonData && !isLoading && !compareMode && showSchemaPanel && (
+          <SchemaPanel
+            data={jsonData}
+            isJsonl={isJsonlFile}
+            fileName={fileName}
+            validationSchema={validationSchema}
+            validation={validation}
+            onLoadSchema={loadSchemaFile}
+            onUseSchema={(name, schema) => setValidationSchema({ name, schema })}
+            onClearSchema={() => setValidationSchema(null)}
+            onSelectError={(error) => {
+              setTablePath(null);
+              revealPath(error.path);
+            }}
+            onClose={() => setShowSchemaPanel(false)}
+          />
+        )}
+
+        {jsonData && !isLoading && !compareMode && tableRecords && (
+          <TableView
+            key={pathKey(tablePath)}
+            records={tableRecords}
+            basePath={tablePath}
+            title={tablePath.length ? formatPath(tablePath) : (isJsonlFile ? 'jsonl_records' : 'root')}
+            onClose={() => setTablePath(null)}
+            redactor={redactor}
+          />
+        )}
+
+        {sourceText !== null && !isLoading && !compareMode && !tableRecords ? (
+          <div className="flex gap-2 flex-1 min-h-0">
+            {/* The raw text cannot be masked value by value */}
+            {redactor && jsonData ? (
+              <div className="flex-1 flex flex-col items-center justify-center gap-2 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-500">
+                The text is hidden while redaction is on
+                <button onClick={closeSourcePane} className="text-xs text-blue-600 hover:text-blue-800">Close the text pane</button>
+              </div>
+            ) : (
+              <SourceEditor
+                ref={sourceEditorRef}
+                value={sourceText}
+                onChange={setSourceText}
+                onCursor={revealSourceOffset}
+                error={sourceState.error}
+                formatLabel={sourceState.error ? '' : sourceFormat}
+                onClose={closeSourcePane}
+                className="flex-1"
+              />
+            )}
+            {treePanel || (
+              <div className="flex-1 flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-500">
+                The tree appears here once the text parses
+              </div>
+            )}
+          </div>
+        ) : (
+          !isLoading && !compareMode && !tableRecords && treePanel
+        )}
+
+        {largeFile && !isLoading && (
+          <LargeFileView
+            source={largeFile}
+            rawStrings={rawStrings}
+            renderers={rendererSettings}
+            onToggleTimeZone={toggleTimeZone}
+            redactor={redactor}
+          />
+        )}
+      </div>
+
+      {exportSources && (
+        <ExportDialog
+          sources={exportSources}
+          initialSourceId={exportRequest.path?.length ? 'subtree' : focusPath ? 'focus' : 'document'}
+          fileName={fileName}
+          redact={redactor && redactSource}
+          onClose={() => setExportRequest(null)}
+        />
+      )}
+    </div>
+  );
+});
+
+export default DocumentWorkspace;
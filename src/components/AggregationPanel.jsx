@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useMemo, useId } from 'react';
+import { ChartColumn, X } from 'lucide-react';
+import { aggregateField, recordFields } from '../lib/aggregate';
+import { parseFieldPath } from '../lib/query';
+import { previewValue } from '../lib/format';
+import { formatDate } from '../lib/renderers';
+import { redactAt } from '../lib/redact';
+
+const EMPTY_PATH = [];
+
+const Section = ({ title, children }) => (
+  <div className="min-w-0">
+    <div className="font-medium text-gray-800 mb-1">{title}</div>
+    {children}
+  </div>
+);
+
+const formatNumber = (number) => (
+  Number.isInteger(number) ? number.toLocaleString() : number.toLocaleString(undefined, { maximumSignificantDigits: 6 })
+);
+
+// Parses a field input; empty is null, a malformed one an error message
+const readField = (text) => {
+  if (!text.trim()) return { path: null, error: null };
+  try {
+    return { path: parseFieldPath(text), error: null };
+  } catch (err) {
+    return { path: null, error: err.message };
+  }
+};
+
+// Horizontal bars for values and their counts, widest first
+const ValueBars = ({ entries, total, onSelect }) => (
+  <div className="max-h-48 overflow-auto">
+    {entries.map((entry, i) => (
+      <button
+        key={i}
+        onClick={() => onSelect(entry)}
+        className="w-full flex items-center gap-2 py-0.5 text-left hover:bg-gray-50"
+        title="Show only these records"
+      >
+        <span className={`font-mono truncate w-40 shrink-0 ${entry.isMissing ? 'text-gray-400 italic' : ''}`}>{entry.label}</span>
+        <span className="flex-1 h-2 bg-gray-100 rounded overflow-hidden">
+          <span className="block h-full bg-blue-400" style={{ width: `${(entry.count / total) * 100}%` }} />
+        </span>
+        <span className="w-20 text-right">{entry.count.toLocaleString()}</span>
+      </button>
+    ))}
+  </div>
+);
+
+// Vertical bars for a histogram or time series; clicking one selects its records
+const ColumnChart = ({ buckets, labelOf, firstLabel, lastLabel, onSelect }) => {
+  const highest = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  return (
+    <div>
+      <div className="flex items-end gap-px h-24 border-b border-gray-300">
+        {buckets.map((bucket, i) => (
+          <button
+            key={i}
+            onClick={() => bucket.count > 0 && onSelect(bucket)}
+            className="flex-1 h-full flex items-end group"
+            title={`${labelOf(bucket)}: ${bucket.count.toLocaleString()}`}
+          >
+            <span className="block w-full bg-blue-400 group-hover:bg-blue-600" style={{ height: `${(bucket.count / highest) * 100}%` }} />
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-between text-gray-400 mt-0.5">
+        <span>{firstLabel}</span>
+        <span>{lastLabel}</span>
+      </div>
+    </div>
+  );
+};
+
+// Aggregates a field across `records` (the items of a JSONL file or array
+// node), or only those at `indices` when a record filter is applied: value
+// counts, a numeric summary, a histogram or time series and, with a group-by
+// field, the same per group (see lib/aggregate). Clicking a value, bar or
+// group calls `onSelect({ label, indices })` with the records behind it.
+// Timestamps are shown in `timeZone` ('local' or 'utc'). With a `redactor`
+// (see lib/redact), the records, found at `basePath`, are aggregated redacted.
+const AggregationPanel = ({ records: documentRecords, basePath = EMPTY_PATH, indices = null, timeZone = 'local', redactor = null, onSelect, onClose }) => {
+  const [fieldText, setFieldText] = useState('');
+  const [groupText, setGroupText] = useState('');
+  const [aggregate, setAggregate] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+  const fieldListId = useId();
+
+  const records = useMemo(
+    () => (redactor ? documentRecords.map((record, i) => redactAt(record, [...basePath, i], redactor)) : documentRecords),
+    [documentRecords, basePath, redactor],
+  );
+
+  const fields = useMemo(() => recordFields(records), [records]);
+  const field = useMemo(() => readField(fieldText), [fieldText]);
+  const group = useMemo(() => readField(groupText), [groupText]);
+
+  // Debounced like the statistics, since a field of a large file takes a moment
+  useEffect(() => {
+    if (!field.path || group.error) {
+      setAggregate(null);
+      setIsComputing(false);
+      return;
+    }
+    setIsComputing(true);
+    const timeoutId = setTimeout(() => {
+      setAggregate(aggregateField(records, field.path, { groupPath: group.path, indices }));
+      setIsComputing(false);
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [records, indices, field, group]);
+
+  const fieldLabel = fieldText.trim();
+  const groupLabel = groupText.trim();
+  const dateLabel = (ms) => formatDate(new Date(ms), timeZone);
+
+  const valueEntries = (entries, missing, prefix = '') => [
+    ...entries.map((entry) => ({ ...entry, label: previewValue(entry.value, 60), selection: `${prefix}${fieldLabel} == ${previewValue(entry.value, 60)}` })),
+    ...(missing.length > 0 ? [{ count: missing.length, indices: missing, label: '(missing)', isMissing: true, selection: `${prefix}${fieldLabel} missing` }] : []),
+  ];
+
+  const renderSummary = (numeric) => (
+    <div className="grid grid-cols-2 gap-x-4">
+      <span>min</span><span className="text-right font-mono">{formatNumber(numeric.min)}</span>
+      <span>max</span><span className="text-right font-mono">{formatNumber(numeric.max)}</span>
+      <span>mean</span><span className="text-right font-mono">{formatNumber(numeric.mean)}</span>
+      {numeric.percentiles.map(({ p, value }) => (
+        <React.Fragment key={p}>
+          <span>{p === 50 ? 'median' : `p${p}`}</span><span className="text-right font-mono">{formatNumber(value)}</span>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+
+  const fieldInput = (value, onChange, placeholder, error) => (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      list={fieldListId}
+      className={`w-56 px-2 py-1 border rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${error ? 'border-red-400' : 'border-gray-300'}`}
+      title={error || 'A field of each record, written as in a record filter: user.id, tags[0], .["content-type"]'}
+    />
+  );
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg p-3 text-xs text-gray-600">
+      <div className="flex items-center gap-3">
+        <span className="font-medium text-gray-800 inline-flex items-center gap-1">
+          <ChartColumn size={14} /> Aggregate
+        </span>
+        {fieldInput(fieldText, setFieldText, 'Field, e.g. .status', field.error)}
+        <span>grouped by</span>
+        {fieldInput(groupText, setGroupText, '(optional) .region', group.error)}
+        <datalist id={fieldListId}>
+          {fields.map((text) => <option key={text} value={text} />)}
+        </datalist>
+        {isComputing && <span className="text-gray-400">Computing…</span>}
+        <span className="text-gray-400">
+          over {(indices ? indices.length : records.length).toLocaleString()} {indices ? 'filtered ' : ''}records
+        </span>
+        <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close aggregation">
+          <X size={14} />
+        </button>
+      </div>
+      {(field.error || group.error) && <div className="mt-1 text-red-600">{field.error || group.error}</div>}
+
+      {aggregate && (
+        <div className="mt-2 grid gap-4" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(16rem, 1fr))' }}>
+          <Section title={`Values${aggregate.distinctTruncated ? ' (too many distinct values, some skipped)' : ''}`}>
+            <div className="mb-1">
+              {aggregate.present.toLocaleString()} of {aggregate.count.toLocaleString()} records have it
+              {' • '}{aggregate.distinctCount.toLocaleString()} distinct
+              {' • '}{Object.entries(aggregate.types).map(([type, count]) => `${type} ${count.toLocaleString()}`).join(', ')}
+            </div>
+            <ValueBars
+              entries={valueEntries(aggregate.values, aggregate.missing)}
+              total={aggregate.count}
+              onSelect={(entry) => onSelect({ label: entry.selection, indices: entry.indices })}
+            />
+          </Section>
+
+          {aggregate.numeric && (
+            <Section title={`Numbers (${aggregate.numeric.count.toLocaleString()})`}>
+              {renderSummary(aggregate.numeric)}
+            </Section>
+          )}
+
+          {aggregate.histogram && (
+            <Section title="Histogram">
+              <ColumnChart
+                buckets={aggregate.histogram}
+                labelOf={(bin) => `${formatNumber(bin.from)} to ${formatNumber(bin.to)}`}
+                firstLabel={formatNumber(aggregate.numeric.min)}
+                lastLabel={formatNumber(aggregate.numeric.max)}
+                onSelect={(bin) => onSelect({ label: `${fieldLabel} from ${formatNumber(bin.from)} to ${formatNumber(bin.to)}`, indices: bin.indices })}
+              />
+            </Section>
+          )}
+
+          {aggregate.timeline && (
+            <Section title={`Over time (per ${aggregate.timeline.step})`}>
+              <ColumnChart
+                buckets={aggregate.timeline.buckets}
+                labelOf={(bucket) => dateLabel(bucket.from)}
+                firstLabel={dateLabel(aggregate.timeline.from)}
+                lastLabel={dateLabel(aggregate.timeline.to)}
+                onSelect={(bucket) => onSelect({ label: `${fieldLabel} in the ${aggregate.timeline.step} from ${dateLabel(bucket.from)}`, indices: bucket.indices })}
+              />
+            </Section>
+          )}
+
+          {aggregate.groups && (
+            <Section title={`By ${groupLabel} (${aggregate.groupCount.toLocaleString()} group${aggregate.groupCount !== 1 ? 's' : ''}${aggregate.groupCount > aggregate.groups.length ? `, top ${aggregate.groups.length}` : ''})`}>
+              <div className="max-h-48 overflow-auto">
+                {aggregate.groups.map((entry, i) => {
+                  const groupValue = entry.missing ? '(missing)' : previewValue(entry.value, 40);
+                  const prefix = entry.missing ? `${groupLabel} missing, ` : `${groupLabel} == ${groupValue}, `;
+                  return (
+                    <div key={i} className="py-0.5 border-b border-gray-100 last:border-b-0">
+                      <button
+                        onClick={() => onSelect({ label: prefix.slice(0, -2), indices: entry.indices })}
+                        className="w-full flex items-center gap-2 text-left hover:bg-gray-50"
+                        title="Show only the records of this group"
+                      >
+                        <span className={`font-mono truncate flex-1 ${entry.missing ? 'text-gray-400 italic' : ''}`}>{groupValue}</span>
+                        <span>{entry.count.toLocaleString()}</span>
+                        {entry.numeric && (
+                          <span className="text-gray-500 font-mono" title="min / mean / max">
+                            {formatNumber(entry.numeric.min)} / {formatNumber(entry.numeric.mean)} / {formatNumber(entry.numeric.max)}
+                          </span>
+                        )}
+                      </button>
+                      {!entry.numeric && (
+                        <div className="flex flex-wrap gap-1 mt-0.5">
+                          {entry.values.map((valueEntry, j) => (
+                            <button
+                              key={j}
+                              onClick={() => onSelect({ label: `${prefix}${fieldLabel} == ${previewValue(valueEntry.value, 60)}`, indices: valueEntry.indices })}
+                              className="px-1 rounded bg-gray-100 hover:bg-blue-100 font-mono truncate max-w-full"
+                              title="Show only these records"
+                            >
+                              {previewValue(valueEntry.value, 30)} × {valueEntry.count.toLocaleString()}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </Section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AggregationPanel;
@@ -0,0 +1,251 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ChevronRight, ChevronDown, ChevronUp, X, FileDown, Copy, Check, Upload, Loader } from 'lucide-react';
+import VirtualList from './VirtualList';
+import { useExpansion } from '../hooks/useExpansion';
+import { diffDocuments, collectChanges, flattenDiffTree, createJsonPatch, fromJsonPointer } from '../lib/diff';
+import { isContainer } from '../lib/tree';
+import { stringifyJson } from '../lib/lossless';
+import { previewValue } from '../lib/format';
+import { saveTextFile } from '../lib/platform';
+import { redactAt } from '../lib/redact';
+
+const MARKERS = {
+  added: { symbol: '+', className: 'text-green-400', legend: 'text-green-600', left: '', right: 'bg-green-900/40' },
+  removed: { symbol: '−', className: 'text-red-400', legend: 'text-red-600', left: 'bg-red-900/40', right: '' },
+  changed: { symbol: '~', className: 'text-yellow-300', legend: 'text-yellow-600', left: 'bg-yellow-900/30', right: 'bg-yellow-900/30' },
+  type: { symbol: '≠', className: 'text-orange-400', legend: 'text-orange-600', left: 'bg-orange-900/30', right: 'bg-orange-900/30' },
+  moved: { symbol: '⇅', className: 'text-blue-400', legend: 'text-blue-600', left: 'bg-blue-900/30', right: 'bg-blue-900/30' },
+};
+
+// Ancestors are expanded up front for this many changes
+const AUTO_REVEAL_CHANGES = 200;
+
+const getRowKey = (row) => row.node.id;
+
+const ancestorIds = (node) => {
+  const ids = [];
+  for (let current = node.parent; current; current = current.parent) ids.push(current.id);
+  return ids;
+};
+
+const describeValue = (value) => {
+  if (Array.isArray(value)) return <span className="text-gray-500">[{value.length}]</span>;
+  if (isContainer(value)) return <span className="text-gray-500">{'{'}{Object.keys(value).length}{'}'}</span>;
+  return <span className="text-gray-200">{previewValue(value, 120)}</span>;
+};
+
+const DiffSide = ({ node, side, isExpanded, onToggle, redactor }) => {
+  const present = side === 'left' ? node.hasLeft : node.hasRight;
+  const documentValue = side === 'left' ? node.left : node.right;
+  const value = redactor && present && !isContainer(documentValue)
+    ? redactAt(documentValue, side === 'left' ? node.leftPath : node.rightPath, redactor)
+    : documentValue;
+  const marker = MARKERS[node.status];
+
+  return (
+    <div
+      className={`flex items-start gap-1 py-1 px-1 min-w-0 ${marker ? marker[side] : ''}`}
+      style={{ paddingLeft: `${node.level * 20}px` }}
+    >
+      {present && node.isExpandable ? (
+        <span onClick={onToggle} className="cursor-pointer text-gray-400">
+          {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </span>
+      ) : <span className="w-4 shrink-0" />}
+      {present && (
+        <>
+          <span className="text-gray-300 shrink-0">{node.label}</span>
+          {!isContainer(value) && <span className="text-gray-500">:</span>}
+          <span className="truncate">{describeValue(value)}</span>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Side-by-side structural diff. Both documents are shown as one merged tree, so
+// the two columns stay aligned and scroll together row for row. With a
+// `redactor` (see lib/redact), values are compared as they are but shown and
+// written to the patch redacted. `rightError` says why the second file could
+// not be (fully) read, and `isLoadingRight` that it is still being read.
+const CompareView = ({ leftName, left, rightName, right, rightError = null, isLoadingRight = false, onOpenRight, onClose, redactor = null }) => {
+  const [arrayKeyDraft, setArrayKeyDraft] = useState('');
+  const [arrayKey, setArrayKey] = useState('');
+  const [changesOnly, setChangesOnly] = useState(false);
+  const [currentChange, setCurrentChange] = useState(-1);
+  const [revealId, setRevealId] = useState(null);
+  const [copySuccess, setCopySuccess] = useState(false);
+  const listRef = useRef(null);
+  const { expanded, toggle, expand, reset } = useExpansion();
+
+  const diffRoot = useMemo(
+    () => (right === undefined ? null : diffDocuments(left, right, { arrayKey })),
+    [left, right, arrayKey],
+  );
+  const changes = useMemo(() => (diffRoot ? collectChanges(diffRoot) : []), [diffRoot]);
+
+  // Reveal the first changes whenever a new diff is computed
+  useEffect(() => {
+    if (!diffRoot) return;
+    const ids = new Set([diffRoot.id]);
+    changes.slice(0, AUTO_REVEAL_CHANGES).forEach((node) => ancestorIds(node).forEach((id) => ids.add(id)));
+    reset([...ids]);
+    setCurrentChange(-1);
+  }, [diffRoot, changes, reset]);
+
+  const rows = useMemo(
+    () => (diffRoot ? flattenDiffTree(diffRoot, expanded, changesOnly) : []),
+    [diffRoot, expanded, changesOnly],
+  );
+
+  useEffect(() => {
+    if (!revealId) return;
+    const index = rows.findIndex((row) => row.node.id === revealId);
+    if (index === -1) return;
+    listRef.current?.scrollToIndex(index, 'center');
+    setRevealId(null);
+  }, [revealId, rows]);
+
+  const navigate = (delta) => {
+    if (changes.length === 0) return;
+    const next = currentChange === -1
+      ? (delta > 0 ? 0 : changes.length - 1)
+      : (currentChange + delta + changes.length) % changes.length;
+    const node = changes[next];
+    setCurrentChange(next);
+    expand(ancestorIds(node));
+    setRevealId(node.id);
+  };
+
+  // Added and replaced values are redacted where they end up in `right`
+  const patchText = () => {
+    const ops = createJsonPatch(left, right, { arrayKey });
+    const shown = redactor
+      ? ops.map((op) => ('value' in op ? { ...op, value: redactAt(op.value, fromJsonPointer(op.path, right), redactor) } : op))
+      : ops;
+    return stringifyJson(shown, 2);
+  };
+
+  const copyPatch = async () => {
+    try {
+      await navigator.clipboard.writeText(patchText());
+      setCopySuccess(true);
+      setTimeout(() => setCopySuccess(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const savePatch = () => saveTextFile({
+    suggestedName: 'changes.patch.json',
+    contents: patchText(),
+    filters: [{ name: 'JSON Patch', extensions: ['json'] }],
+    mimeType: 'application/json-patch+json',
+  }).catch((err) => console.error('Failed to save patch:', err));
+
+  const counts = useMemo(() => changes.reduce((acc, node) => {
+    acc[node.status] = (acc[node.status] || 0) + 1;
+    return acc;
+  }, {}), [changes]);
+
+  const currentId = currentChange >= 0 ? changes[currentChange]?.id : null;
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-gray-600">
+        <span className="font-medium text-gray-800">Compare</span>
+        <span className="text-red-600">{leftName}</span>
+        <span>→</span>
+        {right === undefined ? (
+          <button onClick={onOpenRight} className="text-blue-600 hover:text-blue-800 inline-flex items-center gap-1">
+            <Upload size={12} /> Open second file (or drop it here)
+          </button>
+        ) : (
+          <button onClick={onOpenRight} className="text-green-700 hover:underline" title="Open a different file to compare">
+            {rightName}
+          </button>
+        )}
+        {isLoadingRight && (
+          <span className="inline-flex items-center gap-1">
+            <Loader size={12} className="animate-spin" /> Reading…
+          </span>
+        )}
+        {rightError && <span className="text-red-600">{rightError}</span>}
+
+        {diffRoot && (
+          <>
+            <span className="ml-2">
+              {changes.length === 0 ? 'No differences' : Object.entries(counts).map(([status, count]) => (
+                <span key={status} className="mr-2">
+                  <span className={MARKERS[status].legend}>{MARKERS[status].symbol}</span> {count} {status}
+                </span>
+              ))}
+            </span>
+            <label className="inline-flex items-center gap-1" title="Match array items by this field instead of by position">
+              Match arrays by
+              <input
+                value={arrayKeyDraft}
+                onChange={(e) => setArrayKeyDraft(e.target.value)}
+                onBlur={() => setArrayKey(arrayKeyDraft.trim())}
+                onKeyDown={(e) => e.key === 'Enter' && setArrayKey(arrayKeyDraft.trim())}
+                placeholder="e.g. id"
+                className="w-20 border border-gray-300 rounded px-1 py-0.5"
+              />
+            </label>
+            <label className="inline-flex items-center gap-1">
+              <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+              Changes only
+            </label>
+            <span className="min-w-[50px] text-center">{changes.length ? `${currentChange + 1} / ${changes.length}` : '0 / 0'}</span>
+            <button onClick={() => navigate(-1)} disabled={!changes.length} className="p-1 hover:text-gray-900 disabled:opacity-40" title="Previous change">
+              <ChevronUp size={16} />
+            </button>
+            <button onClick={() => navigate(1)} disabled={!changes.length} className="p-1 hover:text-gray-900 disabled:opacity-40" title="Next change">
+              <ChevronDown size={16} />
+            </button>
+            <button onClick={copyPatch} className="p-1 hover:text-gray-900 inline-flex items-center gap-1" title="Copy as RFC 6902 JSON Patch">
+              {copySuccess ? <Check size={14} className="text-green-600" /> : <Copy size={14} />} Patch
+            </button>
+            <button onClick={savePatch} className="p-1 hover:text-gray-900 inline-flex items-center gap-1" title="Save as RFC 6902 JSON Patch">
+              <FileDown size={14} /> Save patch
+            </button>
+          </>
+        )}
+
+        <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close compare mode">
+          <X size={16} />
+        </button>
+      </div>
+
+      {diffRoot && (
+        <div className="bg-gray-900 text-green-400 rounded-lg font-mono text-sm flex flex-col flex-1 min-h-0 border">
+          <div className="grid grid-cols-[24px_1fr_1fr] text-xs text-gray-400 border-b border-gray-700 px-2 py-1">
+            <span />
+            <span className="truncate">{leftName}</span>
+            <span className="truncate">{rightName}</span>
+          </div>
+          <VirtualList
+            ref={listRef}
+            items={rows}
+            getKey={getRowKey}
+            className="flex-1 min-h-0 px-2"
+            renderItem={({ node, isExpanded }) => {
+              const marker = MARKERS[node.status];
+              return (
+                <div className={`grid grid-cols-[24px_1fr_1fr] ${node.id === currentId ? 'ring-1 ring-blue-400 rounded' : ''}`}>
+                  <span className={`py-1 text-center ${marker ? marker.className : 'text-gray-600'}`}>
+                    {marker ? marker.symbol : node.hasChanges ? '•' : ''}
+                  </span>
+                  <DiffSide node={node} side="left" isExpanded={isExpanded} onToggle={() => toggle(node.id)} redactor={redactor} />
+                  <DiffSide node={node} side="right" isExpanded={isExpanded} onToggle={() => toggle(node.id)} redactor={redactor} />
+                </div>
+              );
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Download, Copy, Check, X } from 'lucide-react';
+import { EXPORT_FORMATS, exportChunks } from '../lib/export';
+import { saveTextChunks } from '../lib/platform';
+
+// Larger exports must be saved to a file; the clipboard needs one string
+const MAX_CLIPBOARD_CHARS = 50 * 1024 * 1024;
+
+const INDENTS = [
+  { label: '2 spaces', value: '  ' },
+  { label: '4 spaces', value: '    ' },
+  { label: 'Tab', value: '\t' },
+];
+
+const formatSize = (characters) => {
+  if (characters < 1024 * 1024) return `${(characters / 1024).toFixed(1)} KB`;
+  return `${(characters / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Export of the document, a subtree or the current results. `sources` is a
+// list of { id, label, value, records } to choose from, where `records` marks
+// a JSONL document. While redaction is on, `redact(source)` gives the value
+// to export instead (see lib/redact).
+const ExportDialog = ({ sources, initialSourceId, fileName, redact = null, onClose }) => {
+  const [sourceId, setSourceId] = useState(initialSourceId || sources[0].id);
+  const source = sources.find((candidate) => candidate.id === sourceId) || sources[0];
+  const [formatId, setFormatId] = useState(source.records ? 'jsonl' : 'json');
+  const [indent, setIndent] = useState(INDENTS[0].value);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const [copySuccess, setCopySuccess] = useState(false);
+
+  const format = EXPORT_FORMATS.find((candidate) => candidate.id === formatId);
+  const chunks = () => exportChunks(redact ? redact(source) : source.value, formatId, { indent, records: source.records });
+
+  const saveExport = async () => {
+    setBusy(true);
+    setStatus('');
+    try {
+      const baseName = (fileName || 'export').replace(/\.[^.]+$/, '');
+      const suffix = source.id === 'document' ? '' : `-${source.id}`;
+      const savedName = await saveTextChunks({
+        suggestedName: `${baseName}${suffix}.${format.extension}`,
+        chunks: chunks(),
+        filters: [{ name: format.label, extensions: [format.extension] }],
+        mimeType: format.mimeType,
+        onProgress: (written) => setStatus(`Writing… ${formatSize(written)}`),
+      });
+      setStatus(savedName ? `Saved ${savedName}` : '');
+    } catch (err) {
+      setStatus(`Export failed: ${err.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyExport = async () => {
+    setBusy(true);
+    setStatus('');
+    try {
+      const parts = [];
+      let length = 0;
+      for (const chunk of chunks()) {
+        length += chunk.length;
+        if (length > MAX_CLIPBOARD_CHARS) {
+          throw new Error('too large for the clipboard, save it to a file instead');
+        }
+        parts.push(chunk);
+      }
+      await navigator.clipboard.writeText(parts.join(''));
+      setCopySuccess(true);
+      setTimeout(() => setCopySuccess(false), 2000);
+    } catch (err) {
+      setStatus(`Copy failed: ${err.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[420px] text-sm text-gray-700" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center mb-3">
+          <h3 className="font-medium text-gray-800 inline-flex items-center gap-2">
+            <Download size={16} /> Export
+          </h3>
+          <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="mb-3">
+          <div className="text-xs text-gray-500 mb-1">Data</div>
+          {sources.map((candidate) => (
+            <label key={candidate.id} className="flex items-center gap-2 py-0.5">
+              <input
+                type="radio"
+                name="export-source"
+                checked={candidate.id === source.id}
+                onChange={() => setSourceId(candidate.id)}
+              />
+              <span className="truncate">{candidate.label}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex gap-3 mb-3">
+          <label className="flex-1">
+            <div className="text-xs text-gray-500 mb-1">Format</div>
+            <select value={formatId} onChange={(e) => setFormatId(e.target.value)} className="w-full border border-gray-300 rounded px-2 py-1">
+              {EXPORT_FORMATS.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>{candidate.label}</option>
+              ))}
+            </select>
+          </label>
+          {formatId === 'json' && (
+            <label>
+              <div className="text-xs text-gray-500 mb-1">Indent</div>
+              <select value={indent} onChange={(e) => setIndent(e.target.value)} className="border border-gray-300 rounded px-2 py-1">
+                {INDENTS.map((option) => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {redact && (
+          <p className="text-xs text-gray-500 mb-3">
+            Redaction is on: sensitive values are written as [REDACTED].
+          </p>
+        )}
+
+        {formatId === 'csv' && (
+          <p className="text-xs text-gray-500 mb-3">
+            Nested objects become dotted columns; arrays are written as JSON text.
+          </p>
+        )}
+
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-gray-500 truncate">{status}</span>
+          <button
+            onClick={copyExport}
+            disabled={busy}
+            className="ml-auto border border-gray-300 rounded px-3 py-1 inline-flex items-center gap-1 disabled:opacity-40"
+          >
+            {copySuccess ? <Check size={14} className="text-green-600" /> : <Copy size={14} />} Copy
+          </button>
+          <button
+            onClick={saveExport}
+            disabled={busy}
+            className="bg-blue-500 text-white rounded px-3 py-1 inline-flex items-center gap-1 disabled:opacity-40"
+          >
+            <Download size={14} /> Save…
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Filter, X, Loader, Bookmark, Save } from 'lucide-react';
+
+// Record filter input for JSONL files (see lib/query/filter). `filterState` is
+// { matchCount, checked, isRunning, error } for the filter being applied;
+// `recordCount` is the number of records in the file. Presets ({ name, text })
+// are shared by all tabs and changed with `onPresetsChange(presets)`.
+const FilterBar = ({ filterText, onFilterTextChange, filterState, recordCount, presets, onPresetsChange }) => {
+  const [showPresets, setShowPresets] = useState(false);
+  const { matchCount, checked, isRunning, error } = filterState;
+  const isActive = filterText.trim() !== '';
+
+  const savePreset = () => {
+    const name = window.prompt('Name this filter:', presets.find((preset) => preset.text === filterText)?.name || '');
+    if (!name?.trim()) return;
+    onPresetsChange([...presets.filter((preset) => preset.name !== name.trim()), { name: name.trim(), text: filterText }]);
+  };
+
+  const deletePreset = (name) => onPresetsChange(presets.filter((preset) => preset.name !== name));
+
+  return (
+    <div className="mb-2">
+      <div className="flex gap-2 items-center">
+        <div className="relative flex-1">
+          <Filter size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder={'Filter records: level == "error" && latency_ms > 500 && user.id in [1, 2, 3]'}
+            value={filterText}
+            onChange={(e) => onFilterTextChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') onFilterTextChange('');
+            }}
+            className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm font-mono ${error ? 'border-red-400' : 'border-gray-300'}`}
+            title={'Fields: user.id, tags[0], .["content-type"] • Operators: == != < <= > >=, contains, in [..], =~ /regex/i, matches "regex", exists • Logic: && || ! ( )'}
+          />
+          {isActive && (
+            <button
+              onClick={() => onFilterTextChange('')}
+              className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 p-1"
+              title="Clear filter (Esc)"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+
+        <button
+          onClick={savePreset}
+          disabled={!isActive || !!error}
+          className="p-2 rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+          title="Save this filter as a preset"
+        >
+          <Save size={14} />
+        </button>
+        <div className="relative">
+          <button
+            onClick={() => setShowPresets(!showPresets)}
+            className={`p-2 rounded border text-xs inline-flex items-center gap-1 ${showPresets ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+            title="Saved filters"
+          >
+            <Bookmark size={14} /> Presets
+          </button>
+          {showPresets && (
+            <div className="absolute right-0 z-30 mt-1 w-96 bg-white border border-gray-300 rounded-lg shadow-lg p-1 text-xs">
+              {presets.length === 0 && <div className="px-2 py-1 text-gray-400">No saved filters yet</div>}
+              {presets.map((preset) => (
+                <div key={preset.name} className="flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-100">
+                  <button
+                    onClick={() => {
+                      setShowPresets(false);
+                      onFilterTextChange(preset.text);
+                    }}
+                    className="flex-1 min-w-0 text-left"
+                    title={preset.text}
+                  >
+                    <div className="text-gray-800 truncate">{preset.name}</div>
+                    <div className="text-gray-500 font-mono truncate">{preset.text}</div>
+                  </button>
+                  <button onClick={() => deletePreset(preset.name)} className="p-1 text-gray-400 hover:text-red-600" title="Delete preset">
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isActive && error && (
+        <div className="mt-1 text-xs text-red-600">
+          {error.name === 'QuerySyntaxError' ? 'Syntax error' : 'Filter error'}: {error.message}
+        </div>
+      )}
+      {isActive && !error && (
+        <div className="mt-1 text-xs text-gray-600 inline-flex items-center gap-1">
+          {isRunning && <Loader size={12} className="animate-spin" />}
+          {isRunning
+            ? `Filtering… ${matchCount.toLocaleString()} matches in ${checked.toLocaleString()} of ${recordCount.toLocaleString()} records`
+            : `${matchCount.toLocaleString()} of ${recordCount.toLocaleString()} records`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterBar;
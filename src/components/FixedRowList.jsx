@@ -0,0 +1,95 @@
+import React, { useState, useRef, useEffect, useLayoutEffect, useImperativeHandle, forwardRef } from 'react';
+
+// Browsers stop growing elements somewhere past 16 million pixels; longer
+// lists scroll through a shorter spacer, each scrollbar pixel moving the
+// list further
+const MAX_SCROLL_HEIGHT = 8 * 1024 * 1024;
+
+// Windowed list of `count` rows that are all `rowHeight` tall, for lists too
+// long to keep anything per row (VirtualList measures each row). A row's
+// position follows from its index alone; `getKey(index)` and
+// `renderRow(index)` are only called for the mounted rows, and content taller
+// than a row is cut off. `onRangeChange(start, end)` is called with the
+// indices of the mounted rows whenever they change. Other props go on the
+// scrolling container.
+const FixedRowList = forwardRef(({ count, rowHeight, getKey, renderRow, onRangeChange = null, overscan = 10, className = '', ...containerProps }, ref) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollTopRef = useRef(0);
+  scrollTopRef.current = scrollTop;
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const onRangeChangeRef = useRef(onRangeChange);
+  onRangeChangeRef.current = onRangeChange;
+
+  const totalHeight = count * rowHeight;
+  const spacerHeight = Math.min(totalHeight, MAX_SCROLL_HEIGHT);
+  // Position in the full list at the top of the viewport
+  const scale = spacerHeight > viewportHeight ? (totalHeight - viewportHeight) / (spacerHeight - viewportHeight) : 1;
+  const listTop = scrollTop * scale;
+
+  const start = Math.max(0, Math.floor(listTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((listTop + viewportHeight) / rowHeight) + overscan);
+
+  useEffect(() => {
+    onRangeChangeRef.current?.(start, end);
+  }, [start, end, count]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const resizeObserver = new ResizeObserver(() => {
+      // A hidden list (display: none, e.g. in a background tab) loses its
+      // scroll position; put it back when it is shown again
+      if (container.clientHeight > 0 && container.scrollTop !== scrollTopRef.current) {
+        container.scrollTop = scrollTopRef.current;
+      }
+      setViewportHeight(container.clientHeight);
+    });
+    resizeObserver.observe(container);
+    setViewportHeight(container.clientHeight);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex: (index, align = 'center') => {
+      const container = containerRef.current;
+      if (!container || index < 0 || index >= count) return;
+      const top = index * rowHeight;
+      const visibleHeight = container.clientHeight;
+      let target = listTop;
+      if (align === 'start') target = top;
+      else if (align === 'center') target = top - (visibleHeight - rowHeight) / 2;
+      else if (top < listTop) target = top;
+      else if (top + rowHeight > listTop + visibleHeight) target = top + rowHeight - visibleHeight;
+      container.scrollTop = Math.max(0, target) / scale;
+    },
+  }), [count, rowHeight, listTop, scale]);
+
+  const visible = [];
+  for (let i = start; i < end; i++) {
+    visible.push(
+      <div key={getKey(i)} className="overflow-hidden" style={{ height: rowHeight }}>
+        {renderRow(i)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      {...containerProps}
+      ref={containerRef}
+      className={`overflow-auto ${className}`}
+      onScroll={(e) => {
+        // Hiding the list resets its scroll position; keep the last real one
+        if (e.currentTarget.clientHeight > 0) setScrollTop(e.currentTarget.scrollTop);
+      }}
+    >
+      <div className="overflow-hidden" style={{ height: spacerHeight, position: 'relative' }}>
+        <div style={{ position: 'absolute', top: scrollTop + start * rowHeight - listTop, left: 0, right: 0 }}>
+          {visible}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default FixedRowList;
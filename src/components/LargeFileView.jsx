@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Loader, Search, X, ChevronUp, ChevronDown, CornerDownLeft, Regex, CaseSensitive, WholeWord } from 'lucide-react';
+import FixedRowList from './FixedRowList';
+import TreeRow from './TreeRow';
+import SearchResultsList from './SearchResultsList';
+import { useExpansion } from '../hooks/useExpansion';
+import { flattenTree, pathKey, ancestorKeys } from '../lib/tree';
+import { createMatcher, DEFAULT_SEARCH_OPTIONS } from '../lib/search';
+import { buildRecordIndex, createRecordReader, createRecordLayout, searchRecords } from '../lib/largeFile';
+import { findRedactions } from '../lib/redact';
+import { formatBytes } from '../lib/stats';
+
+// Every row has this height, so the list can place rows without keeping
+// anything per record
+const ROW_HEIGHT = 28;
+
+const NO_SEARCH = { results: [], truncated: [], isRunning: false, progress: null, error: null };
+
+// Large-file mode for JSONL files too big to load (see lib/largeFile). The
+// file is indexed first; every record is then listed, but only the ones
+// scrolled into view (and the ones expanded) are read and parsed. Records not
+// read yet are one row each, so rows are placed from record numbers (see
+// createRecordLayout) and only records that are read cost memory. Any record
+// can be jumped to by number, and searches scan the whole file in the
+// background. Memory use depends on what is shown, not on the file. With a
+// `redactor` (see lib/redact), the shown records' sensitive values are masked.
+const LargeFileView = ({ source, rawStrings, renderers, onToggleTimeZone, redactor = null }) => {
+  const [index, setIndex] = useState(null);
+  const [indexProgress, setIndexProgress] = useState(null);
+  const [indexError, setIndexError] = useState(null);
+  const [visibleRecords, setVisibleRecords] = useState(null);
+  const [records, setRecords] = useState(() => new Map());
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [revealRequest, setRevealRequest] = useState(null);
+  const [goToText, setGoToText] = useState('');
+  const [goToError, setGoToError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchOptions, setSearchOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  const [searchState, setSearchState] = useState(NO_SEARCH);
+  const [searchMatcher, setSearchMatcher] = useState(null);
+  const [currentMatch, setCurrentMatch] = useState(-1);
+  const { expanded, toggle, expand, reset: resetExpanded } = useExpansion();
+  const expandedRef = useRef(expanded);
+  expandedRef.current = expanded;
+  const listRef = useRef(null);
+  const handledRevealRef = useRef(null);
+  const searchTaskRef = useRef(null);
+
+  useEffect(() => {
+    setIndex(null);
+    setIndexError(null);
+    setVisibleRecords(null);
+    setRecords(new Map());
+    resetExpanded([]);
+    setSearchState(NO_SEARCH);
+    const task = buildRecordIndex(source, { onProgress: setIndexProgress });
+    task.promise.then(setIndex, (err) => {
+      if (!err.cancelled) setIndexError(err.message || String(err));
+    });
+    return () => {
+      task.cancel();
+      searchTaskRef.current?.cancel();
+    };
+  }, [source]);
+
+  const reader = useMemo(() => (index ? createRecordReader(source, index) : null), [source, index]);
+
+  // Reads the records in view. Records that scroll out of view are dropped
+  // unless they are expanded, so their rows stay put.
+  useEffect(() => {
+    if (!reader || !visibleRecords) return;
+    const { first, last } = visibleRecords;
+    let cancelled = false;
+    reader.read(first, last - first + 1).then(
+      (read) => {
+        if (cancelled) return;
+        setRecords((current) => {
+          const next = new Map();
+          current.forEach((record, n) => {
+            if (expandedRef.current.has(pathKey([n]))) next.set(n, record);
+          });
+          read.forEach((record, i) => next.set(first + i, record));
+          return next;
+        });
+      },
+      (err) => {
+        if (!cancelled) setIndexError(err.message || String(err));
+      },
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [reader, visibleRecords]);
+
+  // Tree rows of the records read, by record number
+  const recordRows = useMemo(() => {
+    const byRecord = new Map();
+    records.forEach((record, n) => byRecord.set(n, flattenTree(record.value, `[${n}]`, expanded, [n])));
+    return byRecord;
+  }, [records, expanded]);
+
+  const layout = useMemo(() => {
+    const rowCounts = new Map();
+    recordRows.forEach((rows, n) => {
+      if (rows.length > 1) rowCounts.set(n, rows.length);
+    });
+    return createRecordLayout(index?.recordCount ?? 0, rowCounts);
+  }, [index, recordRows]);
+
+  // A record that has not been read yet is listed by its number alone
+  const rowAt = (i) => {
+    const { record, offset } = layout.at(i);
+    return recordRows.get(record)?.[offset] ?? record;
+  };
+
+  const handleRangeChange = (start, end) => {
+    if (end <= start) return;
+    const first = layout.at(start).record;
+    const last = layout.at(end - 1).record;
+    setVisibleRecords((current) => (current?.first === first && current.last === last ? current : { first, last }));
+  };
+
+  // Lines that are not valid JSON, by row id
+  const invalidRecords = useMemo(() => {
+    const byId = new Map();
+    records.forEach((record, n) => {
+      if (record.error) byId.set(pathKey([n]), [`Not valid JSON: ${record.error}`]);
+    });
+    return byId;
+  }, [records]);
+
+  // Redacted nodes of the records read, by row id
+  const redactions = useMemo(() => {
+    const reasons = new Map();
+    if (!redactor) return reasons;
+    records.forEach((record, n) => {
+      findRedactions(record.value, redactor, [n]).reasons.forEach((reason, id) => reasons.set(id, reason));
+    });
+    return reasons;
+  }, [records, redactor]);
+
+  const highlightedIds = useMemo(() => new Set(searchState.results.map((result) => pathKey(result.path))), [searchState.results]);
+
+  // A record that has not been read yet is scrolled to first, which reads
+  // it; the revealed node is scrolled to once its row exists
+  useEffect(() => {
+    if (!revealRequest || handledRevealRef.current === revealRequest) return;
+    const firstRow = layout.firstRowOf(revealRequest.record);
+    const rows = recordRows.get(revealRequest.record);
+    if (!rows) {
+      listRef.current?.scrollToIndex(firstRow, 'center');
+      return;
+    }
+    const offset = rows.findIndex((row) => row.id === revealRequest.id);
+    if (offset === -1) return;
+    handledRevealRef.current = revealRequest;
+    listRef.current?.scrollToIndex(firstRow + offset, 'center');
+  }, [revealRequest, recordRows, layout]);
+
+  const recordCount = index?.recordCount ?? 0;
+
+  const revealPath = (path) => {
+    expand(ancestorKeys(path).slice(1));
+    setSelectedPath(path);
+    setRevealRequest({ id: pathKey(path), record: path[0] });
+  };
+
+  const goTo = () => {
+    const n = Number(goToText.trim());
+    if (!Number.isInteger(n) || n < 0 || n >= recordCount) {
+      setGoToError(`Enter a record number from 0 to ${(recordCount - 1).toLocaleString()}`);
+      return;
+    }
+    setGoToError(null);
+    setGoToText('');
+    revealPath([n]);
+  };
+
+  const runSearch = () => {
+    searchTaskRef.current?.cancel();
+    setCurrentMatch(-1);
+    if (!searchQuery.trim() || !index) {
+      setSearchMatcher(null);
+      setSearchState(NO_SEARCH);
+      return;
+    }
+    let matcher;
+    try {
+      matcher = createMatcher(searchQuery, searchOptions);
+    } catch (err) {
+      setSearchMatcher(null);
+      setSearchState({ ...NO_SEARCH, error: `Invalid regular expression: ${err.message}` });
+      return;
+    }
+    setSearchMatcher(matcher);
+    setSearchState({ ...NO_SEARCH, isRunning: true });
+    const task = searchRecords(source, index, matcher, searchOptions, {
+      onProgress: (progress) => setSearchState((current) => ({ ...current, progress })),
+    });
+    searchTaskRef.current = task;
+    task.promise.then(
+      ({ results, truncated }) => setSearchState({ ...NO_SEARCH, results, truncated }),
+      (err) => {
+        if (!err.cancelled) setSearchState({ ...NO_SEARCH, error: err.message || String(err) });
+      },
+    );
+  };
+
+  const cancelSearch = () => {
+    searchTaskRef.current?.cancel();
+    setSearchState((current) => ({ ...current, isRunning: false }));
+  };
+
+  const selectMatch = (i) => {
+    const { results } = searchState;
+    if (results.length === 0) return;
+    const wrapped = (i + results.length) % results.length;
+    setCurrentMatch(wrapped);
+    revealPath(results[wrapped].path);
+  };
+
+  const setOption = (option, value) => setSearchOptions({ ...searchOptions, [option]: value });
+
+  if (indexError) {
+    return (
+      <div className="p-4 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">
+        Could not read {source.name}: {indexError}
+      </div>
+    );
+  }
+
+  if (!index) {
+    const fraction = indexProgress ? indexProgress.bytesProcessed / indexProgress.totalBytes : 0;
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="text-center w-full max-w-md">
+          <Loader size={48} className="text-blue-500 mx-auto mb-4 animate-spin" />
+          <h3 className="text-lg font-medium text-gray-600 mb-2">Indexing records...</h3>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all" style={{ width: `${fraction * 100}%` }} />
+          </div>
+          {indexProgress && (
+            <p className="text-xs text-gray-500 mt-2">
+              {formatBytes(indexProgress.bytesProcessed)} of {formatBytes(indexProgress.totalBytes)}
+              {` • ${indexProgress.records.toLocaleString()} records found`}
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const { results, truncated, isRunning, progress } = searchState;
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0">
+      <div className="mb-2 flex gap-2 items-center">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search all records... (Enter to scan the file)"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') runSearch();
+            }}
+            className="w-full pl-10 pr-28 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+          <div className="absolute right-2 top-1/2 transform -translate-y-1/2 flex items-center gap-1">
+            {[
+              { option: 'regex', title: 'Use regular expression', icon: Regex },
+              { option: 'caseSensitive', title: 'Match case', icon: CaseSensitive },
+              { option: 'wholeWord', title: 'Match whole word', icon: WholeWord },
+            ].map(({ option, title, icon: Icon }) => (
+              <button
+                key={option}
+                onClick={() => setOption(option, !searchOptions[option])}
+                title={title}
+                className={`p-1 rounded border text-xs ${searchOptions[option] ? 'bg-blue-500 text-white border-blue-500' : 'border-transparent text-gray-500 hover:text-gray-800'}`}
+              >
+                <Icon size={14} />
+              </button>
+            ))}
+          </div>
+        </div>
+        <button
+          onClick={() => selectMatch(currentMatch - 1)}
+          disabled={results.length === 0}
+          className="p-2 rounded border border-gray-300 text-gray-600 disabled:opacity-40"
+          title="Previous match"
+        >
+          <ChevronUp size={14} />
+        </button>
+        <button
+          onClick={() => selectMatch(currentMatch + 1)}
+          disabled={results.length === 0}
+          className="p-2 rounded border border-gray-300 text-gray-600 disabled:opacity-40"
+          title="Next match"
+        >
+          <ChevronDown size={14} />
+        </button>
+      </div>
+
+      {searchState.error && <div className="mb-2 text-xs text-red-600">{searchState.error}</div>}
+      {isRunning && (
+        <div className="mb-2 text-xs text-gray-600 flex items-center gap-2">
+          <Loader size={12} className="animate-spin" />
+          Searching… {progress ? `${Math.floor((progress.bytesProcessed / progress.totalBytes) * 100)}% • ${progress.matchCount} matches so far` : ''}
+          <button onClick={cancelSearch} className="px-2 py-0.5 rounded border border-gray-300 hover:text-red-600 inline-flex items-center gap-1">
+            <X size={12} /> Cancel
+          </button>
+        </div>
+      )}
+      {!isRunning && searchMatcher && (
+        <div className="mb-2 text-xs text-gray-600">
+          {results.length === 0 ? 'No matches found' : `Found ${results.length} result${results.length !== 1 ? 's' : ''}`}
+          {truncated.includes('results') && <span className="text-orange-600"> (stopped at the result limit)</span>}
+          {results.length > 0 && <SearchResultsList results={results} currentMatch={currentMatch} onSelect={selectMatch} redactor={redactor} />}
+        </div>
+      )}
+
+      <div className="bg-gray-900 text-green-400 p-4 rounded-lg font-mono text-sm flex flex-col flex-1 min-h-0 border">
+        <div className="mb-2 text-xs text-gray-400 flex items-center gap-2">
+          <span>
+            {visibleRecords && `[${visibleRecords.first.toLocaleString()}–${visibleRecords.last.toLocaleString()}] of `}
+            {recordCount.toLocaleString()} records
+          </span>
+          <span className="flex-1 text-gray-500">
+            Large-file mode: records are read from disk as they are shown
+          </span>
+          <div className="relative flex items-center">
+            <input
+              value={goToText}
+              onChange={(e) => {
+                setGoToText(e.target.value);
+                setGoToError(null);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') goTo();
+              }}
+              placeholder="Go to record…"
+              className={`w-36 bg-gray-800 border rounded px-2 py-0.5 text-gray-200 placeholder-gray-500 ${goToError ? 'border-red-500' : 'border-gray-600'}`}
+              title="Record number, as shown in [brackets]; press Enter"
+            />
+            <CornerDownLeft size={12} className="absolute right-2 text-gray-500 pointer-events-none" />
+            {goToError && (
+              <div className="absolute right-0 top-full z-30 mt-1 bg-gray-800 border border-red-500 rounded px-2 py-1 text-red-300 whitespace-nowrap">
+                {goToError}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <FixedRowList
+          ref={listRef}
+          count={layout.rowCount}
+          rowHeight={ROW_HEIGHT}
+          getKey={(i) => {
+            const row = rowAt(i);
+            return typeof row === 'number' ? pathKey([row]) : row.id;
+          }}
+          onRangeChange={handleRangeChange}
+          className="flex-1 min-h-0"
+          role="tree"
+          aria-label={source.name}
+          renderRow={(i) => {
+            const row = rowAt(i);
+            return typeof row === 'number' ? (
+              <div className="flex items-center gap-1 h-full text-gray-500">
+                <Loader size={12} className="animate-spin" /> [{row}]
+              </div>
+            ) : (
+              <TreeRow
+                row={row}
+                onToggle={toggle}
+                onSelect={setSelectedPath}
+                searchMatcher={searchMatcher}
+                isHighlighted={highlightedIds.has(row.id)}
+                isActive={selectedPath !== null && row.id === pathKey(selectedPath)}
+                validationErrors={invalidRecords.get(row.id)}
+                rawStrings={rawStrings}
+                renderers={renderers}
+                onToggleTimeZone={onToggleTimeZone}
+                redactor={redactor}
+                redaction={redactions.get(row.id)}
+              />
+            );
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default LargeFileView;
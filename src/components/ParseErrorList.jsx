@@ -0,0 +1,43 @@
+import React from 'react';
+
+const MAX_LISTED = 500;
+
+// Located parse problems ({ message, line, column, snippet, caret }), each
+// with the offending spot marked in a snippet of its line. Items are
+// clickable when `onSelect` is given and `isSelectable(item)` holds. Also used
+// for the list of repairs, which carry no snippet.
+const ParseErrorList = ({ items, totalCount = items.length, onSelect, isSelectable = () => true, messageClassName = 'text-red-700', className = '' }) => (
+  <div className={`max-h-48 overflow-auto border border-gray-200 rounded text-xs font-mono bg-white ${className}`}>
+    {items.slice(0, MAX_LISTED).map((item, i) => {
+      const selectable = onSelect && isSelectable(item);
+      return (
+        <div
+          key={i}
+          onClick={selectable ? () => onSelect(item) : undefined}
+          className={`px-2 py-1 border-b border-gray-100 last:border-b-0 ${selectable ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+        >
+          <div className="flex gap-3">
+            {item.line !== undefined && (
+              <span className="text-gray-500 shrink-0">
+                Line {item.line}{item.column !== undefined && `, column ${item.column}`}
+              </span>
+            )}
+            <span className={messageClassName}>{item.message}</span>
+          </div>
+          {item.snippet !== undefined && (
+            <pre className="text-gray-600 whitespace-pre overflow-hidden">
+              {item.snippet}{'\n'}<span className="text-red-600">{' '.repeat(item.caret)}^</span>
+            </pre>
+          )}
+        </div>
+      );
+    })}
+    {totalCount > Math.min(items.length, MAX_LISTED) && (
+      <div className="px-2 py-1 text-gray-400 italic">
+        {totalCount - Math.min(items.length, MAX_LISTED)} more not listed
+      </div>
+    )}
+  </div>
+);
+
+export default ParseErrorList;
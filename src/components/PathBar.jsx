@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { ChevronRight, Copy, Check, CornerDownLeft } from 'lucide-react';
+import { PATH_FORMATS } from '../lib/pathFormats';
+
+// Breadcrumb of `path` (the hovered or selected node) above the tree. Each
+// segment jumps to that ancestor with `onNavigate(path)`; the path can be
+// copied in any of PATH_FORMATS. The "Go to path" box passes what is typed to
+// `onGoTo(text)`, which returns an error message or null.
+//
+// While the tree is focused on the node at `focusPath`, the segments above it
+// are dimmed and move the focus out to them with `onFocus(path)` (null for the
+// document root).
+const PathBar = ({ path, rootName, focusPath = null, onNavigate, onFocus, onGoTo }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [copiedFormat, setCopiedFormat] = useState(null);
+  const [goToText, setGoToText] = useState('');
+  const [goToError, setGoToError] = useState(null);
+
+  const copyAs = async (format) => {
+    try {
+      await navigator.clipboard.writeText(format.format(path));
+      setCopiedFormat(format.id);
+      setTimeout(() => setCopiedFormat(null), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const goTo = () => {
+    const error = onGoTo(goToText);
+    setGoToError(error);
+    if (!error) setGoToText('');
+  };
+
+  const segmentClass = 'px-1 rounded hover:bg-gray-800 hover:text-gray-100 whitespace-nowrap';
+  const outsideClass = 'text-gray-600';
+  const isOutside = (length) => focusPath !== null && length < focusPath.length;
+  const goToSegment = (length) => {
+    if (isOutside(length)) onFocus(length === 0 ? null : path.slice(0, length));
+    else onNavigate(path.slice(0, length));
+  };
+
+  return (
+    <div className="mb-2 text-xs text-gray-400 flex items-center gap-2">
+      <div className="flex items-center min-w-0 flex-1 overflow-x-auto" title="Click a segment to go to it">
+        <button
+          onClick={() => goToSegment(0)}
+          className={`${segmentClass} ${isOutside(0) ? outsideClass : ''}`}
+          title={isOutside(0) ? 'Focus on the whole document' : undefined}
+        >
+          {rootName}
+        </button>
+        {path.map((segment, i) => (
+          <React.Fragment key={i}>
+            <ChevronRight size={12} className="shrink-0 text-gray-600" />
+            <button
+              onClick={() => goToSegment(i + 1)}
+              className={`${segmentClass} ${i === path.length - 1 ? 'text-gray-200' : isOutside(i + 1) ? outsideClass : ''}`}
+              title={isOutside(i + 1) ? 'Focus here' : undefined}
+            >
+              {typeof segment === 'number' ? `[${segment}]` : segment}
+            </button>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="relative shrink-0">
+        <button
+          onClick={() => setIsMenuOpen(!isMenuOpen)}
+          className="px-2 py-0.5 rounded border border-gray-600 hover:text-gray-200 inline-flex items-center gap-1"
+          title="Copy this path in the syntax of your choice"
+        >
+          <Copy size={12} /> Copy path as
+        </button>
+        {isMenuOpen && (
+          <div className="absolute right-0 z-30 mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg p-1 w-80 text-gray-200">
+            {PATH_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                onClick={() => copyAs(format)}
+                className="w-full flex items-center gap-2 px-2 py-1 rounded text-left hover:bg-gray-700"
+              >
+                <span className="w-24 shrink-0">{format.label}</span>
+                <span className="flex-1 truncate text-green-400" title={format.format(path)}>
+                  {format.format(path) || '(empty pointer)'}
+                </span>
+                {copiedFormat === format.id && <Check size={12} className="text-green-400 shrink-0" />}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="relative shrink-0 flex items-center">
+        <input
+          value={goToText}
+          onChange={(e) => {
+            setGoToText(e.target.value);
+            setGoToError(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') goTo();
+            if (e.key === 'Escape') {
+              setGoToText('');
+              setGoToError(null);
+            }
+          }}
+          placeholder="Go to path…"
+          className={`w-48 bg-gray-800 border rounded px-2 py-0.5 text-gray-200 placeholder-gray-500 ${goToError ? 'border-red-500' : 'border-gray-600'}`}
+          title={'Paste a path in any of the copy formats (data.a[0], $.a[0], /a/0, .a[0], data["a"][0]) and press Enter'}
+        />
+        <CornerDownLeft size={12} className="absolute right-2 text-gray-500 pointer-events-none" />
+        {goToError && (
+          <div className="absolute right-0 top-full z-30 mt-1 bg-gray-800 border border-red-500 rounded px-2 py-1 text-red-300 whitespace-nowrap">
+            {goToError}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PathBar;
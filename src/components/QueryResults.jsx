@@ -0,0 +1,72 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { formatPath } from '../lib/tree';
+import { previewValue } from '../lib/format';
+import { redactAt } from '../lib/redact';
+
+const MAX_LISTED = 500;
+
+// Result list for query mode. Results that exist in the document can be
+// clicked to reveal them in the tree; computed values are listed only. With a
+// `redactor` (see lib/redact), values are shown redacted.
+const QueryResults = ({ query, queryState, onSelect, onOpenAsDocument, redactor = null }) => {
+  const { error, results, truncated, language } = queryState;
+
+  if (error) {
+    return (
+      <div className="mt-2 text-xs font-mono text-red-600">
+        {error.position !== undefined && (
+          <pre className="text-gray-500 whitespace-pre overflow-hidden">
+            {query}{'\n'}{' '.repeat(error.position)}^
+          </pre>
+        )}
+        <div>{error.name === 'QuerySyntaxError' ? 'Syntax error' : 'Query error'}: {error.message}</div>
+      </div>
+    );
+  }
+
+  if (!results) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2 text-xs text-gray-600">
+        <span>
+          {results.length} result{results.length !== 1 ? 's' : ''} ({language === 'jsonpath' ? 'JSONPath' : 'jq'})
+          {truncated && <span className="text-orange-600"> (limited to first {results.length})</span>}
+        </span>
+        {results.length > 0 && (
+          <button
+            onClick={onOpenAsDocument}
+            className="ml-auto inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"
+            title="Open the results as a separate document"
+          >
+            <FileText size={12} /> View as document
+          </button>
+        )}
+      </div>
+      {results.length > 0 && (
+        <div className="mt-1 max-h-40 overflow-auto border border-gray-200 rounded text-xs font-mono">
+          {results.slice(0, MAX_LISTED).map((result, i) => (
+            <div
+              key={i}
+              onClick={result.path ? () => onSelect(result) : undefined}
+              className={`flex gap-3 px-2 py-1 border-b border-gray-100 last:border-b-0 ${result.path ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+            >
+              <span className="text-gray-700 shrink-0">
+                {result.path ? formatPath(result.path) || '(root)' : '(computed)'}
+              </span>
+              <span className="text-gray-500 truncate">{previewValue(redactor ? redactAt(result.value, result.path ?? [], redactor) : result.value)}</span>
+            </div>
+          ))}
+          {results.length > MAX_LISTED && (
+            <div className="px-2 py-1 text-gray-400 italic">
+              {results.length - MAX_LISTED} more not listed; use "View as document" to browse all
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryResults;
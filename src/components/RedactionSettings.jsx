@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { EyeOff, X } from 'lucide-react';
+import { REDACTION_DETECTORS } from '../lib/redact';
+
+// Dropdown for turning redaction on and off, choosing the built-in detectors
+// and editing the user's key and value rules (see lib/redact). `errors` lists
+// rules whose pattern does not compile.
+const RedactionSettings = ({ settings, onChange, errors = [] }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [ruleType, setRuleType] = useState('key');
+  const [pattern, setPattern] = useState('');
+
+  const toggleDetector = (id) => onChange({ ...settings, detectors: { ...settings.detectors, [id]: !settings.detectors[id] } });
+
+  const addRule = () => {
+    if (!pattern.trim()) return;
+    onChange({ ...settings, rules: [...settings.rules, { type: ruleType, pattern: pattern.trim() }] });
+    setPattern('');
+  };
+
+  const removeRule = (index) => onChange({ ...settings, rules: settings.rules.filter((_, i) => i !== index) });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`px-2 py-0.5 rounded border ${settings.enabled ? 'border-yellow-600 text-yellow-300' : 'border-gray-600 text-gray-400'} hover:text-gray-200 inline-flex items-center gap-1`}
+        title="Mask tokens, keys, emails, card numbers and secrets in the tree, and in what is copied or exported"
+      >
+        <EyeOff size={12} /> Redact: {settings.enabled ? 'on' : 'off'}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg p-2 w-80 text-gray-200">
+          <label className="flex items-center gap-2 pb-2 mb-1 border-b border-gray-700">
+            <input type="checkbox" checked={settings.enabled} onChange={() => onChange({ ...settings, enabled: !settings.enabled })} />
+            Redact sensitive values
+          </label>
+          {REDACTION_DETECTORS.map((detector) => (
+            <label key={detector.id} className="flex items-center gap-2 py-0.5">
+              <input type="checkbox" checked={!!settings.detectors[detector.id]} onChange={() => toggleDetector(detector.id)} />
+              {detector.label}
+            </label>
+          ))}
+          <div className="pt-2 mt-1 border-t border-gray-700">
+            <div className="text-gray-400 mb-1">Your rules (regular expressions, any case)</div>
+            {settings.rules.map((rule, i) => (
+              <div key={i} className="flex items-center gap-2 py-0.5">
+                <span className="text-gray-400 w-10">{rule.type}</span>
+                <span className="flex-1 truncate" title={rule.pattern}>/{rule.pattern}/</span>
+                <button onClick={() => removeRule(i)} className="p-0.5 text-gray-400 hover:text-red-400" title="Remove rule">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+            <div className="flex items-center gap-1 mt-1">
+              <select value={ruleType} onChange={(e) => setRuleType(e.target.value)} className="bg-gray-900 border border-gray-600 rounded px-1">
+                <option value="key">key</option>
+                <option value="value">value</option>
+              </select>
+              <input
+                value={pattern}
+                onChange={(e) => setPattern(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') addRule();
+                }}
+                placeholder={ruleType === 'key' ? '^x-internal-' : 'acct-\\d{8}'}
+                className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded px-1"
+              />
+              <button onClick={addRule} className="px-2 rounded border border-gray-600 hover:text-white">Add</button>
+            </div>
+            {errors.map((error) => (
+              <div key={error} className="text-red-400 mt-1">Ignored: {error}</div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RedactionSettings;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { Sparkles } from 'lucide-react';
+import { VALUE_RENDERERS } from '../lib/renderers';
+
+// Dropdown for turning value renderers on and off and picking the time zone
+// dates are shown in
+const RendererSettings = ({ settings, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const enabledCount = VALUE_RENDERERS.filter((renderer) => settings.enabled[renderer.id]).length;
+
+  const toggle = (id) => onChange({ ...settings, enabled: { ...settings.enabled, [id]: !settings.enabled[id] } });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-2 py-0.5 rounded border border-gray-600 text-gray-400 hover:text-gray-200 inline-flex items-center gap-1"
+        title="Choose which kinds of values get dates, previews and links"
+      >
+        <Sparkles size={12} /> Renderers ({enabledCount}/{VALUE_RENDERERS.length})
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg p-2 w-56 text-gray-200">
+          {VALUE_RENDERERS.map((renderer) => (
+            <label key={renderer.id} className="flex items-center gap-2 py-0.5">
+              <input type="checkbox" checked={!!settings.enabled[renderer.id]} onChange={() => toggle(renderer.id)} />
+              {renderer.label}
+            </label>
+          ))}
+          <label className="flex items-center gap-2 pt-2 mt-1 border-t border-gray-700">
+            Time zone
+            <select
+              value={settings.timeZone}
+              onChange={(e) => onChange({ ...settings, timeZone: e.target.value })}
+              className="bg-gray-900 border border-gray-600 rounded px-1"
+            >
+              <option value="local">Local</option>
+              <option value="utc">UTC</option>
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RendererSettings;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Inline text editor used by tree rows for values, key renames and new keys.
+// Enter commits (Shift+Enter inserts a newline in multi-line values), Escape
+// or leaving the field cancels. `onCommit` returns an error message or null.
+const RowEditor = ({ initialValue, multiline = false, placeholder, onCommit, onCancel }) => {
+  const [draft, setDraft] = useState(initialValue);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      onCancel();
+    } else if (e.key === 'Enter' && !(multiline && e.shiftKey)) {
+      e.preventDefault();
+      setError(onCommit(draft));
+    }
+  };
+
+  const inputProps = {
+    ref: inputRef,
+    value: draft,
+    placeholder,
+    onChange: (e) => {
+      setDraft(e.target.value);
+      setError(null);
+    },
+    onKeyDown: handleKeyDown,
+    onBlur: onCancel,
+    onClick: (e) => e.stopPropagation(),
+    onDoubleClick: (e) => e.stopPropagation(),
+    className: `bg-gray-800 text-white font-mono text-sm px-1 py-0 rounded border ${error ? 'border-red-500' : 'border-blue-400'} outline-none w-full`,
+  };
+
+  return (
+    <span className="flex-1 min-w-0 inline-flex flex-col">
+      {multiline ? <textarea rows={Math.min(8, draft.split('\n').length)} {...inputProps} /> : <input type="text" {...inputProps} />}
+      {error && <span className="text-red-400 text-xs">{error}</span>}
+    </span>
+  );
+};
+
+export default RowEditor;
@@ -0,0 +1,131 @@
+import React, { useState, useRef } from 'react';
+import { Copy, Check, FileDown, FileUp, ShieldCheck, X } from 'lucide-react';
+import { formatPath } from '../lib/tree';
+import { inferSchema } from '../lib/schema/infer';
+import { saveTextFile } from '../lib/platform';
+
+const MAX_LISTED = 500;
+
+// Schema tools for the loaded document: infer a draft 2020-12 schema from it,
+// or validate it against a schema file. Validation itself runs in the app so
+// its errors can also be shown on tree rows.
+const SchemaPanel = ({ data, isJsonl, fileName, validationSchema, validation, onLoadSchema, onUseSchema, onClearSchema, onSelectError, onClose }) => {
+  const [inferred, setInferred] = useState(null);
+  const [copySuccess, setCopySuccess] = useState(false);
+  const schemaInputRef = useRef(null);
+
+  const inferredText = inferred ? JSON.stringify(inferred, null, 2) : '';
+  const baseName = (fileName || 'document').replace(/\.[^.]+$/, '');
+
+  const copyInferred = async () => {
+    try {
+      await navigator.clipboard.writeText(inferredText);
+      setCopySuccess(true);
+      setTimeout(() => setCopySuccess(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const saveInferred = () => saveTextFile({
+    suggestedName: `${baseName}.schema.json`,
+    contents: inferredText,
+    filters: [{ name: 'JSON Schema', extensions: ['json'] }],
+    mimeType: 'application/schema+json',
+  }).catch((err) => console.error('Failed to save schema:', err));
+
+  const handleSchemaFile = (event) => {
+    const file = event.target.files[0];
+    if (file) onLoadSchema(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg p-3 text-xs text-gray-600">
+      <div className="flex items-center gap-3">
+        <span className="font-medium text-gray-800 inline-flex items-center gap-1">
+          <ShieldCheck size={14} /> Schema
+        </span>
+        <button
+          onClick={() => setInferred(inferSchema(data, { records: isJsonl }))}
+          className="border border-gray-300 rounded px-2 py-1 hover:bg-gray-50"
+          title={isJsonl ? 'Infer one schema describing every record' : 'Infer a schema from the document'}
+        >
+          {inferred ? 'Re-infer' : 'Infer schema'}
+        </button>
+        <button
+          onClick={() => schemaInputRef.current?.click()}
+          className="border border-gray-300 rounded px-2 py-1 hover:bg-gray-50 inline-flex items-center gap-1"
+          title={isJsonl ? 'Validate each record against a JSON Schema file' : 'Validate against a JSON Schema file'}
+        >
+          <FileUp size={12} /> Validate with file…
+        </button>
+        <input ref={schemaInputRef} type="file" accept=".json" onChange={handleSchemaFile} className="hidden" />
+        <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close schema panel">
+          <X size={14} />
+        </button>
+      </div>
+
+      {inferred && (
+        <div className="mt-2">
+          <div className="flex items-center gap-3 mb-1">
+            <span>Inferred schema (draft 2020-12){isJsonl && ', merged across all records'}</span>
+            <button onClick={copyInferred} className="inline-flex items-center gap-1 hover:text-gray-900" title="Copy schema">
+              {copySuccess ? <Check size={12} className="text-green-600" /> : <Copy size={12} />} Copy
+            </button>
+            <button onClick={saveInferred} className="inline-flex items-center gap-1 hover:text-gray-900" title="Save schema to a file">
+              <FileDown size={12} /> Save
+            </button>
+            <button onClick={() => onUseSchema('inferred schema', inferred)} className="text-blue-600 hover:text-blue-800" title="Validate the document against this schema">
+              Validate with this
+            </button>
+          </div>
+          <pre className="max-h-48 overflow-auto bg-gray-50 border border-gray-200 rounded p-2 font-mono text-gray-700">{inferredText}</pre>
+        </div>
+      )}
+
+      {validationSchema && (
+        <div className="mt-2">
+          <div className="flex items-center gap-3">
+            <span>
+              Schema: <span className="font-medium">{validationSchema.name}</span>
+            </span>
+            {validationSchema.error && <span className="text-red-600">{validationSchema.error}</span>}
+            {validation?.error && <span className="text-red-600">Schema error: {validation.error}</span>}
+            {validation?.errors && (validation.valid ? (
+              <span className="text-green-600">Valid</span>
+            ) : (
+              <span className="text-red-600">
+                {validation.errors.length} error{validation.errors.length !== 1 ? 's' : ''}
+                {validation.truncated && ' (limited to the first ones)'}
+              </span>
+            ))}
+            <button onClick={onClearSchema} className="text-blue-600 hover:text-blue-800">Clear</button>
+          </div>
+          {validation?.errors?.length > 0 && (
+            <div className="mt-1 max-h-40 overflow-auto border border-gray-200 rounded font-mono">
+              {validation.errors.slice(0, MAX_LISTED).map((error, i) => (
+                <div
+                  key={i}
+                  onClick={() => onSelectError(error)}
+                  className="flex gap-3 px-2 py-1 border-b border-gray-100 last:border-b-0 cursor-pointer hover:bg-blue-50"
+                  title={error.schemaPath}
+                >
+                  <span className="text-gray-700 shrink-0">{formatPath(error.path) || '(root)'}</span>
+                  <span className="text-red-600 truncate">{error.message}</span>
+                </div>
+              ))}
+              {validation.errors.length > MAX_LISTED && (
+                <div className="px-2 py-1 text-gray-400 italic">
+                  {validation.errors.length - MAX_LISTED} more not listed; they are still marked in the tree
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaPanel;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Search, X, Braces, Regex, CaseSensitive, WholeWord, ChevronUp, ChevronDown, List, SlidersHorizontal } from 'lucide-react';
+
+const SCOPES = [
+  { value: 'all', label: 'Keys & values' },
+  { value: 'keys', label: 'Keys only' },
+  { value: 'values', label: 'Values only' },
+];
+
+const LIMITS = [
+  { option: 'maxResults', label: 'Max results' },
+  { option: 'maxDepth', label: 'Max depth' },
+  { option: 'maxChildren', label: 'Items searched per array/object' },
+];
+
+const ToggleButton = ({ active, onClick, title, children }) => (
+  <button
+    onClick={onClick}
+    title={title}
+    className={`p-1 rounded border text-xs ${active ? 'bg-blue-500 text-white border-blue-500' : 'border-transparent text-gray-500 hover:text-gray-800'}`}
+  >
+    {children}
+  </button>
+);
+
+// Search input with text-search options and match navigation, or the query
+// input when query mode is on. `inputRef` is attached to the input.
+const SearchBar = ({
+  inputRef,
+  mode, onModeChange,
+  searchQuery, onSearchQueryChange,
+  queryText, onQueryTextChange,
+  options, onOptionsChange,
+  matchCount, currentMatch, onNavigate,
+  showResultsList, onToggleResultsList,
+}) => {
+  const [showLimits, setShowLimits] = useState(false);
+  const isQuery = mode === 'query';
+  const value = isQuery ? queryText : searchQuery;
+  const onChange = isQuery ? onQueryTextChange : onSearchQueryChange;
+
+  const setOption = (option, optionValue) => onOptionsChange({ ...options, [option]: optionValue });
+
+  const handleKeyDown = (e) => {
+    if (isQuery || e.key !== 'Enter') return;
+    e.preventDefault();
+    onNavigate(e.shiftKey ? -1 : 1);
+  };
+
+  return (
+    <div className="flex gap-2 items-center">
+      <div className="relative flex-1">
+        <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+        <input
+          ref={inputRef}
+          type="text"
+          placeholder={isQuery ? 'Query: $.orders[*].items[?(@.price > 100)].sku  or  .[] | select(.level == "error")' : 'Search keys and values... (Enter / Shift+Enter to navigate)'}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className={`w-full pl-10 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm ${isQuery ? 'font-mono pr-10' : 'pr-28'}`}
+        />
+        <div className="absolute right-2 top-1/2 transform -translate-y-1/2 flex items-center gap-1">
+          {!isQuery && (
+            <>
+              <ToggleButton active={options.regex} onClick={() => setOption('regex', !options.regex)} title="Use regular expression">
+                <Regex size={14} />
+              </ToggleButton>
+              <ToggleButton active={options.caseSensitive} onClick={() => setOption('caseSensitive', !options.caseSensitive)} title="Match case">
+                <CaseSensitive size={14} />
+              </ToggleButton>
+              <ToggleButton active={options.wholeWord} onClick={() => setOption('wholeWord', !options.wholeWord)} title="Match whole word">
+                <WholeWord size={14} />
+              </ToggleButton>
+            </>
+          )}
+          {value && (
+            <button onClick={() => onChange('')} className="text-gray-400 hover:text-gray-600 p-1" title="Clear">
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!isQuery && (
+        <>
+          <select
+            value={options.scope}
+            onChange={(e) => setOption('scope', e.target.value)}
+            className="text-xs border border-gray-300 rounded-lg px-2 py-2 text-gray-600"
+            title="Search scope"
+          >
+            {SCOPES.map((scope) => <option key={scope.value} value={scope.value}>{scope.label}</option>)}
+          </select>
+
+          <span className="text-xs text-gray-500 min-w-[60px] text-center">
+            {matchCount > 0 ? `${currentMatch + 1} / ${matchCount}` : '0 / 0'}
+          </span>
+          <button onClick={() => onNavigate(-1)} disabled={matchCount === 0} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-40" title="Previous match (Shift+Enter)">
+            <ChevronUp size={16} />
+          </button>
+          <button onClick={() => onNavigate(1)} disabled={matchCount === 0} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-40" title="Next match (Enter)">
+            <ChevronDown size={16} />
+          </button>
+          <ToggleButton active={showResultsList} onClick={onToggleResultsList} title="Show results list">
+            <List size={14} />
+          </ToggleButton>
+
+          <div className="relative">
+            <ToggleButton active={showLimits} onClick={() => setShowLimits(!showLimits)} title="Search limits">
+              <SlidersHorizontal size={14} />
+            </ToggleButton>
+            {showLimits && (
+              <div className="absolute right-0 mt-1 z-20 bg-white border border-gray-200 rounded-lg shadow-lg p-3 w-64 text-xs text-gray-600 space-y-2">
+                {LIMITS.map(({ option, label }) => (
+                  <label key={option} className="flex items-center justify-between gap-2">
+                    <span>{label}</span>
+                    <input
+                      type="number"
+                      min={1}
+                      value={options[option]}
+                      onChange={(e) => setOption(option, Math.max(1, Number(e.target.value) || 1))}
+                      className="w-20 border border-gray-300 rounded px-1 py-0.5 text-right"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      <button
+        onClick={() => onModeChange(isQuery ? 'text' : 'query')}
+        className={`px-3 py-2 rounded-lg border text-xs inline-flex items-center gap-1 ${isQuery ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-600'}`}
+        title="Toggle JSONPath / jq query mode"
+      >
+        <Braces size={14} /> Query
+      </button>
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+import { previewValue } from '../lib/format';
+import { redactAt } from '../lib/redact';
+
+const MAX_LISTED = 500;
+
+// Clickable list of text-search matches; the current match is kept in view.
+// With a `redactor` (see lib/redact), values are shown redacted.
+const SearchResultsList = ({ results, currentMatch, onSelect, redactor = null }) => {
+  const currentRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [currentMatch]);
+
+  return (
+    <div className="mt-1 max-h-40 overflow-auto border border-gray-200 rounded text-xs font-mono">
+      {results.slice(0, MAX_LISTED).map((result, i) => (
+        <div
+          key={i}
+          ref={i === currentMatch ? currentRef : undefined}
+          onClick={() => onSelect(i)}
+          className={`flex gap-3 px-2 py-1 border-b border-gray-100 last:border-b-0 cursor-pointer ${i === currentMatch ? 'bg-blue-100' : 'hover:bg-blue-50'}`}
+        >
+          <span className="text-gray-400 shrink-0">{result.type}</span>
+          <span className="text-gray-700 shrink-0">{result.pathString || '(root)'}</span>
+          <span className="text-gray-500 truncate">{previewValue(redactor ? redactAt(result.value, result.path, redactor) : result.value)}</span>
+        </div>
+      ))}
+      {results.length > MAX_LISTED && (
+        <div className="px-2 py-1 text-gray-400 italic">
+          {results.length - MAX_LISTED} more not listed; use next/previous to step through them
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResultsList;
@@ -0,0 +1,87 @@
+import React, { useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
+import { X } from 'lucide-react';
+import { tokenizeJson, TOKEN_CLASSES } from '../lib/highlight';
+
+// Texts longer than this are shown without highlighting
+const MAX_HIGHLIGHTED_LENGTH = 200000;
+
+// Raw text pane: a transparent textarea over a highlighted copy of its text.
+// `onCursor(offset)` reports caret moves made by the user; `selectRange` (via
+// ref) selects a span and scrolls it into view.
+const SourceEditor = forwardRef(({ value, onChange, onCursor, error, formatLabel, onClose, className = '' }, ref) => {
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const programmaticSelectRef = useRef(false);
+
+  const highlighted = value.length <= MAX_HIGHLIGHTED_LENGTH;
+  const tokens = useMemo(() => (highlighted ? tokenizeJson(value) : null), [value, highlighted]);
+
+  useImperativeHandle(ref, () => ({
+    selectRange(start, end) {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      // The resulting select event is ours, not a caret move by the user
+      programmaticSelectRef.current = true;
+      setTimeout(() => { programmaticSelectRef.current = false; }, 50);
+      textarea.focus({ preventScroll: true });
+      textarea.setSelectionRange(start, end);
+      const line = value.slice(0, start).split('\n').length - 1;
+      const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+      textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
+      syncScroll();
+    },
+  }), [value]);
+
+  const syncScroll = () => {
+    if (!highlightRef.current || !textareaRef.current) return;
+    highlightRef.current.scrollTop = textareaRef.current.scrollTop;
+    highlightRef.current.scrollLeft = textareaRef.current.scrollLeft;
+  };
+
+  const handleSelect = (e) => {
+    if (!programmaticSelectRef.current) onCursor?.(e.target.selectionStart);
+  };
+
+  const textClasses = 'm-0 p-3 font-mono text-sm leading-5 whitespace-pre';
+
+  return (
+    <div className={`flex flex-col min-h-0 min-w-0 ${className}`}>
+      <div className="flex items-center gap-2 mb-1 text-xs text-gray-600">
+        <span>Text{formatLabel && ` (${formatLabel})`}: edits update the tree as you type</span>
+        {onClose && (
+          <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close text pane">
+            <X size={14} />
+          </button>
+        )}
+      </div>
+      <div className="relative flex-1 min-h-0 bg-gray-900 rounded-lg border overflow-hidden">
+        {highlighted && (
+          <pre ref={highlightRef} aria-hidden="true" className={`${textClasses} absolute inset-0 overflow-hidden text-gray-300 pointer-events-none`}>
+            {tokens.map((token, i) => (
+              token.type ? <span key={i} className={TOKEN_CLASSES[token.type]}>{token.text}</span> : token.text
+            ))}
+            {'\n'}
+          </pre>
+        )}
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={syncScroll}
+          onSelect={handleSelect}
+          wrap="off"
+          spellCheck={false}
+          placeholder="Paste or type JSON / JSONL here"
+          className={`${textClasses} absolute inset-0 w-full h-full resize-none outline-none bg-transparent caret-white ${highlighted ? 'text-transparent' : 'text-gray-300'} placeholder:text-gray-500 selection:bg-blue-500/40`}
+        />
+      </div>
+      {error && (
+        <div className="mt-1 text-xs font-mono text-red-600 truncate" title={error.message}>
+          {error.message}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default SourceEditor;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { BarChart3, Filter, Crosshair, X } from 'lucide-react';
+import { formatPath } from '../lib/tree';
+import { formatBytes, STATS_QUERIES } from '../lib/stats';
+
+const TYPE_COLORS = {
+  object: 'bg-gray-500',
+  array: 'bg-gray-400',
+  string: 'bg-yellow-400',
+  number: 'bg-blue-400',
+  boolean: 'bg-orange-400',
+  null: 'bg-purple-400',
+};
+
+const Section = ({ title, children }) => (
+  <div className="min-w-0">
+    <div className="font-medium text-gray-800 mb-1">{title}</div>
+    {children}
+  </div>
+);
+
+const IconButton = ({ onClick, title, children }) => (
+  <button onClick={onClick} className="p-0.5 rounded text-gray-400 hover:text-gray-900 hover:bg-gray-100 shrink-0" title={title}>
+    {children}
+  </button>
+);
+
+const pathLabel = (path) => formatPath(path) || '(root)';
+
+// Overview of the document's structure (see lib/stats). Entries jump to a
+// node with `onReveal(path)` or filter the tree with `onFilter(query)`, which
+// runs a query in query mode.
+const StatsPanel = ({ stats, isComputing, showSizes, onShowSizesChange, onReveal, onFilter, onClose }) => {
+  const typeTotal = stats ? Object.values(stats.types).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg p-3 text-xs text-gray-600">
+      <div className="flex items-center gap-3">
+        <span className="font-medium text-gray-800 inline-flex items-center gap-1">
+          <BarChart3 size={14} /> Statistics
+        </span>
+        {isComputing && <span className="text-gray-400">Computing…</span>}
+        <label className="inline-flex items-center gap-1" title="Show the serialized size of every object and array on its row">
+          <input type="checkbox" checked={showSizes} onChange={(e) => onShowSizesChange(e.target.checked)} />
+          Size badges on rows
+        </label>
+        <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Close statistics">
+          <X size={14} />
+        </button>
+      </div>
+
+      {stats && (
+        <div className="mt-2 grid gap-4" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(16rem, 1fr))' }}>
+          <Section title="Overview">
+            <div>{stats.nodeCount.toLocaleString()} nodes • {formatBytes(stats.totalSize)} minified</div>
+            <div className="flex items-center gap-1">
+              Max depth {stats.maxDepth}
+              {stats.maxDepth > 0 && (
+                <IconButton onClick={() => onReveal(stats.deepestPath)} title={`Go to the deepest node, ${pathLabel(stats.deepestPath)}`}>
+                  <Crosshair size={12} />
+                </IconButton>
+              )}
+            </div>
+            <div className="mt-2 space-y-0.5">
+              {Object.entries(stats.types).filter(([, count]) => count > 0).map(([type, count]) => (
+                <div key={type} className="flex items-center gap-2">
+                  <span className="w-14">{type}</span>
+                  <span className="flex-1 h-2 bg-gray-100 rounded overflow-hidden">
+                    <span className={`block h-full ${TYPE_COLORS[type]}`} style={{ width: `${(count / typeTotal) * 100}%` }} />
+                  </span>
+                  <span className="w-20 text-right">{count.toLocaleString()}</span>
+                  <IconButton onClick={() => onFilter(STATS_QUERIES.type(type))} title={`Show every ${type}`}>
+                    <Filter size={12} />
+                  </IconButton>
+                </div>
+              ))}
+            </div>
+          </Section>
+
+          <Section title={`Frequent keys${stats.keysTruncated ? ' (too many distinct keys, some skipped)' : ''}`}>
+            <div className="max-h-48 overflow-auto">
+              {stats.keys.length === 0 && <div className="text-gray-400">No object keys</div>}
+              {stats.keys.map((entry) => (
+                <div key={entry.key} className="flex items-center gap-2 py-0.5">
+                  <span className="font-mono truncate flex-1" title={entry.key}>{entry.key}</span>
+                  <span title="Occurrences">{entry.count.toLocaleString()}×</span>
+                  <span className="text-gray-400 w-16 text-right" title="Distinct paths, ignoring array indices">
+                    {entry.pathCount.toLocaleString()} {entry.pathCount === 1 ? 'path' : 'paths'}
+                  </span>
+                  <IconButton onClick={() => onReveal(entry.example)} title={`Go to the first one, ${pathLabel(entry.example)}`}>
+                    <Crosshair size={12} />
+                  </IconButton>
+                  <IconButton onClick={() => onFilter(STATS_QUERIES.key(entry.key))} title="Show every occurrence">
+                    <Filter size={12} />
+                  </IconButton>
+                </div>
+              ))}
+            </div>
+          </Section>
+
+          <Section title="Largest subtrees">
+            <div className="max-h-48 overflow-auto">
+              {stats.largest.length === 0 && <div className="text-gray-400">No nested objects or arrays</div>}
+              {stats.largest.map((entry) => (
+                <button
+                  key={JSON.stringify(entry.path)}
+                  onClick={() => onReveal(entry.path)}
+                  className="w-full flex items-center gap-2 py-0.5 text-left hover:bg-gray-50"
+                  title="Go to this node"
+                >
+                  <span className="font-mono truncate flex-1">{pathLabel(entry.path)}</span>
+                  <span className="text-gray-400">{entry.type}</span>
+                  <span className="w-16 text-right">{formatBytes(entry.size)}</span>
+                  <span className="w-10 text-right text-gray-400">{((entry.size / stats.totalSize) * 100).toFixed(0)}%</span>
+                </button>
+              ))}
+            </div>
+          </Section>
+
+          {stats.sparse && (
+            <Section title={`Sometimes missing or null (${stats.sparse.recordCount.toLocaleString()} records)`}>
+              <div className="max-h-48 overflow-auto">
+                {stats.sparse.fields.length === 0 && <div className="text-gray-400">Every field is present and non-null in every record</div>}
+                {stats.sparse.fields.map((field) => (
+                  <div key={JSON.stringify(field.path)} className="flex items-center gap-2 py-0.5">
+                    <span className="font-mono truncate flex-1" title={formatPath(field.path)}>{formatPath(field.path)}</span>
+                    {field.missing > 0 && <span className="text-amber-700">missing {field.missing.toLocaleString()}</span>}
+                    {field.nulls > 0 && <span className="text-purple-700">null {field.nulls.toLocaleString()}</span>}
+                    <IconButton onClick={() => onFilter(STATS_QUERIES.field(field.path))} title="Show the records where it is missing or null">
+                      <Filter size={12} />
+                    </IconButton>
+                  </div>
+                ))}
+                {stats.sparse.total > stats.sparse.fields.length && (
+                  <div className="text-gray-400">{(stats.sparse.total - stats.sparse.fields.length).toLocaleString()} more</div>
+                )}
+              </div>
+            </Section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatsPanel;
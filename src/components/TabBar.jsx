@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Plus, X, History } from 'lucide-react';
+
+const formatOpenedAt = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Row of open documents. `tabs` are { id, title, isModified }. Recent files
+// ({ key, name, size, openedAt }) reopen with `onOpenRecent(entry)`; those
+// without a key were too large to keep and have to be opened from disk.
+const TabBar = ({ tabs, activeTabId, onSelect, onClose, onNew, recentFiles, onOpenRecent }) => {
+  const [showRecent, setShowRecent] = useState(false);
+
+  return (
+    <div className="flex items-end gap-1 px-2 pt-1 bg-gray-100 border-b border-gray-300 text-xs" role="tablist">
+      <div className="flex items-end gap-1 min-w-0 overflow-x-auto">
+        {tabs.map((tab) => {
+          const isActive = tab.id === activeTabId;
+          return (
+            <div
+              key={tab.id}
+              role="tab"
+              aria-selected={isActive}
+              onClick={() => onSelect(tab.id)}
+              onAuxClick={(e) => {
+                if (e.button === 1) onClose(tab.id);
+              }}
+              className={`group flex items-center gap-1 max-w-[14rem] pl-3 pr-1 py-1 rounded-t border border-b-0 cursor-pointer ${isActive ? 'bg-white border-gray-300 text-gray-900' : 'bg-gray-200 border-transparent text-gray-600 hover:bg-gray-50'}`}
+              title={tab.title}
+            >
+              <span className="truncate">{tab.title}</span>
+              {tab.isModified && <span className="text-orange-600" title="Unsaved changes">•</span>}
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onClose(tab.id);
+                }}
+                className={`p-0.5 rounded hover:bg-gray-300 ${isActive ? '' : 'opacity-0 group-hover:opacity-100'}`}
+                title="Close tab"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button onClick={onNew} className="mb-0.5 p-1 rounded text-gray-600 hover:bg-gray-200" title="New tab">
+        <Plus size={14} />
+      </button>
+
+      <div className="relative ml-auto mb-0.5">
+        <button
+          onClick={() => setShowRecent(!showRecent)}
+          className="px-2 py-1 rounded text-gray-600 hover:bg-gray-200 inline-flex items-center gap-1"
+          title="Recently opened files"
+        >
+          <History size={14} /> Recent
+        </button>
+        {showRecent && (
+          <div className="absolute right-0 z-40 mt-1 w-80 bg-white border border-gray-300 rounded-lg shadow-lg p-1">
+            {recentFiles.length === 0 && <div className="px-2 py-1 text-gray-400">No recent files</div>}
+            {recentFiles.map((entry) => (
+              <button
+                key={`${entry.key}:${entry.name}`}
+                disabled={!entry.key}
+                onClick={() => {
+                  setShowRecent(false);
+                  onOpenRecent(entry);
+                }}
+                className="w-full flex items-center gap-2 px-2 py-1 rounded text-left hover:bg-gray-100 disabled:opacity-50 disabled:hover:bg-transparent"
+                title={entry.key ? `Open ${entry.name} in a new tab` : 'Too large to keep a copy of; open it from disk'}
+              >
+                <span className="flex-1 truncate text-gray-800">{entry.name}</span>
+                <span className="text-gray-400 shrink-0">{formatOpenedAt(entry.openedAt)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TabBar;
@@ -0,0 +1,212 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { ArrowUp, ArrowDown, Columns3, X } from 'lucide-react';
+import VirtualList from './VirtualList';
+import TreeView from './TreeView';
+import { useExpansion } from '../hooks/useExpansion';
+import { inferColumns, getCell, cellText, tableRowIndices, formatColumnPath } from '../lib/table';
+import { isContainer, initialExpanded } from '../lib/tree';
+import { isLosslessNumber } from '../lib/lossless';
+import { redactAt } from '../lib/redact';
+
+const DEFAULT_WIDTH = 160;
+const INDEX_WIDTH = 64;
+const MIN_WIDTH = 48;
+const EMPTY_PATH = [];
+
+const cellClassName = (value) => {
+  if (value === null) return 'text-purple-400';
+  if (typeof value === 'string') return 'text-yellow-300';
+  if (typeof value === 'number' || isLosslessNumber(value)) return 'text-blue-400';
+  if (typeof value === 'boolean') return 'text-orange-400';
+  return 'text-gray-300';
+};
+
+// Tree of a single nested cell value, opened from the table
+const CellTree = ({ title, value, onClose }) => {
+  const { expanded, toggle, reset } = useExpansion();
+
+  useEffect(() => {
+    reset(initialExpanded(value, false));
+  }, [value, reset]);
+
+  return (
+    <div className="border-t border-gray-700 flex flex-col h-1/3 min-h-[120px]">
+      <div className="flex items-center text-xs text-gray-400 px-2 py-1">
+        <span className="truncate">{title}</span>
+        <button onClick={onClose} className="ml-auto p-1 hover:text-white" title="Close">
+          <X size={14} />
+        </button>
+      </div>
+      <TreeView data={value} rootName={title} expanded={expanded} onToggle={toggle} className="flex-1 min-h-0 px-2" />
+    </div>
+  );
+};
+
+// Spreadsheet-like grid over an array of records, with sortable, resizable,
+// filterable and hideable columns. Row numbers are the records' indices in the
+// array (for JSONL, the record number). With a `redactor` (see lib/redact),
+// the records, found at `basePath`, are shown, sorted and filtered redacted.
+const TableView = ({ records: documentRecords, basePath = EMPTY_PATH, title, onClose, redactor = null }) => {
+  const records = useMemo(
+    () => (redactor ? documentRecords.map((record, i) => redactAt(record, [...basePath, i], redactor)) : documentRecords),
+    [documentRecords, basePath, redactor],
+  );
+  const columns = useMemo(() => inferColumns(records), [records]);
+  const [hidden, setHidden] = useState(() => new Set());
+  const [widths, setWidths] = useState({});
+  const [sort, setSort] = useState(null);
+  const [filterDrafts, setFilterDrafts] = useState({});
+  const [filters, setFilters] = useState({});
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [openCell, setOpenCell] = useState(null);
+
+  // Filters apply after a short pause in typing, like search
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setFilters(filterDrafts), 300);
+    return () => clearTimeout(timeoutId);
+  }, [filterDrafts]);
+
+  const visibleColumns = columns.filter((column) => !hidden.has(column.id));
+  const rowIndices = useMemo(() => tableRowIndices(records, columns, filters, sort), [records, columns, filters, sort]);
+  const widthOf = (column) => widths[column.id] ?? DEFAULT_WIDTH;
+  const totalWidth = INDEX_WIDTH + visibleColumns.reduce((sum, column) => sum + widthOf(column), 0);
+
+  const toggleSort = (column) => {
+    if (sort?.columnId !== column.id) setSort({ columnId: column.id, direction: 'asc' });
+    else if (sort.direction === 'asc') setSort({ columnId: column.id, direction: 'desc' });
+    else setSort(null);
+  };
+
+  const toggleColumn = (column) => {
+    const next = new Set(hidden);
+    if (next.has(column.id)) next.delete(column.id);
+    else next.add(column.id);
+    setHidden(next);
+  };
+
+  const startResize = (column) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(column);
+    const handleMove = (moveEvent) => {
+      setWidths((prev) => ({ ...prev, [column.id]: Math.max(MIN_WIDTH, startWidth + moveEvent.clientX - startX) }));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const header = (
+    <div className="bg-gray-800 text-gray-300 text-xs border-b border-gray-700" style={{ width: totalWidth }}>
+      <div className="flex">
+        <div className="px-2 py-1 shrink-0 text-gray-500" style={{ width: INDEX_WIDTH }}>#</div>
+        {visibleColumns.map((column) => (
+          <div
+            key={column.id}
+            className="relative shrink-0 px-2 py-1 cursor-pointer select-none hover:bg-gray-700 flex items-center gap-1"
+            style={{ width: widthOf(column) }}
+            onClick={() => toggleSort(column)}
+            title={`${column.label} — click to sort`}
+          >
+            <span className="truncate">{column.label}</span>
+            {sort?.columnId === column.id && (sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+            <span
+              onMouseDown={startResize(column)}
+              onClick={(e) => e.stopPropagation()}
+              className="absolute right-0 top-0 h-full w-1 cursor-col-resize hover:bg-blue-400"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex">
+        <div className="shrink-0" style={{ width: INDEX_WIDTH }} />
+        {visibleColumns.map((column) => (
+          <div key={column.id} className="shrink-0 px-1 pb-1" style={{ width: widthOf(column) }}>
+            <input
+              value={filterDrafts[column.id] || ''}
+              onChange={(e) => setFilterDrafts({ ...filterDrafts, [column.id]: e.target.value })}
+              placeholder="filter"
+              title="Text to match, or a comparison such as >10, <=2024-01-01, =error, !=null"
+              className="w-full bg-gray-900 text-gray-200 border border-gray-700 rounded px-1 py-0 text-xs"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0">
+      <div className="flex items-center gap-3 mb-2 text-xs text-gray-600">
+        <span className="font-medium text-gray-800">{title}</span>
+        <span>{rowIndices.length.toLocaleString()} of {records.length.toLocaleString()} records</span>
+        <div className="relative">
+          <button
+            onClick={() => setShowColumnMenu(!showColumnMenu)}
+            className="inline-flex items-center gap-1 border border-gray-300 rounded px-2 py-1 hover:bg-gray-50"
+          >
+            <Columns3 size={12} /> Columns ({visibleColumns.length}/{columns.length})
+          </button>
+          {showColumnMenu && (
+            <div className="absolute z-30 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg p-2 w-64 max-h-80 overflow-auto">
+              <div className="flex gap-2 mb-1">
+                <button onClick={() => setHidden(new Set())} className="text-blue-600 hover:underline">Show all</button>
+                <button onClick={() => setHidden(new Set(columns.map((column) => column.id)))} className="text-blue-600 hover:underline">Hide all</button>
+              </div>
+              {columns.map((column) => (
+                <label key={column.id} className="flex items-center gap-2 py-0.5 font-mono">
+                  <input type="checkbox" checked={!hidden.has(column.id)} onChange={() => toggleColumn(column)} />
+                  <span className="truncate">{column.label}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        {onClose && (
+          <button onClick={onClose} className="ml-auto p-1 hover:text-gray-900" title="Back to tree view">
+            <X size={16} />
+          </button>
+        )}
+      </div>
+
+      <div className="bg-gray-900 rounded-lg font-mono text-sm flex flex-col flex-1 min-h-0 border">
+        <VirtualList
+          items={rowIndices}
+          getKey={String}
+          header={header}
+          className="flex-1 min-h-0"
+          renderItem={(recordIndex) => (
+            <div className="flex border-b border-gray-800 hover:bg-gray-800" style={{ width: totalWidth }}>
+              <div className="px-2 py-1 shrink-0 text-gray-500 text-xs" style={{ width: INDEX_WIDTH }}>{recordIndex}</div>
+              {visibleColumns.map((column) => {
+                const value = getCell(records[recordIndex], column);
+                return (
+                  <div key={column.id} className="px-2 py-1 shrink-0 truncate" style={{ width: widthOf(column) }} title={isContainer(value) ? undefined : cellText(value)}>
+                    {isContainer(value) ? (
+                      <button
+                        onClick={() => setOpenCell({ title: formatColumnPath([recordIndex, ...column.path]), value })}
+                        className="text-gray-400 hover:text-white underline decoration-dotted p-0 bg-transparent border-0 shadow-none"
+                        title="Open as tree"
+                      >
+                        {cellText(value)}
+                      </button>
+                    ) : (
+                      <span className={cellClassName(value)}>{cellText(value)}</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        />
+        {openCell && <CellTree title={openCell.title} value={openCell.value} onClose={() => setOpenCell(null)} />}
+      </div>
+    </div>
+  );
+};
+
+export default TableView;
@@ -0,0 +1,440 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown, File, Folder, FolderOpen, Copy, Check, Pencil, Tag, Plus, Trash2, Table, Download, Braces, ChevronsUpDown, ChevronsDownUp, Focus, EyeOff } from 'lucide-react';
+import { isTabular } from '../lib/table';
+import { isContainer } from '../lib/tree';
+import { isLosslessNumber } from '../lib/lossless';
+import { copyText } from '../lib/format';
+import { formatBytes } from '../lib/stats';
+import RowEditor from './RowEditor';
+import ValueExtras from './ValueExtras';
+import { detectValue } from '../lib/renderers';
+import { VALUE_TYPES, valueType, parseEditedValue } from '../lib/edit';
+import { redactRow } from '../lib/redact';
+
+// A single row of the flattened tree. Rows are stateless apart from hover, copy
+// feedback and an open inline editor; expansion lives in the parent so rows can
+// be unmounted freely. Edit controls are shown only when `onEdit` is given; it
+// receives an edit action (see applyEdit) and returns an error message or null.
+// `onOpenTable`, when given, adds a button on arrays of objects to open them in
+// the table view, and `onExport` one to export the node. `validationErrors`
+// lists schema violations at this node and `repairNotes` what repair mode
+// changed here. `onSelect` is told about clicks and `onHover` gets the row's
+// path when the pointer enters it and null when it leaves. With `rawStrings`,
+// strings are shown (and copied) as JSON string literals, escapes and all,
+// instead of as their text. `subtreeSize`, if given, is shown as a size badge.
+//
+// `renderers` (renderer settings, see lib/renderers) turns on extras for
+// recognised values. `onExpandJson(path)` shows a string holding JSON as a
+// subtree and returns an error message if it isn't JSON; such rows come back
+// with `isEmbeddedJson` and can be turned back with `onCollapseJson(path)`.
+//
+// Rows are `treeitem`s with `domId` as their id, for the tree's
+// aria-activedescendant. The active (focused) row shows its actions as if
+// hovered. `onExpandAll(path, value)` and `onCollapseAll(path)` add buttons
+// that expand or collapse a container and everything below it, and
+// `onFocusNode(path)` one that shows a container as the root of the tree.
+//
+// With a `redactor` (see lib/redact), copies are redacted, and `redaction`,
+// why this node is redacted, masks its value until clicked.
+//
+// Group rows of a view transform (see lib/viewTransforms) stand for no node
+// of their own, so they can only be expanded and copied.
+const TreeRow = React.memo(({ row, onToggle, onSelect, onHover, searchMatcher, isHighlighted, isActive, onEdit, onOpenTable, onExport, validationErrors, repairNotes, rawStrings, subtreeSize, renderers, onToggleTimeZone, onExpandJson, isEmbeddedJson, onCollapseJson, domId, onExpandAll, onCollapseAll, onFocusNode, redactor, redaction }) => {
+  const { id, name, data, level, isExpanded } = row;
+  const [isHovered, setIsHovered] = useState(false);
+  const [copySuccess, setCopySuccess] = useState(false);
+  const [editing, setEditing] = useState(null); // 'value' | 'key' | 'add'
+  const [expandError, setExpandError] = useState(null);
+  const [isRevealed, setIsRevealed] = useState(false);
+
+  const indent = level * 20;
+  const isObject = isContainer(data) && !Array.isArray(data);
+  const isArray = Array.isArray(data);
+  const isPrimitive = !isObject && !isArray;
+  const isGroup = !!row.group;
+  const isMasked = !!redaction && isPrimitive && !isRevealed && data !== null && typeof data !== 'boolean';
+  const detection = renderers && isPrimitive && !isMasked ? detectValue(data, typeof row.segment === 'string' ? row.segment : null, renderers) : null;
+
+  // Array indices are not keys, so only object members can match by key
+  const isKeyMatch = !!searchMatcher && searchMatcher.scope !== 'values' &&
+    typeof row.segment === 'string' && searchMatcher.test(name);
+  const isValueMatch = !!searchMatcher && searchMatcher.scope !== 'keys' && isPrimitive &&
+    searchMatcher.test(String(data));
+
+  const toggleExpanded = () => onToggle(id);
+
+  // Highlight matching parts of a key
+  const highlightText = (text, shouldHighlight) => {
+    if (!shouldHighlight || typeof text !== 'string') return text;
+
+    return searchMatcher.split(text).map((part, i) => (
+      part.match ? (
+        <span key={i} className="bg-gray-700 text-white px-1 rounded font-medium">
+          {part.text}
+        </span>
+      ) : part.text
+    ));
+  };
+
+  const copyToClipboard = async (e) => {
+    e.stopPropagation();
+
+    try {
+      await navigator.clipboard.writeText(copyText(redactor ? redactRow(row, redactor, redaction) : data, rawStrings));
+      setCopySuccess(true);
+      setTimeout(() => setCopySuccess(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  // Double-click to copy functionality
+  const handleDoubleClick = (e) => {
+    e.stopPropagation();
+    copyToClipboard(e);
+  };
+
+  const renderValue = (value) => {
+    if (value === null) return <span className="text-purple-400">null</span>;
+    if (typeof value === 'string') {
+      if (rawStrings) return <span className="text-yellow-300">{JSON.stringify(value)}</span>;
+      return (
+        <span className="text-yellow-300">
+          "<pre className="inline whitespace-pre-wrap font-mono">{value}</pre>"
+        </span>
+      );
+    }
+    if (typeof value === 'number') return <span className="text-blue-400">{value}</span>;
+    if (isLosslessNumber(value)) {
+      return (
+        <span className="text-blue-400 border-b border-dotted border-blue-400" title={`Exact value kept from the file; as a JavaScript number it would be ${Number(value)}`}>
+          {value.literal}
+        </span>
+      );
+    }
+    if (typeof value === 'boolean') return <span className="text-orange-400">{value.toString()}</span>;
+    return value;
+  };
+
+  const isObjectMember = typeof row.segment === 'string';
+
+  const commitEdit = (action) => {
+    const error = onEdit(action);
+    if (!error) setEditing(null);
+    return error;
+  };
+
+  const commitValue = (text) => {
+    try {
+      return commitEdit({ type: 'set', path: row.path, value: parseEditedValue(text, valueType(data)) });
+    } catch (err) {
+      return err.message;
+    }
+  };
+
+  const addChild = (e) => {
+    e.stopPropagation();
+    if (isArray) {
+      onEdit({ type: 'insert', path: row.path, index: data.length, value: null });
+    } else {
+      setEditing('add');
+    }
+  };
+
+  const startEditing = (mode) => (e) => {
+    e.stopPropagation();
+    setEditing(mode);
+  };
+
+  const renderEditActions = () => (
+    <span className="inline-flex items-center gap-1 ml-1" onClick={(e) => e.stopPropagation()} style={{ alignSelf: 'flex-start' }}>
+      <select
+        value={valueType(data)}
+        onChange={(e) => onEdit({ type: 'convert', path: row.path, valueType: e.target.value })}
+        onDoubleClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 text-gray-300 text-xs rounded border border-gray-600 px-1 py-0"
+        title="Change type"
+      >
+        {VALUE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+      </select>
+      {isPrimitive && data !== null && (
+        <button onClick={startEditing('value')} className="p-1 rounded hover:bg-gray-700 text-gray-400" title="Edit value">
+          <Pencil size={14} />
+        </button>
+      )}
+      {isObjectMember && (
+        <button onClick={startEditing('key')} className="p-1 rounded hover:bg-gray-700 text-gray-400" title="Rename key">
+          <Tag size={14} />
+        </button>
+      )}
+      {!isPrimitive && (
+        <button onClick={addChild} className="p-1 rounded hover:bg-gray-700 text-gray-400" title={isArray ? 'Append item' : 'Add property'}>
+          <Plus size={14} />
+        </button>
+      )}
+      {row.parent && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onEdit({ type: 'remove', path: row.path });
+          }}
+          className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-red-400"
+          title="Delete"
+        >
+          <Trash2 size={14} />
+        </button>
+      )}
+    </span>
+  );
+
+  const getIcon = () => {
+    if (isPrimitive) return <File size={16} className="text-gray-400" />;
+    if (isExpanded) return <FolderOpen size={16} className="text-yellow-400" />;
+    return <Folder size={16} className="text-yellow-400" />;
+  };
+
+  const getChevron = () => {
+    if (isPrimitive) return <span className="w-4" />;
+    return isExpanded ?
+      <ChevronDown size={16} className="text-gray-400 cursor-pointer" /> :
+      <ChevronRight size={16} className="text-gray-400 cursor-pointer" />;
+  };
+
+  const showActions = isHovered || isActive;
+
+  return (
+    <div
+      id={domId}
+      role="treeitem"
+      aria-level={level + 1}
+      aria-expanded={isPrimitive ? undefined : isExpanded}
+      aria-selected={isActive}
+      className={`flex items-start gap-1 py-1 hover:bg-gray-800 rounded px-1 cursor-pointer group relative select-none ${isHighlighted ? 'bg-gray-800 border-l-2 border-blue-400' : ''} ${isActive ? 'ring-1 ring-blue-400' : ''}`}
+      style={{ paddingLeft: `${indent}px` }}
+      onClick={() => {
+        onSelect?.(row.path);
+        if (!isPrimitive) toggleExpanded();
+      }}
+      onDoubleClick={handleDoubleClick}
+      onMouseEnter={() => {
+        setIsHovered(true);
+        onHover?.(row.path);
+      }}
+      onMouseLeave={() => {
+        setIsHovered(false);
+        onHover?.(null);
+      }}
+      title={isPrimitive ? "Double-click to copy" : "Click to expand/collapse, double-click to copy JSON"}
+    >
+      {/* Sticky container for chevron, icon, key, and ":" */}
+      <div
+        className="flex items-start gap-1 sticky top-[10px] bg-gray-900 z-10"
+        style={{ minWidth: 0 }}
+      >
+        {getChevron()}
+        {getIcon()}
+        {editing === 'key' ? (
+          <span className="ml-1" style={{ minWidth: 100, maxWidth: 220 }}>
+            <RowEditor
+              initialValue={row.segment}
+              onCommit={(key) => commitEdit({ type: 'rename', path: row.path, key })}
+              onCancel={() => setEditing(null)}
+            />
+          </span>
+        ) : (
+          <span
+            className="text-gray-300 ml-1"
+            style={{ minWidth: 100, maxWidth: 220, flexShrink: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', alignSelf: 'flex-start' }}
+          >
+            {highlightText(name, isKeyMatch)}
+            {isArray && <span className="text-gray-500">[{data.length}]</span>}
+            {isObject && <span className="text-gray-500">{"{"}{Object.keys(data).length}{"}"}</span>}
+          </span>
+        )}
+        {subtreeSize !== undefined && (
+          <span className="ml-1 px-1 rounded bg-gray-800 text-gray-400 text-xs shrink-0" title="Size as minified JSON" style={{ alignSelf: 'flex-start' }}>
+            {formatBytes(subtreeSize)}
+          </span>
+        )}
+        {redaction && !isPrimitive && (
+          <span className="ml-1 px-1 rounded bg-gray-800 text-gray-400 text-xs shrink-0" title={`Values below are redacted: ${redaction}`} style={{ alignSelf: 'flex-start' }}>
+            redacted
+          </span>
+        )}
+        {isEmbeddedJson && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onCollapseJson?.(row.path);
+            }}
+            className="ml-1 px-1 rounded bg-gray-800 border border-gray-600 text-gray-400 hover:text-gray-200 text-xs inline-flex items-center gap-1 shrink-0"
+            title="Parsed from a JSON string; click to show the string again"
+            style={{ alignSelf: 'flex-start' }}
+          >
+            <Braces size={12} /> from string
+          </button>
+        )}
+        {isPrimitive && (
+          <span className="text-gray-500 mx-2" style={{ alignSelf: 'flex-start' }}>:</span>
+        )}
+      </div>
+      {editing === 'add' && (
+        <RowEditor
+          initialValue=""
+          placeholder="new key"
+          onCommit={(key) => commitEdit({ type: 'add', path: row.path, key })}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+      {isPrimitive && editing === 'value' && (
+        <RowEditor
+          initialValue={String(data)}
+          multiline={typeof data === 'string' && data.includes('\n')}
+          onCommit={commitValue}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+      {isPrimitive && editing !== 'value' && (
+        <span
+          className="flex-1 min-w-0 break-words"
+          style={{ wordBreak: 'break-word', whiteSpace: 'pre-wrap', alignSelf: 'flex-start' }}
+        >
+          {isMasked ? (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setIsRevealed(true);
+              }}
+              className="px-1 rounded bg-gray-700 text-gray-400 hover:text-gray-200"
+              title={`Redacted: ${redaction}. Click to show it here; copies stay redacted.`}
+            >
+              •••••• redacted
+            </button>
+          ) : isValueMatch ? (
+            <span className="bg-gray-700 text-white px-1 rounded font-medium">
+              {renderValue(data)}
+            </span>
+          ) : (
+            renderValue(data)
+          )}
+          {redaction && isRevealed && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setIsRevealed(false);
+              }}
+              className="ml-2 p-0.5 rounded text-gray-500 hover:text-gray-200 align-middle"
+              title="Hide it again"
+            >
+              <EyeOff size={12} />
+            </button>
+          )}
+        </span>
+      )}
+
+      {detection && editing !== 'value' && (
+        <ValueExtras
+          detection={detection}
+          settings={renderers}
+          onToggleTimeZone={onToggleTimeZone}
+          onExpandJson={onExpandJson && (() => setExpandError(onExpandJson(row.path)))}
+          expandError={expandError}
+        />
+      )}
+
+      {validationErrors && (
+        <span
+          className="ml-2 px-1 rounded bg-red-900 text-red-300 text-xs shrink-0"
+          title={validationErrors.join('\n')}
+          style={{ alignSelf: 'flex-start' }}
+        >
+          ✕ {validationErrors.length > 1 ? `${validationErrors.length} errors` : validationErrors[0]}
+        </span>
+      )}
+
+      {repairNotes && (
+        <span
+          className="ml-2 px-1 rounded bg-amber-900 text-amber-300 text-xs shrink-0"
+          title={repairNotes.join('\n')}
+          style={{ alignSelf: 'flex-start' }}
+        >
+          repaired
+        </span>
+      )}
+
+      {showActions && onEdit && !editing && !isGroup && renderEditActions()}
+
+      {showActions && !isGroup && onOpenTable && isArray && isTabular(data) && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onOpenTable(row.path); }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title="Open as table"
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <Table size={14} className="text-gray-400" />
+        </button>
+      )}
+
+      {showActions && !isGroup && onFocusNode && !isPrimitive && row.parent && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onFocusNode(row.path); }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title="Focus here: show only this node"
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <Focus size={14} className="text-gray-400" />
+        </button>
+      )}
+
+      {showActions && !isGroup && onExpandAll && !isPrimitive && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onExpandAll(row.path, data); }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title="Expand all below (+)"
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <ChevronsUpDown size={14} className="text-gray-400" />
+        </button>
+      )}
+
+      {showActions && !isGroup && onCollapseAll && !isPrimitive && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onCollapseAll(row.path); }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title="Collapse all below (-)"
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <ChevronsDownUp size={14} className="text-gray-400" />
+        </button>
+      )}
+
+      {showActions && !isGroup && onExport && !isPrimitive && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onExport(row.path); }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title="Export…"
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <Download size={14} className="text-gray-400" />
+        </button>
+      )}
+
+      {showActions && (
+        <button
+          onClick={copyToClipboard}
+          className="ml-2 p-1 rounded hover:bg-gray-700 transition-colors opacity-70 hover:opacity-100"
+          title={isPrimitive ? "Copy value" : "Copy JSON"}
+          style={{ alignSelf: 'flex-start' }}
+        >
+          {copySuccess ? (
+            <Check size={14} className="text-green-400" />
+          ) : (
+            <Copy size={14} className="text-gray-400" />
+          )}
+        </button>
+      )}
+    </div>
+  );
+});
+
+export default TreeRow;
@@ -0,0 +1,172 @@
+import React, { useMemo, useRef, useEffect, useState, useId, useCallback } from 'react';
+import VirtualList from './VirtualList';
+import TreeRow from './TreeRow';
+import { flattenTree, pathKey, subtreeKeys } from '../lib/tree';
+import { copyText } from '../lib/format';
+import { formatPathAs } from '../lib/pathFormats';
+import { redactRow } from '../lib/redact';
+
+const getRowKey = (row) => row.id;
+const EMPTY_SET = new Set();
+const EMPTY_MAP = new Map();
+const EMPTY_PATH = [];
+
+// With `vimKeys`, these stand in for the arrow keys, Home and End
+const VIM_KEYS = { j: 'ArrowDown', k: 'ArrowUp', h: 'ArrowLeft', l: 'ArrowRight', g: 'Home', G: 'End' };
+
+// Renders a document as a windowed list of its visible rows. Expansion state is
+// owned by the caller (see useExpansion) and passed in as a Set of path ids.
+//
+// `revealRequest` ({ id }) scrolls a row into view once it is visible; callers
+// expand its ancestors and pass a new request object each time.
+//
+// `data` may be a subtree of the document found at `rootPath` (a focused
+// node); row paths and ids are still those in the whole document.
+// `rootItems` limits a root array to the items at those indices, and
+// `childEntries` applies view transforms (see flattenTree).
+//
+// `subtreeSizes` (a WeakMap from containers to byte sizes, see lib/stats)
+// adds size badges. `renderers` enables value renderers; `embeddedJsonIds` are the ids of
+// strings currently shown parsed (see TreeRow for the callbacks). With a
+// `redactor`, `redactions` maps ids to why they are redacted (see
+// lib/redact) and copies are redacted.
+//
+// The list is an ARIA tree with `activeId` as its focused row. Arrow keys
+// move through it and expand or collapse rows (`onSelect` is told about
+// moves), Home/End go to the ends, Enter/Space toggle, `*` expands all
+// siblings, `+`/`-` expand or collapse the row and everything below it, and
+// `c`/`p` copy its value/path. `onExpand(ids)` and `onCollapse(id)` (which
+// collapses the whole subtree) make the multi-row changes.
+const TreeView = ({ data, rootName, rootPath = EMPTY_PATH, rootItems = null, childEntries = null, expanded, onToggle, onExpand, onCollapse, vimKeys = false, onSelect, onHover, searchMatcher = null, highlightedIds = EMPTY_SET, activeId = null, revealRequest = null, onEdit, onOpenTable, onExport, validationErrors = EMPTY_MAP, repairNotes = EMPTY_MAP, rawStrings = false, subtreeSizes = null, renderers = null, onToggleTimeZone, onExpandJson, embeddedJsonIds = EMPTY_SET, onCollapseJson, onFocusNode, redactor = null, redactions = EMPTY_MAP, className = '' }) => {
+  const listRef = useRef(null);
+  const handledRevealRef = useRef(null);
+  const baseId = useId();
+  const [notice, setNotice] = useState(null);
+
+  const rows = useMemo(
+    () => flattenTree(data, rootName, expanded, rootPath, rootItems, childEntries),
+    [data, rootName, expanded, rootPath, rootItems, childEntries],
+  );
+  const activeIndex = activeId === null ? -1 : rows.findIndex((row) => row.id === activeId);
+
+  useEffect(() => {
+    if (!revealRequest || handledRevealRef.current === revealRequest) return;
+    const index = rows.findIndex((row) => row.id === revealRequest.id);
+    if (index === -1) return;
+    handledRevealRef.current = revealRequest;
+    listRef.current?.scrollToIndex(index, 'center');
+  }, [revealRequest, rows]);
+
+  const expandAll = useCallback((path, value) => onExpand?.(subtreeKeys(value, path)), [onExpand]);
+  const collapseAll = useCallback((path) => onCollapse?.(pathKey(path)), [onCollapse]);
+
+  const copy = async (text, what) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice(`Copied ${what}`);
+    } catch (err) {
+      setNotice(`Failed to copy: ${err.message || err}`);
+    }
+    setTimeout(() => setNotice(null), 2000);
+  };
+
+  const moveTo = (index) => {
+    const target = Math.max(0, Math.min(rows.length - 1, index));
+    onSelect?.(rows[target].path);
+    listRef.current?.scrollToIndex(target, 'nearest');
+  };
+
+  const handleKeyDown = (e) => {
+    // Keys typed into a row's editor are the editor's
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey || rows.length === 0) return;
+    const key = (vimKeys && VIM_KEYS[e.key]) || e.key;
+    const row = rows[activeIndex];
+    const isMove = ['ArrowDown', 'ArrowUp', 'ArrowRight', 'ArrowLeft', 'Home', 'End'].includes(key);
+    if (!row && !isMove) return;
+
+    if (!row) {
+      moveTo(0);
+    } else if (key === 'ArrowDown') {
+      moveTo(activeIndex + 1);
+    } else if (key === 'ArrowUp') {
+      moveTo(activeIndex - 1);
+    } else if (key === 'ArrowRight') {
+      if (row.isExpandable && !row.isExpanded) onToggle(row.id);
+      else if (row.isExpanded && rows[activeIndex + 1]?.parent === row) moveTo(activeIndex + 1);
+    } else if (key === 'ArrowLeft') {
+      if (row.isExpanded) onToggle(row.id);
+      else if (row.parent) moveTo(rows.lastIndexOf(row.parent, activeIndex));
+    } else if (key === 'Home') {
+      moveTo(0);
+    } else if (key === 'End') {
+      moveTo(rows.length - 1);
+    } else if (key === 'Enter' || key === ' ') {
+      if (row.isExpandable) onToggle(row.id);
+    } else if (key === '*') {
+      // Siblings are all shown, since their parent is expanded
+      const parent = row.parent;
+      onExpand?.(parent ? rows.filter((sibling) => sibling.parent === parent && sibling.isExpandable).map((sibling) => sibling.id) : [row.id]);
+    } else if (key === '+' && !row.group) {
+      expandAll(row.path, row.data);
+    } else if (key === '-' && !row.group) {
+      collapseAll(row.path);
+    } else if (key === 'c') {
+      copy(copyText(redactor ? redactRow(row, redactor, redactions.get(row.id)) : row.data, rawStrings), 'value');
+    } else if (key === 'p') {
+      copy(formatPathAs(row.path, 'js'), 'path');
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <div className={`relative flex flex-col ${className}`}>
+      <VirtualList
+        ref={listRef}
+        items={rows}
+        getKey={getRowKey}
+        className="flex-1 min-h-0 focus:outline-none"
+        role="tree"
+        aria-label={rootName}
+        aria-activedescendant={activeIndex === -1 ? undefined : `${baseId}-${activeIndex}`}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        renderItem={(row, index) => (
+          <TreeRow
+            row={row}
+            domId={`${baseId}-${index}`}
+            onToggle={onToggle}
+            onSelect={onSelect}
+            onHover={onHover}
+            searchMatcher={searchMatcher}
+            isHighlighted={highlightedIds.has(row.id)}
+            isActive={row.id === activeId}
+            onEdit={onEdit}
+            onOpenTable={onOpenTable}
+            onExport={onExport}
+            validationErrors={validationErrors.get(row.id)}
+            repairNotes={repairNotes.get(row.id)}
+            rawStrings={rawStrings}
+            subtreeSize={subtreeSizes?.get(row.data)}
+            renderers={renderers}
+            onToggleTimeZone={onToggleTimeZone}
+            onExpandJson={onExpandJson}
+            isEmbeddedJson={embeddedJsonIds.has(row.id)}
+            onCollapseJson={onCollapseJson}
+            onExpandAll={onExpand ? expandAll : undefined}
+            onCollapseAll={onCollapse ? collapseAll : undefined}
+            onFocusNode={onFocusNode}
+            redactor={redactor}
+            redaction={redactions.get(row.id)}
+          />
+        )}
+      />
+      <div role="status" className="absolute bottom-2 right-2 z-30">
+        {notice && <span className="px-2 py-1 rounded bg-gray-700 text-gray-100 text-xs">{notice}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default TreeView;
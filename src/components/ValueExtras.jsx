@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { ExternalLink, Braces, Clock } from 'lucide-react';
+import { formatDate, relativeTime } from '../lib/renderers';
+import { openExternalUrl } from '../lib/platform';
+
+// Extras shown after a tree value recognised by a renderer (see
+// lib/renderers): a readable date, a color swatch, a link button, an image
+// preview or an "expand as JSON" button. Clicks stay inside so they don't
+// toggle or select the row.
+const stop = (e) => e.stopPropagation();
+
+const DateLabel = ({ date, dateOnly, unit, settings, onToggleTimeZone }) => (
+  <button
+    onClick={(e) => {
+      stop(e);
+      onToggleTimeZone?.();
+    }}
+    className="ml-2 text-xs text-cyan-400 hover:text-cyan-300 inline-flex items-center gap-1"
+    title={`${date.toISOString()}${unit ? ` (epoch ${unit})` : ''}${dateOnly ? '' : ` • click to show in ${settings.timeZone === 'utc' ? 'local time' : 'UTC'}`}`}
+  >
+    <Clock size={12} />
+    {formatDate(date, settings.timeZone, dateOnly)} • {relativeTime(date)}
+  </button>
+);
+
+const ImagePreview = ({ src, mimeType }) => {
+  const [isLarge, setIsLarge] = useState(false);
+  return (
+    <img
+      src={src}
+      alt={mimeType}
+      title={`${mimeType} • click to ${isLarge ? 'shrink' : 'enlarge'}`}
+      onClick={(e) => {
+        stop(e);
+        setIsLarge(!isLarge);
+      }}
+      className={`ml-2 rounded border border-gray-600 bg-gray-800 shrink-0 ${isLarge ? 'max-h-96 max-w-md' : 'max-h-16 max-w-32'}`}
+    />
+  );
+};
+
+const ValueExtras = ({ detection, settings, onToggleTimeZone, onExpandJson, expandError }) => {
+  switch (detection.id) {
+    case 'timestamp':
+      return <DateLabel {...detection} settings={settings} onToggleTimeZone={onToggleTimeZone} />;
+    case 'uuid':
+      return (
+        <span className="ml-2 text-xs text-gray-500 inline-flex items-center gap-1">
+          UUID v{detection.version}
+          {detection.date && <DateLabel date={detection.date} dateOnly={false} settings={settings} onToggleTimeZone={onToggleTimeZone} />}
+        </span>
+      );
+    case 'color':
+      return (
+        <span
+          className="ml-2 inline-block w-4 h-4 rounded border border-gray-500 shrink-0"
+          style={{ background: detection.css, alignSelf: 'flex-start' }}
+          title={detection.css}
+        />
+      );
+    case 'url':
+      return (
+        <button
+          onClick={(e) => {
+            stop(e);
+            openExternalUrl(detection.href).catch((err) => console.error('Failed to open link:', err));
+          }}
+          className="ml-2 p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-blue-300"
+          title={`Open ${detection.href}`}
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <ExternalLink size={14} />
+        </button>
+      );
+    case 'image':
+      return <ImagePreview src={detection.src} mimeType={detection.mimeType} />;
+    case 'json':
+      if (!onExpandJson) return null;
+      return (
+        <button
+          onClick={(e) => {
+            stop(e);
+            onExpandJson();
+          }}
+          className={`ml-2 px-1 rounded text-xs inline-flex items-center gap-1 shrink-0 ${expandError ? 'text-red-400' : 'text-gray-400 hover:bg-gray-700 hover:text-gray-200'}`}
+          title={expandError ? `Not valid JSON: ${expandError}` : `Show this string as a JSON ${detection.kind}`}
+          style={{ alignSelf: 'flex-start' }}
+        >
+          <Braces size={12} /> {expandError ? 'not JSON' : 'expand as JSON'}
+        </button>
+      );
+    default:
+      return null;
+  }
+};
+
+export default ValueExtras;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import { VIEW_TRANSFORMS, describeTransform } from '../lib/viewTransforms';
+import { parseFieldPath } from '../lib/query';
+
+// Dropdown for stacking view transforms (see lib/viewTransforms), with the
+// ones in use shown as chips that remove them. `transforms` are in the order
+// they were added; adding one of a type already in use replaces it.
+const ViewTransforms = ({ transforms, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [fields, setFields] = useState({ sortBy: '', groupBy: '' });
+  const [error, setError] = useState(null);
+
+  const active = (type) => transforms.find((transform) => transform.type === type);
+  const without = (type) => transforms.filter((transform) => transform.type !== type);
+
+  const toggle = (type) => onChange(active(type) ? without(type) : [...transforms, { type }]);
+
+  const applyField = (type) => {
+    const field = fields[type].trim();
+    try {
+      parseFieldPath(field);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError(null);
+    onChange([...without(type), { type, field }]);
+  };
+
+  return (
+    <div className="flex items-center gap-1 flex-wrap">
+      <div className="relative">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className={`px-2 py-0.5 rounded border ${transforms.length > 0 ? 'border-yellow-600 text-yellow-300' : 'border-gray-600 text-gray-400'} hover:text-gray-200 inline-flex items-center gap-1`}
+          title="Sort, hide, flatten or group what the tree shows, without changing the document"
+        >
+          <SlidersHorizontal size={12} /> View{transforms.length > 0 ? ` (${transforms.length})` : ''}
+        </button>
+        {isOpen && (
+          <div className="absolute left-0 z-30 mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg p-2 w-72 text-gray-200">
+            {VIEW_TRANSFORMS.filter((transform) => !transform.hasField).map((transform) => (
+              <label key={transform.type} className="flex items-center gap-2 py-0.5">
+                <input type="checkbox" checked={!!active(transform.type)} onChange={() => toggle(transform.type)} />
+                {transform.label}
+              </label>
+            ))}
+            <div className="pt-2 mt-1 border-t border-gray-700">
+              {VIEW_TRANSFORMS.filter((transform) => transform.hasField).map((transform) => (
+                <div key={transform.type} className="flex items-center gap-1 py-0.5">
+                  <span className="w-24 shrink-0">{transform.label}</span>
+                  <input
+                    value={fields[transform.type]}
+                    onChange={(e) => setFields({ ...fields, [transform.type]: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') applyField(transform.type);
+                    }}
+                    placeholder={transform.type === 'sortBy' ? '.timestamp' : '.status'}
+                    className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded px-1 font-mono"
+                    title={'A field of each item, written as in a record filter: user.id, tags[0], .["content-type"]'}
+                  />
+                  <button onClick={() => applyField(transform.type)} className="px-2 rounded border border-gray-600 hover:text-white">
+                    Apply
+                  </button>
+                </div>
+              ))}
+              {error && <div className="text-red-400 mt-1">{error}</div>}
+            </div>
+          </div>
+        )}
+      </div>
+      {transforms.map((transform) => (
+        <span key={transform.type} className="px-1 rounded bg-gray-800 border border-gray-600 text-gray-300 inline-flex items-center gap-1">
+          {describeTransform(transform)}
+          <button onClick={() => onChange(without(transform.type))} className="text-gray-500 hover:text-gray-200" title="Remove">
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default ViewTransforms;
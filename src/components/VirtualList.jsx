@@ -0,0 +1,171 @@
+import React, { useState, useMemo, useRef, useLayoutEffect, useImperativeHandle, forwardRef } from 'react';
+
+// Wrapper that registers a mounted row with the shared ResizeObserver
+const MeasuredRow = ({ rowKey, observerRef, children }) => {
+  const elementRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = elementRef.current;
+    const observer = observerRef.current;
+    observer?.observe(element);
+    return () => observer?.unobserve(element);
+  }, [observerRef]);
+
+  return <div ref={elementRef} data-key={rowKey}>{children}</div>;
+};
+
+// Windowed list with measured row heights. Only the rows intersecting the
+// viewport (plus `overscan` on either side) are mounted. Rows are assumed to be
+// `estimateSize` tall until they have been rendered and measured, which keeps
+// wrapped multi-line values working without measuring the whole list.
+// `header`, if given, stays stuck to the top of the viewport above the rows.
+// Other props (role, tabIndex, aria-*, key handlers) go on the scrolling
+// container.
+const VirtualList = forwardRef(({ items, getKey, renderItem, header = null, estimateSize = 28, overscan = 10, className = '', ...containerProps }, ref) => {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const estimateRef = useRef(estimateSize);
+  estimateRef.current = estimateSize;
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollTopRef = useRef(0);
+  scrollTopRef.current = scrollTop;
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [headerHeight, setHeaderHeight] = useState(0);
+  const headerRef = useRef(null);
+
+  // offsets[i] is the top of row i; offsets[items.length] is the total height.
+  // Only rows whose measured height differs from the estimate are in the map.
+  const offsets = useMemo(() => {
+    const heights = heightsRef.current;
+    const result = new Float64Array(items.length + 1);
+    for (let i = 0; i < items.length; i++) {
+      const measured = heights.size > 0 ? heights.get(getKey(items[i])) : undefined;
+      result[i + 1] = result[i] + (measured ?? estimateSize);
+    }
+    return result;
+    // measureVersion invalidates the offsets when a row's height changes
+  }, [items, getKey, estimateSize, measureVersion]);
+
+  const findIndex = (offset) => {
+    let low = 0;
+    let high = items.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (offsets[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return Math.max(0, low);
+  };
+
+  // The sticky header covers the top of the viewport, so at scroll position S
+  // the rows from offset S to S + (viewport - header) are on screen
+  const start = Math.max(0, findIndex(scrollTop) - overscan);
+  const end = Math.min(items.length, findIndex(scrollTop + viewportHeight - headerHeight) + overscan + 1);
+
+  // Created during render so rows can register in their own layout effects,
+  // which run before this component's
+  if (!observerRef.current) {
+    observerRef.current = new ResizeObserver((entries) => {
+      let changed = false;
+      entries.forEach((entry) => {
+        const key = entry.target.dataset.key;
+        if (key === undefined || !entry.target.isConnected) return;
+        const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+        const estimate = estimateRef.current;
+        const previous = heightsRef.current.get(key) ?? estimate;
+        if (Math.abs(previous - height) < 0.5) return;
+        if (Math.abs(height - estimate) < 0.5) {
+          heightsRef.current.delete(key);
+        } else {
+          heightsRef.current.set(key, height);
+        }
+        changed = true;
+      });
+      if (changed) setMeasureVersion((v) => v + 1);
+    });
+  }
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const resizeObserver = new ResizeObserver(() => {
+      // A hidden list (display: none, e.g. in a background tab) loses its
+      // scroll position; put it back when it is shown again
+      if (container.clientHeight > 0 && container.scrollTop !== scrollTopRef.current) {
+        container.scrollTop = scrollTopRef.current;
+      }
+      setViewportHeight(container.clientHeight);
+      setHeaderHeight(headerRef.current?.offsetHeight ?? 0);
+    });
+    resizeObserver.observe(container);
+    setViewportHeight(container.clientHeight);
+
+    if (headerRef.current) {
+      resizeObserver.observe(headerRef.current);
+      setHeaderHeight(headerRef.current.offsetHeight);
+    }
+
+    return () => {
+      resizeObserver.disconnect();
+      observerRef.current.disconnect();
+    };
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex: (index, align = 'center') => {
+      const container = containerRef.current;
+      if (!container || index < 0 || index >= items.length) return;
+      const top = offsets[index];
+      const height = offsets[index + 1] - top;
+      const visibleHeight = container.clientHeight - headerHeight;
+      if (align === 'nearest') {
+        if (top < container.scrollTop) container.scrollTop = top;
+        else if (top + height > container.scrollTop + visibleHeight) {
+          container.scrollTop = top + height - visibleHeight;
+        }
+        return;
+      }
+      container.scrollTop = align === 'start' ? top : top - (visibleHeight - height) / 2;
+    },
+    getScrollTop: () => containerRef.current?.scrollTop ?? 0,
+    setScrollTop: (value) => {
+      if (containerRef.current) containerRef.current.scrollTop = value;
+    },
+  }), [items, offsets, headerHeight]);
+
+  const visible = [];
+  for (let i = start; i < end; i++) {
+    const key = getKey(items[i]);
+    visible.push(
+      <MeasuredRow key={key} rowKey={key} observerRef={observerRef}>
+        {renderItem(items[i], i)}
+      </MeasuredRow>
+    );
+  }
+
+  return (
+    <div
+      {...containerProps}
+      ref={containerRef}
+      className={`overflow-auto ${className}`}
+      onScroll={(e) => {
+        // Hiding the list resets its scroll position; keep the last real one
+        if (e.currentTarget.clientHeight > 0) setScrollTop(e.currentTarget.scrollTop);
+      }}
+    >
+      {header && (
+        <div ref={headerRef} className="sticky top-0 z-20">
+          {header}
+        </div>
+      )}
+      <div style={{ height: offsets[items.length], position: 'relative' }}>
+        <div style={{ position: 'absolute', top: offsets[start], left: 0, right: 0 }}>
+          {visible}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default VirtualList;
@@ -0,0 +1,43 @@
+import { useState, useCallback } from 'react';
+import { isInSubtree } from '../lib/tree';
+
+// Expand/collapse state for a tree, kept as an immutable Set of path ids so it
+// lives outside the row components and survives rows scrolling out of view.
+export const useExpansion = () => {
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const toggle = useCallback((id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  const expand = useCallback((ids) => {
+    setExpanded((prev) => {
+      if (ids.every((id) => prev.has(id))) return prev;
+      const next = new Set(prev);
+      ids.forEach((id) => next.add(id));
+      return next;
+    });
+  }, []);
+
+  // Collapses the node with `id` and everything below it
+  const collapse = useCallback((id) => {
+    setExpanded((prev) => {
+      const next = new Set([...prev].filter((key) => !isInSubtree(key, id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, []);
+
+  const reset = useCallback((ids = []) => {
+    setExpanded(new Set(ids));
+  }, []);
+
+  return { expanded, toggle, expand, collapse, reset };
+};
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react';
+import { readAppendedLines } from '../lib/platform';
+
+const POLL_INTERVAL = 1000;
+
+// Follows a growing file on disk (see readAppendedLines) while `follow`
+// ({ path, offset }) is set, starting at byte `offset`. New complete lines go
+// to `onLines(lines)`, and the number of lines too long to read to
+// `onSkip(count)`; `onReset()` is called first when the file was
+// truncated or rotated and is being read again from the top. While behind,
+// the next read starts right away instead of after POLL_INTERVAL. Read
+// errors (the file may be briefly missing while a log rotates) are returned
+// as `error` and retried.
+export const useFollow = (follow, { onLines, onSkip, onReset }) => {
+  const [error, setError] = useState(null);
+  const callbacksRef = useRef({ onLines, onSkip, onReset });
+  callbacksRef.current = { onLines, onSkip, onReset };
+
+  useEffect(() => {
+    setError(null);
+    if (!follow) return;
+
+    let cancelled = false;
+    let timeoutId = null;
+    let offset = follow.offset;
+    let fileId = null;
+
+    const poll = async () => {
+      let delay = POLL_INTERVAL;
+      try {
+        const result = await readAppendedLines(follow.path, offset, fileId);
+        if (cancelled) return;
+        setError(null);
+        if (result.reset) callbacksRef.current.onReset();
+        const lines = result.text.split('\n').filter((line) => line.trim() !== '');
+        if (lines.length > 0) callbacksRef.current.onLines(lines);
+        if (result.skipped > 0) callbacksRef.current.onSkip?.(result.skipped);
+        const advanced = result.reset || result.offset !== offset;
+        if (advanced && result.offset < result.size) delay = 0;
+        offset = result.offset;
+        fileId = result.fileId;
+      } catch (err) {
+        if (cancelled) return;
+        setError(String(err?.message ?? err));
+      }
+      timeoutId = setTimeout(poll, delay);
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [follow]);
+
+  return { error };
+};
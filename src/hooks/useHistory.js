@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+
+const MAX_HISTORY = 200;
+
+// Undo/redo history of immutable document snapshots. `reset` starts a new
+// history (e.g. a file was opened) and bumps `generation`, which lets callers
+// tell a freshly loaded document apart from an edit of the current one.
+// `saved` is the snapshot last written to disk, for the modified marker.
+export const useHistory = (initial = null) => {
+  const [state, setState] = useState({ past: [], present: initial, future: [], generation: 0, saved: initial });
+
+  const commit = useCallback((next, label = 'Edit') => {
+    setState((prev) => ({
+      past: [...prev.past, { value: prev.present, label }].slice(-MAX_HISTORY),
+      present: next,
+      future: [],
+      generation: prev.generation,
+      saved: prev.saved,
+    }));
+  }, []);
+
+  const undo = useCallback(() => {
+    setState((prev) => {
+      if (prev.past.length === 0) return prev;
+      const previous = prev.past[prev.past.length - 1];
+      return {
+        past: prev.past.slice(0, -1),
+        present: previous.value,
+        future: [{ value: prev.present, label: previous.label }, ...prev.future],
+        generation: prev.generation,
+        saved: prev.saved,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState((prev) => {
+      if (prev.future.length === 0) return prev;
+      const [next, ...future] = prev.future;
+      return {
+        past: [...prev.past, { value: prev.present, label: next.label }],
+        present: next.value,
+        future,
+        generation: prev.generation,
+        saved: prev.saved,
+      };
+    });
+  }, []);
+
+  const reset = useCallback((value) => {
+    setState((prev) => ({ past: [], present: value, future: [], generation: prev.generation + 1, saved: value }));
+  }, []);
+
+  // Swaps in a newer version of the document that is already on disk, such as
+  // records appended to a followed file, without starting a new generation.
+  // `update(present)` returns it. The undo history is dropped, since its
+  // snapshots predate the change.
+  const replace = useCallback((update) => {
+    setState((prev) => {
+      const value = update(prev.present);
+      return { past: [], present: value, future: [], generation: prev.generation, saved: prev.present === prev.saved ? value : prev.saved };
+    });
+  }, []);
+
+  const markSaved = useCallback(() => {
+    setState((prev) => ({ ...prev, saved: prev.present }));
+  }, []);
+
+  return {
+    present: state.present,
+    generation: state.generation,
+    commit,
+    undo,
+    redo,
+    reset,
+    replace,
+    markSaved,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    undoLabel: state.past[state.past.length - 1]?.label,
+    redoLabel: state.future[0]?.label,
+    isModified: state.present !== state.saved,
+  };
+};
@@ -0,0 +1,251 @@
+// Aggregation of one field across the records of an array (a JSONL file or
+// an array node): how often each value occurs, a numeric summary, a
+// histogram or time series, and the same broken down by a second field.
+// Every bucket keeps the indices of its records, so the tree can be limited
+// to the records behind a bar or value.
+import { getField } from './query';
+import { typeOf, canonicalKey } from './query/values';
+import { detectTimestamp } from './renderers';
+import { formatPathAs } from './pathFormats';
+import { isContainer } from './tree';
+
+const MAX_DISTINCT = 10000;
+const MAX_LISTED_VALUES = 20;
+const MAX_GROUPS = 20;
+const MAX_GROUP_VALUES = 3;
+const HISTOGRAM_BINS = 20;
+const MAX_TIME_BUCKETS = 60;
+const PERCENTILES = [5, 25, 50, 75, 95, 99];
+const FIELD_SAMPLE = 1000;
+const MAX_FIELD_DEPTH = 4;
+const MAX_SUGGESTED_FIELDS = 200;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time series bucket sizes, smallest first; the first that keeps the series
+// within MAX_TIME_BUCKETS is used
+const TIME_STEPS = [
+  { label: 'second', ms: SECOND },
+  { label: '10 seconds', ms: 10 * SECOND },
+  { label: 'minute', ms: MINUTE },
+  { label: '10 minutes', ms: 10 * MINUTE },
+  { label: 'hour', ms: HOUR },
+  { label: '6 hours', ms: 6 * HOUR },
+  { label: 'day', ms: DAY },
+  { label: 'week', ms: 7 * DAY },
+  { label: '30 days', ms: 30 * DAY },
+  { label: '365 days', ms: 365 * DAY },
+];
+
+// Identity of a value for counting and grouping: values that are deepEqual
+// (objects whatever the order of their keys) share it
+export const valueKey = (value) => `${typeOf(value)}:${typeof value === 'string' ? value : canonicalKey(value)}`;
+
+// Counts values by identity, up to MAX_DISTINCT of them
+const createTally = () => {
+  const entries = new Map();
+  let truncated = false;
+  return {
+    add(value, index) {
+      const key = valueKey(value);
+      let entry = entries.get(key);
+      if (!entry) {
+        if (entries.size >= MAX_DISTINCT) {
+          truncated = true;
+          return;
+        }
+        entry = { value, count: 0, indices: [] };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      entry.indices.push(index);
+    },
+    top: (limit) => [...entries.values()].sort((a, b) => b.count - a.count).slice(0, limit),
+    get size() {
+      return entries.size;
+    },
+    get truncated() {
+      return truncated;
+    },
+  };
+};
+
+// Linear interpolation between the closest ranks of sorted numbers
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+const summarize = (numbers) => {
+  const sorted = Float64Array.from(numbers.map((entry) => entry.number)).sort();
+  const sum = sorted.reduce((total, number) => total + number, 0);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sum / sorted.length,
+    percentiles: PERCENTILES.map((p) => ({ p, value: percentile(sorted, p) })),
+  };
+};
+
+const histogram = (numbers, min, max) => {
+  const binCount = min === max ? 1 : HISTOGRAM_BINS;
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: i === binCount - 1 ? max : min + (i + 1) * width,
+    count: 0,
+    indices: [],
+  }));
+  numbers.forEach(({ number, index }) => {
+    const bin = bins[width === 0 ? 0 : Math.min(binCount - 1, Math.floor((number - min) / width))];
+    bin.count++;
+    bin.indices.push(index);
+  });
+  return bins;
+};
+
+const timeline = (times) => {
+  let from = Infinity;
+  let to = -Infinity;
+  times.forEach(({ time }) => {
+    from = Math.min(from, time);
+    to = Math.max(to, time);
+  });
+  const step = TIME_STEPS.find(({ ms }) => Math.floor(to / ms) - Math.floor(from / ms) < MAX_TIME_BUCKETS) ?? TIME_STEPS[TIME_STEPS.length - 1];
+  const first = Math.floor(from / step.ms);
+  const buckets = Array.from({ length: Math.floor(to / step.ms) - first + 1 }, (_, i) => ({
+    from: (first + i) * step.ms,
+    to: (first + i + 1) * step.ms,
+    count: 0,
+    indices: [],
+  }));
+  times.forEach(({ time, index }) => {
+    const bucket = buckets[Math.floor(time / step.ms) - first];
+    bucket.count++;
+    bucket.indices.push(index);
+  });
+  return { step: step.label, from, to, buckets };
+};
+
+// Aggregates the field at `path` (see parseFieldPath) over `records`, or only
+// the records at `indices`. With `groupPath`, records are also grouped by the
+// value of that field. Returns {
+//   count, present, missing: [indices], types: { string: n, ... },
+//   values: [{ value, count, indices }], distinctCount, distinctTruncated,
+//   numeric: { count, min, max, mean, percentiles: [{ p, value }] } or null,
+//   histogram: [{ from, to, count, indices }] or null,
+//   timeline: { step, from, to, buckets: [{ from, to, count, indices }] } or null,
+//   groups: [{ value, missing, count, indices, numeric, values }] or null, groupCount,
+// }
+// Values are taken as timestamps (see lib/renderers) when all of them are;
+// they get a time series instead of a histogram. Missing fields count toward
+// `missing` only; nulls are values.
+export const aggregateField = (records, path, { groupPath = null, indices = null } = {}) => {
+  const key = [...path].reverse().find((segment) => typeof segment === 'string') ?? null;
+  const values = createTally();
+  const types = {};
+  const missing = [];
+  const numbers = [];
+  const times = [];
+  let allTimestamps = true;
+  const groups = groupPath ? new Map() : null;
+
+  const visit = (index) => {
+    const value = getField(records[index], path);
+    let group = null;
+    if (groups) {
+      const groupValue = getField(records[index], groupPath);
+      const groupKey = groupValue === undefined ? 'missing' : valueKey(groupValue);
+      group = groups.get(groupKey);
+      if (!group) {
+        group = { value: groupValue, missing: groupValue === undefined, count: 0, indices: [], numbers: [], values: createTally() };
+        groups.set(groupKey, group);
+      }
+      group.count++;
+      group.indices.push(index);
+    }
+
+    if (value === undefined) {
+      missing.push(index);
+      return;
+    }
+    const type = typeOf(value);
+    types[type] = (types[type] ?? 0) + 1;
+    values.add(value, index);
+    group?.values.add(value, index);
+    // Lossless numbers out of a double's range have no place on an axis
+    if (type === 'number' && Number.isFinite(Number(value))) {
+      const entry = { number: Number(value), index };
+      numbers.push(entry);
+      group?.numbers.push(entry);
+    }
+    if (value !== null && allTimestamps) {
+      const timestamp = detectTimestamp(value, key);
+      if (timestamp) times.push({ time: timestamp.date.getTime(), index });
+      else allTimestamps = false;
+    }
+  };
+
+  if (indices) indices.forEach(visit);
+  else records.forEach((_, i) => visit(i));
+
+  const count = indices ? indices.length : records.length;
+  const isTimeline = allTimestamps && times.length > 0;
+  const numeric = numbers.length > 0 && !isTimeline ? summarize(numbers) : null;
+
+  return {
+    count,
+    present: count - missing.length,
+    missing,
+    types,
+    values: values.top(MAX_LISTED_VALUES),
+    distinctCount: values.size,
+    distinctTruncated: values.truncated,
+    numeric,
+    histogram: numeric ? histogram(numbers, numeric.min, numeric.max) : null,
+    timeline: isTimeline ? timeline(times) : null,
+    groups: groups && [...groups.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_GROUPS)
+      .map((group) => ({
+        value: group.value,
+        missing: group.missing,
+        count: group.count,
+        indices: group.indices,
+        numeric: group.numbers.length > 0 && !isTimeline ? summarize(group.numbers) : null,
+        values: group.values.top(MAX_GROUP_VALUES),
+      })),
+    groupCount: groups ? groups.size : 0,
+  };
+};
+
+// Field paths found in the first records, most common first, written as in
+// a filter (`.user.id`), to suggest fields to aggregate
+export const recordFields = (records) => {
+  const counts = new Map();
+
+  const collect = (object, path) => {
+    Object.keys(object).forEach((key) => {
+      const fieldPath = [...path, key];
+      const text = formatPathAs(fieldPath, 'jq');
+      counts.set(text, (counts.get(text) ?? 0) + 1);
+      const value = object[key];
+      if (isContainer(value) && !Array.isArray(value) && fieldPath.length < MAX_FIELD_DEPTH) collect(value, fieldPath);
+    });
+  };
+
+  records.slice(0, FIELD_SAMPLE).forEach((record) => {
+    if (isContainer(record) && !Array.isArray(record)) collect(record, []);
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTED_FIELDS)
+    .map(([text]) => text);
+};
@@ -0,0 +1,344 @@
+// Structural diff of two documents, shown as one merged tree so that both
+// sides line up row for row. Array items are matched by a key field when one is
+// given (e.g. `id`), otherwise by equal content and then by position; matched
+// items that changed order are reported as moves.
+import { isContainer, pathKey } from './tree';
+import { valueType } from './edit';
+import { isLosslessNumber } from './lossless';
+import { deepEqual, canonicalKey } from './query/values';
+
+export const CHANGE_KINDS = ['added', 'removed', 'changed', 'type', 'moved'];
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const sameScalar = (a, b) => a === b || (isLosslessNumber(a) && isLosslessNumber(b) && a.literal === b.literal);
+
+// Key order does not count, as everywhere else values are compared
+const sameContent = deepEqual;
+
+// Indices (into `sequence`) of a longest strictly increasing subsequence
+const longestIncreasing = (sequence) => {
+  const tails = [];
+  const previous = new Array(sequence.length).fill(-1);
+  sequence.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sequence[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+  const result = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i !== -1; i = previous[i]) result.add(i);
+  return result;
+};
+
+// Pairs up array items: `rightToLeft` gives, for each right item, the index
+// of the left item it corresponds to or -1, and `positional` the right indices
+// paired only for being at the same position
+const pairArrays = (left, right, arrayKey) => {
+  const rightToLeft = new Array(right.length).fill(-1);
+  const leftUsed = new Array(left.length).fill(false);
+  const positional = new Set();
+
+  const keyOf = (item) => (arrayKey && isContainer(item) && !Array.isArray(item) && hasOwn(item, arrayKey)
+    ? canonicalKey(item[arrayKey]) : undefined);
+
+  if (arrayKey) {
+    const byKey = new Map();
+    left.forEach((item, i) => {
+      const key = keyOf(item);
+      if (key !== undefined && !byKey.has(key)) byKey.set(key, i);
+    });
+    right.forEach((item, j) => {
+      const i = byKey.get(keyOf(item));
+      if (i !== undefined && !leftUsed[i]) {
+        rightToLeft[j] = i;
+        leftUsed[i] = true;
+      }
+    });
+  }
+
+  // Identical items, in order, so duplicates pair up left to right
+  const byContent = new Map();
+  left.forEach((item, i) => {
+    if (leftUsed[i]) return;
+    const hash = canonicalKey(item);
+    if (!byContent.has(hash)) byContent.set(hash, []);
+    byContent.get(hash).push(i);
+  });
+  right.forEach((item, j) => {
+    if (rightToLeft[j] !== -1) return;
+    const candidates = byContent.get(canonicalKey(item));
+    if (candidates?.length) {
+      const i = candidates.shift();
+      rightToLeft[j] = i;
+      leftUsed[i] = true;
+    }
+  });
+
+  // Whatever is left at the same position is treated as changed in place,
+  // unless keyed matching says the items are different records
+  right.forEach((item, j) => {
+    if (rightToLeft[j] !== -1 || j >= left.length || leftUsed[j]) return;
+    if (keyOf(item) !== undefined && keyOf(left[j]) !== undefined) return;
+    rightToLeft[j] = j;
+    leftUsed[j] = true;
+    positional.add(j);
+  });
+
+  return { rightToLeft, positional };
+};
+
+// For each right item, the index of the left item it corresponds to or -1
+export const matchArrays = (left, right, arrayKey) => pairArrays(left, right, arrayKey).rightToLeft;
+
+// ---- merged diff tree ----
+
+class DiffNode {
+  constructor({ parent, segment, label, left, right, hasLeft, hasRight, leftPath, rightPath, status, options }) {
+    Object.assign(this, { parent, segment, label, left, right, hasLeft, hasRight, leftPath, rightPath, status });
+    this.id = pathKey(parent ? [...parent.mergedPath, segment] : []);
+    this.mergedPath = parent ? [...parent.mergedPath, segment] : [];
+    this.level = parent ? parent.level + 1 : 0;
+    this._options = options;
+    this._children = null;
+    // Containers are expanded eagerly unless known to be identical, which is
+    // also how `hasChanges` gets computed for every differing subtree
+    this.hasChanges = false;
+    if (this.isExpandable && !this.isIdentical) {
+      this.hasChanges = this.children.some((child) => child.status !== 'same' || child.hasChanges);
+    }
+  }
+
+  get isExpandable() {
+    return (this.hasLeft && isContainer(this.left)) || (this.hasRight && isContainer(this.right));
+  }
+
+  get isIdentical() {
+    return this.status === 'same' && this.hasLeft && this.hasRight && sameContent(this.left, this.right);
+  }
+
+  get children() {
+    if (!this._children) this._children = buildChildren(this, this._options);
+    return this._children;
+  }
+}
+
+const statusOf = (left, right, hasLeft, hasRight) => {
+  if (!hasLeft) return 'added';
+  if (!hasRight) return 'removed';
+  if (valueType(left) !== valueType(right)) return 'type';
+  if (isContainer(left)) return 'same'; // containers report changes through children
+  return sameScalar(left, right) ? 'same' : 'changed';
+};
+
+const makeNode = (parent, segment, label, sides, options, statusOverride) => {
+  const { left, right, hasLeft, hasRight, leftPath, rightPath } = sides;
+  const natural = statusOf(left, right, hasLeft, hasRight);
+  // A move says nothing about a change of type, which matters more
+  const status = statusOverride === 'moved' && natural === 'type' ? natural : statusOverride ?? natural;
+  return new DiffNode({ parent, segment, label, left, right, hasLeft, hasRight, leftPath, rightPath, status, options });
+};
+
+const buildChildren = (node, options) => {
+  const { left, right, hasLeft, hasRight, leftPath, rightPath, status } = node;
+  const leftContainer = hasLeft && isContainer(left) ? left : null;
+  const rightContainer = hasRight && isContainer(right) ? right : null;
+
+  // One-sided subtrees (added, removed, or a container replaced by another
+  // type) show their children with the same status as the node. Only two
+  // containers of the same kind are compared child by child.
+  const sameKind = !!leftContainer && !!rightContainer && Array.isArray(left) === Array.isArray(right);
+  const oneSided = status === 'added' || status === 'removed' || status === 'type' || !sameKind;
+  if (oneSided) {
+    const children = [];
+    const addSide = (container, side, childStatus) => {
+      if (!container) return;
+      Object.keys(container).forEach((key) => {
+        const segment = `${side}${key}`;
+        const index = Array.isArray(container) ? Number(key) : key;
+        const isLeft = side === '-';
+        children.push(makeNode(node, segment, Array.isArray(container) ? `[${key}]` : key, {
+          left: isLeft ? container[key] : undefined,
+          right: isLeft ? undefined : container[key],
+          hasLeft: isLeft,
+          hasRight: !isLeft,
+          leftPath: isLeft ? [...leftPath, index] : null,
+          rightPath: isLeft ? null : [...rightPath, index],
+        }, options, childStatus));
+      });
+    };
+    addSide(leftContainer, '-', 'removed');
+    addSide(rightContainer, '+', 'added');
+    return children;
+  }
+
+  if (Array.isArray(left)) {
+    const { rightToLeft, positional } = pairArrays(left, right, options.arrayKey);
+    // Items paired by position stay where they are, so they are never moves
+    const matchedRight = rightToLeft.map((i, j) => j).filter((j) => rightToLeft[j] !== -1 && !positional.has(j));
+    const inOrder = longestIncreasing(matchedRight.map((j) => rightToLeft[j]));
+    const moved = new Set(matchedRight.filter((_, k) => !inOrder.has(k)));
+    const leftMatched = new Set(rightToLeft.filter((i) => i !== -1));
+
+    const children = [];
+    // Removed left items are listed before the right item that followed them
+    const removedBefore = new Map();
+    let nextRight = 0;
+    left.forEach((item, i) => {
+      if (leftMatched.has(i)) {
+        const j = rightToLeft.indexOf(i);
+        if (!moved.has(j)) nextRight = j + 1;
+        return;
+      }
+      if (!removedBefore.has(nextRight)) removedBefore.set(nextRight, []);
+      removedBefore.get(nextRight).push(i);
+    });
+
+    const pushRemoved = (j) => (removedBefore.get(j) || []).forEach((i) => {
+      children.push(makeNode(node, `-${i}`, `[${i}]`, {
+        left: left[i], right: undefined, hasLeft: true, hasRight: false, leftPath: [...leftPath, i], rightPath: null,
+      }, options));
+    });
+
+    right.forEach((item, j) => {
+      pushRemoved(j);
+      const i = rightToLeft[j];
+      const matched = i !== -1;
+      const label = matched && i !== j ? `[${i}→${j}]` : `[${j}]`;
+      const child = makeNode(node, j, label, {
+        left: matched ? left[i] : undefined,
+        right: item,
+        hasLeft: matched,
+        hasRight: true,
+        leftPath: matched ? [...leftPath, i] : null,
+        rightPath: [...rightPath, j],
+      }, options, moved.has(j) ? 'moved' : undefined);
+      children.push(child);
+    });
+    pushRemoved(right.length);
+    return children;
+  }
+
+  // Objects: left key order, then keys only on the right
+  const keys = [...Object.keys(left), ...Object.keys(right).filter((key) => !hasOwn(left, key))];
+  return keys.map((key) => makeNode(node, key, key, {
+    left: left[key],
+    right: right[key],
+    hasLeft: hasOwn(left, key),
+    hasRight: hasOwn(right, key),
+    leftPath: hasOwn(left, key) ? [...leftPath, key] : null,
+    rightPath: hasOwn(right, key) ? [...rightPath, key] : null,
+  }, options));
+};
+
+export const diffDocuments = (left, right, options = {}) => makeNode(null, null, 'root', {
+  left, right, hasLeft: true, hasRight: true, leftPath: [], rightPath: [],
+}, { arrayKey: options.arrayKey || null });
+
+// Every changed node in display order, not descending into added / removed
+// subtrees (their root is the change)
+export const collectChanges = (root) => {
+  const changes = [];
+  const visit = (node) => {
+    if (node.status !== 'same') changes.push(node);
+    if (node.status === 'added' || node.status === 'removed' || node.status === 'type') return;
+    if (node.hasChanges) node.children.forEach(visit);
+  };
+  visit(root);
+  return changes;
+};
+
+// Visible rows of the merged tree. With `changesOnly`, unchanged siblings are
+// hidden and only changes and their ancestors remain.
+export const flattenDiffTree = (root, expanded, changesOnly) => {
+  const rows = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (changesOnly && node.parent && node.status === 'same' && !node.hasChanges) continue;
+    const isExpanded = node.isExpandable && expanded.has(node.id);
+    rows.push({ node, isExpanded });
+    if (!isExpanded) continue;
+    const { children } = node;
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+  return rows;
+};
+
+// ---- RFC 6902 JSON Patch ----
+
+// RFC 6901 JSON Pointer for a path
+export const toJsonPointer = (path) => path.map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+// Path a JSON Pointer refers to in `document`, with array indices as numbers
+export const fromJsonPointer = (pointer, document) => {
+  let node = document;
+  return pointer.split('/').slice(1).map((token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    const segment = Array.isArray(node) ? Number(key) : key;
+    node = isContainer(node) ? node[segment] : undefined;
+    return segment;
+  });
+};
+
+// Operations that turn `left` into `right`, in an order that is valid when
+// applied sequentially (array indices account for earlier operations)
+export const createJsonPatch = (left, right, options = {}) => {
+  const ops = [];
+
+  const diffValue = (a, b, path) => {
+    if (sameContent(a, b)) return;
+    if (valueType(a) !== valueType(b) || !isContainer(a)) {
+      ops.push({ op: 'replace', path: toJsonPointer(path), value: b });
+      return;
+    }
+    if (Array.isArray(a)) {
+      diffArray(a, b, path);
+      return;
+    }
+    Object.keys(a).forEach((key) => {
+      if (!hasOwn(b, key)) ops.push({ op: 'remove', path: toJsonPointer([...path, key]) });
+    });
+    Object.keys(b).forEach((key) => {
+      if (hasOwn(a, key)) diffValue(a[key], b[key], [...path, key]);
+      else ops.push({ op: 'add', path: toJsonPointer([...path, key]), value: b[key] });
+    });
+  };
+
+  const diffArray = (a, b, path) => {
+    const rightToLeft = matchArrays(a, b, options.arrayKey);
+    const kept = new Set(rightToLeft.filter((i) => i !== -1));
+
+    // 1. remove unmatched items, highest index first
+    for (let i = a.length - 1; i >= 0; i--) {
+      if (!kept.has(i)) ops.push({ op: 'remove', path: toJsonPointer([...path, i]) });
+    }
+
+    // 2. build the target order position by position; `current` holds the
+    // left indices in their present order
+    const current = a.map((_, i) => i).filter((i) => kept.has(i));
+    b.forEach((item, j) => {
+      const i = rightToLeft[j];
+      if (i === -1) {
+        ops.push({ op: 'add', path: toJsonPointer([...path, j]), value: item });
+        current.splice(j, 0, null);
+        return;
+      }
+      const position = current.indexOf(i, j);
+      if (position !== j) {
+        ops.push({ op: 'move', from: toJsonPointer([...path, position]), path: toJsonPointer([...path, j]) });
+        current.splice(position, 1);
+        current.splice(j, 0, i);
+      }
+      diffValue(a[i], item, [...path, j]);
+    });
+  };
+
+  diffValue(left, right, []);
+  return ops;
+};
@@ -0,0 +1,177 @@
+// Immutable edit operations on a document. Each returns a new root that shares
+// every untouched subtree with the old one, so history snapshots stay cheap.
+import { isContainer, getAtPath } from './tree';
+import { isLosslessNumber, numberFromLiteral, stringifyJson } from './lossless';
+import { parseJson } from './formats';
+
+export const VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'object', 'array'];
+
+export const valueType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isLosslessNumber(value)) return 'number';
+  return typeof value;
+};
+
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// A number from text written as a JSON number, kept lossless when a double
+// cannot hold it exactly. Returns undefined for anything else, including
+// what Number() would still read (hex, Infinity, a bare leading point), so a
+// typed value is never silently stored as a different one.
+const toNumber = (text) => {
+  const trimmed = String(text).trim();
+  return JSON_NUMBER.test(trimmed) ? numberFromLiteral(trimmed) : undefined;
+};
+
+// Replaces the node at `path` with update(node). Throws if the path is missing.
+const updateAtPath = (data, path, update) => {
+  if (path.length === 0) return update(data);
+  const [segment, ...rest] = path;
+  if (!isContainer(data) || !(segment in data)) {
+    throw new Error(`Path not found at "${segment}"`);
+  }
+  const child = updateAtPath(data[segment], rest, update);
+  if (Array.isArray(data)) {
+    const next = data.slice();
+    next[segment] = child;
+    return next;
+  }
+  return { ...data, [segment]: child };
+};
+
+export const setValue = (data, path, value) => updateAtPath(data, path, () => value);
+
+// Renames the key at `path`, keeping its position among its siblings
+export const renameKey = (data, path, newKey) => {
+  const oldKey = path[path.length - 1];
+  if (newKey === oldKey) return data;
+  return updateAtPath(data, path.slice(0, -1), (parent) => {
+    if (Array.isArray(parent) || !isContainer(parent)) throw new Error('Only object keys can be renamed');
+    if (Object.prototype.hasOwnProperty.call(parent, newKey)) throw new Error(`Key "${newKey}" already exists`);
+    // Defined rather than assigned: assigning to "__proto__" would set the
+    // object's prototype instead of adding the key
+    const next = {};
+    Object.keys(parent).forEach((key) => {
+      Object.defineProperty(next, key === oldKey ? newKey : key, { value: parent[key], enumerable: true, writable: true, configurable: true });
+    });
+    return next;
+  });
+};
+
+export const addProperty = (data, parentPath, key, value = null) => updateAtPath(data, parentPath, (parent) => {
+  if (Array.isArray(parent) || !isContainer(parent)) throw new Error('Properties can only be added to objects');
+  if (Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Key "${key}" already exists`);
+  return { ...parent, [key]: value };
+});
+
+export const insertItem = (data, parentPath, index, value = null) => updateAtPath(data, parentPath, (parent) => {
+  if (!Array.isArray(parent)) throw new Error('Items can only be inserted into arrays');
+  const next = parent.slice();
+  next.splice(index, 0, value);
+  return next;
+});
+
+export const removeAtPath = (data, path) => {
+  if (path.length === 0) throw new Error('The root cannot be deleted');
+  const key = path[path.length - 1];
+  return updateAtPath(data, path.slice(0, -1), (parent) => {
+    if (Array.isArray(parent)) return parent.filter((_, i) => i !== key);
+    const { [key]: removed, ...rest } = parent;
+    return rest;
+  });
+};
+
+// Converts a value to another JSON type, keeping as much of it as makes sense
+export const convertType = (value, type) => {
+  const current = valueType(value);
+  if (current === type) return value;
+
+  switch (type) {
+    case 'string':
+      return isContainer(value) ? stringifyJson(value) : String(value);
+    case 'number': {
+      if (typeof value === 'string') {
+        const number = toNumber(value);
+        if (number === undefined) throw new Error(`"${value}" is not a JSON number; it stays a string`);
+        return number;
+      }
+      const number = Number(value);
+      return Number.isFinite(number) ? number : 0;
+    }
+    case 'boolean':
+      if (value === 'false') return false;
+      if (isLosslessNumber(value)) return Number(value) !== 0;
+      return Boolean(isContainer(value) ? childCountOf(value) : value);
+    case 'null':
+      return null;
+    case 'object':
+      if (Array.isArray(value)) return Object.fromEntries(value.map((item, i) => [String(i), item]));
+      return parseContainer(value, 'object') ?? {};
+    case 'array':
+      if (isContainer(value)) return Object.values(value);
+      return parseContainer(value, 'array') ?? (value === null ? [] : [value]);
+    default:
+      throw new Error(`Unknown type ${type}`);
+  }
+};
+
+const childCountOf = (value) => (Array.isArray(value) ? value.length : Object.keys(value).length);
+
+// A string holding serialized JSON of the requested container type
+const parseContainer = (value, type) => {
+  if (typeof value !== 'string') return undefined;
+  try {
+    const parsed = parseJson(value);
+    return valueType(parsed) === type ? parsed : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Parses the text typed into a value editor. Strings are taken verbatim;
+// other types must be valid JSON literals of that type.
+export const parseEditedValue = (text, type) => {
+  switch (type) {
+    case 'string':
+      return text;
+    case 'number': {
+      const number = toNumber(text);
+      if (number === undefined) throw new Error('Not a valid number');
+      return number;
+    }
+    case 'boolean':
+      if (text.trim() !== 'true' && text.trim() !== 'false') throw new Error('Must be true or false');
+      return text.trim() === 'true';
+    case 'null':
+      return null;
+    default:
+      throw new Error(`${type} values cannot be edited as text`);
+  }
+};
+
+// Applies an edit action from the tree UI. Returns { data, label } where the
+// label describes the edit in the undo/redo history.
+export const applyEdit = (data, action) => {
+  const { path } = action;
+  const name = path.length ? String(path[path.length - 1]) : 'root';
+
+  switch (action.type) {
+    case 'set':
+      return { data: setValue(data, path, action.value), label: `Edit ${name}` };
+    case 'rename':
+      if (action.key === '') throw new Error('Key cannot be empty');
+      return { data: renameKey(data, path, action.key), label: `Rename ${name} to ${action.key}` };
+    case 'add':
+      if (action.key === '') throw new Error('Key cannot be empty');
+      return { data: addProperty(data, path, action.key, action.value ?? null), label: `Add ${action.key}` };
+    case 'insert':
+      return { data: insertItem(data, path, action.index, action.value ?? null), label: `Insert item into ${name}` };
+    case 'remove':
+      return { data: removeAtPath(data, path), label: `Delete ${name}` };
+    case 'convert':
+      return { data: setValue(data, path, convertType(getAtPath(data, path), action.valueType)), label: `Change ${name} to ${action.valueType}` };
+    default:
+      throw new Error(`Unknown edit ${action.type}`);
+  }
+};
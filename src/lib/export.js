@@ -0,0 +1,194 @@
+// Export formats. Each writer is a generator yielding the text in chunks of
+// roughly CHUNK_SIZE characters, so large exports can be written to a file (or
+// assembled into a Blob) piece by piece instead of as one giant string.
+import { isContainer, childCount } from './tree';
+import { inferColumns, getCell } from './table';
+import { stringifyJson } from './lossless';
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON (pretty)', extension: 'json', mimeType: 'application/json' },
+  { id: 'json-min', label: 'JSON (minified)', extension: 'json', mimeType: 'application/json' },
+  { id: 'jsonl', label: 'JSONL', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  { id: 'yaml', label: 'YAML', extension: 'yaml', mimeType: 'application/yaml' },
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+];
+
+const CHUNK_SIZE = 1 << 20;
+
+// Containers with at most this many children are stringified in one go
+const INLINE_CHILDREN = 1000;
+
+// Collects output and hands it out in CHUNK_SIZE pieces
+class ChunkBuffer {
+  constructor() {
+    this.parts = [];
+    this.length = 0;
+  }
+
+  push(text) {
+    this.parts.push(text);
+    this.length += text.length;
+  }
+
+  get isFull() {
+    return this.length >= CHUNK_SIZE;
+  }
+
+  take() {
+    const text = this.parts.join('');
+    this.parts = [];
+    this.length = 0;
+    return text;
+  }
+}
+
+// --- JSON -------------------------------------------------------------------
+
+// Produces exactly stringifyJson(value, indent), descending only into
+// containers too large to stringify at once. Nested output is re-indented by
+// prefixing its line breaks, which is safe since JSON strings never contain
+// raw newlines.
+function* writeJson(value, indent, prefix, buffer) {
+  if (!isContainer(value) || childCount(value) <= INLINE_CHILDREN) {
+    const text = stringifyJson(value, indent) ?? 'null';
+    buffer.push(indent && prefix ? text.replace(/\n/g, `\n${prefix}`) : text);
+    if (buffer.isFull) yield buffer.take();
+    return;
+  }
+
+  const isArray = Array.isArray(value);
+  const inner = prefix + indent;
+  const newline = indent ? `\n${inner}` : '';
+  const separator = indent ? ': ' : ':';
+  const keys = isArray ? null : Object.keys(value).filter((key) => value[key] !== undefined);
+  const count = isArray ? value.length : keys.length;
+
+  buffer.push(isArray ? '[' : '{');
+  for (let i = 0; i < count; i++) {
+    buffer.push(i > 0 ? `,${newline}` : newline);
+    if (!isArray) buffer.push(JSON.stringify(keys[i]) + separator);
+    yield* writeJson(isArray ? value[i] : value[keys[i]], indent, inner, buffer);
+  }
+  buffer.push(`${indent ? `\n${prefix}` : ''}${isArray ? ']' : '}'}`);
+}
+
+// --- YAML -------------------------------------------------------------------
+
+const YAML_RESERVED = /^(true|false|yes|no|on|off|y|n|null|~)$/i;
+const YAML_PLAIN = /^[A-Za-z_/][A-Za-z0-9_ ./@-]*$/;
+
+// Plain scalars where unambiguous, otherwise JSON's double-quoted form, which
+// is also valid YAML
+const yamlString = (text) => (
+  YAML_PLAIN.test(text) && !YAML_RESERVED.test(text) && !text.endsWith(' ') && !text.includes(' #')
+    ? text
+    : JSON.stringify(text)
+);
+
+const yamlScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return yamlString(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+  }
+  return String(value);
+};
+
+const isEmptyContainer = (value) => isContainer(value) && childCount(value) === 0;
+
+// Writes a block collection at `indent`; the caller has already written any
+// `- ` or `key:` lead-in for the first line
+function* writeYaml(value, indent, buffer, firstLineIndented) {
+  const pad = ' '.repeat(indent);
+  const entries = Array.isArray(value)
+    ? value.map((item) => [null, item])
+    : Object.keys(value).map((key) => [key, value[key]]);
+
+  for (let i = 0; i < entries.length; i++) {
+    const [key, item] = entries[i];
+    if (i > 0 || !firstLineIndented) buffer.push(pad);
+    buffer.push(key === null ? '- ' : `${yamlString(key)}:`);
+
+    if (!isContainer(item) || isEmptyContainer(item)) {
+      const scalar = isContainer(item) ? (Array.isArray(item) ? '[]' : '{}') : yamlScalar(item);
+      buffer.push(key === null ? `${scalar}\n` : ` ${scalar}\n`);
+    } else if (key === null) {
+      // Items of a sequence start on the dash line
+      yield* writeYaml(item, indent + 2, buffer, true);
+    } else {
+      buffer.push('\n');
+      yield* writeYaml(item, Array.isArray(item) ? indent : indent + 2, buffer, false);
+    }
+    if (buffer.isFull) yield buffer.take();
+  }
+}
+
+function* writeYamlDocument(value, buffer) {
+  if (!isContainer(value) || isEmptyContainer(value)) {
+    buffer.push(`${isContainer(value) ? (Array.isArray(value) ? '[]' : '{}') : yamlScalar(value)}\n`);
+    return;
+  }
+  yield* writeYaml(value, 0, buffer, false);
+}
+
+// --- CSV --------------------------------------------------------------------
+
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = isContainer(value) ? stringifyJson(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function* writeCsv(value, buffer) {
+  const records = Array.isArray(value) ? value : [value];
+  const columns = inferColumns(records);
+  buffer.push(`${columns.map((column) => csvField(column.label)).join(',')}\r\n`);
+  for (const record of records) {
+    buffer.push(`${columns.map((column) => csvField(getCell(record, column))).join(',')}\r\n`);
+    if (buffer.isFull) yield buffer.take();
+  }
+}
+
+// --- Entry point --------------------------------------------------------------
+
+// Yields the export of `value` as text chunks. `records` marks a JSONL
+// document, whose records become separate YAML documents; JSONL output writes
+// one line per array item (or a single line for anything else).
+export function* exportChunks(value, format, { indent = '  ', records = false } = {}) {
+  const buffer = new ChunkBuffer();
+
+  switch (format) {
+    case 'json':
+      yield* writeJson(value, indent, '', buffer);
+      buffer.push('\n');
+      break;
+    case 'json-min':
+      yield* writeJson(value, '', '', buffer);
+      buffer.push('\n');
+      break;
+    case 'jsonl':
+      for (const item of Array.isArray(value) ? value : [value]) {
+        buffer.push(`${stringifyJson(item) ?? 'null'}\n`);
+        if (buffer.isFull) yield buffer.take();
+      }
+      break;
+    case 'yaml':
+      if (records && Array.isArray(value)) {
+        for (const record of value) {
+          buffer.push('---\n');
+          yield* writeYamlDocument(record, buffer);
+        }
+      } else {
+        yield* writeYamlDocument(value, buffer);
+      }
+      break;
+    case 'csv':
+      yield* writeCsv(value, buffer);
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  if (buffer.length > 0) yield buffer.take();
+}
@@ -0,0 +1,26 @@
+// Short single-line rendering of a value for result lists and tooltips
+import { stringifyJson } from './lossless';
+import { isContainer } from './tree';
+
+export const previewValue = (value, maxLength = 80) => {
+  let text;
+  if (value === undefined) {
+    text = 'undefined';
+  } else {
+    try {
+      text = stringifyJson(value);
+    } catch (e) {
+      text = String(value);
+    }
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// What copying a node puts on the clipboard: pretty-printed JSON for objects
+// and arrays, a scalar's text otherwise. With `rawStrings`, strings are copied
+// as JSON string literals.
+export const copyText = (value, rawStrings = false) => {
+  if (isContainer(value)) return stringifyJson(value, 2);
+  if (typeof value === 'string') return rawStrings ? JSON.stringify(value) : value;
+  return String(value);
+};
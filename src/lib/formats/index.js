@@ -0,0 +1,68 @@
+// Input formats. Each entry parses a whole text into `{ data, records }` (or a
+// promise of it), where `records` means the data is an array of independent
+// records (shown as `jsonl_records`). JSONL is special-cased by the parser worker, which parses
+// it line by line while reading. To support another format, add an entry
+// here and, if it can be recognised from its content, a rule to sniffFormat.
+import { parseJson5 } from './json5';
+import { parseJsonLossless } from '../lossless';
+
+// JSON.parse, except that numbers a double cannot hold exactly are kept
+// lossless (see lib/lossless)
+export const parseJson = (text) => parseJsonLossless(text);
+
+// The YAML library is only loaded when a YAML file is opened
+const parseYaml = async (text) => {
+  const { parseAllDocuments } = await import('yaml');
+  const documents = parseAllDocuments(text);
+  const failed = documents.find((document) => document.errors.length > 0);
+  if (failed) throw new Error(failed.errors[0].message);
+  if (documents.length > 1) {
+    return { data: documents.map((document) => document.toJS()), records: true };
+  }
+  return { data: documents.length ? documents[0].toJS() : null, records: false };
+};
+
+export const INPUT_FORMATS = [
+  { id: 'json', label: 'JSON', extensions: ['.json'], parse: (text) => ({ data: parseJson(text), records: false }) },
+  { id: 'jsonl', label: 'JSONL', extensions: ['.jsonl', '.ndjson'], records: true },
+  { id: 'json5', label: 'JSON5', extensions: ['.json5', '.jsonc'], parse: (text) => ({ data: parseJson5(text, { lossless: true }), records: false }) },
+  { id: 'yaml', label: 'YAML', extensions: ['.yaml', '.yml'], parse: parseYaml },
+];
+
+export const getFormat = (id) => INPUT_FORMATS.find((format) => format.id === id);
+
+// Extensions accepted by the open dialogs, including gzipped variants
+export const ACCEPTED_EXTENSIONS = INPUT_FORMATS.flatMap((format) => format.extensions)
+  .concat(['.log', '.txt', '.gz']);
+
+const formatForName = (fileName) => {
+  const name = fileName.toLowerCase().replace(/\.gz$/, '');
+  return INPUT_FORMATS.find((format) => format.extensions.some((extension) => name.endsWith(extension)));
+};
+
+// True when the sample starts with a complete JSON value on its own line that
+// is followed by another line starting a JSON object or array
+const looksLikeJsonLines = (sample) => {
+  const lines = sample.split('\n').map((line) => line.trim()).filter(Boolean);
+  if (lines.length < 2 || !/^[[{]/.test(lines[1])) return false;
+  try {
+    JSON.parse(lines[0]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Picks a format from the start of the text, using the file extension for
+// formats that cannot be told apart by content (JSONL and JSON5 look like
+// JSON at first; an unknown extension falls back to sniffing).
+export const sniffFormat = (fileName, sample) => {
+  const byName = formatForName(fileName);
+  if (byName && byName.id !== 'json') return byName;
+
+  const start = sample.replace(/^\uFEFF/, '').trimStart();
+  if (/^[[{]/.test(start)) return getFormat(looksLikeJsonLines(start) ? 'jsonl' : 'json');
+  if (byName) return byName;
+  if (/^(---|%YAML|#|[\w"'-][^\n]*:(\s|$))/.test(start)) return getFormat('yaml');
+  return getFormat('json');
+};
@@ -0,0 +1,214 @@
+// Parser for JSON5, which also covers JSONC (JSON with comments): comments,
+// trailing commas, single-quoted strings, unquoted keys, hexadecimal numbers,
+// leading/trailing decimal points, explicit plus signs, Infinity and NaN.
+// Plain JSON files go through JSON.parse, which is much faster.
+//
+// With the `spans` option the parser also records where every value sits in
+// the text, for mapping between the raw text pane and the tree.
+import { lineAndColumn } from './location';
+import { numberFromLiteral } from '../lossless';
+
+export class ParseError extends Error {
+  constructor(message, text, offset) {
+    const { line, column } = lineAndColumn(text, offset);
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'ParseError';
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const WHITESPACE = /[\t\n\v\f\r \u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff]/;
+const IDENTIFIER_START = /[\p{L}\p{Nl}$_]/u;
+const IDENTIFIER_PART = /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200c\u200d]/u;
+const NUMBER = /^[+-]?(0[xX][0-9a-fA-F]+|Infinity|NaN|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/;
+const SINGLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+// `spans`, if given, is an array that receives `{ path, start, valueStart, end }`
+// for every value in document order. `start` is where its key begins for
+// object members and equals `valueStart` otherwise. With `lossless`, decimal
+// numbers a double cannot hold exactly are kept as LosslessNumber.
+export const parseJson5 = (text, { spans = null, basePath = [], lossless = false } = {}) => {
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    throw new ParseError(message, text, at);
+  };
+
+  const describeChar = () => (pos >= text.length ? 'end of input' : `character ${JSON.stringify(text[pos])}`);
+
+  const skipIgnored = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (WHITESPACE.test(char)) {
+        pos++;
+      } else if (char === '/' && text[pos + 1] === '/') {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+      } else if (char === '/' && text[pos + 1] === '*') {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[pos];
+    const start = pos;
+    pos++;
+    let result = '';
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === quote) {
+        pos++;
+        return result;
+      }
+      if (char === '\n' || char === '\r') fail('Unterminated string', start);
+      if (char !== '\\') {
+        result += char;
+        pos++;
+        continue;
+      }
+
+      const escape = text[pos + 1];
+      pos += 2;
+      if (escape === undefined) break;
+      if (escape in SINGLE_ESCAPES) {
+        if (escape === '0' && /\d/.test(text[pos] || '')) fail('Octal escapes are not allowed', pos - 2);
+        result += SINGLE_ESCAPES[escape];
+      } else if (escape === 'x' || escape === 'u') {
+        const length = escape === 'x' ? 2 : 4;
+        const hex = text.slice(pos, pos + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) fail('Invalid escape sequence', pos - 2);
+        result += String.fromCharCode(parseInt(hex, 16));
+        pos += length;
+      } else if (escape === '\r') {
+        // Line continuation
+        if (text[pos] === '\n') pos++;
+      } else if (escape === '\n' || escape === '\u2028' || escape === '\u2029') {
+        // Line continuation
+      } else if (/[1-9]/.test(escape)) {
+        fail('Invalid escape sequence', pos - 2);
+      } else {
+        result += escape;
+      }
+    }
+    return fail('Unterminated string', start);
+  };
+
+  const parseIdentifier = () => {
+    const start = pos;
+    let name = '';
+    while (pos < text.length) {
+      let char = text[pos];
+      if (char === '\\') {
+        // Unicode escapes are allowed in identifiers
+        const hex = text.slice(pos + 2, pos + 6);
+        if (text[pos + 1] !== 'u' || !/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid identifier escape');
+        char = String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else {
+        const codePoint = text.codePointAt(pos);
+        char = String.fromCodePoint(codePoint);
+        if (!(name ? IDENTIFIER_PART : IDENTIFIER_START).test(char)) break;
+        pos += char.length;
+      }
+      name += char;
+    }
+    if (!name) fail(`Unexpected ${describeChar()}`, start);
+    return name;
+  };
+
+  const parseNumber = () => {
+    const match = NUMBER.exec(text.slice(pos, pos + 400));
+    if (!match) fail(`Unexpected ${describeChar()}`);
+    const literal = match[0];
+    pos += literal.length;
+    if (pos < text.length && IDENTIFIER_PART.test(text[pos])) fail(`Unexpected ${describeChar()}`);
+
+    const sign = literal[0] === '-' ? -1 : 1;
+    const unsigned = literal.replace(/^[+-]/, '');
+    if (unsigned === 'Infinity') return sign * Infinity;
+    if (unsigned === 'NaN') return NaN;
+    if (/^0[xX]/.test(unsigned)) return sign * parseInt(unsigned.slice(2), 16);
+    if (lossless) return numberFromLiteral(literal);
+    return sign * Number(unsigned);
+  };
+
+  const parseValue = (path, memberStart) => {
+    skipIgnored();
+    if (!spans) return parseBareValue(null);
+    const span = { path, start: memberStart ?? pos, valueStart: pos, end: pos };
+    spans.push(span);
+    const value = parseBareValue(path);
+    span.end = pos;
+    return value;
+  };
+
+  const parseBareValue = (path) => {
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      const object = {};
+      skipIgnored();
+      while (text[pos] !== '}') {
+        const keyStart = pos;
+        const key = text[pos] === '"' || text[pos] === "'" ? parseString() : parseIdentifier();
+        skipIgnored();
+        if (text[pos] !== ':') fail(`Expected ':' after property name but found ${describeChar()}`);
+        pos++;
+        const value = parseValue(path && [...path, key], keyStart);
+        // Like JSON.parse, keep `__proto__` as a plain own property
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+        skipIgnored();
+        if (text[pos] === ',') {
+          pos++;
+          skipIgnored();
+        } else if (text[pos] !== '}') {
+          fail(`Expected ',' or '}' but found ${describeChar()}`);
+        }
+      }
+      pos++;
+      return object;
+    }
+
+    if (char === '[') {
+      pos++;
+      const array = [];
+      skipIgnored();
+      while (text[pos] !== ']') {
+        array.push(parseValue(path && [...path, array.length]));
+        skipIgnored();
+        if (text[pos] === ',') {
+          pos++;
+          skipIgnored();
+        } else if (text[pos] !== ']') {
+          fail(`Expected ',' or ']' but found ${describeChar()}`);
+        }
+      }
+      pos++;
+      return array;
+    }
+
+    if (char === '"' || char === "'") return parseString();
+
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, pos) && !IDENTIFIER_PART.test(text[pos + word.length] || '')) {
+        pos += word.length;
+        return value;
+      }
+    }
+
+    if (char === undefined) fail('Unexpected end of input');
+    return parseNumber();
+  };
+
+  const value = parseValue(basePath);
+  skipIgnored();
+  if (pos < text.length) fail(`Unexpected ${describeChar()} after the value`);
+  return value;
+};
@@ -0,0 +1,316 @@
+// Error-tolerant JSON parser. It never gives up: every deviation from JSON is
+// recorded as an issue `{ message, path, offset }` and parsing carries on with
+// a best guess. That serves two purposes:
+//   - diagnostics: the issues of a text JSON.parse rejected are its errors,
+//     all of them rather than just the first;
+//   - repair mode: the value it produces is the repaired document, and the
+//     issue paths say which nodes were repaired.
+// Handled breakage: truncated input (open strings and containers are closed),
+// trailing/missing/extra commas, single quotes, unquoted keys and strings,
+// comments, NaN/Infinity/undefined (replaced with null), Python literals,
+// raw control characters in strings, and concatenated top-level values
+// (loaded as records). Numbers a double cannot hold exactly are kept lossless.
+import { numberFromLiteral } from '../lossless';
+
+const MISSING = Symbol('missing');
+
+const isSpace = (code) => code === 0x20 || code === 0x0a || code === 0x0d || code === 0x09 || code === 0xfeff || code === 0xa0;
+const IDENTIFIER = /[A-Za-z_$][\w$-]*/y;
+const NUMBER = /[+-]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/y;
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const ESCAPES = { '"': '"', "'": "'", '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const WORDS = {
+  true: { value: true },
+  false: { value: false },
+  null: { value: null },
+  True: { value: true, message: 'Python True replaced with true' },
+  False: { value: false, message: 'Python False replaced with false' },
+  None: { value: null, message: 'Python None replaced with null' },
+  NaN: { value: null, message: 'NaN is not valid JSON; replaced with null' },
+  Infinity: { value: null, message: 'Infinity is not valid JSON; replaced with null' },
+  undefined: { value: null, message: 'undefined replaced with null' },
+};
+
+const describe = (char) => (char === undefined ? 'end of input' : JSON.stringify(char));
+
+// Returns { data, records, issues, commentCount }. `records` is true when the
+// text held several top-level values, which `data` then lists.
+export const parseLenient = (text) => {
+  let pos = 0;
+  const issues = [];
+  let commentCount = 0;
+
+  const note = (message, path, offset = pos) => issues.push({ message, path, offset });
+
+  const skipIgnored = () => {
+    while (pos < text.length) {
+      const code = text.charCodeAt(pos);
+      if (isSpace(code)) {
+        pos++;
+      } else if (code === 0x2f && text[pos + 1] === '/') {
+        commentCount++;
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end;
+      } else if (code === 0x2f && text[pos + 1] === '*') {
+        commentCount++;
+        const end = text.indexOf('*/', pos + 2);
+        pos = end === -1 ? text.length : end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = (path) => {
+    const quote = text[pos];
+    const start = pos;
+    if (quote === "'") note('Single-quoted string', path);
+    pos++;
+    let result = '';
+    let chunkStart = pos;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === quote) {
+        result += text.slice(chunkStart, pos);
+        pos++;
+        return result;
+      }
+      if (char === '\n') {
+        // Most likely a missing closing quote, e.g. a cut-off line
+        note('Unterminated string', path, start);
+        return result + text.slice(chunkStart, pos).replace(/\r$/, '');
+      }
+      if (char < ' ' && char !== '\t') {
+        note('Unescaped control character in string', path);
+      }
+      if (char === '\\') {
+        result += text.slice(chunkStart, pos);
+        const escape = text[pos + 1];
+        if (escape === undefined) {
+          pos++;
+          break;
+        }
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+        } else if (escape in ESCAPES) {
+          if (escape === "'" && quote === '"') note("Unnecessary escape \\'", path);
+          result += ESCAPES[escape];
+          pos += 2;
+        } else {
+          note(`Invalid escape \\${escape}`, path);
+          result += escape;
+          pos += 2;
+        }
+        chunkStart = pos;
+        continue;
+      }
+      pos++;
+    }
+    note('Unterminated string at end of input', path, start);
+    return result + text.slice(chunkStart, pos);
+  };
+
+  const parseNumber = (path) => {
+    NUMBER.lastIndex = pos;
+    const match = NUMBER.exec(text);
+    const literal = match[0];
+    pos += literal.length;
+    if (JSON_NUMBER.test(literal)) return numberFromLiteral(literal);
+    note(`Number ${literal} is not valid JSON`, path, pos - literal.length);
+    const unsigned = literal.replace(/^[+-]/, '');
+    const sign = literal[0] === '-' ? -1 : 1;
+    return sign * (/^0[xX]/.test(unsigned) ? parseInt(unsigned.slice(2), 16) : Number(unsigned));
+  };
+
+  const readIdentifier = () => {
+    IDENTIFIER.lastIndex = pos;
+    const match = IDENTIFIER.exec(text);
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const parseObject = (path) => {
+    const object = {};
+    pos++;
+    for (;;) {
+      skipIgnored();
+      const char = text[pos];
+      if (char === undefined) {
+        note('Unexpected end of input: object not closed', path);
+        return object;
+      }
+      if (char === '}') {
+        pos++;
+        return object;
+      }
+      if (char === ']') {
+        // Leave it for the enclosing array, which probably lost its '}'
+        note("Expected '}' but found ']'", path);
+        return object;
+      }
+      if (char === ',') {
+        note('Unexpected comma', path);
+        pos++;
+        continue;
+      }
+
+      const keyStart = pos;
+      let key;
+      if (char === '"' || char === "'") {
+        key = parseString(path);
+      } else {
+        key = readIdentifier();
+        if (key === null) {
+          NUMBER.lastIndex = pos;
+          const number = NUMBER.exec(text);
+          if (number) {
+            key = number[0];
+            pos += key.length;
+          }
+        }
+        if (key === null) {
+          note(`Unexpected ${describe(char)} in object`, path);
+          pos++;
+          continue;
+        }
+        note(`Unquoted key ${key}`, [...path, key], keyStart);
+      }
+      const childPath = [...path, key];
+
+      skipIgnored();
+      if (text[pos] === ':') {
+        pos++;
+      } else if (pos >= text.length) {
+        note('Unexpected end of input after key', path);
+        return object;
+      } else {
+        note(`Expected ':' after key but found ${describe(text[pos])}`, childPath);
+      }
+
+      const value = parseValue(childPath);
+      if (value === MISSING) {
+        if (pos >= text.length) return object;
+        object[key] = null;
+      } else {
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+      }
+
+      skipIgnored();
+      if (text[pos] === ',') {
+        pos++;
+        skipIgnored();
+        if (text[pos] === '}') note('Trailing comma', path);
+      } else if (text[pos] !== '}' && text[pos] !== ']' && pos < text.length) {
+        note(`Expected ',' or '}' but found ${describe(text[pos])}`, path);
+      }
+    }
+  };
+
+  const parseArray = (path) => {
+    const array = [];
+    pos++;
+    for (;;) {
+      skipIgnored();
+      const char = text[pos];
+      if (char === undefined) {
+        note('Unexpected end of input: array not closed', path);
+        return array;
+      }
+      if (char === ']') {
+        pos++;
+        return array;
+      }
+      if (char === '}') {
+        note("Expected ']' but found '}'", path);
+        return array;
+      }
+      if (char === ',') {
+        note('Unexpected comma', path);
+        pos++;
+        continue;
+      }
+
+      const value = parseValue([...path, array.length]);
+      if (value !== MISSING) array.push(value);
+
+      skipIgnored();
+      if (text[pos] === ',') {
+        pos++;
+        skipIgnored();
+        if (text[pos] === ']') note('Trailing comma', path);
+      } else if (text[pos] !== ']' && text[pos] !== '}' && pos < text.length) {
+        note(`Expected ',' or ']' but found ${describe(text[pos])}`, path);
+      }
+    }
+  };
+
+  const parseValue = (path) => {
+    for (;;) {
+      skipIgnored();
+      const char = text[pos];
+      if (char === undefined) {
+        note('Unexpected end of input: value missing', path);
+        return MISSING;
+      }
+      if (char === '{') return parseObject(path);
+      if (char === '[') return parseArray(path);
+      if (char === '"' || char === "'") return parseString(path);
+      if (/[-+.\d]/.test(char)) {
+        NUMBER.lastIndex = pos;
+        if (NUMBER.test(text)) return parseNumber(path);
+      }
+      if (char === ',' || char === '}' || char === ']') {
+        // Left for the enclosing container to deal with
+        note('Missing value', path);
+        return MISSING;
+      }
+
+      const start = pos;
+      const sign = char === '-' || char === '+' ? char : '';
+      pos += sign.length;
+      const word = readIdentifier();
+      if (word !== null) {
+        const known = Object.prototype.hasOwnProperty.call(WORDS, word) ? WORDS[word] : null;
+        if (known && (!sign || word === 'Infinity')) {
+          if (known.message) note(known.message, path, start);
+          return known.value;
+        }
+        note(`Unquoted string ${sign}${word}`, path, start);
+        return sign + word;
+      }
+
+      pos = start;
+      note(`Unexpected ${describe(char)}`, path);
+      pos++;
+    }
+  };
+
+  // Top level: one value, or several concatenated ones (`{...}{...}`)
+  const values = [];
+  for (;;) {
+    skipIgnored();
+    if (pos >= text.length) break;
+    if (text[pos] === ',' || text[pos] === '}' || text[pos] === ']') {
+      note(`Unexpected ${describe(text[pos])}`, [values.length]);
+      pos++;
+      continue;
+    }
+    const value = parseValue([values.length]);
+    if (value !== MISSING) values.push(value);
+  }
+
+  const records = values.length > 1;
+  if (!records) {
+    // Paths were recorded relative to a records array; drop the index
+    issues.forEach((issue) => { issue.path = issue.path.slice(1); });
+  } else {
+    note(`${values.length} concatenated top-level values loaded as records`, [], 0);
+  }
+  if (values.length === 0) note('No JSON value found', [], 0);
+  if (commentCount > 0) note(`${commentCount} comment${commentCount !== 1 ? 's' : ''} removed`, [], 0);
+
+  issues.sort((a, b) => a.offset - b.offset);
+  return { data: records ? values : (values[0] ?? null), records, issues, commentCount };
+};
@@ -0,0 +1,47 @@
+// Turning character offsets into human-readable positions for error messages.
+
+const SNIPPET_RADIUS = 40;
+
+// 1-based line and column of a character offset
+export const lineAndColumn = (text, offset) => {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) {
+    line++;
+    lineStart = i + 1;
+  }
+  return { line, column: offset - lineStart + 1 };
+};
+
+// Locates many offsets in the same text. Returns a function giving
+// { line, column, snippet, caret } where `snippet` is the surrounding part of
+// the line and `caret` the index of the offending character within it.
+export const createLocator = (text, { firstLine = 1 } = {}) => {
+  let lineStarts = null;
+
+  return (offset) => {
+    if (!lineStarts) {
+      lineStarts = [0];
+      for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+    }
+
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+
+    const lineStart = lineStarts[low];
+    const nextLine = text.indexOf('\n', lineStart);
+    const lineText = text.slice(lineStart, nextLine === -1 ? text.length : nextLine).replace(/\r$/, '');
+    const column = offset - lineStart;
+    const from = Math.max(0, column - SNIPPET_RADIUS);
+    const to = Math.min(lineText.length, column + SNIPPET_RADIUS);
+    const prefix = from > 0 ? '…' : '';
+    const snippet = prefix + lineText.slice(from, to) + (to < lineText.length ? '…' : '');
+
+    return { line: low + firstLine, column: column + 1, snippet, caret: column - from + prefix.length };
+  };
+};
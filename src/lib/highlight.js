@@ -0,0 +1,47 @@
+// Syntax highlighting for JSON-like text (JSON, JSONL, JSON5/JSONC). The text
+// is split into tokens whose concatenation is the original text.
+
+const TOKEN = new RegExp([
+  '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))', // 1 comment
+  '("(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?)(?=(\\s*:)?)', // 2 string, 3 followed by ':'
+  '([-+]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?))', // 4 number
+  '(true|false|null)\\b', // 5 keyword
+  '([A-Za-z_$][\\w$]*)(?=(\\s*:)?)', // 6 identifier, 7 followed by ':'
+  '([{}[\\],:])', // 8 punctuation
+  '(\\s+)', // 9 whitespace
+  '([\\s\\S])', // 10 anything else
+].join('|'), 'g');
+
+export const TOKEN_CLASSES = {
+  comment: 'text-gray-500 italic',
+  key: 'text-gray-300',
+  string: 'text-yellow-300',
+  number: 'text-blue-400',
+  keyword: 'text-orange-400',
+  punctuation: 'text-gray-500',
+  invalid: 'text-red-400',
+};
+
+// Returns [{ type, text }] where type is a TOKEN_CLASSES key or null
+export const tokenizeJson = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(text)) !== null) {
+    const [whole, comment, string, stringKey, number, keyword, identifier, identifierKey, punctuation, space] = match;
+    let type = 'invalid';
+    if (comment) type = 'comment';
+    else if (string) type = stringKey ? 'key' : 'string';
+    else if (number) type = 'number';
+    else if (keyword) type = 'keyword';
+    else if (identifier) type = identifierKey ? 'key' : 'invalid';
+    else if (punctuation) type = 'punctuation';
+    else if (space) type = null;
+
+    // Merge runs of the same type to keep the number of elements down
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.type === type) previous.text += whole;
+    else tokens.push({ type, text: whole });
+  }
+  return tokens;
+};
@@ -0,0 +1,282 @@
+// Large-file mode for JSONL: files too big to parse into memory are indexed
+// instead, and records are parsed only when shown or searched. The index is
+// sparse, the byte offset of every RECORDS_PER_BLOCK-th record (or more often
+// when records are long), so it stays small however large the file; reading
+// record N means reading the one block that holds it. Parsed blocks are kept
+// in a small cache.
+//
+// Files are read through a source, { name, size, read(start, end) } resolving
+// to the bytes in [start, end): a File in the browser, or a path read by the
+// desktop app.
+import { parseJson, sniffFormat } from './formats';
+import { searchData } from './search';
+import { getFileSize, readFileRange } from './platform';
+
+// Files above this size open in large-file mode
+export const LARGE_FILE_SIZE = 256 * 1024 * 1024;
+
+const RECORDS_PER_BLOCK = 1024;
+const MAX_BLOCK_BYTES = 4 * 1024 * 1024;
+const SCAN_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_CACHED_BLOCKS = 8;
+const SNIFF_BYTES = 64 * 1024;
+const MAX_SNIFF_BYTES = 64 * 1024 * 1024;
+
+// Lines holding only spaces, tabs and carriage returns are blank, whether
+// scanned as bytes or read as text
+const NEWLINE = 10;
+const isBlankByte = (byte) => byte === 32 || byte === 9 || byte === 13;
+const isBlankLine = (line) => /^[ \t\r]*$/.test(line);
+
+// Rejection of a cancelled scan, marked like a cancelled parse
+const cancelledError = (message) => {
+  const error = new Error(message);
+  error.cancelled = true;
+  return error;
+};
+
+export const fileSource = (file) => ({
+  name: file.name,
+  size: file.size,
+  read: async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer()),
+});
+
+export const pathSource = async (path) => ({
+  name: path.split(/[\\/]/).pop(),
+  size: await getFileSize(path),
+  read: (start, end) => readFileRange(path, start, end - start),
+});
+
+// True when the start of the file looks like JSON Lines. Gzipped files are
+// not: they cannot be read from the middle. Telling JSONL from JSON takes the
+// whole first record and the start of the second, so ever larger samples are
+// read until one holds both (up to MAX_SNIFF_BYTES; past that the file is
+// taken to be JSON).
+export const isJsonLines = async (source) => {
+  for (let length = SNIFF_BYTES; ; length *= 4) {
+    const bytes = await source.read(0, Math.min(source.size, length));
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return false;
+    const sample = new TextDecoder().decode(bytes);
+    if (bytes.length === source.size || length >= MAX_SNIFF_BYTES || /\S[^\n]*\n\s*\S/.test(sample)) {
+      return sniffFormat(source.name, sample).id === 'jsonl';
+    }
+  }
+};
+
+// Scans the file once for record boundaries. Blank lines are not records,
+// as when a file is parsed whole. Returns { promise, cancel } like parseFile;
+// `onProgress({ bytesProcessed, totalBytes, records })` follows the scan and
+// the promise resolves to the index, { recordCount, blocks } where block i
+// starts at byte blocks.offsets[i] with record blocks.firstRecords[i].
+export const buildRecordIndex = (source, { onProgress } = {}) => {
+  let cancelled = false;
+
+  const scan = async () => {
+    const offsets = [];
+    const firstRecords = [];
+    let recordCount = 0;
+    let lineStart = 0;
+    let lineHasContent = false;
+
+    const noteRecord = () => {
+      const blockStart = offsets[offsets.length - 1];
+      if (recordCount % RECORDS_PER_BLOCK === 0 || lineStart - blockStart >= MAX_BLOCK_BYTES) {
+        offsets.push(lineStart);
+        firstRecords.push(recordCount);
+      }
+      recordCount++;
+    };
+
+    for (let base = 0; base < source.size; base += SCAN_CHUNK_BYTES) {
+      const bytes = await source.read(base, Math.min(source.size, base + SCAN_CHUNK_BYTES));
+      if (cancelled) throw cancelledError('Indexing cancelled');
+      let i = 0;
+      while (i < bytes.length) {
+        if (!lineHasContent) {
+          while (i < bytes.length && isBlankByte(bytes[i])) i++;
+          if (i === bytes.length) break;
+          if (bytes[i] !== NEWLINE) lineHasContent = true;
+        }
+        const newline = bytes.indexOf(NEWLINE, i);
+        if (newline === -1) break;
+        if (lineHasContent) noteRecord();
+        lineStart = base + newline + 1;
+        lineHasContent = false;
+        i = newline + 1;
+      }
+      onProgress?.({ bytesProcessed: Math.min(source.size, base + SCAN_CHUNK_BYTES), totalBytes: source.size, records: recordCount });
+    }
+    if (lineHasContent) noteRecord();
+
+    return { recordCount, blocks: { offsets, firstRecords } };
+  };
+
+  return {
+    promise: scan(),
+    cancel: () => {
+      cancelled = true;
+    },
+  };
+};
+
+// Index of the block holding record `n`
+const blockOf = (index, n) => {
+  const { firstRecords } = index.blocks;
+  let low = 0;
+  let high = firstRecords.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (firstRecords[mid] <= n) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// The non-blank lines of block `b` as text
+const readBlockLines = async (source, index, b) => {
+  const { offsets } = index.blocks;
+  const end = b + 1 < offsets.length ? offsets[b + 1] : source.size;
+  const text = new TextDecoder().decode(await source.read(offsets[b], end));
+  return text.split(/\r?\n/).filter((line) => !isBlankLine(line));
+};
+
+// A record is { value } or, for a line that is not valid JSON, { error, value }
+// with the line's text as the value
+const parseRecord = (line) => {
+  try {
+    return { value: parseJson(line) };
+  } catch (err) {
+    return { value: line, error: err.message };
+  }
+};
+
+// Reads records by number, parsing the blocks they are in. The most recently
+// used blocks stay parsed.
+export const createRecordReader = (source, index) => {
+  const cache = new Map();
+
+  const loadBlock = (b) => {
+    let block = cache.get(b);
+    if (block) {
+      cache.delete(b);
+    } else {
+      block = readBlockLines(source, index, b).then((lines) => lines.map(parseRecord));
+      block.catch(() => cache.delete(b));
+    }
+    cache.set(b, block);
+    while (cache.size > MAX_CACHED_BLOCKS) cache.delete(cache.keys().next().value);
+    return block;
+  };
+
+  // Resolves to the records first..first+count-1 (fewer at the end)
+  const read = async (first, count) => {
+    const last = Math.min(index.recordCount, first + count) - 1;
+    const records = [];
+    if (last < first) return records;
+    const { firstRecords } = index.blocks;
+    for (let b = blockOf(index, first); b < firstRecords.length && firstRecords[b] <= last; b++) {
+      const block = await loadBlock(b);
+      block.forEach((record, i) => {
+        const n = firstRecords[b] + i;
+        if (n >= first && n <= last) records.push(record);
+      });
+    }
+    return records;
+  };
+
+  return { read };
+};
+
+// Row layout of a list of `recordCount` records where each record is one row
+// except those in `rowCounts`, a Map from record number to its number of
+// rows. Positions are worked out from the record numbers, so the layout costs
+// memory for the records in `rowCounts` only. `at(row)` is { record, offset }
+// for the `offset`-th row of `record`, and `firstRowOf(record)` the row it
+// starts at.
+export const createRecordLayout = (recordCount, rowCounts) => {
+  const numbers = [...rowCounts.keys()].sort((a, b) => a - b);
+  // extraBefore[i] is how many rows the records numbers[0..i-1] add
+  const extraBefore = [0];
+  numbers.forEach((n, i) => extraBefore.push(extraBefore[i] + rowCounts.get(n) - 1));
+
+  // Index in `numbers` of the last record with a row count starting at or
+  // before `row`, or -1
+  const locate = (row) => {
+    let low = 0;
+    let high = numbers.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (numbers[mid] + extraBefore[mid] <= row) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  };
+
+  const at = (row) => {
+    const i = locate(row);
+    if (i === -1) return { record: row, offset: 0 };
+    const offset = row - (numbers[i] + extraBefore[i]);
+    if (offset < rowCounts.get(numbers[i])) return { record: numbers[i], offset };
+    return { record: row - extraBefore[i + 1], offset: 0 };
+  };
+
+  const firstRowOf = (record) => {
+    let low = 0;
+    let high = numbers.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (numbers[mid] < record) low = mid + 1;
+      else high = mid;
+    }
+    return record + extraBefore[low];
+  };
+
+  return { rowCount: recordCount + extraBefore[numbers.length], at, firstRowOf };
+};
+
+// Searches every record in the background, a block at a time, like
+// searchData on the whole array would (records that are not valid JSON are
+// searched as text). For plain-text searches, lines that cannot contain a
+// match are skipped without parsing: unless a line has escapes or exponents,
+// its parsed keys and values are substrings of its text. Returns
+// { promise, cancel }; the promise resolves to { results, truncated } and
+// `onProgress({ bytesProcessed, totalBytes, matchCount })` follows the scan.
+export const searchRecords = (source, index, matcher, options, { onProgress } = {}) => {
+  let cancelled = false;
+
+  const scan = async () => {
+    const results = [];
+    const truncated = new Set();
+    const { offsets, firstRecords } = index.blocks;
+    const canSkipLines = !options.regex;
+
+    for (let b = 0; b < offsets.length && results.length < options.maxResults; b++) {
+      const lines = await readBlockLines(source, index, b);
+      if (cancelled) throw cancelledError('Search cancelled');
+      lines.forEach((line, i) => {
+        if (results.length >= options.maxResults) return;
+        if (canSkipLines && !/\\|\d[eE]/.test(line) && !matcher.test(line)) return;
+        const found = searchData(parseRecord(line).value, matcher, { ...options, maxResults: options.maxResults - results.length }, [firstRecords[b] + i]);
+        results.push(...found.results);
+        found.truncated.forEach((limit) => truncated.add(limit));
+      });
+      const bytesProcessed = b + 1 < offsets.length ? offsets[b + 1] : source.size;
+      onProgress?.({ bytesProcessed, totalBytes: source.size, matchCount: results.length });
+    }
+
+    if (results.length >= options.maxResults) truncated.add('results');
+    return { results, truncated: [...truncated] };
+  };
+
+  return {
+    promise: scan(),
+    cancel: () => {
+      cancelled = true;
+    },
+  };
+};
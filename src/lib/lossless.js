@@ -0,0 +1,206 @@
+// Numbers that a JavaScript number cannot hold exactly: integers beyond 2^53,
+// decimals with more significant digits than a double keeps, and exponents
+// out of range. The parsers keep those as LosslessNumber, which carries the
+// literal from the source text. Display, copy, search and export use the
+// literal (String(value) and stringifyJson); comparisons and sorting use the
+// nearest double through valueOf.
+
+export class LosslessNumber {
+  constructor(literal) {
+    this.literal = literal;
+  }
+
+  valueOf() {
+    return Number(this.literal);
+  }
+
+  toString() {
+    return this.literal;
+  }
+
+  // Plain JSON.stringify can only write the nearest double; stringifyJson
+  // writes the literal
+  toJSON() {
+    return this.valueOf();
+  }
+}
+
+export const isLosslessNumber = (value) => value instanceof LosslessNumber;
+
+const containsLosslessNumber = (value) => {
+  const stack = [value];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current instanceof LosslessNumber) return true;
+    if (Array.isArray(current)) stack.push(...current);
+    else if (typeof current === 'object' && current !== null) stack.push(...Object.values(current));
+  }
+  return false;
+};
+
+// JSON.stringify for values holding lossless numbers, which it writes as
+// their literal. Otherwise the same output, for the values documents hold.
+const writeJson = (value, indent, prefix) => {
+  if (value instanceof LosslessNumber) return value.literal;
+  if (typeof value !== 'object' || value === null) return JSON.stringify(value);
+  const inner = prefix + indent;
+  const newline = indent ? `\n${inner}` : '';
+  const parts = [];
+  if (Array.isArray(value)) {
+    value.forEach((item) => parts.push(writeJson(item, indent, inner) ?? 'null'));
+    return parts.length ? `[${newline}${parts.join(`,${newline}`)}${indent ? `\n${prefix}` : ''}]` : '[]';
+  }
+  Object.keys(value).forEach((key) => {
+    const text = writeJson(value[key], indent, inner);
+    if (text !== undefined) parts.push(`${JSON.stringify(key)}:${indent ? ' ' : ''}${text}`);
+  });
+  return parts.length ? `{${newline}${parts.join(`,${newline}`)}${indent ? `\n${prefix}` : ''}}` : '{}';
+};
+
+// JSON.stringify that writes lossless numbers as their literal. `indent` is
+// a number of spaces or a string, as for JSON.stringify.
+export const stringifyJson = (value, indent) => {
+  if (!containsLosslessNumber(value)) return JSON.stringify(value, null, indent);
+  const unit = typeof indent === 'number' ? ' '.repeat(Math.min(10, Math.max(0, indent))) : (indent ?? '').slice(0, 10);
+  return writeJson(value, unit, '');
+};
+
+// Cheap check on a whole text: false means every number in it fits a double,
+// so JSON.parse can be used as is. Digits inside strings give false positives,
+// which only cost a slower parse.
+const MAYBE_LOSSY = /(?:\d\.?){16,}|[eE][+-]?\d{3,}/;
+
+export const mayHaveLossyNumbers = (text) => MAYBE_LOSSY.test(text);
+
+// Tokens of a JSON text that matter for finding where its numbers are:
+// strings, numbers and punctuation
+const JSON_TOKEN = /"[^"\\]*(?:\\[\s\S][^"\\]*)*"|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|[{}[\],:]/g;
+
+// { negative, digits, point } with leading and trailing zeros removed, where
+// the value is 0.digits × 10^point
+const decompose = (literal) => {
+  const match = /^([+-]?)(\d*)\.?(\d*)(?:[eE]([+-]?\d+))?$/.exec(literal);
+  if (!match) return null;
+  const [, sign, whole, fraction, exponent = '0'] = match;
+  const all = whole + fraction;
+  const leading = all.length - all.replace(/^0+/, '').length;
+  const digits = all.slice(leading).replace(/0+$/, '');
+  if (!digits) return { negative: false, digits: '', point: 0 };
+  return { negative: sign === '-', digits, point: whole.length - leading + Number(exponent) };
+};
+
+// True when Number(literal) reproduces the literal's value exactly
+export const isExactLiteral = (literal) => {
+  if (literal.length <= 15 && !/[eE]/.test(literal)) return true;
+  const number = Number(literal);
+  if (!Number.isFinite(number)) return false;
+  const a = decompose(literal);
+  const b = decompose(String(number));
+  return !!a && !!b && a.negative === b.negative && a.digits === b.digits && a.point === b.point;
+};
+
+// A decimal literal as a number, or a LosslessNumber when a double would
+// change it. The literal is normalized to valid JSON (no plus sign, no bare
+// leading or trailing decimal point), since that is what gets written back.
+export const numberFromLiteral = (literal) => {
+  if (isExactLiteral(literal)) return Number(literal);
+  const normalized = literal
+    .replace(/^\+/, '')
+    .replace(/^(-?)\./, '$10.')
+    .replace(/\.(?=[eE]|$)/, '');
+  return new LosslessNumber(normalized);
+};
+
+// [path, literal] of every number in a valid JSON text that a double cannot
+// hold exactly. Object keys are kept as their JSON text until needed.
+const findLossyNumbers = (text) => {
+  const found = [];
+  const stack = [];
+  let expectKey = false;
+  for (const [token] of text.matchAll(JSON_TOKEN)) {
+    const top = stack[stack.length - 1];
+    switch (token[0]) {
+      case '{':
+        stack.push({ isArray: false, segment: null });
+        expectKey = true;
+        break;
+      case '[':
+        stack.push({ isArray: true, segment: 0 });
+        expectKey = false;
+        break;
+      case '}':
+      case ']':
+        stack.pop();
+        expectKey = false;
+        break;
+      case ',':
+        if (top.isArray) top.segment++;
+        else expectKey = true;
+        break;
+      case ':':
+        break;
+      case '"':
+        if (expectKey) {
+          top.segment = token;
+          expectKey = false;
+        }
+        break;
+      default:
+        if (!isExactLiteral(token)) {
+          found.push([stack.map((frame) => (frame.isArray ? frame.segment : JSON.parse(frame.segment))), token]);
+        }
+    }
+  }
+  return found;
+};
+
+// JSON.parse, keeping numbers a double cannot hold exactly as LosslessNumber.
+// The text is parsed once; when it may hold such numbers, a scan of its
+// tokens finds where they are and they are put back by path. With duplicate
+// keys the last one wins, as in JSON.parse: a number is only replaced where
+// the parsed value is still that number.
+export const parseJsonLossless = (text) => {
+  let data = JSON.parse(text);
+  if (!mayHaveLossyNumbers(text)) return data;
+  findLossyNumbers(text).forEach(([path, literal]) => {
+    if (path.length === 0) {
+      data = new LosslessNumber(literal);
+      return;
+    }
+    let parent = data;
+    for (let i = 0; i < path.length - 1 && typeof parent === 'object' && parent !== null; i++) parent = parent[path[i]];
+    const key = path[path.length - 1];
+    if (typeof parent === 'object' && parent !== null && parent[key] === Number(literal)) {
+      parent[key] = new LosslessNumber(literal);
+    }
+  });
+  return data;
+};
+
+// Calls visit(path, literal) for every lossless number in `value`
+export const forEachLosslessNumber = (value, visit, path = []) => {
+  if (value instanceof LosslessNumber) {
+    visit(path, value.literal);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => forEachLosslessNumber(item, visit, [...path, i]));
+  } else if (typeof value === 'object' && value !== null) {
+    Object.keys(value).forEach((key) => forEachLosslessNumber(value[key], visit, [...path, key]));
+  }
+};
+
+// Lossless numbers arrive from the parser worker as plain `{ literal }`
+// objects (structured cloning drops the class), along with a list of
+// [path, literal] entries; this puts the class back. Returns the new root.
+export const reviveLosslessNumbers = (data, entries = []) => {
+  let root = data;
+  for (const [path, literal] of entries) {
+    if (path.length === 0) {
+      root = new LosslessNumber(literal);
+      continue;
+    }
+    let parent = root;
+    for (let i = 0; i < path.length - 1; i++) parent = parent[path[i]];
+    parent[path[path.length - 1]] = new LosslessNumber(literal);
+  }
+  return root;
+};
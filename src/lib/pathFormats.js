@@ -0,0 +1,199 @@
+// A node's path written out in the syntaxes people paste into code and tools,
+// and parsed back from any of them. Keys are escaped so that keys with dots,
+// quotes, slashes or spaces round-trip.
+import { isContainer, formatPath } from './tree';
+
+const JS_IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const JQ_IDENTIFIER = /^[A-Za-z_][\w]*$/;
+
+const quoteSingle = (key) => `'${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const escapePointerToken = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+export const PATH_FORMATS = [
+  {
+    id: 'js',
+    label: 'JavaScript',
+    format: (path) => `data${path.map((segment) => {
+      if (typeof segment === 'number') return `[${segment}]`;
+      return JS_IDENTIFIER.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+    }).join('')}`,
+  },
+  {
+    id: 'jsonpath',
+    label: 'JSONPath',
+    format: (path) => `$${path.map((segment) => {
+      if (typeof segment === 'number') return `[${segment}]`;
+      return JQ_IDENTIFIER.test(segment) ? `.${segment}` : `[${quoteSingle(segment)}]`;
+    }).join('')}`,
+  },
+  {
+    id: 'pointer',
+    label: 'JSON Pointer',
+    format: (path) => path.map((segment) => `/${escapePointerToken(segment)}`).join(''),
+  },
+  {
+    id: 'jq',
+    label: 'jq',
+    // jq only allows a dot before brackets at the start (`.[0]`, `.a[0]`)
+    format: (path) => {
+      if (path.length === 0) return '.';
+      return path.map((segment, i) => {
+        const lead = i === 0 ? '.' : '';
+        if (typeof segment === 'number') return `${lead}[${segment}]`;
+        return JQ_IDENTIFIER.test(segment) ? `.${segment}` : `${lead}[${JSON.stringify(segment)}]`;
+      }).join('');
+    },
+  },
+  {
+    id: 'python',
+    label: 'Python',
+    format: (path) => `data${path.map((segment) => `[${typeof segment === 'number' ? segment : JSON.stringify(segment)}]`).join('')}`,
+  },
+];
+
+export const formatPathAs = (path, formatId) => PATH_FORMATS.find((format) => format.id === formatId).format(path);
+
+export class PathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PathError';
+  }
+}
+
+const parsePointer = (text) => {
+  const pointer = text.startsWith('#') ? decodeURIComponent(text.slice(1)) : text;
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new PathError('A JSON Pointer starts with /');
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Reads a quoted key starting at text[start]; returns [key, end]
+const readQuoted = (text, start) => {
+  const quote = text[start];
+  let i = start + 1;
+  let key = '';
+  while (i < text.length && text[i] !== quote) {
+    if (text[i] === '\\') {
+      const escape = text[i + 1];
+      if (escape === 'u') {
+        key += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+        i += 6;
+        continue;
+      }
+      key += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[escape] ?? escape;
+      i += 2;
+      continue;
+    }
+    key += text[i];
+    i++;
+  }
+  if (i >= text.length) throw new PathError('Unterminated quoted key');
+  return [key, i + 1];
+};
+
+// The accessor syntaxes: JavaScript, JSONPath, jq, Python and the dotted
+// form shown in search results (`orders[0].sku`). A leading `$`, `.` or
+// variable name is returned as `root` since it may also be a key.
+const parseAccessor = (text) => {
+  const segments = [];
+  let i = 0;
+  let root = null;
+
+  const readName = () => {
+    const match = /^[^.[\]\s]+/.exec(text.slice(i));
+    if (!match) throw new PathError(`Expected a key at position ${i + 1}`);
+    i += match[0].length;
+    return match[0];
+  };
+
+  if (text[0] === '$') {
+    root = '$';
+    i = 1;
+  } else if (text[0] !== '.' && text[0] !== '[') {
+    root = readName();
+  }
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '.') {
+      i++;
+      if (i >= text.length) break; // jq's `.` for the root
+      if (text[i] === '"' || text[i] === "'") {
+        const [key, end] = readQuoted(text, i);
+        segments.push(key);
+        i = end;
+      } else if (text[i] !== '[') {
+        segments.push(readName());
+      }
+    } else if (char === '[') {
+      i++;
+      if (text[i] === '"' || text[i] === "'") {
+        const [key, end] = readQuoted(text, i);
+        segments.push(key);
+        i = end;
+      } else {
+        const match = /^-?\d+/.exec(text.slice(i));
+        if (!match) throw new PathError(`Expected an index or quoted key at position ${i + 1}`);
+        segments.push(Number(match[0]));
+        i += match[0].length;
+      }
+      if (text[i] !== ']') throw new PathError(`Expected ] at position ${i + 1}`);
+      i++;
+    } else {
+      throw new PathError(`Unexpected ${JSON.stringify(char)} at position ${i + 1}`);
+    }
+  }
+  return { root, segments };
+};
+
+// Segments of a node in `data` from the given raw segments, or null if there
+// is no such node. Pointer tokens are strings, so array indices are
+// converted here, where it is known which containers are arrays.
+const resolveSegments = (data, segments) => {
+  const path = [];
+  let node = data;
+  for (const segment of segments) {
+    if (Array.isArray(node)) {
+      const index = typeof segment === 'number' ? segment : /^\d+$/.test(segment) ? Number(segment) : NaN;
+      const resolved = index < 0 ? node.length + index : index;
+      if (!(resolved >= 0 && resolved < node.length)) return null;
+      path.push(resolved);
+      node = node[resolved];
+    } else if (isContainer(node) && Object.prototype.hasOwnProperty.call(node, String(segment))) {
+      path.push(String(segment));
+      node = node[String(segment)];
+    } else {
+      return null;
+    }
+  }
+  return path;
+};
+
+// Parses a path in any of PATH_FORMATS (or the dotted form) and finds it in
+// `data`. Returns the path; throws a PathError when it can't be parsed or
+// doesn't exist. The empty string is the JSON Pointer to the root.
+export const resolvePathText = (data, input) => {
+  if (input === '') return [];
+
+  // Pointer keys may start or end with spaces, so only the whitespace before
+  // the first / is dropped
+  const pointer = input.trimStart();
+  if (pointer.startsWith('/') || pointer.startsWith('#')) {
+    const path = resolveSegments(data, parsePointer(pointer));
+    if (!path) throw new PathError(`No node at ${pointer}`);
+    return path;
+  }
+
+  const text = input.trim();
+  if (text === '') throw new PathError('Enter a path');
+  const { root, segments } = parseAccessor(text);
+  // A leading name is tried as a variable first (`data.a`), then as a key (`a.b`)
+  const candidates = root === null || root === '$' ? [segments] : [segments, [root, ...segments]];
+  for (const candidate of candidates) {
+    const path = resolveSegments(data, candidate);
+    if (path) return path;
+  }
+  const shown = root === null || root === '$' ? segments : [root, ...segments];
+  throw new PathError(`No node at ${formatPath(shown) || 'the root'}`);
+};
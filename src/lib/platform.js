@@ -0,0 +1,114 @@
+// Bridges between the Tauri desktop app and the plain web build (the same
+// frontend is also served by `npm run dev`). Tauri APIs are imported lazily so
+// the web build never touches them.
+
+export const isTauri = () => typeof window !== 'undefined' && '__TAURI_INTERNALS__' in window;
+
+const downloadText = (fileName, parts, mimeType) => {
+  const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Shows the save dialog and resolves to the picked path, or null. The app only
+// writes to paths picked this way (see pick_save_path in src-tauri).
+const pickSavePath = async (suggestedName, filters) => {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return invoke('pick_save_path', { defaultPath: suggestedName, filters });
+};
+
+// Asks where to save and writes `contents` there. Resolves to the chosen file
+// name, or null if the user cancelled. In the browser the file is downloaded.
+export const saveTextFile = async ({ suggestedName, contents, filters = [], mimeType = 'application/json' }) => {
+  if (!isTauri()) {
+    downloadText(suggestedName, [contents], mimeType);
+    return suggestedName;
+  }
+
+  const path = await pickSavePath(suggestedName, filters);
+  if (!path) return null;
+
+  const { invoke } = await import('@tauri-apps/api/core');
+  await invoke('write_text_file', { path, contents });
+  return path.split(/[\\/]/).pop();
+};
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Like saveTextFile, but takes the text as an iterable of chunks so large
+// exports never exist as a single string. Chunks are written one at a time
+// with a pause in between so the UI can show `onProgress(charactersWritten)`.
+export const saveTextChunks = async ({ suggestedName, chunks, filters = [], mimeType = 'application/json', onProgress }) => {
+  let written = 0;
+  const progress = (chunk) => {
+    written += chunk.length;
+    onProgress?.(written);
+    return nextTask();
+  };
+
+  if (!isTauri()) {
+    const parts = [];
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      await progress(chunk);
+    }
+    downloadText(suggestedName, parts, mimeType);
+    return suggestedName;
+  }
+
+  const path = await pickSavePath(suggestedName, filters);
+  if (!path) return null;
+
+  const { invoke } = await import('@tauri-apps/api/core');
+  await invoke('write_text_file', { path, contents: '' });
+  for (const chunk of chunks) {
+    await invoke('append_text_file', { path, contents: chunk });
+    await progress(chunk);
+  }
+  return path.split(/[\\/]/).pop();
+};
+
+// Asks for a file on disk and resolves to its path, or null if the user
+// cancelled. Desktop app only: the browser never reveals paths. The read
+// functions below only accept paths picked this way (see pick_open_path in
+// src-tauri).
+export const pickOpenPath = async ({ defaultPath = null, filters = [] } = {}) => {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return invoke('pick_open_path', { defaultPath, filters });
+};
+
+// Reads the complete lines added to the file at `path` since byte `offset`
+// (desktop app only). Resolves to { fileId, size, offset, text, reset,
+// skipped }: `offset` is where to continue next time, and `reset` means the
+// file was truncated or replaced by another (`fileId` differs from the one
+// passed), so `text` starts again from its beginning. `skipped` counts lines
+// too long to read that were passed over.
+export const readAppendedLines = async (path, offset, fileId = null) => {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return invoke('read_appended_lines', { path, offset, fileId });
+};
+
+// Size of the file at `path` and a byte range of it, for files read a piece
+// at a time (desktop app only)
+export const getFileSize = async (path) => {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return invoke('file_size', { path });
+};
+
+export const readFileRange = async (path, start, length) => {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return new Uint8Array(await invoke('read_file_range', { path, start, length }));
+};
+
+// Opens a link in the system browser (or mail client for mailto: links)
+export const openExternalUrl = async (url) => {
+  if (!isTauri()) {
+    window.open(url, '_blank', 'noopener,noreferrer');
+    return;
+  }
+  const { openUrl } = await import('@tauri-apps/plugin-opener');
+  await openUrl(url);
+};
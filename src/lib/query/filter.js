@@ -0,0 +1,286 @@
+// Record filter expressions for JSONL files: a predicate evaluated against
+// each record, e.g. `level == "error" && latency_ms > 500 && user.id in [1, 2]`.
+//
+//   field paths   user.id, tags[0], .["content-type"]  (a leading `.` is optional)
+//   literals      numbers, "strings", true, false, null, [lists]
+//   comparisons   == != < <= > >=
+//   tests         a contains b, a in [..], a =~ /re/i, a matches "re", a exists
+//   logic         && (and), || (or), ! (not), ( )
+//
+// A field on its own is true when present and not null or false. Missing
+// fields are undefined: they equal nothing and compare false.
+import { tokenize, TokenStream, QuerySyntaxError } from './tokenizer';
+import { compare, deepEqual, isTruthy, typeOf, toRegExp } from './values';
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+const WORD_OPERATORS = ['contains', 'in', 'matches', 'exists'];
+// Records checked between yields to the event loop
+const CHUNK_SIZE = 5000;
+
+const isWord = (stream, word) => {
+  const token = stream.peek();
+  return token.type === 'ident' && token.value === word;
+};
+
+const contains = (container, item) => {
+  if (typeof container === 'string') return typeof item === 'string' && container.includes(item);
+  if (Array.isArray(container)) return container.some((candidate) => deepEqual(candidate, item));
+  if (typeOf(container) === 'object') return typeof item === 'string' && Object.prototype.hasOwnProperty.call(container, item);
+  return false;
+};
+
+// Regexes given as strings are compiled once, when they are literals
+const matcher = (pattern) => {
+  if (pattern.isLiteral) {
+    const regex = toRegExp(pattern());
+    return () => regex;
+  }
+  return (record) => {
+    const value = pattern(record);
+    return value instanceof RegExp || typeof value === 'string' ? toRegExp(value) : null;
+  };
+};
+
+const testRegex = (regex, value) => {
+  if (!regex || typeof value !== 'string') return false;
+  regex.lastIndex = 0;
+  return regex.test(value);
+};
+
+// ---- parser: produces evaluators (record => value) directly ----
+
+const parseOr = (stream) => {
+  let left = parseAnd(stream);
+  while (stream.is('||') || isWord(stream, 'or')) {
+    stream.next();
+    const first = left;
+    const second = parseAnd(stream);
+    left = (record) => isTruthy(first(record)) || isTruthy(second(record));
+  }
+  return left;
+};
+
+const parseAnd = (stream) => {
+  let left = parseNot(stream);
+  while (stream.is('&&') || isWord(stream, 'and')) {
+    stream.next();
+    const first = left;
+    const second = parseNot(stream);
+    left = (record) => isTruthy(first(record)) && isTruthy(second(record));
+  }
+  return left;
+};
+
+const parseNot = (stream) => {
+  if (stream.is('!') || isWord(stream, 'not')) {
+    stream.next();
+    const inner = parseNot(stream);
+    return (record) => !isTruthy(inner(record));
+  }
+  return parseComparison(stream);
+};
+
+const parseComparison = (stream) => {
+  const left = parseOperand(stream);
+
+  const op = COMPARISON_OPERATORS.find((candidate) => stream.is(candidate));
+  if (op) {
+    stream.next();
+    const right = parseOperand(stream);
+    return (record) => {
+      const a = left(record);
+      const b = right(record);
+      if (a === undefined || b === undefined) return op === '!=' && a !== b;
+      return compare(op, a, b);
+    };
+  }
+
+  if (stream.accept('=~')) {
+    const token = stream.peek();
+    if (token.type === 'regex') {
+      stream.next();
+      return (record) => testRegex(token.value, left(record));
+    }
+    const regex = matcher(parseOperand(stream));
+    return (record) => testRegex(regex(record), left(record));
+  }
+
+  const word = WORD_OPERATORS.find((candidate) => isWord(stream, candidate));
+  if (!word) return left;
+  stream.next();
+  if (word === 'exists') return (record) => left(record) !== undefined;
+  const right = parseOperand(stream);
+  if (word === 'contains') return (record) => contains(left(record), right(record));
+  if (word === 'in') return (record) => contains(right(record), left(record));
+  const regex = matcher(right);
+  return (record) => testRegex(regex(record), left(record));
+};
+
+const literal = (value) => {
+  const evaluate = () => value;
+  evaluate.isLiteral = true;
+  return evaluate;
+};
+
+const parseOperand = (stream) => {
+  const token = stream.peek();
+
+  if (token.type === 'num' || token.type === 'str') {
+    stream.next();
+    return literal(token.value);
+  }
+
+  if (stream.accept('(')) {
+    const inner = parseOr(stream);
+    stream.expect(')');
+    return inner;
+  }
+
+  if (stream.accept('[')) {
+    const items = [];
+    if (!stream.accept(']')) {
+      do {
+        items.push(parseOperand(stream));
+      } while (stream.accept(','));
+      stream.expect(']');
+    }
+    if (items.every((item) => item.isLiteral)) return literal(items.map((item) => item()));
+    return (record) => items.map((item) => item(record));
+  }
+
+  if (token.type === 'ident' && ['true', 'false', 'null'].includes(token.value)) {
+    stream.next();
+    return literal(JSON.parse(token.value));
+  }
+
+  if (token.type === 'ident' || stream.is('.')) return parseField(stream);
+
+  return stream.fail('Expected a field, value or (');
+};
+
+// The segments of a field path
+const readFieldPath = (stream) => {
+  const path = [];
+  const start = stream.peek();
+
+  if (start.type === 'ident') {
+    if (WORD_OPERATORS.includes(start.value) || ['and', 'or', 'not'].includes(start.value)) {
+      throw new QuerySyntaxError(`'${start.value}' is an operator; write .${start.value} for a field of that name`, start.pos);
+    }
+    path.push(stream.next().value);
+  } else {
+    stream.expect('.');
+    const next = stream.peek();
+    if (next.type === 'ident' || next.type === 'str') {
+      path.push(stream.next().value);
+    } else if (!stream.is('[')) {
+      stream.fail('Expected a field name after .');
+    }
+  }
+
+  while (true) {
+    if (stream.accept('.')) {
+      const next = stream.peek();
+      if (next.type !== 'ident' && next.type !== 'str') stream.fail('Expected a field name after .');
+      path.push(stream.next().value);
+    } else if (stream.accept('[')) {
+      const next = stream.peek();
+      if (next.type === 'str') {
+        path.push(next.value);
+      } else if (next.type === 'num' && Number.isInteger(next.value)) {
+        path.push(next.value);
+      } else {
+        stream.fail('Expected a string or index inside [ ]');
+      }
+      stream.next();
+      stream.expect(']');
+    } else {
+      break;
+    }
+  }
+  return path;
+};
+
+// The value at a field path of a record, or undefined if it is missing.
+// Negative indices count from the end of an array.
+export const getField = (record, path) => {
+  let value = record;
+  for (const segment of path) {
+    if (typeof segment === 'number') {
+      if (!Array.isArray(value)) return undefined;
+      value = value[segment < 0 ? value.length + segment : segment];
+    } else {
+      if (typeOf(value) !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) return undefined;
+      value = value[segment];
+    }
+  }
+  return value;
+};
+
+// A field path, returned as an evaluator that walks it from the record
+const parseField = (stream) => {
+  const path = readFieldPath(stream);
+  return (record) => getField(record, path);
+};
+
+// Parses a field path on its own, written as in a filter (`user.id`,
+// `tags[0]`, `.["content-type"]`), into its segments
+export const parseFieldPath = (text) => {
+  const stream = new TokenStream(tokenize(text));
+  const path = readFieldPath(stream);
+  if (stream.peek().type !== 'eof') stream.fail('Unexpected token after the field');
+  return path;
+};
+
+// Compiles a filter expression into a predicate (record => boolean). Throws
+// QuerySyntaxError for malformed filters and QueryError for invalid regexes.
+export const parseRecordFilter = (text) => {
+  const stream = new TokenStream(tokenize(text));
+  const evaluate = parseOr(stream);
+  if (stream.peek().type !== 'eof') stream.fail('Unexpected token');
+  return (record) => isTruthy(evaluate(record));
+};
+
+// Runs `predicate` over `records` a chunk at a time, so very large files keep
+// the page responsive. Records before index `from` are skipped (they were
+// checked by an earlier run). `onProgress` receives { matchCount, checked }
+// after each chunk. Returns { promise, cancel } like parseFile; the promise resolves
+// to { matches, checked } with the matching record indices in document order.
+export const filterRecords = (records, predicate, { from = 0, onProgress } = {}) => {
+  let cancelled = false;
+  let timeoutId = null;
+
+  const promise = new Promise((resolve, reject) => {
+    const matches = [];
+    let checked = from;
+
+    const runChunk = () => {
+      timeoutId = null;
+      if (cancelled) return;
+      const end = Math.min(checked + CHUNK_SIZE, records.length);
+      try {
+        for (; checked < end; checked++) {
+          if (predicate(records[checked])) matches.push(checked);
+        }
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      if (checked < records.length) {
+        onProgress?.({ matchCount: matches.length, checked });
+        timeoutId = setTimeout(runChunk, 0);
+      } else {
+        resolve({ matches, checked });
+      }
+    };
+
+    runChunk();
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    if (timeoutId !== null) clearTimeout(timeoutId);
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,26 @@
+// Entry point for query mode. Queries starting with `$` are JSONPath, anything
+// else is treated as a jq-style filter.
+import { evaluateJsonPath } from './jsonpath';
+import { evaluateJq } from './jq';
+
+export { QuerySyntaxError } from './tokenizer';
+export { QueryError } from './values';
+export { parseRecordFilter, filterRecords, parseFieldPath, getField } from './filter';
+
+export const MAX_QUERY_RESULTS = 10000;
+
+export const detectQueryLanguage = (query) => (query.trim().startsWith('$') ? 'jsonpath' : 'jq');
+
+// Returns { language, results, truncated }. Each result is { value, path };
+// path is null for computed values that do not exist in the document. When
+// `data` is a subtree, `basePath` (its path) is prepended to result paths.
+export const runQuery = (data, query, basePath = []) => {
+  const language = detectQueryLanguage(query);
+  const results = language === 'jsonpath' ? evaluateJsonPath(data, query) : evaluateJq(data, query);
+  const limited = results.slice(0, MAX_QUERY_RESULTS);
+  return {
+    language,
+    results: basePath.length === 0 ? limited : limited.map((result) => (result.path ? { ...result, path: [...basePath, ...result.path] } : result)),
+    truncated: results.length > MAX_QUERY_RESULTS,
+  };
+};
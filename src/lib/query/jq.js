@@ -0,0 +1,282 @@
+// jq-style filter evaluator. Supports the everyday subset: `.`, `.foo`,
+// `.["foo"]`, `.[n]`, `.[a:b]`, `.[]`, `..`, `|`, `,`, `?`, literals,
+// comparisons, `and` / `or`, array construction `[...]` and the builtins in
+// BUILTINS below. Filters map one input node to a stream (array) of nodes.
+import { tokenize, TokenStream, QuerySyntaxError } from './tokenizer';
+import { node, childPath, childNodes, descendantNodes, compare, isTruthy, typeOf, deepEqual, toRegExp, QueryError } from './values';
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const computed = (value) => [node(value, null)];
+
+const field = (name) => ({ value, path }) => {
+  if (value === null) return computed(null);
+  if (typeOf(value) !== 'object') {
+    throw new QueryError(`Cannot index ${typeOf(value)} with "${name}"`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(value, name)) return computed(null);
+  return [node(value[name], childPath(path, name))];
+};
+
+const index = (i) => ({ value, path }) => {
+  if (value === null) return computed(null);
+  if (!Array.isArray(value)) throw new QueryError(`Cannot index ${typeOf(value)} with number`);
+  const resolved = i < 0 ? value.length + i : i;
+  if (resolved < 0 || resolved >= value.length) return computed(null);
+  return [node(value[resolved], childPath(path, resolved))];
+};
+
+// Like jq, a slice yields a single new array rather than a stream of elements
+const slice = (start, end) => ({ value }) => {
+  if (value === null) return computed(null);
+  if (typeof value !== 'string' && !Array.isArray(value)) throw new QueryError(`Cannot slice ${typeOf(value)}`);
+  return computed(value.slice(start ?? 0, end));
+};
+
+const iterate = (input) => {
+  const { value } = input;
+  if (typeOf(value) !== 'object' && !Array.isArray(value)) throw new QueryError(`Cannot iterate over ${typeOf(value)}`);
+  return childNodes(input);
+};
+
+const contains = (a, b) => {
+  if (typeof a === 'string' && typeof b === 'string') return a.includes(b);
+  if (Array.isArray(a) && Array.isArray(b)) return b.every((item) => a.some((candidate) => contains(candidate, item)));
+  if (typeOf(a) === 'object' && typeOf(b) === 'object') {
+    return Object.keys(b).every((key) => key in a && contains(a[key], b[key]));
+  }
+  return deepEqual(a, b);
+};
+
+const lengthOf = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  if (typeOf(value) === 'object') return Object.keys(value).length;
+  if (typeOf(value) === 'number') return Math.abs(value);
+  throw new QueryError(`${typeOf(value)} has no length`);
+};
+
+const requireString = (name, value) => {
+  if (typeof value !== 'string') throw new QueryError(`${name} requires a string input, got ${typeOf(value)}`);
+  return value;
+};
+
+// Builtins by name: `arity` arguments, each a filter evaluated against the input
+const BUILTINS = {
+  select: { arity: 1, run: (input, [condition]) => (condition(input).some((n) => isTruthy(n.value)) ? [input] : []) },
+  map: { arity: 1, run: (input, [f]) => computed(iterate(input).flatMap(f).map((n) => n.value)) },
+  not: { arity: 0, run: ({ value }) => computed(!isTruthy(value)) },
+  length: { arity: 0, run: ({ value }) => computed(lengthOf(value)) },
+  keys: {
+    arity: 0,
+    run: ({ value }) => {
+      if (Array.isArray(value)) return computed(value.map((_, i) => i));
+      if (typeOf(value) === 'object') return computed(Object.keys(value).sort());
+      throw new QueryError(`${typeOf(value)} has no keys`);
+    },
+  },
+  has: {
+    arity: 1,
+    run: (input, [key]) => key(input).map(({ value: k }) => node(
+      Array.isArray(input.value) ? Number.isInteger(k) && k >= 0 && k < input.value.length
+        : typeOf(input.value) === 'object' && Object.prototype.hasOwnProperty.call(input.value, k),
+      null,
+    )),
+  },
+  type: { arity: 0, run: ({ value }) => computed(typeOf(value)) },
+  test: {
+    arity: 1,
+    run: (input, [pattern]) => pattern(input).map(({ value: p }) => node(toRegExp(p).test(requireString('test', input.value)), null)),
+  },
+  contains: { arity: 1, run: (input, [other]) => other(input).map(({ value: b }) => node(contains(input.value, b), null)) },
+  startswith: {
+    arity: 1,
+    run: (input, [prefix]) => prefix(input).map(({ value: p }) => node(requireString('startswith', input.value).startsWith(p), null)),
+  },
+  endswith: {
+    arity: 1,
+    run: (input, [suffix]) => suffix(input).map(({ value: s }) => node(requireString('endswith', input.value).endsWith(s), null)),
+  },
+  empty: { arity: 0, run: () => [] },
+};
+
+// ---- parser: produces filters directly ----
+
+const parsePipe = (stream) => {
+  let left = parseComma(stream);
+  while (stream.accept('|')) {
+    const first = left;
+    const second = parseComma(stream);
+    left = (input) => first(input).flatMap(second);
+  }
+  return left;
+};
+
+const parseComma = (stream) => {
+  let left = parseOr(stream);
+  while (stream.accept(',')) {
+    const first = left;
+    const second = parseOr(stream);
+    left = (input) => [...first(input), ...second(input)];
+  }
+  return left;
+};
+
+const isKeyword = (stream, word) => {
+  const token = stream.peek();
+  return token.type === 'ident' && token.value === word;
+};
+
+const parseOr = (stream) => {
+  let left = parseAnd(stream);
+  while (isKeyword(stream, 'or')) {
+    stream.next();
+    const first = left;
+    const second = parseAnd(stream);
+    left = (input) => first(input).flatMap((a) => (isTruthy(a.value) ? computed(true) : second(input).map((b) => node(isTruthy(b.value), null))));
+  }
+  return left;
+};
+
+const parseAnd = (stream) => {
+  let left = parseComparison(stream);
+  while (isKeyword(stream, 'and')) {
+    stream.next();
+    const first = left;
+    const second = parseComparison(stream);
+    left = (input) => first(input).flatMap((a) => (!isTruthy(a.value) ? computed(false) : second(input).map((b) => node(isTruthy(b.value), null))));
+  }
+  return left;
+};
+
+const parseComparison = (stream) => {
+  const left = parsePostfix(stream);
+  const op = COMPARISON_OPERATORS.find((candidate) => stream.is(candidate));
+  if (!op) return left;
+  stream.next();
+  const right = parsePostfix(stream);
+  return (input) => right(input).flatMap((b) => left(input).map((a) => node(compare(op, a.value, b.value), null)));
+};
+
+const parseBracketSuffix = (stream) => {
+  stream.expect('[');
+  if (stream.accept(']')) return iterate;
+
+  const token = stream.peek();
+  if (token.type === 'str') {
+    stream.next();
+    stream.expect(']');
+    return field(token.value);
+  }
+
+  const readInt = () => {
+    const t = stream.peek();
+    if (t.type !== 'num') return undefined;
+    if (!Number.isInteger(t.value)) throw new QuerySyntaxError('Index must be an integer', t.pos);
+    stream.next();
+    return t.value;
+  };
+
+  const start = readInt();
+  if (stream.accept(':')) {
+    const end = readInt();
+    stream.expect(']');
+    return slice(start, end);
+  }
+  if (start === undefined) stream.fail('Expected a string, index or slice inside [ ]');
+  stream.expect(']');
+  return index(start);
+};
+
+const withSuffix = (base, suffix) => (input) => base(input).flatMap(suffix);
+
+const parsePostfix = (stream) => {
+  let filter = parsePrimary(stream);
+  while (true) {
+    if (stream.is('.') && (stream.peek(1).type === 'ident' || stream.peek(1).type === 'str')) {
+      stream.next();
+      filter = withSuffix(filter, field(stream.next().value));
+    } else if (stream.is('.') && stream.is('[', 1)) {
+      stream.next();
+      filter = withSuffix(filter, parseBracketSuffix(stream));
+    } else if (stream.is('[')) {
+      filter = withSuffix(filter, parseBracketSuffix(stream));
+    } else if (stream.accept('?')) {
+      const inner = filter;
+      filter = (input) => {
+        try {
+          return inner(input);
+        } catch (err) {
+          if (err instanceof QueryError) return [];
+          throw err;
+        }
+      };
+    } else {
+      return filter;
+    }
+  }
+};
+
+const parsePrimary = (stream) => {
+  const token = stream.peek();
+
+  if (stream.accept('..')) return descendantNodes;
+
+  if (stream.accept('.')) {
+    const next = stream.peek();
+    if (next.type === 'ident' || next.type === 'str') {
+      stream.next();
+      return field(next.value);
+    }
+    if (stream.is('[')) return parseBracketSuffix(stream);
+    return (input) => [input];
+  }
+
+  if (token.type === 'num' || token.type === 'str') {
+    stream.next();
+    return () => computed(token.value);
+  }
+
+  if (stream.accept('(')) {
+    const inner = parsePipe(stream);
+    stream.expect(')');
+    return inner;
+  }
+
+  if (stream.accept('[')) {
+    if (stream.accept(']')) return () => computed([]);
+    const inner = parsePipe(stream);
+    stream.expect(']');
+    return (input) => computed(inner(input).map((n) => n.value));
+  }
+
+  if (token.type === 'ident') {
+    stream.next();
+    if (['true', 'false', 'null'].includes(token.value)) {
+      const value = JSON.parse(token.value);
+      return () => computed(value);
+    }
+
+    const builtin = BUILTINS[token.value];
+    if (!builtin) throw new QuerySyntaxError(`Unknown function ${token.value}`, token.pos);
+
+    const args = [];
+    if (builtin.arity > 0) {
+      stream.expect('(');
+      args.push(parsePipe(stream));
+      stream.expect(')');
+    }
+    return (input) => builtin.run(input, args);
+  }
+
+  return stream.fail('Expected a filter');
+};
+
+export const parseJq = (query) => {
+  const stream = new TokenStream(tokenize(query));
+  const filter = parsePipe(stream);
+  if (stream.peek().type !== 'eof') stream.fail('Unexpected token');
+  return filter;
+};
+
+export const evaluateJq = (data, query) => parseJq(query)(node(data, []));
@@ -0,0 +1,248 @@
+// JSONPath evaluator covering the commonly used subset: `$`, `.name`,
+// `['name']`, `[n]`, `[*]`, `..`, slices `[start:end:step]`, unions `[a,b]` and
+// filters `[?(@.price > 100 && @.tags)]` with `==`, `!=`, `<`, `<=`, `>`, `>=`,
+// `=~` (regex), `&&`, `||` and `!`.
+import { tokenize, TokenStream, QuerySyntaxError } from './tokenizer';
+import { node, childPath, childNodes, descendantNodes, compare, isTruthy, typeOf, toRegExp } from './values';
+
+// ---- selectors: each maps one node to the nodes it selects ----
+
+const nameSelector = (name) => ({ value, path }) => {
+  if (typeOf(value) !== 'object') return [];
+  return Object.prototype.hasOwnProperty.call(value, name) ? [node(value[name], childPath(path, name))] : [];
+};
+
+const indexSelector = (index) => ({ value, path }) => {
+  if (!Array.isArray(value)) return [];
+  const i = index < 0 ? value.length + index : index;
+  return i >= 0 && i < value.length ? [node(value[i], childPath(path, i))] : [];
+};
+
+const sliceSelector = (start, end, step = 1) => ({ value, path }) => {
+  if (!Array.isArray(value) || step === 0) return [];
+  const length = value.length;
+  const normalize = (n, fallback) => {
+    if (n === undefined) return fallback;
+    return n < 0 ? Math.max(length + n, step > 0 ? 0 : -1) : Math.min(n, step > 0 ? length : length - 1);
+  };
+  const result = [];
+  if (step > 0) {
+    for (let i = normalize(start, 0); i < normalize(end, length); i += step) {
+      result.push(node(value[i], childPath(path, i)));
+    }
+  } else {
+    for (let i = normalize(start, length - 1); i > normalize(end, -1); i += step) {
+      result.push(node(value[i], childPath(path, i)));
+    }
+  }
+  return result;
+};
+
+const wildcardSelector = () => childNodes;
+
+const filterSelector = (expression, root) => (current) =>
+  childNodes(current).filter((child) => testFilter(expression, child, root));
+
+const unionSelector = (selectors) => (current) => selectors.flatMap((select) => select(current));
+
+// ---- parser ----
+
+const parseBracket = (stream) => {
+  stream.expect('[');
+  const selectors = [];
+
+  do {
+    const token = stream.peek();
+    if (stream.accept('*')) {
+      selectors.push({ kind: 'wildcard' });
+    } else if (stream.accept('?')) {
+      const parenthesized = stream.accept('(');
+      const expression = parseOr(stream);
+      if (parenthesized) stream.expect(')');
+      selectors.push({ kind: 'filter', expression });
+    } else if (token.type === 'str') {
+      stream.next();
+      selectors.push({ kind: 'name', name: token.value });
+    } else if (token.type === 'num' || stream.is(':')) {
+      selectors.push(parseIndexOrSlice(stream));
+    } else {
+      stream.fail('Expected a name, index, slice, * or filter inside [ ]');
+    }
+  } while (stream.accept(','));
+
+  stream.expect(']');
+  return selectors;
+};
+
+const parseIndexOrSlice = (stream) => {
+  const parts = [undefined];
+  while (true) {
+    const token = stream.peek();
+    if (token.type === 'num') {
+      if (!Number.isInteger(token.value)) throw new QuerySyntaxError('Array index must be an integer', token.pos);
+      stream.next();
+      parts[parts.length - 1] = token.value;
+    }
+    if (!stream.accept(':')) break;
+    if (parts.length === 3) stream.fail('Too many parts in slice');
+    parts.push(undefined);
+  }
+  if (parts.length === 1) {
+    if (parts[0] === undefined) stream.fail('Expected an index');
+    return { kind: 'index', index: parts[0] };
+  }
+  return { kind: 'slice', start: parts[0], end: parts[1], step: parts[2] };
+};
+
+// Segments following `$` or `@`
+const parseSegments = (stream) => {
+  const segments = [];
+  while (true) {
+    if (stream.accept('..')) {
+      if (stream.is('[')) {
+        segments.push({ descendant: true, selectors: parseBracket(stream) });
+      } else {
+        segments.push({ descendant: true, selectors: [parseDotSelector(stream)] });
+      }
+    } else if (stream.accept('.')) {
+      segments.push({ descendant: false, selectors: [parseDotSelector(stream)] });
+    } else if (stream.is('[')) {
+      segments.push({ descendant: false, selectors: parseBracket(stream) });
+    } else {
+      return segments;
+    }
+  }
+};
+
+const parseDotSelector = (stream) => {
+  if (stream.accept('*')) return { kind: 'wildcard' };
+  const token = stream.peek();
+  if (token.type === 'ident' || token.type === 'str') {
+    stream.next();
+    return { kind: 'name', name: token.value };
+  }
+  return stream.fail('Expected a property name after .');
+};
+
+// Filter expressions, lowest precedence first
+const parseOr = (stream) => {
+  let left = parseAnd(stream);
+  while (stream.accept('||')) left = { type: 'or', left, right: parseAnd(stream) };
+  return left;
+};
+
+const parseAnd = (stream) => {
+  let left = parseComparison(stream);
+  while (stream.accept('&&')) left = { type: 'and', left, right: parseComparison(stream) };
+  return left;
+};
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const parseComparison = (stream) => {
+  const left = parseUnary(stream);
+  const op = COMPARISON_OPERATORS.find((candidate) => stream.is(candidate));
+  if (op) {
+    stream.next();
+    return { type: 'compare', op, left, right: parseUnary(stream) };
+  }
+  if (stream.accept('=~')) {
+    const token = stream.peek();
+    if (token.type !== 'regex' && token.type !== 'str') stream.fail('Expected a /regex/ or string after =~');
+    stream.next();
+    return { type: 'match', left, regex: toRegExp(token.value) };
+  }
+  return left;
+};
+
+const parseUnary = (stream) => {
+  if (stream.accept('!')) return { type: 'not', operand: parseUnary(stream) };
+  if (stream.accept('(')) {
+    const expression = parseOr(stream);
+    stream.expect(')');
+    return expression;
+  }
+
+  const token = stream.peek();
+  if (stream.accept('@') || stream.accept('$')) {
+    return { type: 'path', root: token.value, segments: parseSegments(stream) };
+  }
+  if (token.type === 'num' || token.type === 'str') {
+    stream.next();
+    return { type: 'literal', value: token.value };
+  }
+  if (token.type === 'ident' && ['true', 'false', 'null'].includes(token.value)) {
+    stream.next();
+    return { type: 'literal', value: JSON.parse(token.value) };
+  }
+  return stream.fail('Expected @, $, a literal or ( in filter');
+};
+
+// ---- evaluation ----
+
+const compileSelector = (selector, root) => {
+  switch (selector.kind) {
+    case 'name': return nameSelector(selector.name);
+    case 'index': return indexSelector(selector.index);
+    case 'slice': return sliceSelector(selector.start, selector.end, selector.step);
+    case 'wildcard': return wildcardSelector();
+    case 'filter': return filterSelector(selector.expression, root);
+    default: throw new Error(`Unknown selector ${selector.kind}`);
+  }
+};
+
+const applySegments = (segments, start, root) => segments.reduce((nodes, segment) => {
+  const select = unionSelector(segment.selectors.map((selector) => compileSelector(selector, root)));
+  const targets = segment.descendant ? nodes.flatMap(descendantNodes) : nodes;
+  return targets.flatMap(select);
+}, [start]);
+
+// Paths inside filters are evaluated relative to the candidate (`@`) or the
+// document (`$`). A bare path tests for existence; in a comparison it stands
+// for the first value it selects.
+const evaluateFilter = (expression, current, root) => {
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+    case 'path': {
+      const [first] = applySegments(expression.segments, expression.root === '@' ? current : root, root);
+      return first?.value;
+    }
+    case 'not':
+      return !testFilter(expression.operand, current, root);
+    case 'and':
+      return testFilter(expression.left, current, root) && testFilter(expression.right, current, root);
+    case 'or':
+      return testFilter(expression.left, current, root) || testFilter(expression.right, current, root);
+    case 'compare':
+      return compare(expression.op, evaluateFilter(expression.left, current, root), evaluateFilter(expression.right, current, root));
+    case 'match': {
+      const value = evaluateFilter(expression.left, current, root);
+      return typeof value === 'string' && expression.regex.test(value);
+    }
+    default:
+      throw new Error(`Unknown expression ${expression.type}`);
+  }
+};
+
+const testFilter = (expression, current, root) => {
+  if (expression.type === 'path') {
+    const nodes = applySegments(expression.segments, expression.root === '@' ? current : root, root);
+    return nodes.length > 0;
+  }
+  return isTruthy(evaluateFilter(expression, current, root));
+};
+
+export const parseJsonPath = (query) => {
+  const stream = new TokenStream(tokenize(query));
+  stream.expect('$');
+  const segments = parseSegments(stream);
+  if (stream.peek().type !== 'eof') stream.fail('Unexpected token');
+  return segments;
+};
+
+export const evaluateJsonPath = (data, query) => {
+  const segments = parseJsonPath(query);
+  const root = node(data, []);
+  return applySegments(segments, root, root);
+};
@@ -0,0 +1,158 @@
+// Tokenizer shared by the JSONPath and jq-style query parsers.
+import { numberFromLiteral } from '../lossless';
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+// Longest punctuators first so `..` wins over `.` and `==` over `=`
+const PUNCTUATORS = ['..', '==', '!=', '<=', '>=', '&&', '||', '=~', '$', '@', '.', '[', ']', '(', ')', ',', '*', ':', '?', '|', '<', '>', '!'];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '/': '/', '\\': '\\', '"': '"', "'": "'" };
+
+const readString = (input, start) => {
+  const quote = input[start];
+  let value = '';
+  let i = start + 1;
+  while (i < input.length && input[i] !== quote) {
+    if (input[i] === '\\') {
+      const next = input[i + 1];
+      if (next === 'u') {
+        const hex = input.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw new QuerySyntaxError('Invalid unicode escape', i);
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      if (!(next in ESCAPES)) throw new QuerySyntaxError(`Invalid escape \\${next ?? ''}`, i);
+      value += ESCAPES[next];
+      i += 2;
+      continue;
+    }
+    value += input[i++];
+  }
+  if (i >= input.length) throw new QuerySyntaxError('Unterminated string', start);
+  return { value, end: i + 1 };
+};
+
+const readRegex = (input, start) => {
+  let i = start + 1;
+  while (i < input.length && input[i] !== '/') {
+    i += input[i] === '\\' ? 2 : 1;
+  }
+  if (i >= input.length) throw new QuerySyntaxError('Unterminated regular expression', start);
+  const source = input.slice(start + 1, i);
+  const flags = /^[a-z]*/.exec(input.slice(i + 1))[0];
+  try {
+    return { value: new RegExp(source, flags), end: i + 1 + flags.length };
+  } catch (err) {
+    throw new QuerySyntaxError(err.message, start);
+  }
+};
+
+export const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = readString(input, i);
+      tokens.push({ type: 'str', value, pos: i });
+      i = end;
+      continue;
+    }
+
+    // A regex literal is only allowed straight after the match operator
+    if (char === '/' && tokens[tokens.length - 1]?.value === '=~') {
+      const { value, end } = readRegex(input, i);
+      tokens.push({ type: 'regex', value, pos: i });
+      i = end;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(input.slice(i));
+    if (number && (char !== '-' || tokens[tokens.length - 1]?.type !== 'num')) {
+      tokens.push({ type: 'num', value: numberFromLiteral(number[0]), pos: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], pos: i });
+      i += ident[0].length;
+      continue;
+    }
+
+    const punct = PUNCTUATORS.find((p) => input.startsWith(p, i));
+    if (punct) {
+      tokens.push({ type: 'punct', value: punct, pos: i });
+      i += punct.length;
+      continue;
+    }
+
+    throw new QuerySyntaxError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: input.length });
+  return tokens;
+};
+
+// Cursor over a token list with the lookahead helpers both parsers need
+export class TokenStream {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  accept(value) {
+    if (!this.is(value)) return false;
+    this.next();
+    return true;
+  }
+
+  expect(value) {
+    const token = this.peek();
+    if (!this.is(value)) {
+      throw new QuerySyntaxError(`Expected '${value}' but found ${describe(token)}`, token.pos);
+    }
+    return this.next();
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new QuerySyntaxError(`${message}, found ${describe(token)}`, token.pos);
+  }
+}
+
+export const describe = (token) => {
+  if (token.type === 'eof') return 'end of query';
+  if (token.type === 'str') return `"${token.value}"`;
+  return `'${token.value}'`;
+};
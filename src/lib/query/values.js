@@ -0,0 +1,105 @@
+// Value semantics shared by the query languages. A query node pairs a value
+// with its path in the document; computed values (comparisons, `length`) have
+// a null path because they do not exist in the tree. Lossless numbers count
+// as numbers; they never equal a plain number, since a plain number would
+// have held them exactly.
+import { isLosslessNumber } from '../lossless';
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+export const node = (value, path) => ({ value, path });
+
+export const childPath = (path, segment) => (path ? [...path, segment] : null);
+
+export const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isLosslessNumber(value)) return 'number';
+  return typeof value;
+};
+
+// Structural equality: objects are equal when they have the same keys, in any
+// order, with equal values
+export const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (isLosslessNumber(a) || isLosslessNumber(b)) {
+    return isLosslessNumber(a) && isLosslessNumber(b) && a.literal === b.literal;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Text that two values share exactly when they are deepEqual, for hashing:
+// object keys are sorted and lossless numbers written as `#literal`, which no
+// other value's text can be
+export const canonicalKey = (value) => {
+  if (isLosslessNumber(value)) return `#${value.literal}`;
+  if (Array.isArray(value)) return `[${value.map(canonicalKey).join(',')}]`;
+  if (typeof value === 'object' && value !== null) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalKey(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'undefined';
+};
+
+// Ordering comparisons only hold between two numbers or two strings
+export const compare = (op, left, right) => {
+  switch (op) {
+    case '==': return deepEqual(left, right);
+    case '!=': return !deepEqual(left, right);
+  }
+
+  const type = typeOf(left);
+  const comparable = (type === 'number' || type === 'string') && typeOf(right) === type;
+  if (!comparable) return false;
+
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: throw new QueryError(`Unknown operator ${op}`);
+  }
+};
+
+export const isTruthy = (value) => value !== undefined && value !== null && value !== false;
+
+export const toRegExp = (pattern) => {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern !== 'string') throw new QueryError('Regular expression must be a string');
+  try {
+    return new RegExp(pattern);
+  } catch (err) {
+    throw new QueryError(err.message);
+  }
+};
+
+// Children of a container as query nodes, in document order
+export const childNodes = ({ value, path }) => {
+  if (Array.isArray(value)) return value.map((item, i) => node(item, childPath(path, i)));
+  if (typeOf(value) === 'object') {
+    return Object.keys(value).map((key) => node(value[key], childPath(path, key)));
+  }
+  return [];
+};
+
+// The node followed by all of its descendants, depth first
+export const descendantNodes = (start) => {
+  const result = [];
+  const stack = [start];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    result.push(current);
+    const children = childNodes(current);
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+  return result;
+};
@@ -0,0 +1,183 @@
+// Redaction of sensitive values: built-in detectors for tokens, keys, emails
+// and card numbers, plus user rules matching key names or values. While it is
+// on, matching values are masked in the tree and replaced by REDACTED in what
+// is copied or exported. A key rule covers everything under the key; value
+// detectors look at strings (and numbers, for card numbers) and mask the
+// whole value when any part of it matches.
+import { isContainer, pathKey } from './tree';
+import { isLosslessNumber } from './lossless';
+
+export const REDACTED = '[REDACTED]';
+
+// Listed in the summary, the rest are counted
+const MAX_LISTED = 500;
+
+const SENSITIVE_KEY_WORDS = new Set([
+  'password', 'passwd', 'pwd', 'passphrase', 'secret', 'token', 'authorization', 'auth',
+  'apikey', 'privatekey', 'accesskey', 'credential', 'credentials', 'cookie', 'sessionid', 'ssn',
+]);
+
+// Key words, split at camelCase humps and separators: `X-Api-Key` gives
+// x, api, key. Adjacent pairs are also joined so `api_key` matches apikey.
+const keyWords = (key) => {
+  const words = key.replace(/([a-z\d])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z\d]+/).filter(Boolean);
+  return [...words, ...words.slice(1).map((word, i) => words[i] + word)];
+};
+
+const API_KEY_PATTERNS = [
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/, // AWS access key ids
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/, // GitHub tokens
+  /\bgithub_pat_[A-Za-z0-9_]{22,}/,
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}/, // Slack tokens
+  /\b[spr]k_(?:live|test)_[A-Za-z0-9]{16,}/, // Stripe keys
+  /\bsk-[A-Za-z0-9_-]{20,}/, // sk- secret keys
+  /\bAIza[0-9A-Za-z_-]{35}/, // Google API keys
+  /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+];
+
+const JWT = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/;
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/;
+const CARD_CANDIDATE = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const hasCardNumber = (text) => [...text.matchAll(CARD_CANDIDATE)].some(([candidate]) => passesLuhn(candidate.replace(/[ -]/g, '')));
+
+// Each detector's `key(key)` or `value(text)` says whether it matches
+export const REDACTION_DETECTORS = [
+  { id: 'keys', label: 'Fields named like password, secret, token, authorization', key: (key) => keyWords(key).some((word) => SENSITIVE_KEY_WORDS.has(word)) },
+  { id: 'jwt', label: 'JSON Web Tokens', value: (text) => JWT.test(text) },
+  { id: 'apiKeys', label: 'API keys and bearer tokens', value: (text) => API_KEY_PATTERNS.some((pattern) => pattern.test(text)) },
+  { id: 'emails', label: 'Email addresses', value: (text) => EMAIL.test(text) },
+  { id: 'cards', label: 'Card numbers (Luhn-checked)', value: (text) => hasCardNumber(text) },
+];
+
+// `rules` are the user's: { type: 'key' | 'value', pattern } with `pattern` a
+// case-insensitive regular expression
+export const DEFAULT_REDACTION_SETTINGS = {
+  enabled: false,
+  detectors: Object.fromEntries(REDACTION_DETECTORS.map((detector) => [detector.id, true])),
+  rules: [],
+};
+
+// Compiles the settings into a redactor, or null when redaction is off.
+// `reasonFor(value, key)` returns why a value is redacted, or null; for a
+// container, only a key rule makes it (and all below it) redacted. Rules with
+// an invalid pattern are skipped and listed in `errors`.
+export const createRedactor = (settings) => {
+  if (!settings.enabled) return null;
+  const keyTests = [];
+  const valueTests = [];
+  const errors = [];
+
+  REDACTION_DETECTORS.filter((detector) => settings.detectors[detector.id]).forEach((detector) => {
+    if (detector.key) keyTests.push({ reason: detector.label, test: detector.key });
+    else valueTests.push({ reason: detector.label, test: detector.value, numbers: detector.id === 'cards' });
+  });
+  settings.rules.forEach((rule) => {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      errors.push(`${rule.pattern}: ${err.message}`);
+      return;
+    }
+    const reason = `${rule.type === 'key' ? 'Key' : 'Value'} rule /${rule.pattern}/`;
+    if (rule.type === 'key') keyTests.push({ reason, test: (key) => regex.test(key) });
+    else valueTests.push({ reason, test: (text) => regex.test(text), numbers: true });
+  });
+
+  // The same keys come up in every record
+  const keyReasons = new Map();
+  const keyReason = (key) => {
+    if (!keyReasons.has(key)) keyReasons.set(key, keyTests.find(({ test }) => test(key))?.reason ?? null);
+    return keyReasons.get(key);
+  };
+
+  const reasonFor = (value, key) => {
+    const byKey = typeof key === 'string' ? keyReason(key) : null;
+    if (byKey) return byKey;
+    if (isContainer(value)) return null;
+    const isNumber = typeof value === 'number' || isLosslessNumber(value);
+    if (typeof value !== 'string' && !isNumber) return null;
+    const text = String(value);
+    const match = valueTests.find(({ test, numbers }) => (!isNumber || numbers) && test(text));
+    return match ? match.reason : null;
+  };
+
+  return { reasonFor, errors };
+};
+
+// Whether a redacted key rule masks this value: null and booleans say
+// nothing and are left as they are
+const isMaskable = (value) => typeof value === 'string' || typeof value === 'number' || isLosslessNumber(value);
+
+// Finds what is redacted in `data`, found at `basePath` in the document.
+// Returns { reasons, count, byReason, items }: `reasons` maps the tree id of
+// every redacted node (containers under a key rule included) to its reason;
+// `count` and `byReason` count masked values, and `items` ({ path, message })
+// lists the first of them.
+export const findRedactions = (data, redactor, basePath = []) => {
+  const reasons = new Map();
+  const byReason = {};
+  const items = [];
+  let count = 0;
+
+  const visit = (value, key, path, inherited) => {
+    const reason = inherited ?? redactor.reasonFor(value, key);
+    if (isContainer(value)) {
+      if (reason) reasons.set(pathKey(path), reason);
+      if (Array.isArray(value)) value.forEach((item, i) => visit(item, null, [...path, i], reason));
+      else Object.keys(value).forEach((childKey) => visit(value[childKey], childKey, [...path, childKey], reason));
+      return;
+    }
+    if (!reason || !isMaskable(value)) return;
+    reasons.set(pathKey(path), reason);
+    byReason[reason] = (byReason[reason] ?? 0) + 1;
+    count++;
+    if (items.length < MAX_LISTED) items.push({ path, message: reason });
+  };
+
+  const key = basePath[basePath.length - 1];
+  visit(data, typeof key === 'string' ? key : null, basePath, null);
+  return { reasons, count, byReason, items };
+};
+
+// A copy of `value` with redacted values replaced by REDACTED, for copying
+// and exporting. `key` is the value's own key, if any, and `inherited` the
+// reason a container above it is redacted.
+export const redactValue = (value, redactor, key = null, inherited = null) => {
+  const reason = inherited ?? redactor.reasonFor(value, key);
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, redactor, null, reason));
+  if (isContainer(value)) {
+    return Object.fromEntries(Object.keys(value).map((childKey) => [childKey, redactValue(value[childKey], redactor, childKey, reason)]));
+  }
+  return reason && isMaskable(value) ? REDACTED : value;
+};
+
+// Redacts the value found at `path` in a document: besides its own key, a
+// key rule on any key above it redacts it
+export const redactAt = (value, path, redactor) => {
+  const keys = path.slice(0, -1).filter((segment) => typeof segment === 'string');
+  const inherited = keys.map((key) => redactor.reasonFor(null, key)).find(Boolean) ?? null;
+  const key = path[path.length - 1];
+  return redactValue(value, redactor, typeof key === 'string' ? key : null, inherited);
+};
+
+// A tree row's value as it may be copied; `reason` is the row's own
+// redaction (see findRedactions), if any
+export const redactRow = (row, redactor, reason = null) => (
+  redactValue(row.data, redactor, typeof row.segment === 'string' ? row.segment : null, reason)
+);
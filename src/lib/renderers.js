@@ -0,0 +1,165 @@
+// Value renderers: detectors that recognise what a scalar holds (a timestamp,
+// a UUID, a color, ...) so the tree can show something more useful next to
+// it. Each entry's `detect(value, key)` returns details for the renderer or
+// null; `key` is the property name, or null for array items. The first
+// enabled renderer that matches wins. To add one, add an entry here and a
+// case to ValueExtras.
+import { isLosslessNumber } from './lossless';
+import { getAtPath } from './tree';
+import { setValue } from './edit';
+
+// Longest string inspected for embedded JSON or images
+const MAX_DETECTED_LENGTH = 10 * 1024 * 1024;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i;
+const TIMESTAMP_KEY = /(?:time|date|timestamp|_at|At|^ts|_ts|^t|created|updated|modified|expires?|^exp|^iat|^nbf)$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-([0-9a-f])[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_COLOR = /^(?:rgba?|hsla?)\(\s*[\d.]+%?\s*(?:,\s*[\d.]+%?\s*){2}(?:,\s*[\d.]+%?\s*)?\)$/i;
+const URL_PATTERN = /^(?:https?:\/\/[^\s/$.?#][^\s]*|mailto:[^\s@]+@[^\s@]+)$/i;
+const DATA_IMAGE = /^data:(image\/(?:png|jpeg|gif|webp|bmp|svg\+xml));base64,[A-Za-z0-9+/=\s]+$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Leading base64 characters of common image formats' magic bytes
+const IMAGE_SIGNATURES = [
+  ['iVBORw0KGgo', 'image/png'],
+  ['/9j/', 'image/jpeg'],
+  ['R0lGOD', 'image/gif'],
+  ['UklGR', 'image/webp'],
+  ['Qk', 'image/bmp'],
+];
+
+// Epoch numbers are read in the unit that puts them between 2001 and 2100
+const EPOCH_UNITS = [
+  { unit: 's', scale: 1e3, min: 1e9 },
+  { unit: 'ms', scale: 1, min: 1e12 },
+  { unit: 'µs', scale: 1e-3, min: 1e15 },
+  { unit: 'ns', scale: 1e-6, min: 1e18 },
+];
+
+// Also used on its own to find timestamps to chart (see lib/aggregate)
+export const detectTimestamp = (value, key) => {
+  if (typeof value === 'string') {
+    if (!ISO_DATE.test(value)) return null;
+    const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? null : { date, unit: null, dateOnly: value.length === 10 };
+  }
+
+  if (typeof value !== 'number' && !isLosslessNumber(value)) return null;
+  const number = Number(value);
+  // Bare numbers are only taken for epoch times when the key says so,
+  // except for millisecond values, which rarely mean anything else
+  const isMilliseconds = number >= 1e12 && number < 4.1e12;
+  if (!isMilliseconds && !(key && TIMESTAMP_KEY.test(key))) return null;
+  const match = EPOCH_UNITS.find(({ min }) => number >= min && number < min * 4.1);
+  if (!match) return null;
+  return { date: new Date(number * match.scale), unit: match.unit, dateOnly: false };
+};
+
+const detectUuid = (value) => {
+  if (typeof value !== 'string' || !UUID.test(value)) return null;
+  const version = Number.parseInt(value[14], 16);
+  // Version 7 UUIDs start with a 48-bit millisecond timestamp
+  const date = version === 7 ? new Date(Number.parseInt(value.slice(0, 8) + value.slice(9, 13), 16)) : null;
+  return { version, date };
+};
+
+const detectColor = (value) => (
+  typeof value === 'string' && (HEX_COLOR.test(value) || FUNCTION_COLOR.test(value)) ? { css: value } : null
+);
+
+const detectUrl = (value) => (typeof value === 'string' && URL_PATTERN.test(value) ? { href: value } : null);
+
+const detectImage = (value) => {
+  if (typeof value !== 'string' || value.length < 16 || value.length > MAX_DETECTED_LENGTH) return null;
+  const dataUrl = DATA_IMAGE.exec(value);
+  if (dataUrl) return { src: value, mimeType: dataUrl[1] };
+  const signature = IMAGE_SIGNATURES.find(([prefix]) => value.startsWith(prefix));
+  if (!signature || value.length % 4 !== 0 || !BASE64.test(value)) return null;
+  return { src: `data:${signature[1]};base64,${value}`, mimeType: signature[1] };
+};
+
+// Only the shape is checked here; the string is parsed when expanded
+const detectJson = (value) => {
+  if (typeof value !== 'string' || value.length < 2 || value.length > MAX_DETECTED_LENGTH) return null;
+  const text = value.trim();
+  const isObject = text.startsWith('{') && text.endsWith('}');
+  const isArray = text.startsWith('[') && text.endsWith(']');
+  return isObject || isArray ? { kind: isObject ? 'object' : 'array' } : null;
+};
+
+export const VALUE_RENDERERS = [
+  { id: 'json', label: 'Embedded JSON', detect: detectJson },
+  { id: 'image', label: 'Base64 images', detect: detectImage },
+  { id: 'url', label: 'Links', detect: detectUrl },
+  { id: 'color', label: 'Colors', detect: detectColor },
+  { id: 'uuid', label: 'UUIDs', detect: detectUuid },
+  { id: 'timestamp', label: 'Dates and timestamps', detect: detectTimestamp },
+];
+
+// `enabled` maps renderer ids to booleans; `timeZone` is 'local' or 'utc'
+export const DEFAULT_RENDERER_SETTINGS = {
+  enabled: Object.fromEntries(VALUE_RENDERERS.map((renderer) => [renderer.id, true])),
+  timeZone: 'local',
+};
+
+// Returns { id, ...details } for the first enabled renderer matching the value
+export const detectValue = (value, key, settings = DEFAULT_RENDERER_SETTINGS) => {
+  if (value === null || typeof value === 'boolean') return null;
+  for (const renderer of VALUE_RENDERERS) {
+    if (!settings.enabled[renderer.id]) continue;
+    const details = renderer.detect(value, key);
+    if (details) return { id: renderer.id, ...details };
+  }
+  return null;
+};
+
+// --- Dates ------------------------------------------------------------------
+
+const formatters = new Map();
+
+export const formatDate = (date, timeZone, dateOnly = false) => {
+  const cacheKey = `${timeZone}:${dateOnly}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl.DateTimeFormat(undefined, {
+      dateStyle: 'medium',
+      ...(dateOnly ? {} : { timeStyle: 'medium' }),
+      timeZone: timeZone === 'utc' || dateOnly ? 'UTC' : undefined,
+    }));
+  }
+  const text = formatters.get(cacheKey).format(date);
+  return dateOnly ? text : `${text} ${timeZone === 'utc' ? 'UTC' : 'local'}`;
+};
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 86400],
+  ['month', 30 * 86400],
+  ['week', 7 * 86400],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1],
+];
+
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+// "3 days ago", "in 2 hours"
+export const relativeTime = (date, now = Date.now()) => {
+  const seconds = (date.getTime() - now) / 1000;
+  const [unit, size] = RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) ?? RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  return relativeFormat.format(Math.round(seconds / size), unit);
+};
+
+// --- Embedded JSON ----------------------------------------------------------
+
+// The document as shown, with expanded JSON strings replaced by their parsed
+// value. `entries` are { path, source, value }; one whose string has changed
+// since is skipped. Shorter paths go first, so JSON inside expanded JSON can
+// be expanded too. The document itself is left alone.
+export const applyEmbeddedJson = (data, entries) => {
+  let view = data;
+  [...entries].sort((a, b) => a.path.length - b.path.length).forEach(({ path, source, value }) => {
+    if (getAtPath(view, path) === source) view = setValue(view, path, value);
+  });
+  return view;
+};
@@ -0,0 +1,85 @@
+// JSON Schema (draft 2020-12) inference. Values are first folded into a
+// "shape" that records every type seen at a position and how often each
+// object property occurs, so merging many records (JSONL) costs one pass.
+// Properties present in every object at a position become `required`.
+import { isLosslessNumber } from '../lossless';
+
+export const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Array items beyond this many are not inspected
+const MAX_ITEMS_SAMPLED = 10000;
+
+// Order used for `type` unions in the generated schema
+const TYPE_ORDER = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+export const jsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (isLosslessNumber(value)) return /^-?\d+$/.test(value.literal) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const createShape = () => ({ types: new Set(), objectCount: 0, properties: null, items: null });
+
+const addValue = (shape, value) => {
+  const type = jsonType(value);
+  shape.types.add(type);
+
+  if (type === 'object') {
+    shape.objectCount++;
+    shape.properties = shape.properties || new Map();
+    for (const key of Object.keys(value)) {
+      let property = shape.properties.get(key);
+      if (!property) {
+        property = { count: 0, shape: createShape() };
+        shape.properties.set(key, property);
+      }
+      property.count++;
+      addValue(property.shape, value[key]);
+    }
+  } else if (type === 'array') {
+    shape.items = shape.items || createShape();
+    const count = Math.min(value.length, MAX_ITEMS_SAMPLED);
+    for (let i = 0; i < count; i++) {
+      addValue(shape.items, value[i]);
+    }
+  }
+};
+
+const shapeToSchema = (shape) => {
+  const types = TYPE_ORDER.filter((type) => shape.types.has(type));
+  // Integers are numbers, so a mix of both is just `number`
+  const merged = types.includes('number') ? types.filter((type) => type !== 'integer') : types;
+  if (merged.length === 0) return {};
+
+  const schema = { type: merged.length === 1 ? merged[0] : merged };
+
+  if (shape.properties) {
+    schema.properties = {};
+    const required = [];
+    shape.properties.forEach((property, key) => {
+      schema.properties[key] = shapeToSchema(property.shape);
+      if (property.count === shape.objectCount) required.push(key);
+    });
+    if (required.length > 0) schema.required = required;
+  }
+
+  if (shape.items && shape.items.types.size > 0) {
+    schema.items = shapeToSchema(shape.items);
+  }
+
+  return schema;
+};
+
+// Infers a schema for `data`. With `records: true` (JSONL) the schema
+// describes a single record, merged across all of them.
+export const inferSchema = (data, { records = false } = {}) => {
+  const shape = createShape();
+  if (records) {
+    data.forEach((record) => addValue(shape, record));
+  } else {
+    addValue(shape, data);
+  }
+  return { $schema: SCHEMA_DIALECT, ...shapeToSchema(shape) };
+};
@@ -0,0 +1,293 @@
+// JSON Schema validation covering the commonly used parts of draft 2020-12:
+// type, enum, const, the numeric/string/array/object constraints, properties,
+// patternProperties, additionalProperties, prefixItems/items, contains,
+// dependentRequired, propertyNames, allOf/anyOf/oneOf/not, if/then/else and
+// local `$ref`s (`#`, `#/$defs/...`, `#anchor`). A handful of common formats
+// are checked too. Other keywords are ignored, as the spec does for unknown
+// ones. Errors carry the instance path so they can be shown on tree rows.
+import { deepEqual, canonicalKey } from '../query/values';
+import { jsonType } from './infer';
+
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+export const MAX_VALIDATION_ERRORS = 1000;
+
+const MAX_REF_DEPTH = 100;
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  ipv4: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+};
+
+const describe = (value) => {
+  const type = jsonType(value);
+  return type === 'integer' ? 'number' : type;
+};
+
+const matchesType = (value, type) => {
+  const actual = jsonType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const countChars = (text) => [...text].length;
+
+const compilePattern = (pattern, cache) => {
+  if (!cache.has(pattern)) {
+    try {
+      cache.set(pattern, new RegExp(pattern, 'u'));
+    } catch (err) {
+      throw new SchemaError(`Invalid pattern ${JSON.stringify(pattern)}: ${err.message}`);
+    }
+  }
+  return cache.get(pattern);
+};
+
+// JSON Pointer fragment, e.g. `#/$defs/address`
+const resolvePointer = (root, fragment) => {
+  let target = root;
+  const tokens = fragment.split('/').slice(1).map((token) =>
+    decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'));
+  for (const token of tokens) {
+    if (typeof target !== 'object' || target === null || !(token in target)) return undefined;
+    target = target[token];
+  }
+  return target;
+};
+
+const findAnchor = (schema, anchor) => {
+  if (typeof schema !== 'object' || schema === null) return undefined;
+  if (schema.$anchor === anchor) return schema;
+  for (const value of Object.values(schema)) {
+    const found = findAnchor(value, anchor);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+};
+
+const resolveRef = (ref, context) => {
+  if (!context.refs.has(ref)) {
+    if (!ref.startsWith('#')) {
+      throw new SchemaError(`Only references within the schema are supported, got ${JSON.stringify(ref)}`);
+    }
+    const fragment = ref.slice(1);
+    const target = fragment === '' || fragment.startsWith('/')
+      ? resolvePointer(context.root, fragment)
+      : findAnchor(context.root, fragment);
+    if (target === undefined) throw new SchemaError(`Cannot resolve $ref ${JSON.stringify(ref)}`);
+    context.refs.set(ref, target);
+  }
+  return context.refs.get(ref);
+};
+
+// Validates `value` against `schema`, appending errors to `context.errors`.
+// Returns whether the value is valid, which the combinators rely on.
+const validateNode = (value, schema, path, schemaPath, context) => {
+  if (schema === true) return true;
+  if (schema === false) {
+    return report(context, path, schemaPath, 'false', 'no value is allowed here');
+  }
+  if (typeof schema !== 'object' || schema === null) {
+    throw new SchemaError(`Schema at ${schemaPath || '#'} must be an object or boolean`);
+  }
+
+  let valid = true;
+  const fail = (keyword, message, at = path) => {
+    valid = false;
+    report(context, at, `${schemaPath}/${keyword}`, keyword, message);
+  };
+  const sub = (childValue, childSchema, childPath, keyword) =>
+    validateNode(childValue, childSchema, childPath, `${schemaPath}/${keyword}`, context);
+
+  if (schema.$ref !== undefined) {
+    if (context.depth >= MAX_REF_DEPTH) throw new SchemaError(`$ref ${JSON.stringify(schema.$ref)} recurses too deeply`);
+    context.depth++;
+    const target = resolveRef(schema.$ref, context);
+    if (!validateNode(value, target, path, schema.$ref.slice(1), context)) valid = false;
+    context.depth--;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}, got ${describe(value)}`);
+      // The remaining keywords mostly describe the expected type
+      return false;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((option) => deepEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail('const', `must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = jsonType(value);
+  if (type === 'number' || type === 'integer') {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && number > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && number >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined) {
+      const quotient = number / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && countChars(value) < schema.minLength) fail('minLength', `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && countChars(value) > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern, context.patterns).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems === true) {
+      // Items are equal as in `enum`: whatever the order of their keys
+      const seen = new Map();
+      value.forEach((item, i) => {
+        const key = canonicalKey(item);
+        if (seen.has(key)) fail('uniqueItems', `duplicates item ${seen.get(key)}`, [...path, i]);
+        else seen.set(key, i);
+      });
+    }
+
+    const prefixCount = Array.isArray(schema.prefixItems) ? schema.prefixItems.length : 0;
+    for (let i = 0; i < Math.min(prefixCount, value.length); i++) {
+      if (!sub(value[i], schema.prefixItems[i], [...path, i], `prefixItems/${i}`)) valid = false;
+    }
+    if (schema.items !== undefined) {
+      for (let i = prefixCount; i < value.length; i++) {
+        if (!sub(value[i], schema.items, [...path, i], 'items')) valid = false;
+      }
+    }
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item) => isValid(item, schema.contains, context)).length;
+      const min = schema.minContains ?? 1;
+      if (matches < min) fail('contains', `must contain at least ${min} matching item${min !== 1 ? 's' : ''}`);
+      if (schema.maxContains !== undefined && matches > schema.maxContains) fail('maxContains', `must contain at most ${schema.maxContains} matching items`);
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail('minProperties', `must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+
+    (schema.required || []).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) fail('required', `missing required property "${key}"`);
+    });
+    Object.entries(schema.dependentRequired || {}).forEach(([key, dependencies]) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) return;
+      dependencies.forEach((dependency) => {
+        if (!Object.prototype.hasOwnProperty.call(value, dependency)) {
+          fail('dependentRequired', `property "${dependency}" is required when "${key}" is present`);
+        }
+      });
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {});
+    keys.forEach((key) => {
+      const childPath = [...path, key];
+      let evaluated = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        evaluated = true;
+        if (!sub(value[key], properties[key], childPath, `properties/${key}`)) valid = false;
+      }
+      patterns.forEach((pattern) => {
+        if (!compilePattern(pattern, context.patterns).test(key)) return;
+        evaluated = true;
+        if (!sub(value[key], schema.patternProperties[pattern], childPath, `patternProperties/${pattern}`)) valid = false;
+      });
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', `unexpected property "${key}"`, childPath);
+        } else if (!sub(value[key], schema.additionalProperties, childPath, 'additionalProperties')) {
+          valid = false;
+        }
+      }
+      if (schema.propertyNames !== undefined && !isValid(key, schema.propertyNames, context)) {
+        fail('propertyNames', `property name "${key}" is not allowed`, childPath);
+      }
+    });
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((option, i) => {
+      if (!sub(value, option, path, `allOf/${i}`)) valid = false;
+    });
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((option) => isValid(value, option, context))) {
+    fail('anyOf', 'must match at least one of the allowed schemas');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter((option) => isValid(value, option, context)).length;
+    if (matches !== 1) fail('oneOf', `must match exactly one schema, matched ${matches}`);
+  }
+  if (schema.not !== undefined && isValid(value, schema.not, context)) {
+    fail('not', 'must not match the schema in "not"');
+  }
+  if (schema.if !== undefined) {
+    const branch = isValid(value, schema.if, context) ? 'then' : 'else';
+    if (schema[branch] !== undefined && !sub(value, schema[branch], path, branch)) valid = false;
+  }
+
+  return valid;
+};
+
+// Checks a subschema without recording its errors (used by the combinators)
+const isValid = (value, schema, context) => {
+  const scratch = { ...context, errors: [], limit: Infinity };
+  return validateNode(value, schema, [], '', scratch);
+};
+
+const report = (context, path, schemaPath, keyword, message) => {
+  if (context.errors.length < context.limit) {
+    context.errors.push({ path, keyword, message, schemaPath: `#${schemaPath}` });
+  } else {
+    context.truncated = true;
+  }
+  return false;
+};
+
+// Validates a document, or each record of a JSONL file when `records` is set.
+// Returns `{ valid, errors: [{ path, keyword, message, schemaPath }], truncated }`.
+export const validateDocument = (data, schema, { records = false } = {}) => {
+  const context = {
+    root: schema,
+    refs: new Map(),
+    patterns: new Map(),
+    errors: [],
+    limit: MAX_VALIDATION_ERRORS,
+    truncated: false,
+    depth: 0,
+  };
+
+  if (records) {
+    data.forEach((record, i) => validateNode(record, schema, [i], '', context));
+  } else {
+    validateNode(data, schema, [], '', context);
+  }
+
+  return { valid: context.errors.length === 0, errors: context.errors, truncated: context.truncated };
+};
@@ -0,0 +1,112 @@
+// Plain-text search over a document. Matching is configured by
+// DEFAULT_SEARCH_OPTIONS; the limits keep a search over a huge document from
+// freezing the UI and are reported back when they cut the search short.
+import { formatPath, isContainer } from './tree';
+
+export const DEFAULT_SEARCH_OPTIONS = {
+  regex: false,
+  caseSensitive: false,
+  wholeWord: false,
+  scope: 'all', // 'all' | 'keys' | 'values'
+  maxResults: 1000,
+  maxDepth: 50,
+  maxChildren: 1000, // items / keys searched per array or object
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds a matcher for `query`. Throws a SyntaxError for an invalid regex.
+export const createMatcher = (query, options = DEFAULT_SEARCH_OPTIONS) => {
+  let source = options.regex ? query : escapeRegExp(query);
+  if (options.wholeWord) source = `\\b(?:${source})\\b`;
+  const flags = options.caseSensitive ? 'g' : 'gi';
+  const regex = new RegExp(source, flags);
+
+  return {
+    scope: options.scope,
+    test: (text) => {
+      regex.lastIndex = 0;
+      return regex.test(text);
+    },
+    // Splits text into [{ text, match }] parts for highlighting
+    split: (text) => {
+      const parts = [];
+      let last = 0;
+      regex.lastIndex = 0;
+      for (const found of text.matchAll(regex)) {
+        if (found[0] === '') continue;
+        if (found.index > last) parts.push({ text: text.slice(last, found.index), match: false });
+        parts.push({ text: found[0], match: true });
+        last = found.index + found[0].length;
+      }
+      if (last < text.length) parts.push({ text: text.slice(last), match: false });
+      return parts;
+    },
+  };
+};
+
+// Returns { results, truncated } where truncated lists which limits were hit
+// ('results', 'depth', 'children'). Each result is
+// { type: 'key' | 'value', path, key, value, pathString }. When `data` is a
+// subtree, `basePath` (its path) starts the result paths. `rootItems` limits a
+// root array to the items at those indices, as in flattenTree.
+export const searchData = (data, matcher, options = DEFAULT_SEARCH_OPTIONS, basePath = [], rootItems = null) => {
+  const results = [];
+  const truncated = new Set();
+  const { maxResults, maxDepth, maxChildren } = options;
+  const searchKeys = matcher.scope !== 'values';
+  const searchValues = matcher.scope !== 'keys';
+
+  const search = (obj, currentPath, depth) => {
+    if (results.length >= maxResults) return;
+    if (depth > maxDepth) {
+      truncated.add('depth');
+      return;
+    }
+    if (obj === null || obj === undefined) {
+      if (searchValues && obj === null && matcher.test('null')) {
+        results.push({ type: 'value', path: currentPath, value: obj, pathString: formatPath(currentPath) });
+      }
+      return;
+    }
+
+    if (isContainer(obj)) {
+      if (Array.isArray(obj)) {
+        const indices = depth === 0 ? rootItems : null;
+        const length = indices ? indices.length : obj.length;
+        if (length > maxChildren) truncated.add('children');
+        const count = Math.min(length, maxChildren);
+        for (let i = 0; i < count && results.length < maxResults; i++) {
+          const index = indices ? indices[i] : i;
+          search(obj[index], [...currentPath, index], depth + 1);
+        }
+      } else {
+        const keys = Object.keys(obj);
+        if (keys.length > maxChildren) truncated.add('children');
+        const count = Math.min(keys.length, maxChildren);
+        for (let i = 0; i < count && results.length < maxResults; i++) {
+          const key = keys[i];
+          const newPath = [...currentPath, key];
+
+          if (searchKeys && matcher.test(key)) {
+            results.push({ type: 'key', path: newPath, key, value: obj[key], pathString: formatPath(newPath) });
+          }
+
+          search(obj[key], newPath, depth + 1);
+        }
+      }
+      return;
+    }
+
+    if (searchValues && matcher.test(String(obj))) {
+      results.push({ type: 'value', path: currentPath, value: obj, pathString: formatPath(currentPath) });
+    }
+  };
+
+  search(data, basePath, 0);
+  if (results.length >= maxResults) {
+    results.length = maxResults;
+    truncated.add('results');
+  }
+  return { results, truncated: [...truncated] };
+};
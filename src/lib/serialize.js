@@ -0,0 +1,20 @@
+// Serializing a document back to text in the layout it was loaded with.
+import { stringifyJson } from './lossless';
+
+export const DEFAULT_LAYOUT = { indent: '  ', trailingNewline: true };
+
+// Guesses the indentation of a JSON text from its first indented line. A text
+// with no line breaks is treated as minified.
+export const detectIndent = (sample) => {
+  const body = sample.replace(/\s+$/, '');
+  if (!body.includes('\n')) return '';
+  const match = /\n([ \t]+)\S/.exec(body);
+  return match ? match[1] : DEFAULT_LAYOUT.indent;
+};
+
+export const serializeDocument = (data, { isJsonl = false, indent = DEFAULT_LAYOUT.indent, trailingNewline = DEFAULT_LAYOUT.trailingNewline } = {}) => {
+  const text = isJsonl && Array.isArray(data)
+    ? data.map((record) => stringifyJson(record)).join('\n')
+    : stringifyJson(data, indent || undefined);
+  return trailingNewline ? `${text}\n` : text;
+};
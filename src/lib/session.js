@@ -0,0 +1,74 @@
+// Local persistence of the open tabs and the recently opened files, kept in
+// IndexedDB so it works the same in the browser and in the desktop app's
+// webview. Files are stored as the Blobs they were opened from and parsed
+// again on restore, so edits that were never saved are not brought back.
+
+const DB_NAME = 'json-text';
+const DB_VERSION = 1;
+const FILES = 'files';
+const STATE = 'state';
+
+// Larger files are listed as recent but not kept
+export const MAX_STORED_FILE_SIZE = 50 * 1024 * 1024;
+export const MAX_RECENT_FILES = 10;
+// Expanded node ids saved per tab
+export const MAX_SAVED_EXPANDED = 20000;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(FILES);
+        request.result.createObjectStore(STATE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of failing forever
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Runs `operation(store)` in a transaction on one store. Resolves, once the
+// transaction has completed, to the result of the request it returned.
+const withStore = async (storeName, mode, operation) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Saved state by name: 'session' ({ activeTabId, tabs }), 'recent',
+// 'filterPresets' and 'redaction'
+export const loadState = (name) => withStore(STATE, 'readonly', (store) => store.get(name));
+
+export const saveState = (name, value) => withStore(STATE, 'readwrite', (store) => store.put(value, name));
+
+export const loadFile = (key) => withStore(FILES, 'readonly', (store) => store.get(key));
+
+// Keeps a copy of a file and returns its key, or null if it is too large
+export const storeFile = async (file) => {
+  if (file.size > MAX_STORED_FILE_SIZE) return null;
+  const key = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await withStore(FILES, 'readwrite', (store) => store.put(file, key));
+  return key;
+};
+
+// Deletes the stored files whose keys are not in `keep` (a Set)
+export const pruneFiles = (keep) => withStore(FILES, 'readwrite', (store) => {
+  const request = store.getAllKeys();
+  request.onsuccess = () => {
+    request.result.filter((key) => !keep.has(key)).forEach((key) => store.delete(key));
+  };
+  return null;
+});
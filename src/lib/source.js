@@ -0,0 +1,74 @@
+// Parsing of text typed or pasted into the raw text pane. Unlike file loading
+// this keeps a map from tree paths to text offsets so the pane and the tree
+// can follow each other. JSON is parsed with the JSON5 parser (so comments are
+// fine too); text that looks like JSON Lines is parsed line by line.
+import { parseJson5 } from './formats/json5';
+import { sniffFormat } from './formats';
+import { pathKey } from './tree';
+
+const isStrictJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Returns { data, records, formatLabel, spans } or throws a ParseError.
+// `spans` lists `{ path, start, valueStart, end }` in document order.
+export const parseSource = (text) => {
+  const spans = [];
+
+  if (sniffFormat('', text).id === 'jsonl') {
+    const records = [];
+    let lineStart = 0;
+    for (const line of text.split('\n')) {
+      if (line.trim() !== '') {
+        const lineSpans = [];
+        try {
+          records.push(parseJson5(line, { spans: lineSpans, basePath: [records.length], lossless: true }));
+        } catch (err) {
+          err.message = `Record ${records.length + 1}: ${err.message}`;
+          throw err;
+        }
+        lineSpans.forEach((span) => spans.push({
+          ...span,
+          start: span.start + lineStart,
+          valueStart: span.valueStart + lineStart,
+          end: span.end + lineStart,
+        }));
+      }
+      lineStart += line.length + 1;
+    }
+    return { data: records, records: true, formatLabel: 'JSONL', spans };
+  }
+
+  const data = parseJson5(text, { spans, lossless: true });
+  return { data, records: false, formatLabel: isStrictJson(text) ? 'JSON' : 'JSON5', spans };
+};
+
+// Span lookup by tree id
+export const spansById = (spans) => new Map(spans.map((span) => [pathKey(span.path), span]));
+
+// Path of the innermost value whose text contains `offset`. Spans are in
+// document order, so the innermost one is the last containing span that
+// starts at or before the offset.
+export const pathAtOffset = (spans, offset) => {
+  let low = 0;
+  let high = spans.length - 1;
+  let last = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (spans[mid].start <= offset) {
+      last = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  for (let i = last; i >= 0; i--) {
+    if (offset < spans[i].end) return spans[i].path;
+  }
+  return null;
+};
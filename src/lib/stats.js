@@ -0,0 +1,193 @@
+// Structure overview of a document, gathered in one walk: node and type
+// counts, depth, the most frequent keys, the largest subtrees by serialized
+// size and, for arrays of records, the fields some records lack or leave null.
+// Sizes are UTF-8 bytes of the minified JSON.
+import { isContainer } from './tree';
+import { valueType } from './edit';
+import { isTabular } from './table';
+import { formatPathAs } from './pathFormats';
+
+const MAX_TRACKED_KEYS = 100000;
+const MAX_LISTED_KEYS = 50;
+const MAX_LARGEST = 20;
+const MAX_FIELD_DEPTH = 4;
+const MAX_LISTED_FIELDS = 100;
+
+// UTF-8 length of a string without encoding it
+export const utf8Length = (text) => {
+  let length = text.length;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) continue;
+    if (code < 0x800) {
+      length += 1;
+    } else if (code >= 0xd800 && code < 0xdc00 && i + 1 < text.length) {
+      // A surrogate pair is 4 bytes for its 2 characters
+      length += 2;
+      i++;
+    } else {
+      length += 2;
+    }
+  }
+  return length;
+};
+
+const scalarSize = (value) => {
+  if (typeof value === 'string') return utf8Length(JSON.stringify(value));
+  return String(value).length;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+};
+
+// Fields (dotted paths into nested objects) of records that are missing from
+// some records or null in some. Returns { recordCount, fields, total } with
+// the fields sorted by how many records lack a real value.
+const sparseFields = (records) => {
+  const fields = new Map();
+  let recordCount = 0;
+
+  const collect = (object, path) => {
+    Object.keys(object).forEach((key) => {
+      const fieldPath = [...path, key];
+      const id = fieldPath.join('\u0000');
+      let field = fields.get(id);
+      if (!field) {
+        field = { path: fieldPath, present: 0, nulls: 0 };
+        fields.set(id, field);
+      }
+      field.present++;
+      const value = object[key];
+      if (value === null) {
+        field.nulls++;
+      } else if (isContainer(value) && !Array.isArray(value) && fieldPath.length < MAX_FIELD_DEPTH) {
+        collect(value, fieldPath);
+      }
+    });
+  };
+
+  records.forEach((record) => {
+    if (!isContainer(record) || Array.isArray(record)) return;
+    recordCount++;
+    collect(record, []);
+  });
+
+  const sparse = [...fields.values()]
+    .map((field) => ({ ...field, missing: recordCount - field.present }))
+    .filter((field) => field.missing > 0 || field.nulls > 0)
+    .sort((a, b) => (b.missing + b.nulls) - (a.missing + a.nulls));
+  return { recordCount, fields: sparse.slice(0, MAX_LISTED_FIELDS), total: sparse.length };
+};
+
+// Returns {
+//   nodeCount, maxDepth, deepestPath, totalSize,
+//   types: { object, array, string, number, boolean, null },
+//   keys: [{ key, count, pathCount, example }], keysTruncated,
+//   largest: [{ path, size, type }],
+//   sizes: WeakMap from each container to its size,
+//   sparse: { recordCount, fields: [{ path, present, missing, nulls }], total } or null,
+// }
+// `pathCount` counts distinct paths with array indices ignored
+// (`items[*].id`); `example` is the path of the key's first occurrence.
+// `records` marks the document as an array of records (JSONL).
+export const computeStats = (data, { records = false } = {}) => {
+  const types = { object: 0, array: 0, string: 0, number: 0, boolean: 0, null: 0 };
+  const keys = new Map();
+  const sizes = new WeakMap();
+  const largest = [];
+  let nodeCount = 0;
+  let maxDepth = 0;
+  let deepestPath = [];
+  let keysTruncated = false;
+
+  const noteLargest = (path, size, type) => {
+    if (largest.length === MAX_LARGEST && size <= largest[largest.length - 1].size) return;
+    largest.push({ path, size, type });
+    largest.sort((a, b) => b.size - a.size);
+    if (largest.length > MAX_LARGEST) largest.pop();
+  };
+
+  const noteKey = (key, pattern, path) => {
+    let entry = keys.get(key);
+    if (!entry) {
+      if (keys.size >= MAX_TRACKED_KEYS) {
+        keysTruncated = true;
+        return;
+      }
+      entry = { key, count: 0, patterns: new Set(), example: path };
+      keys.set(key, entry);
+    }
+    entry.count++;
+    entry.patterns.add(pattern);
+  };
+
+  const visit = (value, path, pattern) => {
+    nodeCount++;
+    if (path.length > maxDepth) {
+      maxDepth = path.length;
+      deepestPath = path;
+    }
+    const type = valueType(value);
+    types[type]++;
+    if (!isContainer(value)) return scalarSize(value);
+
+    let size = 2; // brackets
+    if (Array.isArray(value)) {
+      const itemPattern = `${pattern}[*]`;
+      value.forEach((item, i) => {
+        size += visit(item, [...path, i], itemPattern) + (i > 0 ? 1 : 0);
+      });
+    } else {
+      Object.keys(value).forEach((key, i) => {
+        const childPath = [...path, key];
+        const childPattern = `${pattern}.${key}`;
+        noteKey(key, childPattern, childPath);
+        size += utf8Length(JSON.stringify(key)) + 1 + visit(value[key], childPath, childPattern) + (i > 0 ? 1 : 0);
+      });
+    }
+    sizes.set(value, size);
+    if (path.length > 0) noteLargest(path, size, type);
+    return size;
+  };
+
+  const totalSize = visit(data, [], '');
+
+  const topKeys = [...keys.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_LISTED_KEYS)
+    .map(({ key, count, patterns, example }) => ({ key, count, pathCount: patterns.size, example }));
+
+  const hasRecords = Array.isArray(data) && (records || isTabular(data));
+
+  return {
+    nodeCount,
+    maxDepth,
+    deepestPath,
+    totalSize,
+    types,
+    keys: topKeys,
+    keysTruncated,
+    largest,
+    sizes,
+    sparse: hasRecords ? sparseFields(data) : null,
+  };
+};
+
+// Query-mode expressions (see lib/query) that select what a stats entry
+// counts, for filtering the tree to it
+
+export const STATS_QUERIES = {
+  type: (type) => `.. | select(type == "${type}")`,
+  key: (key) => `$..[${JSON.stringify(key)}]`,
+  // Records where the field is missing or null
+  field: (path) => `.[] | select((${formatPathAs(path, 'jq')})? == null)`,
+};
@@ -0,0 +1,157 @@
+// Tabular view of an array of records. Columns are the union of the records'
+// keys, with nested objects flattened into dotted paths (`user.address.city`);
+// arrays and values nested deeper than MAX_COLUMN_DEPTH stay single cells.
+import { isContainer, pathKey } from './tree';
+import { isLosslessNumber } from './lossless';
+
+const MAX_COLUMN_DEPTH = 4;
+const MAX_COLUMNS = 300;
+const MAX_SCANNED_RECORDS = 100000;
+
+const isPlainObject = (value) => isContainer(value) && !Array.isArray(value);
+
+// Arrays are shown as a table when most of their items are objects
+export const isTabular = (value) => {
+  if (!Array.isArray(value) || value.length === 0) return false;
+  const sample = value.slice(0, 100);
+  return sample.filter(isPlainObject).length >= sample.length / 2;
+};
+
+// A path as labels and headers show it: keys joined with dots and indices in
+// brackets (`[3].user.name`). Keys that would be ambiguous there (empty, or
+// containing dots, brackets or quotes) are quoted: `headers["content-type.v2"]`.
+export const formatColumnPath = (path) => path.reduce((label, segment) => {
+  if (typeof segment === 'number') return `${label}[${segment}]`;
+  if (segment === '' || /[.[\]"]/.test(segment)) return `${label}[${JSON.stringify(segment)}]`;
+  return label ? `${label}.${segment}` : segment;
+}, '');
+
+// Ids and lookups use the path itself, not the label
+const makeColumn = (path) => ({ id: pathKey(path), label: path.length ? formatColumnPath(path) : '(value)', path });
+
+export const inferColumns = (records) => {
+  const columns = new Map();
+
+  const visit = (value, path) => {
+    if (isPlainObject(value) && path.length < MAX_COLUMN_DEPTH && Object.keys(value).length > 0) {
+      Object.keys(value).forEach((key) => visit(value[key], [...path, key]));
+      return;
+    }
+    const id = pathKey(path);
+    if (!columns.has(id) && columns.size < MAX_COLUMNS) columns.set(id, makeColumn(path));
+  };
+
+  const count = Math.min(records.length, MAX_SCANNED_RECORDS);
+  for (let i = 0; i < count; i++) {
+    const record = records[i];
+    if (isPlainObject(record)) {
+      Object.keys(record).forEach((key) => visit(record[key], [key]));
+    } else {
+      // Primitive items of a mostly-object array get a value column
+      const column = makeColumn([]);
+      if (!columns.has(column.id)) columns.set(column.id, column);
+    }
+  }
+
+  return [...columns.values()];
+};
+
+export const getCell = (record, column) => {
+  let value = record;
+  for (const segment of column.path) {
+    if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, segment)) return undefined;
+    value = value[segment];
+  }
+  if (column.path.length === 0 && isPlainObject(record)) return undefined;
+  return value;
+};
+
+export const cellText = (value) => {
+  if (value === undefined) return '';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return `[${value.length}]`;
+  if (isContainer(value)) return `{${Object.keys(value).length}}`;
+  return String(value);
+};
+
+// Missing values sort last in either direction; numbers before strings
+const rank = (value) => {
+  if (value === undefined) return 4;
+  if (value === null) return 3;
+  if (typeof value === 'number' || typeof value === 'boolean' || isLosslessNumber(value)) return 0;
+  if (typeof value === 'string') return 1;
+  return 2;
+};
+
+export const compareCells = (a, b) => {
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return Number(a) - Number(b);
+  if (rankA === 1) return a.localeCompare(b);
+  if (rankA === 2) return cellText(a).localeCompare(cellText(b));
+  return 0;
+};
+
+// Column filters: plain text matches as a case-insensitive substring; a
+// leading comparison operator (`>10`, `<=2024-01-01`, `=error`, `!=null`)
+// compares instead, numerically when both sides are numbers
+export const createCellFilter = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const match = /^(>=|<=|!=|=|>|<)\s*(.*)$/.exec(trimmed);
+  if (!match) {
+    const needle = trimmed.toLowerCase();
+    return (value) => cellText(value).toLowerCase().includes(needle);
+  }
+
+  const [, op, operand] = match;
+  const operandNumber = Number(operand);
+  const numeric = operand !== '' && Number.isFinite(operandNumber);
+
+  return (value) => {
+    if (value === undefined) return op === '!=';
+    const isNumber = numeric && (typeof value === 'number' || isLosslessNumber(value));
+    const left = isNumber ? Number(value) : cellText(value);
+    const right = isNumber ? operandNumber : operand;
+    const order = typeof left === 'number' ? left - right : left.localeCompare(right);
+    switch (op) {
+      case '=': return order === 0;
+      case '!=': return order !== 0;
+      case '>': return order > 0;
+      case '>=': return order >= 0;
+      case '<': return order < 0;
+      default: return order <= 0;
+    }
+  };
+};
+
+// Indices of the records to show, after filtering and sorting
+export const tableRowIndices = (records, columns, filters, sort) => {
+  const activeFilters = columns
+    .map((column) => ({ column, test: createCellFilter(filters[column.id] || '') }))
+    .filter(({ test }) => test);
+
+  let indices = [];
+  for (let i = 0; i < records.length; i++) {
+    if (activeFilters.every(({ column, test }) => test(getCell(records[i], column)))) indices.push(i);
+  }
+
+  if (sort) {
+    const column = columns.find((c) => c.id === sort.columnId);
+    if (column) {
+      const direction = sort.direction === 'desc' ? -1 : 1;
+      const keyed = indices.map((i) => ({ i, value: getCell(records[i], column) }));
+      keyed.sort((a, b) => {
+        // Missing values stay at the bottom whatever the direction
+        if (a.value === undefined || b.value === undefined) return rank(a.value) - rank(b.value);
+        return compareCells(a.value, b.value) * direction || a.i - b.i;
+      });
+      indices = keyed.map(({ i }) => i);
+    }
+  }
+
+  return indices;
+};
@@ -0,0 +1,196 @@
+// Helpers for the flattened tree model. A node is addressed by its path: an
+// array of object keys (strings) and array indices (numbers), relative to the
+// document root. `pathKey` turns a path into a stable id for Sets and Maps.
+import { isLosslessNumber } from './lossless';
+
+export const pathKey = (path) => JSON.stringify(path);
+
+export const parsePathKey = (key) => JSON.parse(key);
+
+// Human-readable form used in search results, e.g. `orders[0].sku`
+export const formatPath = (path) => path.reduce((str, segment) => {
+  if (typeof segment === 'number') return `${str}[${segment}]`;
+  return str ? `${str}.${segment}` : segment;
+}, '');
+
+// Ids of every ancestor of `path`, starting with the root
+export const ancestorKeys = (path) => {
+  const keys = [];
+  for (let i = 0; i < path.length; i++) {
+    keys.push(pathKey(path.slice(0, i)));
+  }
+  return keys;
+};
+
+// True when `path` is `prefix` or lies below it
+export const isPathPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((segment, i) => segment === path[i]);
+
+// True when the node with id `id` is the one with `rootId` or lies below it.
+// Ids are JSON arrays, so a descendant's id is its ancestor's minus the
+// closing bracket, followed by a comma.
+export const isInSubtree = (id, rootId) => id === rootId || id.startsWith(rootId === '[]' ? '[' : `${rootId.slice(0, -1)},`);
+
+// Lossless numbers are objects too, but scalars as far as the tree goes
+export const isContainer = (value) => typeof value === 'object' && value !== null && !isLosslessNumber(value);
+
+export const childCount = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (isContainer(value)) return Object.keys(value).length;
+  return 0;
+};
+
+export const getAtPath = (data, path) => {
+  let node = data;
+  for (const segment of path) {
+    if (!isContainer(node)) return undefined;
+    node = node[segment];
+  }
+  return node;
+};
+
+// Id of a child given its parent's id, without re-serializing the whole path
+const childKey = (parentId, segment) => {
+  const encoded = typeof segment === 'number' ? String(segment) : JSON.stringify(segment);
+  return parentId === '[]' ? `[${encoded}]` : `${parentId.slice(0, -1)},${encoded}]`;
+};
+
+// Most containers expanded at once by "expand all"
+const MAX_EXPANDED_SUBTREE = 100000;
+
+// Ids of `value` (found at `path`) and of every object and array below it,
+// in document order. Stops after `limit`, leaving the rest collapsed.
+export const subtreeKeys = (value, path, limit = MAX_EXPANDED_SUBTREE) => {
+  const keys = [];
+  const stack = [[value, pathKey(path)]];
+  while (stack.length > 0 && keys.length < limit) {
+    const [node, id] = stack.pop();
+    if (!isContainer(node)) continue;
+    keys.push(id);
+    const segments = Array.isArray(node) ? node.map((_, i) => i) : Object.keys(node);
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const child = node[segments[i]];
+      if (isContainer(child)) stack.push([child, childKey(id, segments[i])]);
+    }
+  }
+  return keys;
+};
+
+// A visible row. Path, id and name are derived on first access: rows of a
+// million-element array would otherwise each build them up front even though
+// only the few on screen are ever rendered. Rows made from view transform
+// entries (see lib/viewTransforms) may be several segments below their
+// parent row, or be a `group` of items standing in no place of their own.
+class Row {
+  constructor(parent, segment, data, level, rootName, rootPath = [], entry = null) {
+    this.parent = parent;
+    this.segment = segment;
+    this.data = data;
+    this.level = level;
+    this.isExpandable = isContainer(data);
+    this.isExpanded = false;
+    this._rootName = rootName;
+    this._path = parent ? null : rootPath;
+    this._id = null;
+    this._segments = entry?.segments ?? null;
+    this._label = entry?.name ?? null;
+    this.group = entry?.group ?? null;
+  }
+
+  // A group has its array's path, and its items their own paths below it
+  get path() {
+    if (!this._path) this._path = this.group ? this.parent.path : [...this.parent.path, ...(this._segments ?? [this.segment])];
+    return this._path;
+  }
+
+  get id() {
+    if (this._id === null) {
+      if (!this.parent) this._id = pathKey(this._path);
+      else if (this.group) this._id = childKey(this.parent.id, { group: this.group.key });
+      else if (this.parent.group || this._segments?.length > 1) this._id = pathKey(this.path);
+      else this._id = childKey(this.parent.id, this.segment);
+    }
+    return this._id;
+  }
+
+  // Id of the node holding this one in the document: its parent row's, unless
+  // view transforms put it elsewhere
+  get containerId() {
+    if (this.group || (!this.parent.group && !(this._segments?.length > 1))) return this.parent.id;
+    return pathKey(this.path.slice(0, -1));
+  }
+
+  get name() {
+    if (!this.parent) return this._rootName;
+    if (this._label !== null) return this._label;
+    return typeof this.segment === 'number' ? `[${this.segment}]` : this.segment;
+  }
+}
+
+// Flattens the expanded part of the tree into the list of visible rows, in
+// display order. Only expanded containers are descended into, so collapsed
+// subtrees cost nothing however large they are. `data` may be a subtree found
+// at `rootPath`; rows then start at level 0 but keep their full paths and ids.
+// `rootItems`, if given, lists the indices of the only items of a root array
+// to show (records matching a filter); they keep their own indices.
+// `childEntries`, if given, lists the children of a container instead (see
+// createChildEntries in lib/viewTransforms).
+export const flattenTree = (data, rootName, expanded, rootPath = [], rootItems = null, childEntries = null) => {
+  const rows = [];
+  const stack = [new Row(null, null, data, 0, rootName, rootPath)];
+
+  // Ids of nodes with at least one expanded child. Children of any other node
+  // are known to be collapsed without computing their ids.
+  const expandedParents = new Set();
+  expanded.forEach((id) => {
+    const path = parsePathKey(id);
+    if (path.length > 0) expandedParents.add(pathKey(path.slice(0, -1)));
+  });
+
+  while (stack.length > 0) {
+    const row = stack.pop();
+    const canBeExpanded = row.isExpandable && (!row.parent || expandedParents.has(row.containerId));
+    row.isExpanded = canBeExpanded && expanded.has(row.id);
+    rows.push(row);
+
+    if (!row.isExpanded) continue;
+
+    // Push children in reverse so they pop in document order
+    const { data: value, level } = row;
+    if (childEntries) {
+      const entries = row.group ? row.group.entries : childEntries(value, row.parent ? null : rootItems);
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        stack.push(new Row(row, entry.segments[entry.segments.length - 1] ?? null, entry.data, level + 1, null, undefined, entry));
+      }
+    } else if (rootItems && !row.parent && Array.isArray(value)) {
+      // Indices from before an edit may have run past the end
+      for (let i = rootItems.length - 1; i >= 0; i--) {
+        if (rootItems[i] < value.length) stack.push(new Row(row, rootItems[i], value[rootItems[i]], level + 1));
+      }
+    } else if (Array.isArray(value)) {
+      for (let i = value.length - 1; i >= 0; i--) {
+        stack.push(new Row(row, i, value[i], level + 1));
+      }
+    } else {
+      const keys = Object.keys(value);
+      for (let i = keys.length - 1; i >= 0; i--) {
+        stack.push(new Row(row, keys[i], value[keys[i]], level + 1));
+      }
+    }
+  }
+
+  return rows;
+};
+
+// Ids expanded when a document is first opened: the root, plus its direct
+// children for files small enough to afford it
+export const initialExpanded = (data, isLargeFile) => {
+  const expanded = new Set([pathKey([])]);
+  if (isLargeFile || !isContainer(data)) return expanded;
+
+  Object.keys(data).forEach((key) => {
+    const segment = Array.isArray(data) ? Number(key) : key;
+    if (isContainer(data[key])) expanded.add(pathKey([segment]));
+  });
+  return expanded;
+};
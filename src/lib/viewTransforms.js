@@ -0,0 +1,151 @@
+// View transforms: ways of showing a document without changing it. They
+// reorder, hide, merge and group the children of each container as the tree
+// lists them (see flattenTree), and every row keeps the path of the value it
+// shows, so copies, edits and search results still refer to the document.
+//
+// A transform is { type } plus, for sorting and grouping arrays, a `field`
+// written as in a record filter (see parseFieldPath). They are kept in the
+// order they were added, but always applied as: hide empties, flatten,
+// collapse chains, sort keys, sort items, group items.
+import { getField, parseFieldPath } from './query';
+import { typeOf } from './query/values';
+import { valueKey } from './aggregate';
+import { previewValue } from './format';
+import { isContainer, formatPath } from './tree';
+
+export const VIEW_TRANSFORMS = [
+  { type: 'sortKeys', label: 'Sort keys A–Z' },
+  { type: 'hideEmpty', label: 'Hide nulls and empty values' },
+  { type: 'collapseChains', label: 'Collapse single-child chains' },
+  { type: 'flatten', label: 'Flatten objects into dotted keys' },
+  { type: 'sortBy', label: 'Sort items by', hasField: true },
+  { type: 'groupBy', label: 'Group items by', hasField: true },
+];
+
+const APPLY_ORDER = ['hideEmpty', 'flatten', 'collapseChains', 'sortKeys', 'sortBy', 'groupBy'];
+
+// Short label for a transform's chip
+export const describeTransform = ({ type, field }) => {
+  switch (type) {
+    case 'sortKeys': return 'Keys sorted';
+    case 'hideEmpty': return 'Empties hidden';
+    case 'collapseChains': return 'Chains collapsed';
+    case 'flatten': return 'Flattened';
+    case 'sortBy': return `Sorted by ${field}`;
+    case 'groupBy': return `Grouped by ${field}`;
+    default: return type;
+  }
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+const isObject = (value) => isContainer(value) && !Array.isArray(value);
+
+const isEmpty = (value) => value === null || value === '' || (isContainer(value) && Object.keys(value).length === 0);
+
+// Values sort by type first, in this order; missing fields go last
+const TYPE_RANK = { number: 0, string: 1, boolean: 2, null: 3, array: 4, object: 5 };
+
+const compareFieldValues = (a, b) => {
+  if (a === undefined || b === undefined) return (a === undefined) - (b === undefined);
+  const type = typeOf(a);
+  if (type !== typeOf(b)) return TYPE_RANK[type] - TYPE_RANK[typeOf(b)];
+  if (type === 'number') return Number(a) - Number(b);
+  if (type === 'string') return collator.compare(a, b);
+  if (type === 'boolean') return a - b;
+  return 0;
+};
+
+// Compiles `transforms` into the `childEntries(value, items)` of flattenTree,
+// or null when there are none. It lists a container's children as entries
+// { segments, data, name, group }: `segments` is the path from the container
+// to the child (several for flattened and collapsed rows, with `name` their
+// dotted form), and a group entry ({ key, entries }) stands for the items of
+// an array sharing a field value, with `data` the array of them. `items`
+// limits an array to those indices. Each container's entries are worked out
+// once and kept while the container is, so expanding or collapsing a node
+// does not sort and group the whole tree again; a document is never
+// modified in place, so an edited container is a new one.
+export const createChildEntries = (transforms) => {
+  if (transforms.length === 0) return null;
+  const has = (type) => transforms.some((transform) => transform.type === type);
+  const fieldOf = (type) => {
+    const transform = transforms.find((candidate) => candidate.type === type);
+    return transform && { text: transform.field, path: parseFieldPath(transform.field) };
+  };
+  const sortField = fieldOf('sortBy');
+  const groupField = fieldOf('groupBy');
+
+  const children = (value, items = null) => {
+    let entries;
+    if (!Array.isArray(value)) entries = Object.keys(value).map((key) => ({ segments: [key], data: value[key] }));
+    else if (items) entries = items.filter((i) => i < value.length).map((i) => ({ segments: [i], data: value[i] }));
+    else entries = value.map((item, i) => ({ segments: [i], data: item }));
+    return has('hideEmpty') ? entries.filter((entry) => !isEmpty(entry.data)) : entries;
+  };
+
+  const extend = (entry, child) => {
+    const segments = [...entry.segments, ...child.segments];
+    return { segments, data: child.data, name: formatPath(segments) };
+  };
+
+  // Objects are replaced by their members, down to the first non-object
+  const flatten = (entry) => {
+    if (!isObject(entry.data)) return [entry];
+    const members = children(entry.data);
+    return members.length === 0 ? [entry] : members.flatMap((member) => flatten(extend(entry, member)));
+  };
+
+  const collapse = (entry) => {
+    let collapsed = entry;
+    for (;;) {
+      if (!isContainer(collapsed.data)) return collapsed;
+      const only = children(collapsed.data);
+      if (only.length !== 1 || !isContainer(only[0].data)) return collapsed;
+      collapsed = extend(collapsed, only[0]);
+    }
+  };
+
+  const group = (entries) => {
+    const buckets = new Map();
+    entries.forEach((entry) => {
+      const value = getField(entry.data, groupField.path);
+      const key = value === undefined ? 'missing' : valueKey(value);
+      if (!buckets.has(key)) buckets.set(key, { key, value, entries: [] });
+      buckets.get(key).entries.push(entry);
+    });
+    if (buckets.size === 1 && buckets.has('missing')) return entries;
+    return [...buckets.values()]
+      .sort((a, b) => b.entries.length - a.entries.length)
+      .map((bucket) => ({
+        segments: [],
+        data: bucket.entries.map((entry) => entry.data),
+        name: bucket.value === undefined ? `${groupField.text} missing` : `${groupField.text} = ${previewValue(bucket.value, 40)}`,
+        group: { key: bucket.key, entries: bucket.entries },
+      }));
+  };
+
+  const cache = new WeakMap();
+
+  return (value, items = null) => {
+    const cached = cache.get(value);
+    if (cached && cached.items === items) return cached.entries;
+    let entries = children(value, items);
+    APPLY_ORDER.filter(has).forEach((type) => {
+      if (type === 'flatten' && isObject(value)) entries = entries.flatMap(flatten);
+      if (type === 'collapseChains') entries = entries.map(collapse);
+      if (type === 'sortKeys' && isObject(value)) {
+        entries = entries.sort((a, b) => collator.compare(formatPath(a.segments), formatPath(b.segments)));
+      }
+      if (type === 'sortBy' && Array.isArray(value)) {
+        entries = entries
+          .map((entry) => ({ entry, key: getField(entry.data, sortField.path) }))
+          .sort((a, b) => compareFieldValues(a.key, b.key))
+          .map(({ entry }) => entry);
+      }
+      if (type === 'groupBy' && Array.isArray(value)) entries = group(entries);
+    });
+    cache.set(value, { items, entries });
+    return entries;
+  };
+};
@@ -0,0 +1,46 @@
+// Main-thread handle for the parser worker. Each parse gets its own worker so a
+// cancel can terminate it immediately, even in the middle of JSON.parse.
+// `repair` loads broken JSON as well as possible instead of failing. A failed
+// parse rejects with an error whose `errors` list the problems found.
+import { reviveLosslessNumbers } from '../lib/lossless';
+
+export const parseFile = (file, { format, repair = false, onProgress } = {}) => {
+  const worker = new Worker(new URL('./parser.worker.js', import.meta.url), { type: 'module' });
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        onProgress?.(message);
+      } else if (message.type === 'done') {
+        worker.terminate();
+        resolve({ ...message, data: reviveLosslessNumbers(message.data, message.lossless) });
+      } else if (message.type === 'error') {
+        worker.terminate();
+        const error = new Error(message.message);
+        error.errors = message.errors;
+        error.errorCount = message.errorCount;
+        reject(error);
+      }
+    };
+
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Parser worker failed'));
+    };
+
+    worker.postMessage({ file, format, repair });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    const error = new Error('Parsing cancelled');
+    error.cancelled = true;
+    settle.reject(error);
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,254 @@
+// Parses documents off the main thread. The file is read in chunks so progress
+// can be reported while reading; gzip files are decompressed on the fly. The
+// format is sniffed from the first chunk (see lib/formats); JSONL is parsed
+// line by line as it streams in, everything else once fully read. The main
+// thread cancels a parse by terminating the worker.
+//
+// Text that fails to parse is run through the lenient parser: by default to
+// report every error with its location, or in repair mode to load its best
+// guess, with the repaired spots listed by path.
+//
+// Numbers a double cannot hold exactly are parsed as LosslessNumber. Class
+// instances do not survive postMessage, so their paths and literals are sent
+// along in `lossless` for the main thread to revive.
+import { detectIndent, DEFAULT_LAYOUT } from '../lib/serialize';
+import { getFormat, sniffFormat, parseJson } from '../lib/formats';
+import { mayHaveLossyNumbers, forEachLosslessNumber } from '../lib/lossless';
+import { parseLenient } from '../lib/formats/lenient';
+import { createLocator } from '../lib/formats/location';
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // 4MB per read
+const MAX_REPORTED_ERRORS = 100;
+const MAX_REPORTED_REPAIRS = 1000;
+
+const post = (message) => self.postMessage(message);
+
+const isGzip = async (file) => {
+  const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  return header[0] === 0x1f && header[1] === 0x8b;
+};
+
+// Yields { bytes, bytesRead } where bytesRead counts bytes of the file itself
+// (compressed bytes for gzip), which is what progress is measured against
+async function* readFile(file, gzip) {
+  if (!gzip) {
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+      const bytes = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+      yield { bytes, bytesRead: Math.min(offset + CHUNK_SIZE, file.size) };
+    }
+    return;
+  }
+
+  let bytesRead = 0;
+  const counted = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      bytesRead += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  }));
+  const reader = counted.pipeThrough(new DecompressionStream('gzip')).getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    yield { bytes: value, bytesRead };
+  }
+}
+
+// Thrown when a text cannot be parsed; `errors` are located lenient-parser
+// issues ({ message, line, column, snippet, caret })
+class ParseFailure extends Error {
+  constructor(message, errors, errorCount) {
+    super(message);
+    this.errors = errors;
+    this.errorCount = errorCount;
+  }
+}
+
+// Collects repairs ({ message, path, line, column }) up to a limit
+const createRepairLog = () => {
+  const log = { repairs: [], repairCount: 0 };
+  log.add = (issues, locate, basePath = []) => {
+    log.repairCount += issues.length;
+    for (const issue of issues) {
+      if (log.repairs.length >= MAX_REPORTED_REPAIRS) break;
+      const { line, column } = locate(issue.offset);
+      log.repairs.push({ message: issue.message, path: [...basePath, ...issue.path], line, column });
+    }
+  };
+  return log;
+};
+
+// Collects [path, literal] for the lossless numbers in parsed values
+const createLosslessLog = () => {
+  const entries = [];
+  const visit = (path, literal) => entries.push([path, literal]);
+  return {
+    entries,
+    add: (value, text, basePath = []) => {
+      if (mayHaveLossyNumbers(text)) forEachLosslessNumber(value, visit, basePath);
+    },
+  };
+};
+
+const repairFields = (log) => (log ? { repairs: log.repairs, repairCount: log.repairCount } : {});
+
+// Line-by-line JSON parsing. Invalid lines are skipped (and reported with
+// their location) or, with `repairLog`, repaired.
+const createLineParser = (repairLog = null) => {
+  const state = { records: [], errors: [], errorCount: 0, lineNumber: 0, lossless: createLosslessLog() };
+  state.parseLine = (line) => {
+    state.lineNumber++;
+    if (line.trim() === '') return;
+    try {
+      const record = parseJson(line);
+      state.lossless.add(record, line, [state.records.length]);
+      state.records.push(record);
+    } catch (err) {
+      const { data, records, issues } = parseLenient(line);
+      const locate = createLocator(line, { firstLine: state.lineNumber });
+      if (repairLog && issues.length > 0 && data !== null) {
+        const values = records ? data : [data];
+        values.forEach((value, i) => {
+          const recordIssues = records ? issues.filter((issue) => issue.path[0] === i) : issues;
+          repairLog.add(records ? recordIssues.map((issue) => ({ ...issue, path: issue.path.slice(1) })) : recordIssues, locate, [state.records.length]);
+          state.lossless.add(value, line, [state.records.length]);
+          state.records.push(value);
+        });
+        return;
+      }
+
+      state.errorCount++;
+      if (state.errors.length < MAX_REPORTED_ERRORS) {
+        const first = issues[0];
+        state.errors.push({
+          ...(first ? locate(first.offset) : { line: state.lineNumber }),
+          message: first ? first.message : err.message,
+          // The record that follows the bad line, to show where it was
+          recordIndex: state.records.length,
+        });
+      }
+    }
+  };
+  return state;
+};
+
+// Lists every problem in a text JSON.parse rejected
+const diagnose = (text, err) => {
+  const { issues } = parseLenient(text);
+  if (issues.length === 0) return new ParseFailure(err.message, [{ message: err.message }], 1);
+  const locate = createLocator(text);
+  const errors = issues.slice(0, MAX_REPORTED_ERRORS).map((issue) => ({ message: issue.message, ...locate(issue.offset) }));
+  const first = errors[0];
+  const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : '';
+  return new ParseFailure(`${first.message} at line ${first.line}, column ${first.column}${more}`, errors, issues.length);
+};
+
+// A file sniffed as JSON can still turn out to be JSONC/JSON5 (comments in a
+// .json config) or JSON Lines whose first line was too long to sniff. If all
+// of those fail, the text is repaired or diagnosed.
+const parseWithFallbacks = async (format, text, repairLog) => {
+  try {
+    return { ...(await format.parse(text)), format };
+  } catch (err) {
+    if (format.id !== 'json' && format.id !== 'json5') throw err;
+    if (format.id === 'json') {
+      try {
+        const json5 = getFormat('json5');
+        return { ...json5.parse(text), format: json5 };
+      } catch {
+        const lines = createLineParser();
+        if (text.includes('\n')) {
+          text.split('\n').forEach(lines.parseLine);
+          if (lines.records.length > 1 && lines.errorCount === 0) {
+            return { data: lines.records, records: true, format: getFormat('jsonl') };
+          }
+        }
+      }
+    }
+
+    if (!repairLog) throw diagnose(text, err);
+    const { data, records, issues } = parseLenient(text);
+    repairLog.add(issues, createLocator(text));
+    return { data, records, format };
+  }
+};
+
+const parseFile = async (file, formatId, repair) => {
+  const decoder = new TextDecoder();
+  const totalBytes = file.size;
+  const gzip = await isGzip(file);
+
+  const chunks = [];
+  const repairLog = repair ? createRepairLog() : null;
+  const lines = createLineParser(repairLog);
+  let format = formatId ? getFormat(formatId) : null;
+  let pending = '';
+  let firstText = '';
+  let lastText = '';
+
+  for await (const { bytes, bytesRead } of readFile(file, gzip)) {
+    const text = decoder.decode(bytes, { stream: true });
+    if (!format) {
+      // Sniff once at least a little text is available
+      firstText += text;
+      if (firstText.length < 64 * 1024 && bytesRead < totalBytes) continue;
+      format = sniffFormat(file.name, firstText);
+      chunks.push(firstText);
+    } else {
+      if (!firstText) firstText = text;
+      chunks.push(text);
+    }
+    if (text) lastText = text;
+
+    if (format.id === 'jsonl') {
+      const parts = (pending + chunks.pop()).split('\n');
+      pending = parts.pop();
+      parts.forEach(lines.parseLine);
+    }
+
+    post({ type: 'progress', phase: 'reading', bytesProcessed: bytesRead, totalBytes, records: lines.records.length });
+  }
+
+  const tail = decoder.decode();
+  if (!format) {
+    firstText += tail;
+    format = sniffFormat(file.name, firstText);
+    chunks.push(firstText);
+  } else if (tail) {
+    chunks.push(tail);
+  }
+  if (format.id === 'jsonl') {
+    const rest = pending + chunks.join('');
+    rest.split('\n').forEach(lines.parseLine);
+    const layout = { indent: '', trailingNewline: (rest || lastText).endsWith('\n') };
+    const { records, errors, errorCount } = lines;
+    let formatLabel = gzip ? `${format.label}, gzip` : format.label;
+    if (repairLog?.repairCount) formatLabel += ', repaired';
+    post({ type: 'done', data: records, records: true, errors, errorCount, layout, formatLabel, lossless: lines.lossless.entries, ...repairFields(repairLog) });
+    return;
+  }
+
+  post({ type: 'progress', phase: 'parsing', bytesProcessed: totalBytes, totalBytes, records: 0 });
+  const text = chunks.join('');
+  const result = await parseWithFallbacks(format, text, repairLog);
+  const lossless = createLosslessLog();
+  lossless.add(result.data, text);
+  post({ type: 'progress', phase: 'transferring', bytesProcessed: totalBytes, totalBytes, records: result.records ? result.data.length : 1 });
+
+  const layout = result.format.id === 'json'
+    ? { indent: detectIndent(firstText.slice(0, 64 * 1024)), trailingNewline: lastText.endsWith('\n') }
+    : DEFAULT_LAYOUT;
+  let formatLabel = gzip ? `${result.format.label}, gzip` : result.format.label;
+  if (result.format.id === 'yaml' && result.records) formatLabel += `, ${result.data.length} documents`;
+  if (repairLog?.repairCount) formatLabel += ', repaired';
+  post({ type: 'done', data: result.data, records: result.records, errors: [], errorCount: 0, layout, formatLabel, lossless: lossless.entries, ...repairFields(repairLog) });
+};
+
+self.onmessage = async (e) => {
+  const { file, format, repair } = e.data;
+  try {
+    await parseFile(file, format, repair);
+  } catch (err) {
+    post({ type: 'error', message: err.message, errors: err.errors, errorCount: err.errorCount });
+  }
+};
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateField, valueKey } from '../src/lib/aggregate.js';
+
+test('values are counted with their record indices', () => {
+  const result = aggregateField([{ f: 'a' }, { f: 'b' }, { f: 'a' }, {}], ['f']);
+  assert.deepEqual(result.values.map(({ value, count, indices }) => [value, count, indices]), [['a', 2, [0, 2]], ['b', 1, [1]]]);
+  assert.deepEqual(result.missing, [3]);
+});
+
+test('objects that differ only in key order are one value', () => {
+  const result = aggregateField([{ f: { a: 1, b: 2 } }, { f: { b: 2, a: 1 } }, { f: 3 }], ['f']);
+  assert.equal(result.distinctCount, 2);
+  assert.deepEqual(result.values[0].indices, [0, 1]);
+  assert.equal(valueKey({ a: [1, { c: 1, d: 2 }] }), valueKey({ a: [1, { d: 2, c: 1 }] }));
+});
+
+test('values of different types are different values', () => {
+  const keys = [1, '1', true, 'true', null, 'null', [1], '[1]'].map(valueKey);
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('records are grouped by a second field regardless of key order', () => {
+  const records = [{ g: { x: 1, y: 2 }, f: 1 }, { g: { y: 2, x: 1 }, f: 3 }, { g: null, f: 5 }];
+  const { groups } = aggregateField(records, ['f'], { groupPath: ['g'] });
+  assert.deepEqual(groups.map(({ indices }) => indices), [[0, 1], [2]]);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffDocuments, collectChanges, createJsonPatch, matchArrays, toJsonPointer, fromJsonPointer } from '../src/lib/diff.js';
+import { LosslessNumber } from '../src/lib/lossless.js';
+
+// Applies the operations createJsonPatch writes: add, remove, replace, and
+// move within an array
+const applyPatch = (document, ops) => {
+  let root = structuredClone(document);
+  const locate = (pointer) => {
+    const segments = fromJsonPointer(pointer, root);
+    const parent = segments.slice(0, -1).reduce((node, segment) => node[segment], root);
+    return [parent, segments[segments.length - 1]];
+  };
+  for (const { op, from, path, value } of ops) {
+    if (path === '') {
+      root = structuredClone(value);
+      continue;
+    }
+    const [parent, last] = locate(path);
+    if (op === 'move') {
+      const [source, index] = locate(from);
+      parent.splice(last, 0, ...source.splice(index, 1));
+    } else if (Array.isArray(parent)) {
+      if (op !== 'add') parent.splice(last, 1);
+      if (op !== 'remove') parent.splice(last, 0, structuredClone(value));
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = structuredClone(value);
+    }
+  }
+  return root;
+};
+
+const changeSummary = (left, right, options) => collectChanges(diffDocuments(left, right, options))
+  .map((node) => [node.status, node.hasLeft ? node.leftPath : node.rightPath]);
+
+test('changes, additions and removals are found by path', () => {
+  assert.deepEqual(changeSummary({ a: 1, b: 2, c: [1], e: 0 }, { a: 1, b: 3, d: true, c: [1] }), [
+    ['changed', ['b']],
+    ['removed', ['e']],
+    ['added', ['d']],
+  ]);
+  assert.deepEqual(changeSummary({ b: 2 }, { b: '2' }), [['type', ['b']]]);
+});
+
+test('objects that differ only in key order are the same', () => {
+  assert.deepEqual(changeSummary({ a: { x: 1, y: 2 } }, { a: { y: 2, x: 1 } }), []);
+  assert.deepEqual(createJsonPatch({ a: { x: 1, y: 2 } }, { a: { y: 2, x: 1 } }), []);
+});
+
+test('array items that differ only in key order are paired as moves, not changes', () => {
+  const left = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }];
+  const right = [{ name: 'b', id: 2 }, { name: 'a', id: 1 }];
+  assert.deepEqual(matchArrays(left, right, null), [1, 0]);
+  assert.deepEqual(changeSummary(left, right), [['moved', [1]]]);
+});
+
+test('keyed matching pairs items whose key objects differ only in key order', () => {
+  const left = [{ key: { a: 1, b: 2 }, v: 1 }, { key: { a: 3 }, v: 2 }];
+  const right = [{ key: { a: 3 }, v: 2 }, { key: { b: 2, a: 1 }, v: 5 }];
+  assert.deepEqual(matchArrays(left, right, 'key'), [1, 0]);
+});
+
+test('lossless numbers compare by their literal', () => {
+  const big = (literal) => new LosslessNumber(literal);
+  assert.deepEqual(changeSummary({ n: big('12345678901234567890') }, { n: big('12345678901234567890') }), []);
+  assert.deepEqual(
+    changeSummary({ n: big('12345678901234567890') }, { n: big('12345678901234567891') }),
+    [['changed', ['n']]],
+  );
+});
+
+test('patches turn the left document into the right one', () => {
+  const cases = [
+    [{ a: 1, b: [1, 2, 3] }, { a: 2, b: [3, 1, 4], c: { d: null } }],
+    [[{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 3 }, { id: 1, x: true }]],
+    [{ list: ['a', 'b', 'c', 'b'] }, { list: ['b', 'c', 'a'] }],
+    [{ 'a/b': { '~': 1 } }, { 'a/b': { '~': 2 } }],
+    [1, { replaced: true }],
+  ];
+  for (const [left, right] of cases) {
+    assert.deepEqual(applyPatch(left, createJsonPatch(left, right)), right);
+    assert.deepEqual(applyPatch(left, createJsonPatch(left, right, { arrayKey: 'id' })), right);
+  }
+});
+
+test('JSON Pointers escape ~ and /', () => {
+  const path = ['a/b', '~c', 0];
+  assert.equal(toJsonPointer(path), '/a~1b/~0c/0');
+  assert.deepEqual(fromJsonPointer(toJsonPointer(path), { 'a/b': { '~c': [1] } }), path);
+});
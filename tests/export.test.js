@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { exportChunks, EXPORT_FORMATS } from '../src/lib/export.js';
+import { LosslessNumber, stringifyJson } from '../src/lib/lossless.js';
+
+const exported = (value, format, options) => [...exportChunks(value, format, options)].join('');
+
+const records = [{ a: 1, b: 'x,y' }, { a: 2, c: { d: 1 } }];
+
+test('every listed format can be exported', () => {
+  EXPORT_FORMATS.forEach(({ id }) => assert.ok(exported(records, id).length > 0, id));
+  assert.throws(() => exported(records, 'xml'), /Unknown export format/);
+});
+
+test('JSON output matches stringifyJson, also for containers written in pieces', () => {
+  assert.equal(exported(records, 'json'), `${JSON.stringify(records, null, 2)}\n`);
+  assert.equal(exported(records, 'json-min'), `${JSON.stringify(records)}\n`);
+  const large = { items: Array.from({ length: 2500 }, (_, i) => ({ i, n: new LosslessNumber(`1234567890123456789${i % 10}`) })) };
+  assert.equal(exported(large, 'json'), `${stringifyJson(large, 2)}\n`);
+  assert.equal(exported(large, 'json', { indent: '\t' }), `${stringifyJson(large, '\t')}\n`);
+  assert.equal(exported(large, 'json-min'), `${stringifyJson(large)}\n`);
+});
+
+test('JSONL writes one line per item', () => {
+  assert.equal(exported(records, 'jsonl'), '{"a":1,"b":"x,y"}\n{"a":2,"c":{"d":1}}\n');
+  assert.equal(exported({ n: new LosslessNumber('12345678901234567890') }, 'jsonl'), '{"n":12345678901234567890}\n');
+});
+
+test('YAML writes records as separate documents', () => {
+  assert.equal(exported(records, 'yaml', { records: true }), '---\na: 1\nb: "x,y"\n---\na: 2\nc:\n  d: 1\n');
+});
+
+test('CSV flattens nested fields into columns and quotes where needed', () => {
+  assert.equal(exported(records, 'csv'), 'a,b,c.d\r\n1,"x,y",\r\n2,,1\r\n');
+});
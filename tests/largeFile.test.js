@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRecordIndex, createRecordReader, createRecordLayout, searchRecords, isJsonLines } from '../src/lib/largeFile.js';
+import { createMatcher, DEFAULT_SEARCH_OPTIONS } from '../src/lib/search.js';
+import { isLosslessNumber } from '../src/lib/lossless.js';
+
+// A source reading from text held in memory, counting its reads
+const textSource = (name, text) => {
+  const bytes = new TextEncoder().encode(text);
+  const source = {
+    name,
+    size: bytes.length,
+    reads: 0,
+    read: async (start, end) => {
+      source.reads++;
+      return bytes.slice(start, end);
+    },
+  };
+  return source;
+};
+
+// Records spanning several index blocks, with blank lines, CRLF line ends and
+// a line that is not JSON in between
+const RECORD_COUNT = 3000;
+const lines = Array.from({ length: RECORD_COUNT }, (_, n) => (n === 1500 ? 'not json' : JSON.stringify({ n, tag: n % 7 === 0 ? 'seven' : 'other' })));
+const text = lines.map((line, n) => (n % 500 === 0 ? `\n  \r\n${line}\r\n` : `${line}\n`)).join('');
+
+test('JSON Lines are told from JSON by their content', async () => {
+  assert.equal(await isJsonLines(textSource('big.jsonl', text)), true);
+  assert.equal(await isJsonLines(textSource('big.json', '{\n  "a": 1\n}\n')), false);
+});
+
+test('the index counts records, not blank lines', async () => {
+  const index = await buildRecordIndex(textSource('big.jsonl', text)).promise;
+  assert.equal(index.recordCount, RECORD_COUNT);
+  assert.ok(index.blocks.offsets.length > 1);
+  assert.equal(index.blocks.firstRecords[0], 0);
+});
+
+test('a final line without a newline is a record', async () => {
+  const index = await buildRecordIndex(textSource('a.jsonl', '{"a":1}\n{"a":2}')).promise;
+  assert.equal(index.recordCount, 2);
+});
+
+test('records are read by number across block boundaries', async () => {
+  const source = textSource('big.jsonl', text);
+  const index = await buildRecordIndex(source).promise;
+  const reader = createRecordReader(source, index);
+  const records = await reader.read(1020, 10);
+  assert.deepEqual(records.map((record) => record.value.n), [1020, 1021, 1022, 1023, 1024, 1025, 1026, 1027, 1028, 1029]);
+  const [invalid] = await reader.read(1500, 1);
+  assert.equal(invalid.value, 'not json');
+  assert.ok(invalid.error);
+  assert.equal((await reader.read(RECORD_COUNT - 2, 10)).length, 2);
+  assert.deepEqual(await reader.read(RECORD_COUNT, 1), []);
+
+  const reads = source.reads;
+  await reader.read(1020, 10);
+  assert.equal(source.reads, reads, 'parsed blocks are cached');
+});
+
+test('records keep numbers a double cannot hold', async () => {
+  const source = textSource('ids.jsonl', '{"id":12345678901234567890}\n');
+  const reader = createRecordReader(source, await buildRecordIndex(source).promise);
+  const [record] = await reader.read(0, 1);
+  assert.ok(isLosslessNumber(record.value.id));
+});
+
+test('indexing and searching can be cancelled', async () => {
+  const source = textSource('big.jsonl', text);
+  const indexing = buildRecordIndex(source);
+  indexing.cancel();
+  await assert.rejects(indexing.promise, (err) => err.cancelled === true);
+
+  const index = await buildRecordIndex(source).promise;
+  const search = searchRecords(source, index, createMatcher('seven'), DEFAULT_SEARCH_OPTIONS);
+  search.cancel();
+  await assert.rejects(search.promise, (err) => err.cancelled === true);
+});
+
+test('search finds matches by record number', async () => {
+  const source = textSource('big.jsonl', text);
+  const index = await buildRecordIndex(source).promise;
+  const { results } = await searchRecords(source, index, createMatcher('seven'), { ...DEFAULT_SEARCH_OPTIONS, scope: 'values' }).promise;
+  const expected = lines.map((_, n) => n).filter((n) => n % 7 === 0 && n !== 1500);
+  assert.deepEqual(results.map((result) => result.path), expected.map((n) => [n, 'tag']));
+
+  const { results: lineMatches } = await searchRecords(source, index, createMatcher('not json'), DEFAULT_SEARCH_OPTIONS).promise;
+  assert.deepEqual(lineMatches.map((result) => result.path), [[1500]]);
+});
+
+// The rows of a layout listed one by one
+const enumerate = (recordCount, rowCounts) => {
+  const rows = [];
+  for (let record = 0; record < recordCount; record++) {
+    for (let offset = 0; offset < (rowCounts.get(record) ?? 1); offset++) rows.push({ record, offset });
+  }
+  return rows;
+};
+
+test('the record layout places rows as listing them would', () => {
+  const cases = [
+    [0, new Map()],
+    [5, new Map()],
+    [5, new Map([[0, 3]])],
+    [5, new Map([[4, 2]])],
+    [10, new Map([[7, 4], [2, 3], [3, 2]])],
+  ];
+  for (const [recordCount, rowCounts] of cases) {
+    const rows = enumerate(recordCount, rowCounts);
+    const layout = createRecordLayout(recordCount, rowCounts);
+    assert.equal(layout.rowCount, rows.length);
+    rows.forEach((row, i) => {
+      assert.deepEqual(layout.at(i), row, `row ${i}`);
+      if (row.offset === 0) assert.equal(layout.firstRowOf(row.record), i, `record ${row.record}`);
+    });
+  }
+});
+
+test('the record layout needs nothing per record', () => {
+  const layout = createRecordLayout(20_000_000, new Map([[10, 5], [19_999_998, 3]]));
+  assert.equal(layout.rowCount, 20_000_006);
+  assert.deepEqual(layout.at(20_000_005), { record: 19_999_999, offset: 0 });
+  assert.deepEqual(layout.at(20_000_004), { record: 19_999_998, offset: 2 });
+  assert.equal(layout.firstRowOf(1_000_000), 1_000_004);
+});
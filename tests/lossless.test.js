@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LosslessNumber, isLosslessNumber, parseJsonLossless, stringifyJson, reviveLosslessNumbers, forEachLosslessNumber } from '../src/lib/lossless.js';
+
+const BIG = '12345678901234567890';
+
+test('numbers a double cannot hold are kept as their literal', () => {
+  const data = parseJsonLossless(`{"id": ${BIG}, "price": 0.10000000000000000001, "small": 1.5, "huge": 1e400}`);
+  assert.ok(isLosslessNumber(data.id));
+  assert.equal(String(data.id), BIG);
+  assert.ok(isLosslessNumber(data.price));
+  assert.equal(data.small, 1.5);
+  assert.equal(String(data.huge), '1e400');
+});
+
+test('a lossless number at the root or in nested arrays is kept', () => {
+  assert.equal(String(parseJsonLossless(BIG)), BIG);
+  const data = parseJsonLossless(`[[1, ${BIG}], {"a": [${BIG}]}]`);
+  assert.equal(data[0][0], 1);
+  assert.equal(String(data[0][1]), BIG);
+  assert.equal(String(data[1].a[0]), BIG);
+});
+
+test('strings are never turned into numbers, whatever they contain', () => {
+  const text = `{"note": "${BIG}", "marker": "\\u0000lossless:${BIG}", "k\\"ey": ${BIG}}`;
+  const data = parseJsonLossless(text);
+  assert.equal(data.note, BIG);
+  assert.equal(data.marker, `\u0000lossless:${BIG}`);
+  assert.equal(String(data['k"ey']), BIG);
+  assert.equal(stringifyJson(data), `{"note":"${BIG}","marker":"\\u0000lossless:${BIG}","k\\"ey":${BIG}}`);
+});
+
+test('with duplicate keys the last one wins, as in JSON.parse', () => {
+  assert.equal(parseJsonLossless(`{"a": ${BIG}, "a": "text"}`).a, 'text');
+  assert.equal(String(parseJsonLossless(`{"a": "text", "a": ${BIG}}`).a), BIG);
+});
+
+test('stringifyJson matches JSON.stringify apart from the literals', () => {
+  const value = { a: [1, 'two', null, { b: true }], c: {}, d: [], e: undefined };
+  for (const indent of [undefined, 2, '\t']) {
+    assert.equal(stringifyJson(value, indent), JSON.stringify(value, null, indent));
+    assert.equal(
+      stringifyJson({ ...value, n: new LosslessNumber(BIG) }, indent),
+      JSON.stringify({ ...value, n: 0 }, null, indent).replace(/0(\s*)\}$/, `${BIG}$1}`),
+    );
+  }
+});
+
+test('plain JSON.stringify writes the nearest double instead of failing', () => {
+  assert.equal(JSON.stringify({ n: new LosslessNumber(BIG) }), `{"n":${Number(BIG)}}`);
+});
+
+test('parse and stringify round-trip', () => {
+  const text = `{"ids":[${BIG},-0.10000000000000000000001,3],"s":"${BIG}"}`;
+  assert.equal(stringifyJson(parseJsonLossless(text)), text);
+});
+
+test('revived numbers are put back where they were found', () => {
+  const data = parseJsonLossless(`{"a": [1, ${BIG}], "b": ${BIG}}`);
+  const entries = [];
+  forEachLosslessNumber(data, (path, literal) => entries.push([path, literal]));
+  assert.deepEqual(entries, [[['a', 1], BIG], [['b'], BIG]]);
+
+  const cloned = structuredClone(data);
+  const revived = reviveLosslessNumbers(cloned, entries);
+  assert.ok(isLosslessNumber(revived.a[1]));
+  assert.equal(stringifyJson(revived), stringifyJson(data));
+});
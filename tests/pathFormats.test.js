@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PATH_FORMATS, formatPathAs, resolvePathText, PathError } from '../src/lib/pathFormats.js';
+
+const data = {
+  orders: [{ sku: 'a', 'odd key': { 'a/b~c': 1 } }],
+  'with.dot': { "it's": [true] },
+  ' padded ': { 'end ': 1 },
+  '': { x: 1 },
+};
+
+const paths = [
+  [],
+  ['orders'],
+  ['orders', 0, 'sku'],
+  ['orders', 0, 'odd key', 'a/b~c'],
+  ['with.dot', "it's", 0],
+  [' padded ', 'end '],
+  ['', 'x'],
+];
+
+test('every format parses back to the path it wrote', () => {
+  PATH_FORMATS.forEach(({ id }) => paths.forEach((path) => {
+    assert.deepEqual(resolvePathText(data, formatPathAs(path, id)), path, `${id} ${JSON.stringify(path)}`);
+  }));
+});
+
+test('paths are written in each syntax', () => {
+  const path = ['orders', 0, 'odd key'];
+  assert.equal(formatPathAs(path, 'js'), 'data.orders[0]["odd key"]');
+  assert.equal(formatPathAs(path, 'jsonpath'), "$.orders[0]['odd key']");
+  assert.equal(formatPathAs(path, 'pointer'), '/orders/0/odd key');
+  assert.equal(formatPathAs(path, 'jq'), '.orders[0]["odd key"]');
+  assert.equal(formatPathAs(path, 'python'), 'data["orders"][0]["odd key"]');
+});
+
+test('JSON Pointers keep spaces in keys, and the empty pointer is the root', () => {
+  assert.deepEqual(resolvePathText(data, ''), []);
+  assert.deepEqual(resolvePathText(data, '/ padded /end '), [' padded ', 'end ']);
+  assert.deepEqual(resolvePathText(data, '  / padded '), [' padded ']);
+  assert.deepEqual(resolvePathText(data, '#/%20padded%20'), [' padded ']);
+});
+
+test('the dotted form and negative indices are accepted', () => {
+  assert.deepEqual(resolvePathText(data, 'orders[0].sku'), ['orders', 0, 'sku']);
+  assert.deepEqual(resolvePathText(data, '$.orders[-1]'), ['orders', 0]);
+});
+
+test('missing nodes and malformed paths are PathErrors', () => {
+  for (const text of ['  ', '/orders/5', 'orders[0].nope', 'orders[0', 'orders[x]', 'data.missing']) {
+    assert.throws(() => resolvePathText(data, text), PathError, text);
+  }
+});
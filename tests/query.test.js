@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runQuery, detectQueryLanguage, parseRecordFilter, parseFieldPath, filterRecords, QuerySyntaxError } from '../src/lib/query/index.js';
+import { deepEqual, canonicalKey } from '../src/lib/query/values.js';
+import { parseJsonLossless } from '../src/lib/lossless.js';
+
+const data = {
+  store: {
+    books: [
+      { title: 'A', price: 8, tags: ['x'] },
+      { title: 'B', price: 12 },
+      { title: 'C', price: 20, tags: ['y', 'x'] },
+    ],
+  },
+  same: [{ a: 1, b: { c: 2, d: 3 } }, { b: { d: 3, c: 2 }, a: 1 }],
+};
+
+const values = (query) => runQuery(data, query).results.map((result) => result.value);
+const paths = (query) => runQuery(data, query).results.map((result) => result.path);
+
+test('the language is told from the first character', () => {
+  assert.equal(detectQueryLanguage('$..title'), 'jsonpath');
+  assert.equal(detectQueryLanguage(' .store'), 'jq');
+});
+
+test('jq filters return values with their paths', () => {
+  assert.deepEqual(values('.store.books[] | select(.price > 10) | .title'), ['B', 'C']);
+  assert.deepEqual(paths('.store.books[] | select(.price > 10) | .title'), [['store', 'books', 1, 'title'], ['store', 'books', 2, 'title']]);
+  assert.deepEqual(values('.store.books | map(.title)'), [['A', 'B', 'C']]);
+  assert.deepEqual(paths('.store.books | length'), [null]);
+  assert.deepEqual(values('.store.books[0] | keys'), [['price', 'tags', 'title']]);
+});
+
+test('JSONPath selects by name, wildcard, slice and filter', () => {
+  assert.deepEqual(values('$..title'), ['A', 'B', 'C']);
+  assert.deepEqual(values('$.store.books[?(@.price < 15)].title'), ['A', 'B']);
+  assert.deepEqual(paths('$.store.books[-1:]'), [['store', 'books', 2]]);
+  assert.deepEqual(values('$.store.books[*].tags[0]'), ['x', 'y']);
+});
+
+test('result paths are prefixed with the base path of a subtree', () => {
+  assert.deepEqual(runQuery(data.store, '.books[0].title', ['store']).results[0].path, ['store', 'books', 0, 'title']);
+});
+
+test('equality ignores key order', () => {
+  assert.deepEqual(values('.same[0] == .same[1]'), [true]);
+  assert.ok(deepEqual(data.same[0], data.same[1]));
+  assert.equal(canonicalKey(data.same[0]), canonicalKey(data.same[1]));
+});
+
+test('canonical keys tell apart what deepEqual tells apart', () => {
+  const distinct = [1, '1', [1], { a: 1 }, { a: '1' }, null, true, 'true', [], {}, [null], { a: undefined }, ['a', 'b'], ['ab']];
+  distinct.forEach((a, i) => distinct.forEach((b, j) => {
+    assert.equal(canonicalKey(a) === canonicalKey(b), deepEqual(a, b), `${i} and ${j}`);
+    assert.equal(deepEqual(a, b), i === j, `${i} and ${j}`);
+  }));
+});
+
+test('lossless numbers are compared by value', () => {
+  const records = parseJsonLossless('[{"id": 12345678901234567890}, {"id": 12345678901234567891}]');
+  assert.equal(runQuery(records, '.[] | select(.id == 12345678901234567891)').results[0].path[0], 1);
+  assert.equal(canonicalKey(records[0].id) === canonicalKey(records[1].id), false);
+});
+
+test('syntax errors are reported as QuerySyntaxError', () => {
+  assert.throws(() => runQuery(data, '.store[['), QuerySyntaxError);
+  assert.throws(() => parseRecordFilter('level =='), QuerySyntaxError);
+});
+
+test('record filters test fields of each record', () => {
+  const predicate = parseRecordFilter('level == "error" && latency > 500');
+  assert.deepEqual([{ level: 'error', latency: 600 }, { level: 'error', latency: 1 }, { level: 'info' }].map(predicate), [true, false, false]);
+  assert.equal(parseRecordFilter('user.tags contains "a"')({ user: { tags: ['a'] } }), true);
+  assert.equal(parseRecordFilter('msg =~ /time/i')({ msg: 'Timeout' }), true);
+  assert.equal(parseRecordFilter('x in [1, 2]')({ x: 2 }), true);
+  assert.equal(parseRecordFilter('!missing')({}), true);
+  assert.deepEqual(parseFieldPath('.["content-type"].a[0]'), ['content-type', 'a', 0]);
+});
+
+test('filterRecords resolves to the matching indices', async () => {
+  const records = Array.from({ length: 50 }, (_, i) => ({ n: i }));
+  const { matches, checked } = await filterRecords(records, parseRecordFilter('n >= 45')).promise;
+  assert.deepEqual(matches, [45, 46, 47, 48, 49]);
+  assert.equal(checked, 50);
+});
@@ -0,0 +1,5 @@
+// Lets node load the app's modules as they are written for Vite, whose
+// imports leave out the `.js` extension and name directories by their index
+import { register } from 'node:module';
+
+register('./resolve.js', import.meta.url);
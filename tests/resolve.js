@@ -0,0 +1,18 @@
+// Module resolve hook for the tests (see register.js): a relative import that
+// does not resolve as written is tried as a `.js` file, then as a directory
+// with an index.js
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (!specifier.startsWith('.')) throw err;
+    for (const candidate of [`${specifier}.js`, `${specifier}/index.js`]) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch {
+        // try the next one
+      }
+    }
+    throw err;
+  }
+};
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDocument, SchemaError } from '../src/lib/schema/validate.js';
+import { inferSchema, SCHEMA_DIALECT } from '../src/lib/schema/infer.js';
+import { LosslessNumber } from '../src/lib/lossless.js';
+
+const errorsOf = (data, schema, options) => validateDocument(data, schema, options).errors
+  .map(({ path, keyword }) => [path, keyword]);
+
+test('errors carry the path of the value and the failing keyword', () => {
+  const schema = { type: 'object', properties: { n: { type: 'number' }, m: {} }, required: ['m'], additionalProperties: false };
+  assert.deepEqual(errorsOf({ n: 'x', extra: 1 }, schema), [
+    [[], 'required'],
+    [['n'], 'type'],
+    [['extra'], 'additionalProperties'],
+  ]);
+  assert.equal(validateDocument({ m: 1, n: 2 }, schema).valid, true);
+});
+
+test('uniqueItems ignores key order', () => {
+  const schema = { type: 'array', uniqueItems: true };
+  assert.deepEqual(errorsOf([{ a: 1, b: 2 }, { b: 2, a: 1 }], schema), [[[1], 'uniqueItems']]);
+  assert.deepEqual(errorsOf([{ a: 1 }, { a: '1' }, [1], 1, '1'], schema), []);
+});
+
+test('uniqueItems compares lossless numbers by their literal', () => {
+  const schema = { uniqueItems: true };
+  assert.deepEqual(errorsOf([new LosslessNumber('12345678901234567890'), new LosslessNumber('12345678901234567891')], schema), []);
+  assert.deepEqual(errorsOf([new LosslessNumber('12345678901234567890'), new LosslessNumber('12345678901234567890')], schema), [[[1], 'uniqueItems']]);
+});
+
+test('records are validated one by one', () => {
+  assert.deepEqual(errorsOf([{ a: 1 }, { a: 'x' }], { properties: { a: { type: 'integer' } } }, { records: true }), [[[1, 'a'], 'type']]);
+});
+
+test('an unresolvable $ref is a SchemaError', () => {
+  assert.throws(() => validateDocument(1, { $ref: '#/nope' }), SchemaError);
+});
+
+test('inferred schemas accept the data they were inferred from', () => {
+  const records = [{ a: 1, b: 'x', c: [{ d: true }] }, { a: 2.5, c: [] }];
+  const schema = inferSchema(records, { records: true });
+  assert.equal(schema.$schema, SCHEMA_DIALECT);
+  assert.deepEqual(schema.required, ['a', 'c']);
+  assert.equal(validateDocument(records, schema, { records: true }).valid, true);
+  assert.equal(validateDocument({ a: 'no', c: [] }, schema).valid, false);
+});